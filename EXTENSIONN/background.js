@@ -4,6 +4,22 @@
  * Handles profile switching and fallback authentication logic
  */
 
+// Vendored zod (synced from node_modules) for model file validation
+import { z } from './libs/vendor/zod/index.js';
+
+// Shared feature layout, keystroke autoencoder and model format helpers - register themselves on
+// globalThis.GhostKeyFeatures, GhostKeyML and GhostKeyModelFormat (in this order)
+import './libs/keystroke-features.js';
+import './libs/autoencoder.js';
+import './libs/model-format.js';
+
+// Vendored TensorFlow.js bundle (globalThis.tf) and the tfjs keystroke backend (globalThis.GhostKeyTF)
+import './libs/vendor/tfjs/tf.min.js';
+import './libs/tfjs-keystroke-model.js';
+
+// Risk-based policy shared with the web app (globalThis.GhostKeyPolicy) - decides allow, voice step-up, deny or lock
+import './libs/auth-policy.js';
+
 // Extension state management
 let extensionState = {
   isActive: false,
@@ -16,7 +32,6 @@ let extensionState = {
 
 // Authentication configuration
 const AUTH_CONFIG = {
-  MAX_FAILURES_BEFORE_VOICE: 2,
   SESSION_TIMEOUT: 30 * 60 * 1000, // 30 minutes
   AUTO_CLEAR_DELAY: 2000, // 2 seconds after password entry
   WEBSITE_CLOSE_DELAY: 5000 // 5 seconds before closing failed website
@@ -36,8 +51,10 @@ chrome.runtime.onInstalled.addListener(async () => {
       clearPassword: true,
       closeOnFailure: true,
       voiceFallback: true,
-      notifications: true
+      notifications: true,
+      policyGroup: globalThis.GhostKeyPolicy.DEFAULT_POLICY_GROUP
     },
+    authHistory: {},
     activeProfile: null
   });
   
@@ -310,15 +327,44 @@ async function handleKeystrokeData(keystrokeData, tab, sendResponse) {
       console.log('Performing keystroke authentication...');
       
       // Use the authentication logic directly without eval
-      const authResult = performKeystrokeAuthentication(keystrokeData.features, profile.keystrokeModel);
+      const authResult = await performKeystrokeAuthentication(keystrokeData, profile.keystrokeModel);
       
       console.log('Authentication result:', authResult);
       
+      // Profiles trained by an older build are upgraded in storage once they validate
+      if (authResult.migratedModel) {
+        profiles[extensionState.currentProfile] = { ...profile, keystrokeModel: authResult.migratedModel };
+        await chrome.storage.local.set({ profiles });
+        console.log('Upgraded stored keystroke model to format version', authResult.migratedModel.formatVersion);
+      }
+      
+      if (authResult.needsRetraining) {
+        sendResponse({
+          success: false,
+          authenticated: false,
+          needsRetraining: true,
+          errorCode: authResult.errorCode,
+          error: authResult.error
+        });
+        return;
+      }
+      
+      // The model's verdict is one input - the profile's recent failures and browser can still
+      // ask for voice, deny or lock. The IP isn't visible here, so newIp never holds
+      const policy = await evaluateProfilePolicy(extensionState.currentProfile, {
+        knowledge: null,
+        authenticated: authResult.authenticated,
+        matchProbability: null
+      });
+      const authenticated = policy.action === 'allow';
+      
       sendResponse({ 
         success: true, 
-        authenticated: authResult.authenticated,
+        authenticated,
         confidence: authResult.confidence,
-        reconstructionError: authResult.reconstructionError
+        reconstructionError: authResult.reconstructionError,
+        reason: authResult.authenticated && !authenticated ? policy.reason : authResult.reason,
+        policy
       });
       
     } catch (mlError) {
@@ -368,19 +414,9 @@ async function handleAuthenticationResult(result, tab, sendResponse) {
     }
     
   } else {
-    // Failed authentication
-    extensionState.authFailureCount++;
-    
-    if (extensionState.authFailureCount >= AUTH_CONFIG.MAX_FAILURES_BEFORE_VOICE) {
-      // Trigger voice authentication
-      extensionState.isVoiceAuthRequired = true;
-      
-      chrome.tabs.sendMessage(tab.id, { 
-        type: 'SHOW_VOICE_AUTH_MODAL',
-        profileId: extensionState.currentProfile,
-        failureCount: extensionState.authFailureCount
-      });
-    }
+    // Failed authentication - the policy already counted it, and the content script opens the voice modal itself
+    extensionState.authFailureCount = result.policy ? result.policy.signals.recentFailures : extensionState.authFailureCount + 1;
+    extensionState.isVoiceAuthRequired = result.policy?.action === 'step-up';
   }
   
   sendResponse({ success: true });
@@ -420,7 +456,14 @@ async function handleVoiceAuthRequired(tab, sendResponse) {
 async function handleVoiceAuthResult(result, tab, sendResponse) {
   console.log('Voice authentication result:', result);
   
-  if (result.success) {
+  // Voice is the step-up the policy asked for - it settles the attempt unless the profile is locked
+  const policy = await evaluateProfilePolicy(
+    extensionState.currentProfile,
+    { knowledge: null, authenticated: !!result.success, matchProbability: null },
+    { stepUpCompleted: true }
+  );
+  
+  if (policy.action === 'allow') {
     // Voice authentication successful
     extensionState.authFailureCount = 0;
     extensionState.isVoiceAuthRequired = false;
@@ -432,19 +475,54 @@ async function handleVoiceAuthResult(result, tab, sendResponse) {
       message: 'Access granted via voice biometrics'
     });
     
-  } else {
-    // Voice authentication failed - close website
+  } else if (policy.action === 'lock') {
+    // Locked out - close website
+    extensionState.authFailureCount = policy.signals.recentFailures;
     chrome.tabs.sendMessage(tab.id, { 
       type: 'SHOW_ERROR_MESSAGE',
-      message: 'Voice authentication failed. Access denied for security.'
+      message: `${policy.reason}. Access denied for security.`
     });
     
     setTimeout(() => {
       chrome.tabs.remove(tab.id);
     }, AUTH_CONFIG.WEBSITE_CLOSE_DELAY);
+  } else {
+    // Failed, but the content script may try again until the policy locks the profile
+    extensionState.authFailureCount = policy.signals.recentFailures;
   }
   
-  sendResponse({ success: true });
+  sendResponse({ success: true, policy });
+}
+
+/**
+ * Decide an attempt with the profile's policy group and history, then record it in that history
+ * The history mirrors the web app's access log: { timestamp, result, ip, userAgent }
+ */
+async function evaluateProfilePolicy(profileId, attempt, options = {}) {
+  const { settings = {}, authHistory = {} } = await chrome.storage.local.get(['settings', 'authHistory']);
+  const { group, policy } = globalThis.GhostKeyPolicy.resolvePolicy(settings.policyGroup);
+  const history = authHistory[profileId] || [];
+  
+  const decision = globalThis.GhostKeyPolicy.evaluatePolicy(
+    policy,
+    { ...attempt, ip: null, userAgent: navigator.userAgent },
+    history,
+    { group, stepUpCompleted: options.stepUpCompleted }
+  );
+  console.log(`Policy for ${profileId} (${group}):`, decision.action, decision.rule || 'default');
+  
+  authHistory[profileId] = [
+    ...history,
+    {
+      timestamp: new Date().toISOString(),
+      result: decision.action === 'allow' ? 'Pass' : 'Fail',
+      ip: null,
+      userAgent: navigator.userAgent
+    }
+  ].slice(-globalThis.GhostKeyPolicy.POLICY_HISTORY_LIMIT);
+  await chrome.storage.local.set({ authHistory });
+  
+  return decision;
 }
 
 /**
@@ -492,11 +570,16 @@ async function handleGetProfiles(sendResponse) {
  */
 async function handleDeleteProfile(profileId, sendResponse) {
   try {
-    const { profiles = {}, activeProfile } = await chrome.storage.local.get(['profiles', 'activeProfile']);
+    const { profiles = {}, activeProfile, authHistory = {} } = await chrome.storage.local.get([
+      'profiles',
+      'activeProfile',
+      'authHistory'
+    ]);
     
     if (profiles[profileId]) {
       delete profiles[profileId];
-      await chrome.storage.local.set({ profiles });
+      delete authHistory[profileId];
+      await chrome.storage.local.set({ profiles, authHistory });
       
       // Clear active profile if it was deleted
       if (activeProfile === profileId) {
@@ -575,67 +658,74 @@ console.log('Ghost Key background script loaded');
 
 /**
  * Keystroke authentication function - CSP-compliant version
- * Ported from autoencoder.js to avoid eval() issues
+ * Delegates to the shared autoencoder (or tfjs backend) so the extension scores exactly like the server
+ * keystrokeData carries raw `timings` from the content script (or a prebuilt `features` vector)
  */
-function performKeystrokeAuthentication(inputFeatures, trainedModelData) {
+async function performKeystrokeAuthentication(keystrokeData, storedModelData) {
+  // Validate against the shared model schema first - a broken profile needs retraining,
+  // which is different from the user typing badly
+  let trainedModelData;
+  let migrated = false;
   try {
-    if (!trainedModelData || trainedModelData.modelType !== "autoencoder" || !trainedModelData.autoencoder) {
-      throw new Error("Invalid model data - expected autoencoder model for authentication");
-    }
-
-    console.log("Performing autoencoder-based keystroke authentication");
-
-    // Normalize the input features using the same parameters from training
-    const { min, max } = trainedModelData.normalizationParams;
-    const normalizedInputFeatures = inputFeatures.map((value, i) => {
-      if (i >= min.length || i >= max.length) {
-        return 0; // Pad with zeros if feature array is longer than training data
-      }
-      const featureRange = max[i] - min[i];
-      return featureRange === 0 ? 0 : (value - min[i]) / featureRange;
-    });
-
-    // Reconstruct autoencoder from serialized data
-    const autoencoder = deserializeAutoencoder(trainedModelData.autoencoder);
+    ({ model: trainedModelData, migrated } = globalThis.GhostKeyModelFormat.parseModelFile(storedModelData, z));
+  } catch (formatError) {
+    console.error('Stored keystroke model is unusable:', formatError.issues || formatError.message);
+    return {
+      success: false,
+      authenticated: false,
+      needsRetraining: true,
+      errorCode: formatError.code || 'MODEL_CORRUPT',
+      error: formatError.message
+    };
+  }
 
-    // Get the autoencoder's reconstruction of the input
-    const reconstructedFeatures = autoencoderPredict(autoencoder, normalizedInputFeatures);
+  try {
+    if (trainedModelData.modelType !== "autoencoder" && trainedModelData.modelType !== "tfjs") {
+      throw new Error("Invalid model data - expected autoencoder or tfjs model for authentication");
+    }
 
-    // Calculate reconstruction error (mean squared error)
-    let reconstructionError = 0;
-    for (let i = 0; i < normalizedInputFeatures.length; i++) {
-      const featureDifference = normalizedInputFeatures[i] - reconstructedFeatures[i];
-      reconstructionError += featureDifference * featureDifference;
+    // Size the vector to the profile's layout - a different key count is rejected, never zero-padded
+    const featureLayout = trainedModelData.featureLayout;
+    let inputFeatures;
+    let layoutMismatch;
+    if (keystrokeData.timings) {
+      layoutMismatch = globalThis.GhostKeyFeatures.describeLayoutMismatch(keystrokeData.timings, featureLayout);
+      inputFeatures = globalThis.GhostKeyFeatures.buildFeatureVector(keystrokeData.timings, featureLayout);
+    } else {
+      inputFeatures = keystrokeData.features || [];
+      layoutMismatch = globalThis.GhostKeyFeatures.describeVectorMismatch(inputFeatures, featureLayout);
     }
-    reconstructionError /= normalizedInputFeatures.length;
 
-    // Check against the learned authentication threshold
-    const authenticationThreshold = trainedModelData.threshold;
-    const authenticationSuccessful = reconstructionError <= authenticationThreshold;
+    if (layoutMismatch) {
+      console.log('Keystroke layout rejected:', layoutMismatch);
+      const rejection = {
+        success: false,
+        authenticated: false,
+        reconstructionError: 999,
+        confidence: 0,
+        errorCode: 'KEY_COUNT_MISMATCH',
+        reason: layoutMismatch
+      };
+      return migrated ? { ...rejection, migratedModel: trainedModelData } : rejection;
+    }
 
-    // Calculate confidence score
-    const maxExpectedError = trainedModelData.trainingStats?.maximumError || authenticationThreshold * 2;
-    const confidenceLevel = Math.max(0, Math.min(1, 1 - reconstructionError / (maxExpectedError * 2)));
+    console.log(`Performing ${trainedModelData.modelType}-based keystroke authentication`);
 
-    // Create feature deviation visualization data
-    const featureDeviations = normalizedInputFeatures.slice(0, 10).map((val) => Math.min(Math.abs(val), 1));
+    const authResult = trainedModelData.modelType === "tfjs"
+      ? await scoreWithStoredNetwork(inputFeatures, trainedModelData)
+      : globalThis.GhostKeyML.authenticateKeystrokePattern(inputFeatures, trainedModelData);
+    if (authResult.needsRetraining) {
+      return authResult;
+    }
 
     console.log(`Keystroke authentication result:`, {
-      reconstructionError: reconstructionError.toFixed(6),
-      threshold: authenticationThreshold.toFixed(6),
-      authenticated: authenticationSuccessful,
-      confidence: confidenceLevel.toFixed(3),
+      reconstructionError: authResult.reconstructionError.toFixed(6),
+      threshold: authResult.threshold.toFixed(6),
+      authenticated: authResult.authenticated,
+      confidence: authResult.confidence.toFixed(3),
     });
 
-    return {
-      success: authenticationSuccessful,
-      authenticated: authenticationSuccessful,
-      reconstructionError,
-      threshold: authenticationThreshold,
-      confidence: confidenceLevel,
-      deviations: featureDeviations,
-      modelType: "autoencoder"
-    };
+    return migrated ? { ...authResult, migratedModel: trainedModelData } : authResult;
   } catch (error) {
     console.error('Authentication error:', error);
     return {
@@ -649,58 +739,29 @@ function performKeystrokeAuthentication(inputFeatures, trainedModelData) {
 }
 
 /**
- * Deserialize autoencoder model
+ * Score against a tfjs profile - the popup saved its network to chrome.storage.local at enrollment
+ * A missing network makes the profile as unusable as a corrupt model file, so it asks for retraining too
  */
-function deserializeAutoencoder(serializedData) {
-  return {
-    inputSize: serializedData.inputSize,
-    hiddenSize: serializedData.hiddenSize,
-    bottleneckSize: serializedData.bottleneckSize,
-    weights1: serializedData.weights1,
-    weights2: serializedData.weights2,
-    weights3: serializedData.weights3,
-    biases1: serializedData.biases1,
-    biases2: serializedData.biases2,
-    biases3: serializedData.biases3
-  };
-}
-
-/**
- * Autoencoder prediction function
- */
-function autoencoderPredict(autoencoder, inputFeatures) {
-  // ReLU activation function
-  const relu = (x) => Math.max(0, x);
-  
-  // Layer 1: Input to hidden layer (encoding)
-  const hiddenLayerOutput = new Array(autoencoder.hiddenSize);
-  for (let j = 0; j < autoencoder.hiddenSize; j++) {
-    let weightedSum = autoencoder.biases1[j];
-    for (let i = 0; i < autoencoder.inputSize; i++) {
-      weightedSum += inputFeatures[i] * autoencoder.weights1[i][j];
-    }
-    hiddenLayerOutput[j] = relu(weightedSum);
-  }
-
-  // Layer 2: Hidden to bottleneck layer (compression)
-  const bottleneckOutput = new Array(autoencoder.bottleneckSize);
-  for (let j = 0; j < autoencoder.bottleneckSize; j++) {
-    let weightedSum = autoencoder.biases2[j];
-    for (let i = 0; i < autoencoder.hiddenSize; i++) {
-      weightedSum += hiddenLayerOutput[i] * autoencoder.weights2[i][j];
-    }
-    bottleneckOutput[j] = relu(weightedSum);
+async function scoreWithStoredNetwork(inputFeatures, trainedModelData) {
+  let network;
+  try {
+    network = await globalThis.tf.loadLayersModel(
+      globalThis.GhostKeyTF.createStorageIOHandler(chrome.storage.local, trainedModelData.network.id)
+    );
+  } catch (loadError) {
+    console.error('Stored TensorFlow.js network is unusable:', loadError.message);
+    return {
+      success: false,
+      authenticated: false,
+      needsRetraining: true,
+      errorCode: 'MODEL_CORRUPT',
+      error: `TensorFlow.js network ${trainedModelData.network.id} is missing or unreadable`
+    };
   }
 
-  // Layer 3: Bottleneck to output layer (reconstruction)
-  const reconstructedOutput = new Array(autoencoder.inputSize);
-  for (let j = 0; j < autoencoder.inputSize; j++) {
-    let weightedSum = autoencoder.biases3[j];
-    for (let i = 0; i < autoencoder.bottleneckSize; i++) {
-      weightedSum += bottleneckOutput[i] * autoencoder.weights3[i][j];
-    }
-    reconstructedOutput[j] = weightedSum; // Linear activation for output layer
+  try {
+    return globalThis.GhostKeyTF.scoreTfjsKeystrokePattern(globalThis.tf, network, inputFeatures, trainedModelData);
+  } finally {
+    network.dispose();
   }
-
-  return reconstructedOutput;
-}
\ No newline at end of file
+}
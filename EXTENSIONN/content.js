@@ -251,8 +251,10 @@ function handleKeyDown(event) {
   // Store keystroke timing data
   contentState.keystrokeBuffer.push({
     key: event.key,
+    code: event.code,
     type: 'keydown',
-    timestamp: performance.now()
+    timestamp: performance.now(),
+    repeat: event.repeat
   });
   
   if (event.key === 'Enter') {
@@ -265,8 +267,10 @@ function handleKeyUp(event) {
   
   contentState.keystrokeBuffer.push({
     key: event.key,
+    code: event.code,
     type: 'keyup',
-    timestamp: performance.now()
+    timestamp: performance.now(),
+    repeat: event.repeat
   });
 }
 
@@ -284,7 +288,7 @@ function processAuthentication() {
   console.log('Processing authentication with', contentState.keystrokeBuffer.length, 'keystroke events');
   console.log('🔑 Password length:', contentState.actualPassword.length, 'characters');
   
-  const features = extractKeystrokeFeatures(contentState.keystrokeBuffer);
+  const timings = extractKeystrokeTimings(contentState.keystrokeBuffer);
   showMessage('🔍 Analyzing biometric patterns...', 'info');
   
   // Use safe message sending
@@ -295,10 +299,20 @@ function processAuthentication() {
   safeMessageSend({
     type: 'KEYSTROKE_DATA',
     data: { 
-      features: features,
+      timings: timings,
       password: contentState.actualPassword // Include captured password
     }
   }, (response) => {
+    // Broken stored model - not a failed attempt, so don't escalate to voice
+    if (response?.needsRetraining) {
+      console.error('Keystroke model needs retraining:', response.errorCode, response.error);
+      showMessage('⚠️ Keystroke profile needs retraining\nOpen the Ghost Key popup and register this profile again.', 'error');
+      contentState.keystrokeBuffer = [];
+      contentState.actualPassword = '';
+      contentState.isCapturing = false;
+      return;
+    }
+    
     if (response?.error) {
       console.error('Authentication error:', response.error);
       
@@ -331,40 +345,10 @@ function processAuthentication() {
   });
 }
 
-function extractKeystrokeFeatures(keystrokeBuffer) {
-  const keyDownEvents = keystrokeBuffer.filter(k => k.type === 'keydown');
-  const keyUpEvents = keystrokeBuffer.filter(k => k.type === 'keyup');
-  
-  const holdTimes = [];
-  const ddTimes = [];
-  const udTimes = [];
-  
-  // Calculate timing features
-  keyDownEvents.forEach(downEvent => {
-    const upEvent = keyUpEvents.find(up => 
-      up.key === downEvent.key && up.timestamp > downEvent.timestamp);
-    if (upEvent) {
-      holdTimes.push(upEvent.timestamp - downEvent.timestamp);
-    }
-  });
-  
-  for (let i = 0; i < keyDownEvents.length - 1; i++) {
-    ddTimes.push(keyDownEvents[i + 1].timestamp - keyDownEvents[i].timestamp);
-  }
-  
-  const typingSpeed = keyDownEvents.length > 0 ? 
-    keyDownEvents.length / ((keyDownEvents[keyDownEvents.length - 1]?.timestamp - keyDownEvents[0]?.timestamp) / 1000) : 0;
-  
-  const features = [
-    ...holdTimes.slice(0, 11),
-    ...ddTimes.slice(0, 10),
-    ...udTimes.slice(0, 10),
-    typingSpeed,
-    0, 0, 0 // Additional features
-  ];
-  
-  while (features.length < 34) features.push(0);
-  return features;
+// Raw timings for the background worker, which sizes the vector to the profile's feature layout
+// Same extractor as the popup and the web app (libs/keystroke-features.js, loaded before this script)
+function extractKeystrokeTimings(keystrokeBuffer) {
+  return GhostKeyFeatures.extractKeystrokeTimings(keystrokeBuffer);
 }
 
 function handleAuthenticationResponse(response) {
@@ -402,20 +386,31 @@ function handleAuthenticationResponse(response) {
     }, 600);
     
   } else {
-    contentState.authFailureCount++;
+    // The background worker's policy (libs/auth-policy.js) decides what a failure leads to
+    const policy = response.policy;
+    contentState.authFailureCount = policy ? policy.signals.recentFailures : contentState.authFailureCount + 1;
     
-    const errorDetails = response.reconstructionError ? 
-      `\nError: ${response.reconstructionError.toFixed(5)}` : '';
+    const errorDetails = response.reason ? `\n${response.reason}` :
+      response.reconstructionError ? `\nError: ${response.reconstructionError.toFixed(5)}` : '';
     
-    if (contentState.authFailureCount >= 2) {
+    if (policy?.action === 'lock') {
+      showMessage(`🔒 ${policy.reason}\nAccess denied for security.`, 'error');
+      setTimeout(() => {
+        if (validateExtensionContext()) {
+          safeMessageSend({ type: 'CLOSE_WEBSITE' }, () => {
+            console.log('Website close request sent');
+          });
+        }
+      }, 3000);
+    } else if (policy?.action === 'step-up') {
       showMessage(
-        `❌ Authentication Failed (${contentState.authFailureCount}/2)\n🎤 Voice authentication required${errorDetails}`, 
+        `❌ Authentication Failed (${contentState.authFailureCount} recent)\n🎤 Voice authentication required\n${policy.reason}`, 
         'error'
       );
       triggerVoiceAuthentication();
     } else {
       showMessage(
-        `❌ Authentication Failed (${contentState.authFailureCount}/2)\nTry again${errorDetails}`, 
+        `❌ Authentication Failed (${contentState.authFailureCount} recent)\nTry again${errorDetails}`, 
         'error'
       );
       
@@ -437,7 +432,7 @@ function handleAuthenticationResponse(response) {
       result: {
         success: response.authenticated,
         confidence: response.confidence,
-        failureCount: contentState.authFailureCount
+        policy: response.policy
       }
     }, (bgResponse) => {
       if (bgResponse?.error) {
@@ -497,7 +492,7 @@ function showVoiceAuthModal() {
         <button id="voice-verify" disabled>Verify</button>
       </div>
       <div style="font-size: 12px; color: #94a3b8; margin-top: 8px;">
-        Failed attempts: <span id="failure-count">${contentState.authFailureCount}</span>/5
+        Recent failed attempts: <span id="failure-count">${contentState.authFailureCount}</span>
       </div>
     </div>
   `;
@@ -652,32 +647,26 @@ function setupVoiceRecording(modal) {
           verifyBtn.disabled = false;
           verifyBtn.textContent = 'Verify';
           
-          // Increment failure count
-          contentState.authFailureCount++;
-          updateFailureCount();
-          
-          // Show failure message
-          showMessage(`❌ Voice authentication failed (${contentState.authFailureCount}/5). Please try again.`, 'error');
-          
-          // If too many failures, close website
-          if (contentState.authFailureCount >= 5) {
-            updateStatus('❌ Too many failed attempts. Access denied.', '#dc2626');
-            
-            setTimeout(() => {
-              modal.remove();
-              showMessage('❌ Too many authentication failures. Access denied.', 'error');
+          // The background worker records the failure - its policy says whether another try is allowed
+          if (validateExtensionContext()) {
+            safeMessageSend({
+              type: 'VOICE_AUTH_RESULT',
+              result: { success: false }
+            }, (response) => {
+              const policy = response?.policy;
+              if (policy) {
+                contentState.authFailureCount = policy.signals.recentFailures;
+                updateFailureCount();
+              }
               
-              // Close the website tab after delay
-              setTimeout(() => {
-                if (validateExtensionContext()) {
-                  safeMessageSend({
-                    type: 'CLOSE_WEBSITE'
-                  }, (response) => {
-                    console.log('Website close request sent');
-                  });
-                }
-              }, 3000);
-            }, 2000);
+              if (policy?.action === 'lock') {
+                // Locked out - the background worker closes the tab
+                updateStatus(`❌ ${policy.reason}. Access denied.`, '#dc2626');
+                setTimeout(() => modal.remove(), 2000);
+              } else {
+                showMessage(`❌ Voice authentication failed (${contentState.authFailureCount} recent). Please try again.`, 'error');
+              }
+            });
           }
         }
         
@@ -0,0 +1,281 @@
+/**
+ * Risk-based authentication policy - allow, step up to voice, deny or lock
+ * Shared by the Next.js API routes and the browser extension background worker, so an attempt
+ * gets the same decision wherever it is scored
+ *
+ * This file is the source of truth. EXTENSIONN/libs/auth-policy.js is a byte-for-byte copy -
+ * run `npm run sync:extension-libs` after editing this file.
+ *
+ * A policy is an ordered list of rules. The first rule whose conditions all hold decides; when none
+ * does, `defaultAction` decides. Conditions are plain values, so policies live in config:
+ *   knowledge               true/false - did the passphrase match (null when it wasn't checked)
+ *   authenticated           true/false - the attempt's own biometric decision
+ *   matchProbabilityAtLeast / matchProbabilityBelow
+ *                           calibrated chance the attempt is genuine - never holds for uncalibrated models
+ *   recentFailuresAtLeast   failures since the last success inside failureWindowMinutes, this attempt included
+ *   newIp / newUserAgent    never seen on a successful login before. Unknown on the first login
+ *                           (nothing to compare against) and wherever the IP isn't known - both count as false
+ *   outsideUsualHours       the attempt's local hour is outside usualHours (start inclusive, end exclusive)
+ *   hasPasskey              the user has registered a WebAuthn passkey
+ *
+ * A step-up rule names what the user has to add: 'voice' on its own, 'fusion' - a voice sample
+ * weighed together with this keystroke attempt - or 'passkey'. Once the step-up has been done
+ * (stepUpCompleted), a rule that would ask for it again allows the attempt if it authenticated and
+ * denies it otherwise.
+ *
+ * A policy's recoveryFactor ('passkey') is offered when a step-up failed - keystroke and then voice -
+ * and the user has one, so they have something left to try before the lockout. A lock is never recoverable.
+ */
+
+const POLICY_ACTIONS = ['allow', 'step-up', 'deny', 'lock'];
+const POLICY_CONDITIONS = [
+  'knowledge',
+  'authenticated',
+  'matchProbabilityAtLeast',
+  'matchProbabilityBelow',
+  'recentFailuresAtLeast',
+  'newIp',
+  'newUserAgent',
+  'outsideUsualHours',
+  'hasPasskey'
+];
+const STEP_UP_METHODS = ['voice', 'fusion', 'passkey'];
+const RECOVERY_FACTORS = ['passkey'];
+const POLICY_HISTORY_LIMIT = 100; // Most recent attempts per user either side looks at
+const DEFAULT_POLICY_GROUP = 'standard';
+
+const POLICY_GROUPS = {
+  // Everyone not assigned to a group
+  standard: {
+    failureWindowMinutes: 15,
+    usualHours: { start: 6, end: 23 },
+    recoveryFactor: 'passkey',
+    rules: [
+      { name: 'lockout', when: { recentFailuresAtLeast: 5 }, action: 'lock', reason: 'Too many failed attempts - try again later' },
+      { name: 'wrong-passphrase', when: { knowledge: false }, action: 'deny', reason: 'Passphrase does not match' },
+      {
+        name: 'unfamiliar-device-passkey',
+        when: { authenticated: true, newIp: true, newUserAgent: true, hasPasskey: true },
+        action: 'step-up',
+        stepUp: 'passkey',
+        reason: 'Typing matched, but from a network and browser never used before - confirm with your passkey'
+      },
+      {
+        name: 'unfamiliar-device',
+        when: { authenticated: true, newIp: true, newUserAgent: true },
+        action: 'step-up',
+        stepUp: 'voice',
+        reason: 'Typing matched, but from a network and browser never used before'
+      },
+      { name: 'match', when: { authenticated: true }, action: 'allow', reason: 'Typing rhythm matched' },
+      {
+        name: 'near-miss',
+        when: { matchProbabilityAtLeast: 0.1 },
+        action: 'step-up',
+        stepUp: 'fusion',
+        reason: 'Borderline typing rhythm - confirm with your voice'
+      },
+      {
+        name: 'repeated-failures',
+        when: { recentFailuresAtLeast: 2 },
+        action: 'step-up',
+        stepUp: 'voice',
+        reason: 'Repeated failures - voice verification required'
+      }
+    ],
+    defaultAction: 'deny',
+    defaultReason: 'Typing rhythm did not match'
+  },
+  // Administrators and other high-value accounts - any unfamiliar context steps up, no near-miss rescue
+  strict: {
+    failureWindowMinutes: 30,
+    usualHours: { start: 7, end: 20 },
+    recoveryFactor: 'passkey',
+    rules: [
+      { name: 'lockout', when: { recentFailuresAtLeast: 3 }, action: 'lock', reason: 'Too many failed attempts - try again later' },
+      { name: 'wrong-passphrase', when: { knowledge: false }, action: 'deny', reason: 'Passphrase does not match' },
+      {
+        name: 'new-network-passkey',
+        when: { authenticated: true, newIp: true, hasPasskey: true },
+        action: 'step-up',
+        stepUp: 'passkey',
+        reason: 'Login from a new network - confirm with your passkey'
+      },
+      { name: 'new-network', when: { authenticated: true, newIp: true }, action: 'step-up', stepUp: 'voice', reason: 'Login from a new network' },
+      { name: 'new-browser', when: { authenticated: true, newUserAgent: true }, action: 'step-up', stepUp: 'voice', reason: 'Login from a new browser' },
+      { name: 'off-hours', when: { authenticated: true, outsideUsualHours: true }, action: 'step-up', stepUp: 'voice', reason: 'Login outside usual hours' },
+      { name: 'match', when: { authenticated: true }, action: 'allow', reason: 'Typing rhythm matched' },
+      {
+        name: 'repeated-failures',
+        when: { recentFailuresAtLeast: 2 },
+        action: 'step-up',
+        stepUp: 'voice',
+        reason: 'Repeated failures - voice verification required'
+      }
+    ],
+    defaultAction: 'deny',
+    defaultReason: 'Typing rhythm did not match'
+  }
+};
+
+/**
+ * Check a policy's shape - a typo in a condition would otherwise make a rule silently never match
+ */
+function validatePolicy(policy) {
+  if (!policy || !Array.isArray(policy.rules)) {
+    throw new Error('Policy needs a rules list');
+  }
+  if (!POLICY_ACTIONS.includes(policy.defaultAction)) {
+    throw new Error(`Unknown default action: ${policy.defaultAction}`);
+  }
+  if (policy.recoveryFactor && !RECOVERY_FACTORS.includes(policy.recoveryFactor)) {
+    throw new Error(`Unknown recovery factor: ${policy.recoveryFactor}`);
+  }
+  policy.rules.forEach((rule) => {
+    if (!POLICY_ACTIONS.includes(rule.action)) {
+      throw new Error(`Rule ${rule.name}: unknown action ${rule.action}`);
+    }
+    if (rule.action === 'step-up' && !STEP_UP_METHODS.includes(rule.stepUp)) {
+      throw new Error(`Rule ${rule.name}: step-up needs stepUp ${STEP_UP_METHODS.map((method) => `'${method}'`).join(', ')}`);
+    }
+    Object.keys(rule.when || {}).forEach((condition) => {
+      if (!POLICY_CONDITIONS.includes(condition)) {
+        throw new Error(`Rule ${rule.name}: unknown condition ${condition}`);
+      }
+    });
+  });
+  return policy;
+}
+
+/**
+ * The policy for a group - unknown groups fall back to the default one
+ */
+function resolvePolicy(group, groups = POLICY_GROUPS) {
+  const groupName = group && groups[group] ? group : DEFAULT_POLICY_GROUP;
+  return { group: groupName, policy: validatePolicy(groups[groupName]) };
+}
+
+function isOutsideHours(hour, usualHours) {
+  if (!usualHours) {
+    return false;
+  }
+  const { start, end } = usualHours;
+  // A window may wrap past midnight (start 22, end 6)
+  const inside = start <= end ? hour >= start && hour < end : hour >= start || hour < end;
+  return !inside;
+}
+
+/**
+ * Turn an attempt and the user's earlier attempts into the signals rules look at
+ * history: [{ timestamp, result: 'Pass' | 'Fail' | 'Unlock', ip, userAgent }] in any order - an
+ * admin unlock ends a failure streak like a success, but says nothing about the user's devices
+ * attempt: { knowledge, authenticated, matchProbability, ip, userAgent, hasPasskey }
+ */
+function summarizeSignals(policy, attempt, history, now = new Date()) {
+  const recentHistory = history
+    .filter((event) => !Number.isNaN(new Date(event.timestamp).getTime()))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .slice(-POLICY_HISTORY_LIMIT);
+
+  // Failures count from the last success or unlock, and only inside the window
+  const windowStart = now.getTime() - policy.failureWindowMinutes * 60 * 1000;
+  let recentFailures = 0;
+  for (let i = recentHistory.length - 1; i >= 0; i--) {
+    const event = recentHistory[i];
+    if (event.result !== 'Fail' || new Date(event.timestamp).getTime() < windowStart) {
+      break;
+    }
+    recentFailures++;
+  }
+  if (!attempt.authenticated) {
+    recentFailures++;
+  }
+
+  const successes = recentHistory.filter((event) => event.result === 'Pass');
+  const isNew = (field) =>
+    !!attempt[field] &&
+    successes.some((event) => event[field]) &&
+    !successes.some((event) => event[field] === attempt[field]);
+
+  const hour = now.getHours();
+  return {
+    knowledge: typeof attempt.knowledge === 'boolean' ? attempt.knowledge : null,
+    authenticated: !!attempt.authenticated,
+    matchProbability: typeof attempt.matchProbability === 'number' ? attempt.matchProbability : null,
+    recentFailures,
+    newIp: isNew('ip'),
+    newUserAgent: isNew('userAgent'),
+    hour,
+    outsideUsualHours: isOutsideHours(hour, policy.usualHours),
+    hasPasskey: !!attempt.hasPasskey
+  };
+}
+
+function conditionHolds(condition, expected, signals) {
+  switch (condition) {
+    case 'matchProbabilityAtLeast':
+      return signals.matchProbability !== null && signals.matchProbability >= expected;
+    case 'matchProbabilityBelow':
+      return signals.matchProbability !== null && signals.matchProbability < expected;
+    case 'recentFailuresAtLeast':
+      return signals.recentFailures >= expected;
+    default:
+      return signals[condition] === expected;
+  }
+}
+
+/**
+ * Decide an attempt
+ * Returns { action, group, rule, reason, stepUp, recovery, signals } - rule is null when the default decided
+ */
+function evaluatePolicy(policy, attempt, history = [], options = {}) {
+  const { now = new Date(), group = null, stepUpCompleted = false } = options;
+  const signals = summarizeSignals(policy, attempt, history, now);
+
+  const rule = policy.rules.find((candidate) =>
+    Object.entries(candidate.when || {}).every(([condition, expected]) => conditionHolds(condition, expected, signals))
+  );
+  let action = rule ? rule.action : policy.defaultAction;
+  let reason = rule ? rule.reason : policy.defaultReason;
+
+  if (action === 'step-up' && stepUpCompleted) {
+    action = signals.authenticated ? 'allow' : 'deny';
+    reason = signals.authenticated ? `${reason} - step-up passed` : `${reason} - step-up failed`;
+  }
+
+  // The step-up failed too - offer the recovery factor rather than leave only the lockout ahead
+  const recovery =
+    stepUpCompleted && action === 'deny' && signals.hasPasskey && policy.recoveryFactor ? policy.recoveryFactor : null;
+
+  return {
+    action,
+    group,
+    rule: rule ? rule.name : null,
+    reason,
+    stepUp: action === 'step-up' ? rule.stepUp : null,
+    recovery,
+    signals
+  };
+}
+
+const GhostKeyPolicy = {
+  POLICY_ACTIONS,
+  POLICY_CONDITIONS,
+  STEP_UP_METHODS,
+  RECOVERY_FACTORS,
+  POLICY_HISTORY_LIMIT,
+  DEFAULT_POLICY_GROUP,
+  POLICY_GROUPS,
+  validatePolicy,
+  resolvePolicy,
+  summarizeSignals,
+  evaluatePolicy
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  // CommonJS - Next.js routes and Node scripts
+  module.exports = GhostKeyPolicy;
+} else {
+  // Background service worker
+  globalThis.GhostKeyPolicy = GhostKeyPolicy;
+}
@@ -0,0 +1,393 @@
+/**
+ * Keystroke feature layout - how raw timings become the vector the autoencoder sees
+ * Shared by the web app hook, the Next.js API routes and the browser extension
+ *
+ * This file is the source of truth. EXTENSIONN/libs/keystroke-features.js is a byte-for-byte copy -
+ * run `npm run sync:extension-libs` after editing this file.
+ *
+ * A passphrase typed with N keystrokes gives N hold times, N - 1 down-down and N - 1 up-down
+ * intervals, then the summary features. The layout is stored with the model, so every user gets
+ * a vector sized to their own passphrase and attempts with a different key count are rejected.
+ *
+ * Models trained before per-user layouts used a fixed 11-key vector, truncated or zero-padded
+ * to at least 34 values. Those carry a `legacy` layout and keep being scored the old way.
+ *
+ * Raw key events become timings in extractKeystrokeTimings - the one extractor used by the web hook,
+ * the extension content script and the popup, so enrollment and login always pair keys the same way.
+ *
+ * Backspace corrections are replayed rather than taken literally: the timings describe the passphrase
+ * as finally typed, and the corrections themselves become separate inputs (CORRECTION_FEATURES).
+ * Layouts created before those inputs existed keep their own summaryFeatures list.
+ */
+
+const SUMMARY_FEATURES = ['typingSpeed', 'flightTime', 'errorRate', 'pressPressure'];
+const CORRECTION_FEATURES = ['correctionCount', 'correctionLatency', 'errorPosition'];
+const LEGACY_KEY_COUNT = 11;
+const LEGACY_MINIMUM_LENGTH = LEGACY_KEY_COUNT * 3 + 1;
+const MODIFIER_CODES = ['ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight', 'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight'];
+const SUBMIT_KEYS = ['Enter', 'NumpadEnter']; // Submits the field on keydown - its keyup never arrives
+// Cursor edits can't be replayed from key events alone, so these keys are left out of the rhythm entirely
+const NAVIGATION_KEYS = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'Delete'];
+
+// Physical key identity - `key` changes with Shift ('a' down, 'A' up), `code` doesn't.
+// Events without a code (imported datasets) fall back to the case-folded key
+function physicalKeyOf(event) {
+  return event.code || String(event.key).toLowerCase();
+}
+
+function isSubmitKey(event) {
+  return SUBMIT_KEYS.includes(event.code) || SUBMIT_KEYS.includes(event.key);
+}
+
+function isModifierKey(press) {
+  return MODIFIER_CODES.includes(press.code) || ['Shift', 'Control', 'Alt', 'Meta'].includes(press.key);
+}
+
+function isBackspace(press) {
+  return press.key === 'Backspace' || press.code === 'Backspace';
+}
+
+function isNavigationKey(press) {
+  return NAVIGATION_KEYS.includes(press.key) || NAVIGATION_KEYS.includes(press.code);
+}
+
+/**
+ * Pair key events into presses using a per-key stack of open presses
+ * Each keyup closes the most recent open press of the same physical key, so repeated letters,
+ * rollover (pressing the next key before releasing the last) and Shift-modified characters
+ * all pair correctly. Auto-repeat keydowns are ignored. Presses come back in keydown order;
+ * a press whose keyup was never seen has `up: null`.
+ */
+function pairKeyPresses(events) {
+  const presses = [];
+  const openPresses = new Map(); // physical key -> stack of presses still held down
+
+  [...events]
+    .filter((event) => !isSubmitKey(event))
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .forEach((event) => {
+      const physicalKey = physicalKeyOf(event);
+      const stack = openPresses.get(physicalKey) || [];
+
+      if (event.type === 'keydown') {
+        if (event.repeat) {
+          return;
+        }
+        const press = { key: event.key, code: physicalKey, down: event.timestamp, up: null };
+        presses.push(press);
+        stack.push(press);
+        openPresses.set(physicalKey, stack);
+      } else if (event.type === 'keyup' && stack.length > 0) {
+        stack.pop().up = event.timestamp;
+      }
+    });
+
+  return presses;
+}
+
+/**
+ * Replay Backspace corrections to recover the passphrase as finally typed
+ * Each Backspace erases the last surviving character, along with any modifiers pressed for it that
+ * were already released. Consecutive Backspaces form one correction:
+ *   position   index of the first erased character in the final passphrase
+ *   erased     characters removed
+ *   latency    first Backspace down - release of the last key before it (the "noticed it" pause)
+ * Only positions and timings come back - never the characters, so samples stay password-free.
+ */
+function replayCorrections(presses) {
+  const typed = [];
+  const corrections = [];
+  let correction = null;
+  let previousPress = null;
+
+  presses
+    .filter((press) => !isNavigationKey(press))
+    .forEach((press) => {
+      if (!isBackspace(press)) {
+        typed.push(press);
+        correction = null;
+        previousPress = press;
+        return;
+      }
+
+      const erasedIndex = typed.map(isModifierKey).lastIndexOf(false);
+      if (erasedIndex === -1) {
+        return; // Nothing left to erase
+      }
+
+      const previousCharacterIndex = typed.slice(0, erasedIndex).map(isModifierKey).lastIndexOf(false);
+      const modifierStillHeld = (entry, index) =>
+        index > previousCharacterIndex && index !== erasedIndex && isModifierKey(entry) && !(entry.up !== null && entry.up < press.down);
+      const kept = typed.filter((entry, index) => index <= previousCharacterIndex || modifierStillHeld(entry, index));
+      typed.length = 0;
+      typed.push(...kept);
+
+      if (!correction) {
+        const lastKeyTime = previousPress.up !== null ? previousPress.up : previousPress.down;
+        correction = { position: 0, erased: 0, latency: press.down - lastKeyTime };
+        corrections.push(correction);
+      }
+      correction.erased++;
+      correction.position = typed.filter((entry) => !isModifierKey(entry)).length;
+    });
+
+  return { typed, corrections };
+}
+
+/**
+ * Raw key events -> timings
+ *   holdTimes                 up - down for every released press
+ *   ddTimes / udTimes         next down - this down / next down - this up (negative when keys overlap)
+ *   duTimes / uuTimes         next up - this down / next up - this up
+ *   overlapCount              digraphs where the next key went down before this one came up
+ *   modifierTimings           per modifier press: hold, lead (to the first modified key) and release lag
+ *   corrections               see replayCorrections
+ * Timings follow the final passphrase. A digraph into a corrected character is timed to the first
+ * key typed at that position (the typo), so the pause spent correcting doesn't shift the rhythm.
+ * Only hold/DD/UD, the summary metrics and the correction features go into the feature vector;
+ * the rest is kept with the sample.
+ */
+function extractKeystrokeTimings(events) {
+  const presses = pairKeyPresses(events);
+  const { typed, corrections } = replayCorrections(presses);
+  const released = (press) => press.up !== null;
+  // First key typed after `press` - the press that originally followed it, even if it was later erased
+  const arrivalAfter = (press) =>
+    presses.find((candidate) => candidate.down > press.down && !isBackspace(candidate) && !isNavigationKey(candidate));
+
+  const holdTimes = typed.filter(released).map((press) => press.up - press.down);
+  const ddTimes = [];
+  const udTimes = [];
+  const duTimes = [];
+  const uuTimes = [];
+  let overlapCount = 0;
+
+  for (let i = 0; i < typed.length - 1; i++) {
+    const current = typed[i];
+    const next = arrivalAfter(current) || typed[i + 1];
+
+    ddTimes.push(next.down - current.down);
+    if (released(current)) {
+      udTimes.push(next.down - current.up);
+    }
+    if (released(next)) {
+      duTimes.push(next.up - current.down);
+    }
+    if (released(current) && released(next)) {
+      uuTimes.push(next.up - current.up);
+    }
+    if (!released(current) || next.down < current.up) {
+      overlapCount++;
+    }
+  }
+
+  const modifierTimings = typed
+    .filter((press) => isModifierKey(press) && released(press))
+    .map((modifier) => {
+      const modifiedPresses = typed.filter(
+        (press) => !isModifierKey(press) && press.down > modifier.down && press.down < modifier.up
+      );
+      const lastModified = modifiedPresses[modifiedPresses.length - 1];
+      return {
+        code: modifier.code,
+        holdTime: modifier.up - modifier.down,
+        modifiedKeys: modifiedPresses.length,
+        leadTime: modifiedPresses.length > 0 ? modifiedPresses[0].down - modifier.down : null,
+        releaseLag: lastModified && released(lastModified) ? modifier.up - lastModified.up : null
+      };
+    });
+
+  // Summary metrics
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+  const totalTypingTime = Math.max(sum(holdTimes), sum(ddTimes), sum(udTimes)) || 0.001; // Avoid division by zero
+  const meanHoldTime = holdTimes.length > 0 ? sum(holdTimes) / holdTimes.length : 0;
+  const characterCount = typed.filter((press) => !isModifierKey(press)).length;
+
+  return {
+    keyCount: typed.length,
+    holdTimes,
+    ddTimes,
+    udTimes,
+    duTimes,
+    uuTimes,
+    overlapCount,
+    modifierTimings,
+    corrections,
+    typingSpeed: typed.length / (totalTypingTime / 1000),
+    flightTime: udTimes.length > 0 ? sum(udTimes) / udTimes.length : 0,
+    errorRate: presses.filter(isBackspace).length,
+    pressPressure: holdTimes.length > 0
+      ? Math.sqrt(holdTimes.reduce((total, t) => total + Math.pow(t - meanHoldTime, 2), 0) / holdTimes.length)
+      : 0,
+    // Correction features - 0 when the passphrase was typed cleanly
+    correctionCount: corrections.length,
+    correctionLatency: corrections.length > 0
+      ? sum(corrections.map((correction) => correction.latency)) / corrections.length
+      : 0,
+    errorPosition: corrections.length > 0 && characterCount > 0
+      ? sum(corrections.map((correction) => (correction.position + 1) / characterCount)) / corrections.length
+      : 0
+  };
+}
+
+function createFeatureLayout(keyCount, passphraseLength = null) {
+  const summaryFeatures = [...SUMMARY_FEATURES, ...CORRECTION_FEATURES];
+  return {
+    keyCount,
+    passphraseLength,
+    length: keyCount * 3 - 2 + summaryFeatures.length,
+    summaryFeatures,
+    legacy: false
+  };
+}
+
+function createLegacyFeatureLayout(length) {
+  return {
+    keyCount: null,
+    passphraseLength: null,
+    length,
+    summaryFeatures: [...SUMMARY_FEATURES],
+    legacy: true
+  };
+}
+
+/**
+ * Work out the layout from a bare feature vector (stored samples that predate layouts)
+ * Assumes the current summary features; anything that doesn't fit can only have come from
+ * the padded legacy layout
+ */
+function inferFeatureLayout(vectorLength, passphraseLength = null) {
+  const keyCount = (vectorLength + 2 - SUMMARY_FEATURES.length - CORRECTION_FEATURES.length) / 3;
+  return Number.isInteger(keyCount) && keyCount >= 2
+    ? createFeatureLayout(keyCount, passphraseLength)
+    : createLegacyFeatureLayout(vectorLength);
+}
+
+// Keystrokes = key presses; every press after the first adds one down-down interval
+function countKeystrokes(timings) {
+  return (timings.ddTimes || []).length + 1;
+}
+
+/**
+ * Why these timings can't be scored against the layout, or null if they can
+ */
+function describeLayoutMismatch(timings, layout) {
+  if (layout.legacy) {
+    return null;
+  }
+
+  const keyCount = countKeystrokes(timings);
+  if (keyCount !== layout.keyCount) {
+    return `Typed ${keyCount} keystrokes but the enrolled passphrase has ${layout.keyCount}`;
+  }
+
+  if ((timings.holdTimes || []).length !== keyCount || (timings.udTimes || []).length !== keyCount - 1) {
+    return 'Some key releases were not captured - please type the passphrase again';
+  }
+
+  return null;
+}
+
+// Same check for callers that only have the finished vector
+function describeVectorMismatch(features, layout) {
+  if (features.length === layout.length) {
+    return null;
+  }
+
+  const typedKeyCount = (features.length + 2 - layout.summaryFeatures.length) / 3;
+  return layout.legacy || !Number.isInteger(typedKeyCount)
+    ? `Feature vector has ${features.length} values but the model expects ${layout.length}`
+    : `Typed ${typedKeyCount} keystrokes but the enrolled passphrase has ${layout.keyCount}`;
+}
+
+/**
+ * Timings -> feature vector. Without a layout the vector is sized to the timings themselves
+ * (enrollment); check describeLayoutMismatch first when scoring against a stored layout.
+ */
+function buildFeatureVector(timings, layout = createFeatureLayout(countKeystrokes(timings))) {
+  const holdTimes = timings.holdTimes || [];
+  const ddTimes = timings.ddTimes || [];
+  const udTimes = timings.udTimes || [];
+  const summary = layout.summaryFeatures.map((name) => timings[name] || 0);
+
+  if (!layout.legacy) {
+    return [...holdTimes, ...ddTimes, ...udTimes, ...summary];
+  }
+
+  const features = [
+    ...holdTimes.slice(0, LEGACY_KEY_COUNT),
+    ...ddTimes.slice(0, LEGACY_KEY_COUNT - 1),
+    ...udTimes.slice(0, LEGACY_KEY_COUNT - 1),
+    ...summary
+  ];
+  while (features.length < Math.max(layout.length, LEGACY_MINIMUM_LENGTH)) {
+    features.push(0);
+  }
+  return features;
+}
+
+/**
+ * Human-readable name of one value in a feature vector - for rejection reasons and per-feature charts
+ * Keystrokes are numbered from 1; summary and correction features keep their timing names
+ */
+function describeFeature(index, layout) {
+  const keyCount = layout.legacy ? LEGACY_KEY_COUNT : layout.keyCount;
+  const intervalCount = keyCount - 1;
+
+  if (index < keyCount) {
+    return `hold time of keystroke ${index + 1}`;
+  }
+  if (index < keyCount + intervalCount) {
+    const from = index - keyCount + 1;
+    return `down-down time from keystroke ${from} to ${from + 1}`;
+  }
+  if (index < keyCount + intervalCount * 2) {
+    const from = index - keyCount - intervalCount + 1;
+    return `up-down time from keystroke ${from} to ${from + 1}`;
+  }
+
+  const summaryIndex = index - keyCount - intervalCount * 2;
+  return summaryIndex < layout.summaryFeatures.length ? layout.summaryFeatures[summaryIndex] : 'padding';
+}
+
+// Short form of describeFeature() for chart cells - "H3", "DD 4→5", "UD 4→5"
+function abbreviateFeature(index, layout) {
+  const keyCount = layout.legacy ? LEGACY_KEY_COUNT : layout.keyCount;
+  const intervalCount = keyCount - 1;
+
+  if (index < keyCount) {
+    return `H${index + 1}`;
+  }
+  if (index < keyCount + intervalCount * 2) {
+    const isDownDown = index < keyCount + intervalCount;
+    const from = index - keyCount - (isDownDown ? 0 : intervalCount) + 1;
+    return `${isDownDown ? 'DD' : 'UD'} ${from}→${from + 1}`;
+  }
+  return describeFeature(index, layout);
+}
+
+const GhostKeyFeatures = {
+  SUMMARY_FEATURES,
+  CORRECTION_FEATURES,
+  LEGACY_KEY_COUNT,
+  MODIFIER_CODES,
+  pairKeyPresses,
+  extractKeystrokeTimings,
+  createFeatureLayout,
+  createLegacyFeatureLayout,
+  inferFeatureLayout,
+  countKeystrokes,
+  describeLayoutMismatch,
+  describeVectorMismatch,
+  buildFeatureVector,
+  describeFeature,
+  abbreviateFeature
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  // CommonJS - Next.js routes, the web app hook and Node scripts
+  module.exports = GhostKeyFeatures;
+} else {
+  // Extension popup, content script and background worker
+  globalThis.GhostKeyFeatures = GhostKeyFeatures;
+}
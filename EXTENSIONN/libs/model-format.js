@@ -0,0 +1,290 @@
+/**
+ * Keystroke model file format - versioning, schema validation and migration
+ * Shared by the Next.js API routes and the browser extension background worker
+ *
+ * This file is the source of truth. EXTENSIONN/libs/model-format.js is a byte-for-byte copy -
+ * run `npm run sync:extension-libs` after editing this file.
+ *
+ * The zod instance is passed in rather than imported, because the server resolves `zod`
+ * from node_modules while the extension loads its vendored copy from libs/vendor/zod.
+ *
+ * Format history:
+ *   0 - unversioned files. Statistical models had no modelType, and older extension
+ *       profiles stored trainingStats.maximumError instead of maxError
+ *   1 - explicit formatVersion and modelType on every model
+ *   2 - autoencoder models carry their featureLayout (per-user passphrase length)
+ *   3 - autoencoder models may carry extra trained detectors (`detectors`) and a per-user
+ *       detector choice (`detection`) - see lib/keystroke-detectors.ts. Both are optional,
+ *       but older builds would silently ignore them, so the version still goes up
+ *   4 - modelType 'tfjs' (libs/tfjs-keystroke-model.js): same envelope as an autoencoder model,
+ *       with a `network` reference instead of inline weights. Existing files need no changes
+ */
+
+const ModelFormatML = typeof module !== 'undefined' && module.exports
+  ? require('./autoencoder.js')
+  : globalThis.GhostKeyML;
+const ModelFormatFeatures = typeof module !== 'undefined' && module.exports
+  ? require('./keystroke-features.js')
+  : globalThis.GhostKeyFeatures;
+
+const MODEL_FORMAT_VERSION = ModelFormatML.BIOMETRIC_AUTH_CONFIG.MODEL_FORMAT_VERSION;
+
+/**
+ * Raised when a stored model can't be used - the only fix is retraining,
+ * so callers should surface it differently from "no model enrolled"
+ */
+class ModelFormatError extends Error {
+  constructor(code, message, issues = []) {
+    super(message);
+    this.name = 'ModelFormatError';
+    this.code = code;           // MODEL_CORRUPT | MODEL_VERSION_UNSUPPORTED
+    this.issues = issues;       // Human-readable list of what failed validation
+    this.needsRetraining = true;
+  }
+}
+
+/**
+ * Build the zod schema for the current model file format
+ */
+function createModelFileSchema(z) {
+  const finiteNumber = z.number().finite();
+  const vector = z.array(finiteNumber);
+  const matrix = (rows, columns) =>
+    z.array(vector.length(columns)).length(rows);
+
+  const serializedAutoencoderSchema = z
+    .object({
+      inputSize: z.number().int().positive(),
+      hiddenSize: z.number().int().positive(),
+      bottleneckSize: z.number().int().positive(),
+      weights1: z.array(vector),
+      weights2: z.array(vector),
+      weights3: z.array(vector),
+      biases1: vector,
+      biases2: vector,
+      biases3: vector
+    })
+    .superRefine((network, ctx) => {
+      // Layer shapes must agree with the declared sizes or predict() reads undefined
+      const expectedShapes = [
+        ['weights1', matrix(network.inputSize, network.hiddenSize)],
+        ['weights2', matrix(network.hiddenSize, network.bottleneckSize)],
+        ['weights3', matrix(network.bottleneckSize, network.inputSize)],
+        ['biases1', vector.length(network.hiddenSize)],
+        ['biases2', vector.length(network.bottleneckSize)],
+        ['biases3', vector.length(network.inputSize)]
+      ];
+
+      expectedShapes.forEach(([key, shape]) => {
+        if (!shape.safeParse(network[key]).success) {
+          ctx.addIssue({ code: z.ZodIssueCode.custom, path: [key], message: `${key} does not match the layer sizes` });
+        }
+      });
+    });
+
+  const featureLayoutSchema = z
+    .object({
+      keyCount: z.number().int().min(2).nullable(),
+      passphraseLength: z.number().int().positive().nullable(),
+      length: z.number().int().positive(),
+      summaryFeatures: z.array(z.string()),
+      legacy: z.boolean()
+    })
+    .passthrough();
+
+  const autoencoderModelSchema = z
+    .object({
+      formatVersion: z.literal(MODEL_FORMAT_VERSION),
+      modelType: z.literal('autoencoder'),
+      username: z.string().optional(),
+      inputDim: z.number().int().positive(),
+      featureLayout: featureLayoutSchema,
+      normalizationParams: z.object({ min: vector, max: vector }),
+      threshold: finiteNumber.positive(),
+      autoencoder: serializedAutoencoderSchema,
+      trainingStats: z.object({ maxError: finiteNumber.optional() }).passthrough().optional(),
+      detectors: z
+        .record(z.object({ threshold: finiteNumber.positive(), params: z.object({}).passthrough() }).passthrough())
+        .optional(),
+      detection: z
+        .object({ detectors: z.array(z.string()).nonempty(), fusion: z.enum(['mean', 'max', 'min']) })
+        .passthrough()
+        .optional(),
+      createdAt: z.string().optional()
+    })
+    .passthrough();
+
+  // The weights are stored under network.id, outside the model file
+  const tfjsModelSchema = z
+    .object({
+      formatVersion: z.literal(MODEL_FORMAT_VERSION),
+      modelType: z.literal('tfjs'),
+      username: z.string().optional(),
+      inputDim: z.number().int().positive(),
+      featureLayout: featureLayoutSchema,
+      normalizationParams: z.object({ min: vector, max: vector }),
+      threshold: finiteNumber.positive(),
+      network: z
+        .object({
+          id: z.string().regex(/^[a-z0-9-]+$/, 'network id must be lowercase letters, digits and dashes'),
+          layers: z.array(z.number().int().positive()).nonempty(),
+          activation: z.string(),
+          dropout: finiteNumber.min(0).lt(1),
+          optimizer: z.string(),
+          learningRate: finiteNumber.positive()
+        })
+        .passthrough(),
+      trainingStats: z.object({ maxError: finiteNumber.optional() }).passthrough().optional(),
+      createdAt: z.string().optional()
+    })
+    .passthrough();
+
+  const statisticalModelSchema = z
+    .object({
+      formatVersion: z.literal(MODEL_FORMAT_VERSION),
+      modelType: z.literal('statistical'),
+      username: z.string().optional(),
+      means: vector.nonempty(),
+      stds: vector.nonempty(),
+      mseStats: z
+        .object({ percentileThreshold: finiteNumber.optional(), percentileUsed: finiteNumber.optional() })
+        .passthrough()
+        .optional(),
+      createdAt: z.string().optional()
+    })
+    .passthrough();
+
+  // Cross-field checks run after the discriminated union, which only accepts plain objects
+  return z.discriminatedUnion('modelType', [autoencoderModelSchema, tfjsModelSchema, statisticalModelSchema]).superRefine((model, ctx) => {
+    if (model.modelType === 'autoencoder' || model.modelType === 'tfjs') {
+      if (model.modelType === 'autoencoder' && model.autoencoder.inputSize !== model.inputDim) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['inputDim'], message: 'inputDim does not match the autoencoder input size' });
+      }
+      if (model.normalizationParams.min.length !== model.inputDim || model.normalizationParams.max.length !== model.inputDim) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['normalizationParams'], message: 'normalizationParams length does not match inputDim' });
+      }
+      const layout = model.featureLayout;
+      if (layout.length !== model.inputDim) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['featureLayout', 'length'], message: 'featureLayout length does not match inputDim' });
+      }
+      if (!layout.legacy && (layout.keyCount === null || layout.keyCount * 3 - 2 + layout.summaryFeatures.length !== layout.length)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['featureLayout', 'keyCount'], message: 'featureLayout keyCount does not match its length' });
+      }
+      // A selected detector without trained params could never be scored
+      (model.detection ? model.detection.detectors : []).forEach((detectorName, index) => {
+        if (detectorName !== 'autoencoder' && !(model.detectors && model.detectors[detectorName])) {
+          ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['detection', 'detectors', index], message: `${detectorName} is selected but was never trained` });
+        }
+      });
+    } else if (model.means.length !== model.stds.length) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['stds'], message: 'means and stds must have the same length' });
+    }
+  });
+}
+
+/**
+ * Upgrade steps - MODEL_MIGRATIONS[n] turns a version n file into version n + 1
+ */
+const MODEL_MIGRATIONS = {
+  0: (model) => {
+    const upgraded = { ...model };
+
+    if (!upgraded.modelType && Array.isArray(upgraded.means) && Array.isArray(upgraded.stds)) {
+      upgraded.modelType = 'statistical';
+    }
+
+    if (upgraded.modelType === 'autoencoder') {
+      if (upgraded.inputDim === undefined && upgraded.autoencoder) {
+        upgraded.inputDim = upgraded.autoencoder.inputSize;
+      }
+
+      const trainingStats = upgraded.trainingStats;
+      if (trainingStats && trainingStats.maxError === undefined && trainingStats.maximumError !== undefined) {
+        const { maximumError, ...remainingStats } = trainingStats;
+        upgraded.trainingStats = { ...remainingStats, maxError: maximumError };
+      }
+    }
+
+    upgraded.formatVersion = 1;
+    return upgraded;
+  },
+
+  // Everything before per-user layouts was trained on the fixed, zero-padded 11-key vector
+  1: (model) => {
+    const upgraded = { ...model, formatVersion: 2 };
+    if (upgraded.modelType === 'autoencoder' && !upgraded.featureLayout) {
+      upgraded.featureLayout = ModelFormatFeatures.createLegacyFeatureLayout(upgraded.inputDim);
+    }
+    return upgraded;
+  },
+
+  // Nothing to convert - a model without detectors is scored by the autoencoder alone
+  2: (model) => ({ ...model, formatVersion: 3 }),
+
+  // Nothing to convert - v4 only adds a model type
+  3: (model) => ({ ...model, formatVersion: 4 })
+};
+
+/**
+ * Bring a raw model object up to MODEL_FORMAT_VERSION
+ * Returns the upgraded model plus whether anything changed, so callers can write it back
+ */
+function migrateModelFile(rawModel) {
+  if (!rawModel || typeof rawModel !== 'object' || Array.isArray(rawModel)) {
+    throw new ModelFormatError('MODEL_CORRUPT', 'Model file is not a JSON object');
+  }
+
+  const fromVersion = rawModel.formatVersion === undefined ? 0 : rawModel.formatVersion;
+
+  if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+    throw new ModelFormatError('MODEL_CORRUPT', `Model file has an invalid formatVersion: ${rawModel.formatVersion}`);
+  }
+  if (fromVersion > MODEL_FORMAT_VERSION) {
+    throw new ModelFormatError(
+      'MODEL_VERSION_UNSUPPORTED',
+      `Model format version ${fromVersion} is newer than this build supports (${MODEL_FORMAT_VERSION})`
+    );
+  }
+
+  let model = rawModel;
+  for (let version = fromVersion; version < MODEL_FORMAT_VERSION; version++) {
+    model = MODEL_MIGRATIONS[version](model);
+  }
+
+  return { model, migrated: fromVersion !== MODEL_FORMAT_VERSION, fromVersion };
+}
+
+/**
+ * Migrate and validate a stored model in one step
+ * Throws ModelFormatError if the model can't be used as-is
+ */
+function parseModelFile(rawModel, z) {
+  const { model, migrated, fromVersion } = migrateModelFile(rawModel);
+  const validation = createModelFileSchema(z).safeParse(model);
+
+  if (!validation.success) {
+    const issues = validation.error.issues.map((issue) =>
+      issue.path.length > 0 ? `${issue.path.join('.')}: ${issue.message}` : issue.message
+    );
+    throw new ModelFormatError('MODEL_CORRUPT', `Model file failed validation: ${issues[0]}`, issues);
+  }
+
+  return { model: validation.data, migrated, fromVersion };
+}
+
+const GhostKeyModelFormat = {
+  MODEL_FORMAT_VERSION,
+  MODEL_MIGRATIONS,
+  ModelFormatError,
+  createModelFileSchema,
+  migrateModelFile,
+  parseModelFile
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  // CommonJS - Next.js routes and Node scripts
+  module.exports = GhostKeyModelFormat;
+} else {
+  // Background service worker - load after libs/autoencoder.js
+  globalThis.GhostKeyModelFormat = GhostKeyModelFormat;
+}
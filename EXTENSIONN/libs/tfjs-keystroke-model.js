@@ -0,0 +1,418 @@
+/**
+ * TensorFlow.js keystroke backend - an alternative to the hand-rolled SimpleAutoencoder
+ * Used by the Next.js API routes (server), the browser extension popup and its background worker
+ *
+ * This file is the source of truth. EXTENSIONN/libs/tfjs-keystroke-model.js is a byte-for-byte copy -
+ * run `npm run sync:extension-libs` after editing this file.
+ *
+ * The tf instance is passed in rather than imported, because the server resolves `@tensorflow/tfjs`
+ * from node_modules while the extension loads its vendored bundle from libs/vendor/tfjs.
+ *
+ * Validation split, augmentation, normalization, threshold selection and scoring all come from
+ * libs/autoencoder.js, so both backends see identical data and their errors compare directly.
+ * Only the network differs: configurable hidden layers, dropout and optimizer.
+ *
+ * Weights are not stored inside the model file. The model file records the architecture and a
+ * network id; the weights go through a tf.io handler built with createRecordIOHandler, which the
+ * server points at models/<user>/tfjs/<id>.json and the extension at chrome.storage.local.
+ */
+
+// Shared pipeline helpers - load libs/autoencoder.js first in the extension
+const TfjsKeystrokeML = typeof module !== 'undefined' && module.exports
+  ? require('./autoencoder.js')
+  : globalThis.GhostKeyML;
+
+// Network defaults - mirrored by the TFJS_* settings in config/auth-config.ts
+const TFJS_MODEL_DEFAULTS = {
+  layers: [16, 8, 16],    // Hidden layer sizes - the smallest one is the bottleneck
+  activation: 'relu',     // Hidden layers; the output layer is always sigmoid to match [0, 1] inputs
+  dropout: 0.1,           // Applied after every hidden layer while training, never at inference
+  optimizer: 'adam',
+  learningRate: 0.005
+};
+
+const TFJS_OPTIMIZERS = ['adam', 'sgd', 'rmsprop', 'adagrad'];
+const TFJS_ACTIVATIONS = ['relu', 'elu', 'selu', 'tanh', 'sigmoid'];
+
+/**
+ * Describe what's wrong with a network architecture, or null when it's usable
+ */
+function describeArchitectureProblem(architecture) {
+  const { layers, activation, dropout, optimizer, learningRate } = architecture;
+
+  if (!Array.isArray(layers) || layers.length === 0 || layers.some((units) => !Number.isInteger(units) || units < 1)) {
+    return 'layers must be a non-empty list of positive layer sizes';
+  }
+  if (!TFJS_ACTIVATIONS.includes(activation)) {
+    return `Unknown activation: ${activation} (expected ${TFJS_ACTIVATIONS.join(', ')})`;
+  }
+  if (typeof dropout !== 'number' || !(dropout >= 0 && dropout < 1)) {
+    return 'dropout must be at least 0 and below 1';
+  }
+  if (!TFJS_OPTIMIZERS.includes(optimizer)) {
+    return `Unknown optimizer: ${optimizer} (expected ${TFJS_OPTIMIZERS.join(', ')})`;
+  }
+  if (typeof learningRate !== 'number' || !(learningRate > 0)) {
+    return 'learningRate must be positive';
+  }
+  return null;
+}
+
+/**
+ * Build and compile the autoencoder: hidden layers (with dropout) -> sigmoid reconstruction
+ * Kernel initializers are seeded from `random`. Dropout masks are not - a seeded dropout layer
+ * would reuse one mask for every batch - so a dropout > 0 run is only approximately reproducible
+ */
+function buildKeystrokeNetwork(tf, inputDim, architecture, random = Math.random) {
+  const problem = describeArchitectureProblem(architecture);
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  const seededInitializer = () => tf.initializers.glorotUniform({ seed: Math.floor(random() * 2147483647) });
+  const network = tf.sequential();
+
+  architecture.layers.forEach((units, index) => {
+    network.add(tf.layers.dense({
+      units,
+      activation: architecture.activation,
+      kernelInitializer: seededInitializer(),
+      ...(index === 0 ? { inputShape: [inputDim] } : {})
+    }));
+    if (architecture.dropout > 0) {
+      network.add(tf.layers.dropout({ rate: architecture.dropout }));
+    }
+  });
+  network.add(tf.layers.dense({ units: inputDim, activation: 'sigmoid', kernelInitializer: seededInitializer() }));
+
+  network.compile({ optimizer: tf.train[architecture.optimizer](architecture.learningRate), loss: 'meanSquaredError' });
+  return network;
+}
+
+// Per-sample reconstruction errors for already normalized samples
+function predictReconstructionErrors(tf, network, normalizedSamples) {
+  if (normalizedSamples.length === 0) {
+    return [];
+  }
+  const reconstructions = tf.tidy(() => network.predict(tf.tensor2d(normalizedSamples)).arraySync());
+  return normalizedSamples.map((sample, index) => TfjsKeystrokeML.computeReconstructionError(sample, reconstructions[index]));
+}
+
+/**
+ * Mini-batch training with early stopping on the held-out samples - same schedule as
+ * SimpleAutoencoder.trainNetwork, with tf doing the gradients and the optimizer step
+ */
+async function fitKeystrokeNetwork(tf, network, trainingData, options) {
+  const { epochs, batchSize, validationData, patience, minDelta, random, onEpochEnd } = options;
+
+  const trainingLosses = [];
+  const validationLosses = [];
+  let bestValidationLoss = Infinity;
+  let bestEpoch = epochs;
+  let bestWeights = null;
+  let epochsWithoutImprovement = 0;
+  let stoppedEarly = false;
+
+  for (let currentEpoch = 0; currentEpoch < epochs; currentEpoch++) {
+    // Fisher-Yates shuffle driven by our random source, like the hand-rolled network
+    const shuffledData = [...trainingData];
+    for (let i = shuffledData.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      const swappedSample = shuffledData[i];
+      shuffledData[i] = shuffledData[j];
+      shuffledData[j] = swappedSample;
+    }
+
+    let epochTotalLoss = 0;
+    for (let batchStart = 0; batchStart < shuffledData.length; batchStart += batchSize) {
+      const batch = shuffledData.slice(batchStart, batchStart + batchSize);
+      const batchTensor = tf.tensor2d(batch);
+      const batchLoss = await network.trainOnBatch(batchTensor, batchTensor);
+      batchTensor.dispose();
+      epochTotalLoss += batchLoss * batch.length;
+    }
+
+    const averageEpochLoss = epochTotalLoss / shuffledData.length;
+    trainingLosses.push(averageEpochLoss);
+
+    if (validationData.length > 0) {
+      const validationErrors = predictReconstructionErrors(tf, network, validationData);
+      const validationLoss = validationErrors.reduce((total, error) => total + error, 0) / validationErrors.length;
+      validationLosses.push(validationLoss);
+
+      if (validationLoss < bestValidationLoss - minDelta) {
+        bestValidationLoss = validationLoss;
+        bestEpoch = currentEpoch + 1;
+        if (bestWeights) {
+          bestWeights.forEach((weight) => weight.dispose());
+        }
+        bestWeights = network.getWeights().map((weight) => weight.clone());
+        epochsWithoutImprovement = 0;
+      } else if (++epochsWithoutImprovement >= patience) {
+        stoppedEarly = true;
+      }
+    }
+
+    if (onEpochEnd) {
+      onEpochEnd({
+        epoch: currentEpoch + 1,
+        epochs,
+        trainingLoss: averageEpochLoss,
+        validationLoss: validationLosses.length > 0 ? validationLosses[validationLosses.length - 1] : null
+      });
+    }
+
+    if (currentEpoch % 50 === 0 || currentEpoch === epochs - 1 || stoppedEarly) {
+      const validationNote = validationLosses.length > 0
+        ? `, Validation Loss: ${validationLosses[validationLosses.length - 1].toFixed(6)}`
+        : '';
+      console.log(`[tfjs] Epoch ${currentEpoch + 1}/${epochs}, Loss: ${averageEpochLoss.toFixed(6)}${validationNote}`);
+    }
+
+    if (stoppedEarly) {
+      console.log(`[tfjs] Early stopping - no validation improvement for ${patience} epochs, keeping epoch ${bestEpoch}`);
+      break;
+    }
+  }
+
+  if (bestWeights) {
+    network.setWeights(bestWeights);
+    bestWeights.forEach((weight) => weight.dispose());
+  }
+
+  return { trainingLosses, validationLosses, bestEpoch, epochsRun: trainingLosses.length, stoppedEarly };
+}
+
+// Unique per trained network, and safe as a file name or storage key
+function createNetworkId() {
+  return `${Date.now().toString(36)}-${Math.floor(Math.random() * 2176782336).toString(36)}`;
+}
+
+/**
+ * Complete training pipeline for a TensorFlow.js keystroke model
+ * Returns the model file (no weights) and the live network - persist the network with
+ * `network.save(handler)` under model.network.id before storing the model file
+ *
+ * Options: layers, activation, dropout, optimizer, learningRate plus everything
+ * trainKeystrokeBiometricModel accepts except hiddenSize / bottleneckSize
+ */
+async function trainTfjsKeystrokeModel(tf, trainingSamples, options = {}) {
+  const config = TfjsKeystrokeML.BIOMETRIC_AUTH_CONFIG;
+  const {
+    layers = TFJS_MODEL_DEFAULTS.layers,
+    activation = TFJS_MODEL_DEFAULTS.activation,
+    dropout = TFJS_MODEL_DEFAULTS.dropout,
+    optimizer = TFJS_MODEL_DEFAULTS.optimizer,
+    learningRate = TFJS_MODEL_DEFAULTS.learningRate,
+    epochs = config.TRAINING_EPOCHS,
+    batchSize = config.BATCH_SIZE,
+    patience = config.EARLY_STOPPING_PATIENCE,
+    noiseLevel = config.DATA_AUGMENTATION_NOISE,
+    augmentationMultiplier = config.SAMPLE_AUGMENTATION_MULTIPLIER,
+    validationSplit = config.VALIDATION_SPLIT,
+    minimumThreshold = config.DEFAULT_AUTH_THRESHOLD,
+    minimumSamples = config.MINIMUM_TRAINING_SAMPLES,
+    random = Math.random,
+    featureLayout = null,
+    onEpochEnd = null
+  } = options;
+
+  const trainedFeatureLayout = TfjsKeystrokeML.resolveTrainingLayout(trainingSamples, featureLayout, minimumSamples);
+  const architecture = { layers, activation, dropout, optimizer, learningRate };
+
+  console.log(`Training TensorFlow.js keystroke model with ${trainingSamples.length} original samples...`);
+
+  const preparedData = TfjsKeystrokeML.prepareTrainingData(trainingSamples, {
+    noiseLevel,
+    augmentationMultiplier,
+    validationSplit,
+    random
+  });
+  const { trainingSet, validationSet, normalized, normalizedValidationSet, normalizationParams } = preparedData;
+
+  const inputDimensionality = normalized[0].length;
+  const network = buildKeystrokeNetwork(tf, inputDimensionality, architecture, random);
+
+  let trainingRun;
+  try {
+    trainingRun = await fitKeystrokeNetwork(tf, network, normalized, {
+      epochs,
+      batchSize,
+      validationData: normalizedValidationSet,
+      patience,
+      minDelta: config.EARLY_STOPPING_MIN_DELTA,
+      random,
+      onEpochEnd
+    });
+  } catch (error) {
+    network.dispose();
+    throw error;
+  }
+
+  const normalizeAll = (samples) => samples.map((sample) => TfjsKeystrokeML.applyNormalization(sample, normalizationParams));
+  const reconstructionErrors = predictReconstructionErrors(tf, network, normalizeAll(trainingSamples));
+  const validationErrors = predictReconstructionErrors(tf, network, normalizedValidationSet);
+  const threshold = TfjsKeystrokeML.selectErrorThreshold(
+    validationErrors,
+    predictReconstructionErrors(tf, network, normalizeAll(trainingSet)),
+    minimumThreshold
+  );
+
+  const trainingStats = TfjsKeystrokeML.buildTrainingStats(
+    preparedData,
+    { reconstructionErrors, validationErrors },
+    threshold,
+    trainingRun
+  );
+
+  console.log(`[tfjs] Training complete. Threshold: ${threshold.finalThreshold.toFixed(6)} (${threshold.thresholdSource}), Mean Error: ${trainingStats.meanError.toFixed(6)}`);
+
+  return {
+    model: {
+      formatVersion: config.MODEL_FORMAT_VERSION,
+      modelType: "tfjs",
+      inputDim: inputDimensionality,
+      featureLayout: trainedFeatureLayout,
+      normalizationParams,
+      threshold: threshold.finalThreshold,
+      network: { id: createNetworkId(), ...architecture },
+      trainingStats,
+      createdAt: new Date().toISOString()
+    },
+    network
+  };
+}
+
+/**
+ * Score an attempt against a tfjs model - same result shape as authenticateKeystrokePattern
+ * `network` is the model's loaded tf.LayersModel (see createRecordIOHandler)
+ */
+function scoreTfjsKeystrokePattern(tf, network, inputFeatures, trainedModelData) {
+  if (trainedModelData.modelType !== "tfjs") {
+    throw new Error("Invalid model data - expected tfjs model for authentication");
+  }
+
+  // Padding or truncating would score a different passphrase - callers check the layout first
+  if (inputFeatures.length !== trainedModelData.inputDim) {
+    throw new Error(`Feature vector has ${inputFeatures.length} values but the model expects ${trainedModelData.inputDim}`);
+  }
+
+  const normalizedInputFeatures = TfjsKeystrokeML.applyNormalization(inputFeatures, trainedModelData.normalizationParams);
+  const reconstructedFeatures = tf.tidy(() => network.predict(tf.tensor2d([normalizedInputFeatures])).arraySync()[0]);
+
+  return {
+    ...TfjsKeystrokeML.scoreReconstruction(normalizedInputFeatures, reconstructedFeatures, trainedModelData),
+    modelType: "tfjs"
+  };
+}
+
+// Base64 so the weights fit in JSON - Buffer on the server, btoa/atob in the extension
+function encodeWeightData(weightData) {
+  const buffers = Array.isArray(weightData) ? weightData : [weightData];
+  const bytes = new Uint8Array(buffers.reduce((total, buffer) => total + buffer.byteLength, 0));
+  let offset = 0;
+  buffers.forEach((buffer) => {
+    bytes.set(new Uint8Array(buffer), offset);
+    offset += buffer.byteLength;
+  });
+
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(bytes).toString('base64');
+  }
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function decodeWeightData(encodedWeights) {
+  if (typeof Buffer !== 'undefined') {
+    const buffer = Buffer.from(encodedWeights, 'base64');
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+  }
+  const binary = atob(encodedWeights);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+/**
+ * tf.io handler over any async record store - pass it to network.save() or tf.loadLayersModel()
+ * readRecord resolves to the stored record (or null), writeRecord stores one:
+ *   { modelTopology, weightSpecs, weightData (base64), savedAt }
+ */
+function createRecordIOHandler({ readRecord, writeRecord }) {
+  return {
+    async save(modelArtifacts) {
+      const record = {
+        modelTopology: modelArtifacts.modelTopology,
+        weightSpecs: modelArtifacts.weightSpecs,
+        weightData: encodeWeightData(modelArtifacts.weightData),
+        savedAt: new Date().toISOString()
+      };
+      await writeRecord(record);
+
+      return {
+        modelArtifactsInfo: {
+          dateSaved: new Date(record.savedAt),
+          modelTopologyType: 'JSON',
+          modelTopologyBytes: JSON.stringify(record.modelTopology).length,
+          weightSpecsBytes: JSON.stringify(record.weightSpecs).length,
+          weightDataBytes: record.weightData.length
+        }
+      };
+    },
+
+    async load() {
+      const record = await readRecord();
+      if (!record || !record.modelTopology || !Array.isArray(record.weightSpecs) || typeof record.weightData !== 'string') {
+        throw new Error('Stored TensorFlow.js network is missing or incomplete');
+      }
+      return {
+        modelTopology: record.modelTopology,
+        weightSpecs: record.weightSpecs,
+        weightData: decodeWeightData(record.weightData)
+      };
+    }
+  };
+}
+
+// Extension storage key for a network - one entry per trained network, like the server's files
+function getNetworkStorageKey(networkId) {
+  return `tfjsNetwork:${networkId}`;
+}
+
+/**
+ * tf.io handler over a chrome.storage area (anything with promise-based get/set)
+ */
+function createStorageIOHandler(storageArea, networkId) {
+  const storageKey = getNetworkStorageKey(networkId);
+  return createRecordIOHandler({
+    readRecord: async () => (await storageArea.get([storageKey]))[storageKey] || null,
+    writeRecord: (record) => storageArea.set({ [storageKey]: record })
+  });
+}
+
+const GhostKeyTF = {
+  TFJS_MODEL_DEFAULTS,
+  TFJS_OPTIMIZERS,
+  TFJS_ACTIVATIONS,
+  describeArchitectureProblem,
+  buildKeystrokeNetwork,
+  trainTfjsKeystrokeModel,
+  scoreTfjsKeystrokePattern,
+  createRecordIOHandler,
+  getNetworkStorageKey,
+  createStorageIOHandler
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  // CommonJS - Next.js routes and Node scripts
+  module.exports = GhostKeyTF;
+} else {
+  // Extension popup (window) and background service worker (self) share globalThis
+  globalThis.GhostKeyTF = GhostKeyTF;
+}
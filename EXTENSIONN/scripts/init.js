@@ -11,6 +11,11 @@ async function initializeGhostKeyExtension() {
     // Load ML libraries
     if (typeof window !== 'undefined') {
       // Browser environment - load from global
+      if (!window.GhostKeyFeatures) {
+        console.log('Loading keystroke feature layout library...');
+        await loadScript('libs/keystroke-features.js');
+      }
+      
       if (!window.GhostKeyML) {
         console.log('Loading autoencoder ML library...');
         await loadScript('libs/autoencoder.js');
@@ -184,7 +184,8 @@ async function loadSettings() {
       closeOnFailure: true,
       voiceFallback: true,
       notifications: true,
-      authThreshold: 0.03
+      authThreshold: 0.03,
+      keystrokeBackend: 'autoencoder'
     };
     console.log('Loaded settings:', popupState.settings);
   } catch (error) {
@@ -221,7 +222,7 @@ function setupEventListeners() {
 function setupSettingsListeners() {
   const settingInputs = [
     'auto-activate', 'clear-password', 'close-on-failure', 
-    'voice-fallback', 'notifications'
+    'voice-fallback', 'notifications', 'keystroke-backend'
   ];
   
   settingInputs.forEach(id => {
@@ -366,6 +367,8 @@ function updateSettingsDisplay() {
   const thresholdSlider = document.getElementById('auth-threshold');
   thresholdSlider.value = popupState.settings.authThreshold || 0.03;
   updateThresholdDisplay();
+  
+  document.getElementById('keystroke-backend').value = popupState.settings.keystrokeBackend || 'autoencoder';
 }
 
 /**
@@ -480,6 +483,12 @@ async function deleteProfile(profileId) {
   }
   
   try {
+    // tfjs profiles keep their network weights in a separate storage entry
+    const keystrokeModel = popupState.profiles[profileId]?.keystrokeModel;
+    if (keystrokeModel?.modelType === 'tfjs' && window.GhostKeyTF) {
+      await chrome.storage.local.remove(window.GhostKeyTF.getNetworkStorageKey(keystrokeModel.network.id));
+    }
+    
     delete popupState.profiles[profileId];
     await chrome.storage.local.set({ profiles: popupState.profiles });
     
@@ -529,7 +538,8 @@ async function saveSettings() {
     closeOnFailure: document.getElementById('close-on-failure').checked,
     voiceFallback: document.getElementById('voice-fallback').checked,
     notifications: document.getElementById('notifications').checked,
-    authThreshold: parseFloat(document.getElementById('auth-threshold').value)
+    authThreshold: parseFloat(document.getElementById('auth-threshold').value),
+    keystrokeBackend: document.getElementById('keystroke-backend').value
   };
   
   try {
@@ -681,7 +691,8 @@ function captureKeystroke(event) {
       key: event.key,
       type: event.type,
       timestamp: performance.now(),
-      code: event.code
+      code: event.code,
+      repeat: event.repeat
     };
     
     // Add to current sample buffer
@@ -697,14 +708,29 @@ function processSample() {
   const input = document.getElementById('keystroke-input');
   
   if (input.value === popupState.registrationData.password) {
-    // Extract keystroke features from the captured buffer
-    const features = extractKeystrokeFeatures(currentKeystrokeBuffer);
+    // Extract keystroke timings from the captured buffer
+    const timings = extractKeystrokeTimings(currentKeystrokeBuffer);
+    
+    // The first sample fixes the feature layout - later ones must be typed with the same keystrokes
+    const samples = popupState.registrationData.keystrokeSamples;
+    const featureLayout = samples.length > 0
+      ? samples[0].featureLayout
+      : GhostKeyFeatures.createFeatureLayout(GhostKeyFeatures.countKeystrokes(timings), input.value.length);
+    const layoutMismatch = GhostKeyFeatures.describeLayoutMismatch(timings, featureLayout);
+    
+    if (layoutMismatch) {
+      showTrainingStatus(layoutMismatch + '. Please type it again.', 'error');
+      input.value = '';
+      currentKeystrokeBuffer = [];
+      return;
+    }
     
     // Valid sample - store with extracted features
-    popupState.registrationData.keystrokeSamples.push({
+    samples.push({
       password: input.value,
       timestamp: Date.now(),
-      features: features,
+      features: GhostKeyFeatures.buildFeatureVector(timings, featureLayout),
+      featureLayout,
       rawKeystrokes: [...currentKeystrokeBuffer] // Store raw data for ML training
     });
     
@@ -882,6 +908,28 @@ function updateVoiceProgress() {
   }
 }
 
+/**
+ * Train a profile's keystroke model with the backend picked in settings
+ * tfjs networks go to chrome.storage.local next to the profile, where the background worker loads them
+ */
+async function trainProfileKeystrokeModel(featureVectors, featureLayout) {
+  if (popupState.settings.keystrokeBackend !== 'tfjs') {
+    return window.GhostKeyML.trainKeystrokeBiometricModel(featureVectors, { featureLayout });
+  }
+  
+  if (!window.tf || !window.GhostKeyTF) {
+    throw new Error('TensorFlow.js backend not available. Please reload the extension.');
+  }
+  
+  const { model, network } = await window.GhostKeyTF.trainTfjsKeystrokeModel(window.tf, featureVectors, { featureLayout });
+  try {
+    await network.save(window.GhostKeyTF.createStorageIOHandler(chrome.storage.local, model.network.id));
+  } finally {
+    network.dispose();
+  }
+  return model;
+}
+
 async function completeRegistration() {
   const wrappedFunction = window.GhostKeyRecovery ? 
     window.GhostKeyRecovery.withErrorHandling(async () => {
@@ -920,8 +968,11 @@ async function completeRegistration() {
       
       console.log('Training model with', featureVectors.length, 'feature vectors');
       
-      // Train the autoencoder model
-      const trainedModel = await window.GhostKeyML.trainKeystrokeBiometricModel(featureVectors);
+      // Train the keystroke model with the backend picked in settings
+      const trainedModel = await trainProfileKeystrokeModel(
+        featureVectors,
+        popupState.registrationData.keystrokeSamples[0].featureLayout
+      );
       
       console.log('Model training completed:', trainedModel);
       
@@ -1007,8 +1058,11 @@ async function completeRegistration() {
         
         console.log('Training model with', featureVectors.length, 'feature vectors');
         
-        // Train the autoencoder model
-        const trainedModel = await window.GhostKeyML.trainKeystrokeBiometricModel(featureVectors);
+        // Train the keystroke model with the backend picked in settings
+        const trainedModel = await trainProfileKeystrokeModel(
+          featureVectors,
+          popupState.registrationData.keystrokeSamples[0].featureLayout
+        );
         
         console.log('Model training completed:', trainedModel);
         
@@ -1142,67 +1196,8 @@ window.deactivateProfile = deactivateProfile;
 window.deleteProfile = deleteProfile;
 window.startRegistration = startRegistration;
 
-// Feature extraction function for keystroke analysis
-function extractKeystrokeFeatures(keystrokeBuffer) {
-  const keyDownEvents = keystrokeBuffer.filter(k => k.type === 'keydown');
-  const keyUpEvents = keystrokeBuffer.filter(k => k.type === 'keyup');
-  
-  const holdTimes = [];
-  const ddTimes = [];
-  const udTimes = [];
-  
-  // Calculate hold times (dwell times)
-  keyDownEvents.forEach(downEvent => {
-    const upEvent = keyUpEvents.find(up => 
-      up.key === downEvent.key && up.timestamp > downEvent.timestamp
-    );
-    if (upEvent) {
-      holdTimes.push(upEvent.timestamp - downEvent.timestamp);
-    }
-  });
-  
-  // Calculate down-to-down times
-  for (let i = 0; i < keyDownEvents.length - 1; i++) {
-    ddTimes.push(keyDownEvents[i + 1].timestamp - keyDownEvents[i].timestamp);
-  }
-  
-  // Calculate up-to-down times (flight times)
-  for (let i = 0; i < keyDownEvents.length - 1; i++) {
-    const currentUp = keyUpEvents.find(up => 
-      up.key === keyDownEvents[i].key && up.timestamp > keyDownEvents[i].timestamp
-    );
-    if (currentUp) {
-      udTimes.push(keyDownEvents[i + 1].timestamp - currentUp.timestamp);
-    }
-  }
-  
-  // Calculate additional metrics
-  const totalTime = keyDownEvents.length > 0 ? 
-    keyDownEvents[keyDownEvents.length - 1].timestamp - keyDownEvents[0].timestamp : 0;
-  const typingSpeed = totalTime > 0 ? keyDownEvents.length / (totalTime / 1000) : 0;
-  const avgFlightTime = udTimes.length > 0 ? udTimes.reduce((a, b) => a + b, 0) / udTimes.length : 0;
-  
-  // Calculate pressure variance (consistency indicator)
-  const meanHoldTime = holdTimes.length > 0 ? holdTimes.reduce((a, b) => a + b, 0) / holdTimes.length : 0;
-  const pressureVariance = holdTimes.length > 0 ? 
-    Math.sqrt(holdTimes.reduce((sum, t) => sum + Math.pow(t - meanHoldTime, 2), 0) / holdTimes.length) : 0;
-  
-  // Create feature vector (matching the original project format)
-  const PASSWORD_LENGTH = 11;
-  const features = [
-    ...holdTimes.slice(0, PASSWORD_LENGTH),
-    ...ddTimes.slice(0, PASSWORD_LENGTH - 1),
-    ...udTimes.slice(0, PASSWORD_LENGTH - 1),
-    typingSpeed,
-    avgFlightTime,
-    0, // error rate (backspace count)
-    pressureVariance
-  ];
-  
-  // Pad with zeros if needed
-  while (features.length < PASSWORD_LENGTH * 3 + 1) {
-    features.push(0);
-  }
-  
-  return features;
+// Timing extraction for keystroke analysis - pairing and the feature vector both come from GhostKeyFeatures,
+// the same code the content script and the web app use
+function extractKeystrokeTimings(keystrokeBuffer) {
+  return GhostKeyFeatures.extractKeystrokeTimings(keystrokeBuffer);
 }
\ No newline at end of file
@@ -0,0 +1,7 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { getDiscoveryDocument, getOidcIssuer } from "@/lib/oidc-provider"
+
+// OpenID Connect discovery - relying parties configure themselves from this
+export async function GET(request: NextRequest) {
+  return NextResponse.json(getDiscoveryDocument(getOidcIssuer(request)))
+}
@@ -0,0 +1,111 @@
+import { type NextRequest, NextResponse } from "next/server"
+import {
+  countAdaptiveSamples,
+  loadAdaptationState,
+  rollbackAdaptiveModel,
+  saveAdaptationState,
+} from "@/lib/adaptive-updates"
+import { appendAccessLog } from "@/lib/auth-history"
+import { checkAuthThrottle, recordThrottleOutcome, releaseThrottleReservation } from "@/lib/auth-throttle"
+import { getPreviousVersionNumber } from "@/lib/model-history"
+import { loadPassphraseRecord, verifyPassphrase } from "@/lib/passphrase-hash"
+import { readSessionToken, SessionTokenError, verifySessionToken } from "@/lib/session-tokens"
+
+// Adaptive mode status for the logged-in user - GET /api/adaptive-updates with "Authorization: Bearer <token>"
+// (?username=<user> is optional and has to match the token)
+export async function GET(request: NextRequest) {
+  try {
+    const token = await readSessionToken(request)
+    if (!token) {
+      return NextResponse.json({ error: "Log in first - a session token is required" }, { status: 401 })
+    }
+    const { sub: username } = await verifySessionToken(token)
+
+    const requestedUsername = request.nextUrl.searchParams.get("username")
+    if (requestedUsername && requestedUsername !== username) {
+      return NextResponse.json({ error: "The session belongs to another user" }, { status: 403 })
+    }
+
+    const state = await loadAdaptationState(username)
+    const canRollback = (await getPreviousVersionNumber(username)) !== null
+
+    return NextResponse.json({
+      username,
+      ...state,
+      adaptiveSampleCount: await countAdaptiveSamples(username),
+      canRollback,
+    })
+  } catch (error) {
+    if (error instanceof SessionTokenError) {
+      return NextResponse.json({ error: error.message, errorCode: error.code }, { status: 401 })
+    }
+    console.error("Adaptive update status failed:", error)
+    return NextResponse.json({ error: "Failed to read adaptive mode" }, { status: 500 })
+  }
+}
+
+// Enable, disable or roll back adaptive updates - the user's passphrase is required
+export async function POST(request: NextRequest) {
+  let reservedFor: string | null = null
+  try {
+    const { username, password, action } = await request.json()
+
+    if (!username || !password) {
+      return NextResponse.json({ error: "Username and passphrase are required" }, { status: 400 })
+    }
+
+    if (!["enable", "disable", "rollback"].includes(action)) {
+      return NextResponse.json({ error: "Action must be enable, disable or rollback" }, { status: 400 })
+    }
+
+    // The passphrase check is a guess like any login - same limits, and a wrong one is logged
+    const throttleBlock = await checkAuthThrottle(username, request)
+    if (throttleBlock) {
+      console.log(`Throttled adaptive update settings for ${username} (${throttleBlock.scope}):`, throttleBlock.reason)
+      return NextResponse.json(
+        {
+          error: throttleBlock.reason,
+          errorCode: throttleBlock.locked ? "LOCKED" : "THROTTLED",
+          retryAfterSeconds: throttleBlock.retryAfterSeconds,
+        },
+        { status: 429, headers: { "Retry-After": String(throttleBlock.retryAfterSeconds) } },
+      )
+    }
+    reservedFor = username
+
+    const passphraseRecord = await loadPassphraseRecord(username)
+    if (!passphraseRecord || !(await verifyPassphrase(password, passphraseRecord))) {
+      await appendAccessLog(request, { username, result: "Fail", reason: "Adaptive update settings - passphrase mismatch" })
+      await recordThrottleOutcome(username, request, false)
+      return NextResponse.json({ error: "Invalid credentials" }, { status: 403 })
+    }
+    // The passphrase alone isn't a login - it mustn't end a failure streak, so the attempt just goes back
+    await releaseThrottleReservation(username, request)
+
+    if (action === "rollback") {
+      const restoredModel = await rollbackAdaptiveModel(username)
+      if (!restoredModel) {
+        return NextResponse.json({ error: "No previous model to roll back to" }, { status: 404 })
+      }
+
+      return NextResponse.json({
+        success: true,
+        message: `Restored model v${restoredModel.modelVersion} from ${restoredModel.createdAt || "before the last adaptive update"}`,
+        version: restoredModel.modelVersion,
+        threshold: restoredModel.modelType !== "statistical" ? restoredModel.threshold : undefined,
+      })
+    }
+
+    const state = await loadAdaptationState(username)
+    await saveAdaptationState(username, { ...state, enabled: action === "enable" })
+
+    console.log(`Adaptive updates ${action}d for ${username}`)
+    return NextResponse.json({ success: true, enabled: action === "enable" })
+  } catch (error) {
+    if (reservedFor) {
+      await releaseThrottleReservation(reservedFor, request)
+    }
+    console.error("Adaptive update settings failed:", error)
+    return NextResponse.json({ error: "Failed to update adaptive mode" }, { status: 500 })
+  }
+}
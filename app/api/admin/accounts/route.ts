@@ -0,0 +1,71 @@
+import { NextResponse } from "next/server"
+import {
+  AdminAuthError,
+  createAdminAccount,
+  deleteAdminAccount,
+  listAdminAccounts,
+  updateAdminAccount,
+  withAdminAuth,
+} from "@/lib/admin-auth"
+
+function errorResponse(error: unknown, action: string) {
+  if (error instanceof AdminAuthError) {
+    return NextResponse.json({ error: error.message, errorCode: error.code }, { status: error.status })
+  }
+  console.error(`Failed to ${action} admin account:`, error)
+  return NextResponse.json({ error: `Failed to ${action} admin account` }, { status: 500 })
+}
+
+// Admin accounts - owners only
+export const GET = withAdminAuth("owner", async () => {
+  try {
+    return NextResponse.json({ accounts: await listAdminAccounts() })
+  } catch (error) {
+    return errorResponse(error, "list")
+  }
+})
+
+// { username, password, role }
+export const POST = withAdminAuth("owner", async (request, admin) => {
+  try {
+    const { username, password, role } = await request.json()
+    const account = await createAdminAccount(username, password, role)
+    console.log(`Admin ${admin.username} created admin account ${account.username} (${account.role})`)
+    return NextResponse.json({ success: true, account })
+  } catch (error) {
+    return errorResponse(error, "create")
+  }
+})
+
+// { username, role?, password? }
+export const PATCH = withAdminAuth("owner", async (request, admin) => {
+  try {
+    const { username, role, password } = await request.json()
+    if (!username || (role === undefined && password === undefined)) {
+      return NextResponse.json({ error: "Username and a new role or password are required" }, { status: 400 })
+    }
+    const account = await updateAdminAccount(username, { role, password })
+    console.log(`Admin ${admin.username} updated admin account ${account.username} (${account.role})`)
+    return NextResponse.json({ success: true, account })
+  } catch (error) {
+    return errorResponse(error, "update")
+  }
+})
+
+// { username } - not your own, and never the last owner
+export const DELETE = withAdminAuth("owner", async (request, admin) => {
+  try {
+    const { username } = await request.json()
+    if (!username) {
+      return NextResponse.json({ error: "Username is required" }, { status: 400 })
+    }
+    if (username === admin.username) {
+      return NextResponse.json({ error: "You can't delete your own admin account" }, { status: 400 })
+    }
+    await deleteAdminAccount(username)
+    console.log(`Admin ${admin.username} deleted admin account ${username}`)
+    return NextResponse.json({ success: true })
+  } catch (error) {
+    return errorResponse(error, "delete")
+  }
+})
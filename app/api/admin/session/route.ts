@@ -0,0 +1,98 @@
+import { type NextRequest, NextResponse } from "next/server"
+import {
+  AdminAuthError,
+  clearAdminSessionCookie,
+  getAdminSession,
+  loginAdmin,
+  logoutAdmin,
+  setAdminSessionCookie,
+} from "@/lib/admin-auth"
+import { appendAccessLog } from "@/lib/auth-history"
+import { checkAuthThrottle, recordThrottleOutcome, releaseThrottleReservation } from "@/lib/auth-throttle"
+
+// Admin log in - { username, password }. Sets the session cookie the admin routes check
+export async function POST(request: NextRequest) {
+  let throttleKey: string | null = null
+  try {
+    const { username, password } = await request.json()
+    if (typeof username !== "string" || !username || typeof password !== "string" || !password) {
+      return NextResponse.json({ error: "Username and password are required" }, { status: 400 })
+    }
+
+    // Admin names get their own throttle key - guessing an admin password can't lock out a user of the same name
+    throttleKey = `admin:${username}`
+    const throttleBlock = await checkAuthThrottle(throttleKey, request)
+    if (throttleBlock) {
+      console.log(`Throttled admin login for ${username} (${throttleBlock.scope}):`, throttleBlock.reason)
+      return NextResponse.json(
+        {
+          error: throttleBlock.reason,
+          errorCode: throttleBlock.locked ? "LOCKED" : "THROTTLED",
+          retryAfterSeconds: throttleBlock.retryAfterSeconds,
+        },
+        { status: 429, headers: { "Retry-After": String(throttleBlock.retryAfterSeconds) } },
+      )
+    }
+
+    let login: Awaited<ReturnType<typeof loginAdmin>> | null = null
+    try {
+      login = await loginAdmin(username, password)
+    } catch (error) {
+      if (!(error instanceof AdminAuthError) || error.code !== "INVALID_CREDENTIALS") {
+        throw error
+      }
+    }
+    console.log(`Admin login for ${username}: ${login ? `granted (${login.admin.role})` : "rejected"}`)
+
+    await appendAccessLog(request, {
+      username: throttleKey,
+      result: login ? "Pass" : "Fail",
+      reason: login ? `Admin login as ${login.admin.role}` : "Admin login rejected",
+    })
+    await recordThrottleOutcome(throttleKey, request, !!login)
+
+    if (!login) {
+      return NextResponse.json({ error: "Invalid admin credentials", errorCode: "INVALID_CREDENTIALS" }, { status: 401 })
+    }
+
+    const response = NextResponse.json({ success: true, admin: login.admin })
+    setAdminSessionCookie(response, request, login.sessionId, login.admin.expiresAt)
+    return response
+  } catch (error) {
+    if (throttleKey) {
+      await releaseThrottleReservation(throttleKey, request)
+    }
+    if (error instanceof AdminAuthError) {
+      return NextResponse.json({ error: error.message, errorCode: error.code }, { status: error.status })
+    }
+    console.error("Admin login failed:", error)
+    return NextResponse.json({ error: "Admin login failed" }, { status: 500 })
+  }
+}
+
+// Who is logged in - the admin panels call this on load to skip the login form
+export async function GET(request: NextRequest) {
+  try {
+    const admin = await getAdminSession(request)
+    if (!admin) {
+      return NextResponse.json({ error: "Admin login required", errorCode: "ADMIN_LOGIN_REQUIRED" }, { status: 401 })
+    }
+    return NextResponse.json({ admin })
+  } catch (error) {
+    console.error("Admin session check failed:", error)
+    return NextResponse.json({ error: "Failed to check the admin session" }, { status: 500 })
+  }
+}
+
+// Log out - the session ends on the server too, not just in this browser
+export async function DELETE(request: NextRequest) {
+  try {
+    await logoutAdmin(request)
+    const response = NextResponse.json({ success: true })
+    clearAdminSessionCookie(response)
+    return response
+  } catch (error) {
+    console.error("Admin logout failed:", error)
+    return NextResponse.json({ error: "Admin logout failed" }, { status: 500 })
+  }
+}
@@ -0,0 +1,37 @@
+import { NextResponse } from "next/server"
+import { listThrottleEntries, unlockThrottle } from "@/lib/auth-throttle"
+import { withAdminAuth } from "@/lib/admin-auth"
+
+// Usernames and IPs that are failing, backing off or locked out - GET /api/auth-lockouts
+export const GET = withAdminAuth("auditor", async () => {
+  try {
+    return NextResponse.json({ entries: await listThrottleEntries() })
+  } catch (error) {
+    console.error("Failed to list lockouts:", error)
+    return NextResponse.json({ error: "Failed to list lockouts" }, { status: 500 })
+  }
+})
+
+// Unlock a username or an IP - operators only
+export const POST = withAdminAuth("operator", async (request) => {
+  try {
+    const { scope, key } = await request.json()
+
+    if (!["user", "ip"].includes(scope) || !key) {
+      return NextResponse.json({ error: "Scope (user or ip) and key are required" }, { status: 400 })
+    }
+
+    const wasThrottled = await unlockThrottle(scope, key, request)
+    return NextResponse.json({
+      success: true,
+      message: wasThrottled
+        ? `Unlocked ${scope === "user" ? "user" : "IP"} ${key}`
+        : scope === "user"
+          ? `${key} had no rate limit to clear - its policy failure streak was reset`
+          : `IP ${key} had no rate limit to clear`,
+    })
+  } catch (error) {
+    console.error("Unlock failed:", error)
+    return NextResponse.json({ error: "Failed to unlock" }, { status: 500 })
+  }
+})
@@ -1,8 +1,9 @@
 import { NextResponse } from "next/server"
 import fs from "fs/promises"
 import path from "path"
+import { withAdminAuth } from "@/lib/admin-auth"
 
-export async function GET() {
+export const GET = withAdminAuth("auditor", async () => {
   try {
     const logFile = path.join(process.cwd(), "logs", "access_log.csv")
 
@@ -35,7 +36,7 @@ export async function GET() {
           return {
             timestamp: values[0] || new Date().toISOString(),
             username: values[1] || "unknown",
-            result: (values[2] as "Pass" | "Fail") || "Fail",
+            result: (values[2] as "Pass" | "Fail" | "Lock" | "Unlock") || "Fail",
             mse: values[3] ? Number.parseFloat(values[3]) : null,
             ip: values[4] || "unknown",
             userAgent: values[5]?.replace(/"/g, "") || "unknown",
@@ -53,4 +54,4 @@ export async function GET() {
     console.error("Failed to fetch logs:", error)
     return NextResponse.json({ error: "Failed to fetch logs" }, { status: 500 })
   }
-}
+})
@@ -0,0 +1,292 @@
+import { type NextRequest, NextResponse } from "next/server"
+import fs from "fs/promises"
+import path from "path"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { recordAuthenticatedSample } from "@/lib/adaptive-updates"
+import { appendAccessLog, describePolicyOutcome, evaluateAttemptPolicy } from "@/lib/auth-history"
+import { recordThrottleOutcome, releaseThrottleReservation } from "@/lib/auth-throttle"
+import {
+  type AuthenticationAttempt,
+  checkAttemptLayout,
+  checkAttemptThrottle,
+  checkKnowledgeFactor,
+  lockedResponse,
+  rejectMissingEnrollment,
+} from "@/lib/authentication-steps"
+import { selectTopContributors } from "@/lib/feature-contributions"
+import { scoreKeystrokeAttempt } from "@/lib/keystroke-scoring"
+import { fuseModalities } from "@/lib/modality-fusion"
+import { loadKeystrokeModel, ModelFormatError } from "@/lib/model-store"
+import { issueSessionToken } from "@/lib/session-tokens"
+import { estimateVoiceMatchProbability } from "@/lib/voice-calibration"
+import { calculateComprehensiveVoiceMatch, type SessionVoiceProfile } from "@/utils/voice-feature-extractor"
+
+// Keystroke + voice in one attempt - a borderline typing rhythm can be carried by a clear voice match
+// (and the other way round) instead of failing twice before the voice fallback opens
+export async function POST(request: NextRequest) {
+  // Log this authentication attempt to our audit trail, and count it for rate limiting
+  const logAttempt = async (username: string, result: "Pass" | "Fail", reason: string, mse?: number) => {
+    await appendAccessLog(request, { username, result, mse, reason })
+    await recordThrottleOutcome(username, request, result === "Pass")
+  }
+
+  try {
+    const formData = await request.formData()
+    const username = formData.get("username") as string
+    const password = formData.get("password")
+    const keystrokeJson = formData.get("keystroke") as string
+    const voiceFeaturesJson = formData.get("voice_features") as string
+    const voiceSample = formData.get("voice_sample") as File
+
+    if (!username || !keystrokeJson || !voiceFeaturesJson || !voiceSample) {
+      return NextResponse.json(
+        {
+          success: false,
+          authenticated: false,
+          reason: "Username, keystroke attempt, voice features and voice sample are required",
+        },
+        { status: 400 },
+      )
+    }
+
+    let keystrokeAttempt: any
+    let voiceFeatures: SessionVoiceProfile
+    try {
+      keystrokeAttempt = JSON.parse(keystrokeJson)
+      voiceFeatures = JSON.parse(voiceFeaturesJson)
+    } catch {
+      return NextResponse.json(
+        { success: false, authenticated: false, reason: "Keystroke attempt and voice features must be JSON" },
+        { status: 400 },
+      )
+    }
+    if (!voiceFeatures || !Array.isArray(voiceFeatures.mfccMean)) {
+      return NextResponse.json(
+        { success: false, authenticated: false, reason: "Invalid voice features. Please try recording again." },
+        { status: 400 },
+      )
+    }
+
+    const attempt: AuthenticationAttempt = { username, request, emptyScores: { matchProbability: null }, label: "fusion" }
+    const throttledResponse = await checkAttemptThrottle(attempt)
+    if (throttledResponse) {
+      return throttledResponse
+    }
+
+    try {
+      // Both enrollments have to exist before either is scored
+      const savedModelData = await loadKeystrokeModel(username)
+      if (!savedModelData) {
+        return rejectMissingEnrollment(attempt, `No model found for user ${username}. Please register first.`)
+      }
+
+      const voiceDir = path.join(process.cwd(), AUTH_CONFIG.VOICE_MODELS_DIRECTORY, username)
+      let voiceProfile
+      try {
+        voiceProfile = JSON.parse(await fs.readFile(path.join(voiceDir, "voice_profile.json"), "utf-8"))
+      } catch {
+        return rejectMissingEnrollment(attempt, "No voice profile found for this user", {
+          status: 404,
+          logReason: "Fusion without a voice profile",
+        })
+      }
+
+      const knowledgeFailure = await checkKnowledgeFactor(attempt, password)
+      if (knowledgeFailure) {
+        return knowledgeFailure
+      }
+
+      const attemptFeatures = await checkAttemptLayout(attempt, keystrokeAttempt, savedModelData)
+      if (attemptFeatures instanceof NextResponse) {
+        return attemptFeatures
+      }
+      const { features: keystrokeFeatures, featureLayout } = attemptFeatures
+
+      const keystrokeScore = await scoreKeystrokeAttempt(username, keystrokeFeatures, featureLayout, savedModelData)
+      const voiceMatch = calculateComprehensiveVoiceMatch(voiceFeatures, voiceProfile.referenceModel)
+      const voiceMatchProbability = estimateVoiceMatchProbability(voiceProfile.calibration, voiceMatch.overallSimilarity)
+
+      const evidence = {
+        keystroke: {
+          authenticated: keystrokeScore.authenticated,
+          matchProbability: keystrokeScore.matchProbability,
+          reconstructionError: keystrokeScore.reconstructionError,
+          method: keystrokeScore.method,
+          reason: keystrokeScore.reason,
+          featureContributions: keystrokeScore.featureContributions,
+          topContributors: keystrokeScore.authenticated ? [] : selectTopContributors(keystrokeScore.featureContributions),
+        },
+        voice: {
+          authenticated: voiceMatch.overallSimilarity >= AUTH_CONFIG.VOICE_MATCH_THRESHOLD,
+          matchProbability: voiceMatchProbability,
+          similarityScore: voiceMatch.overallSimilarity,
+          threshold: AUTH_CONFIG.VOICE_MATCH_THRESHOLD,
+        },
+      }
+
+      // Scores on unrelated scales can't be combined - only calibrated ones can
+      const uncalibrated = (["keystroke", "voice"] as const).filter(
+        (modality) => evidence[modality].matchProbability === null,
+      )
+      if (uncalibrated.length > 0) {
+        await logAttempt(username, "Fail", "Fusion unavailable - uncalibrated", keystrokeScore.reconstructionError)
+        return NextResponse.json({
+          success: false,
+          authenticated: false,
+          matchProbability: null,
+          reason: `The ${uncalibrated.join(" and ")} enrollment predates score calibration - enroll again to use fusion`,
+          errorCode: "UNCALIBRATED",
+          evidence,
+          failedFactor: "biometric",
+          factors: { knowledge: true, biometric: false },
+        })
+      }
+
+      const fusionDecision = fuseModalities([
+        {
+          modality: "keystroke",
+          matchProbability: evidence.keystroke.matchProbability!,
+          authenticated: evidence.keystroke.authenticated,
+        },
+        {
+          modality: "voice",
+          matchProbability: evidence.voice.matchProbability!,
+          authenticated: evidence.voice.authenticated,
+        },
+      ])
+
+      // The passphrase passed and the voice was compared - fusion is itself the voice step-up, so the policy
+      // only has lockouts and hard denials left to add
+      const policyDecision = await evaluateAttemptPolicy(
+        username,
+        { knowledge: true, authenticated: fusionDecision.authenticated, matchProbability: fusionDecision.matchProbability },
+        request,
+        { stepUpCompleted: true },
+      )
+      const authenticationSuccessful = policyDecision.action === "allow"
+
+      console.log(`Keystroke + voice fusion for ${username}:`, {
+        rule: fusionDecision.rule,
+        keystroke: evidence.keystroke.matchProbability!.toFixed(3),
+        voice: evidence.voice.matchProbability!.toFixed(3),
+        fused: fusionDecision.matchProbability.toFixed(3),
+        authenticated: authenticationSuccessful,
+        vetoedBy: fusionDecision.vetoedBy,
+        rescued: fusionDecision.rescued,
+      })
+
+      await logAttempt(
+        username,
+        authenticationSuccessful ? "Pass" : "Fail",
+        policyDecision.action === "lock"
+          ? describePolicyOutcome(policyDecision)
+          : fusionDecision.rescued
+            ? `Fusion - ${fusionDecision.rescued} rescued`
+            : "Fusion",
+        keystrokeScore.reconstructionError,
+      )
+
+      await fs.appendFile(
+        path.join(voiceDir, "verification_log.jsonl"),
+        JSON.stringify({
+          timestamp: new Date().toISOString(),
+          username,
+          success: authenticationSuccessful,
+          similarityScore: voiceMatch.overallSimilarity,
+          threshold: AUTH_CONFIG.VOICE_MATCH_THRESHOLD,
+          matchProbability: voiceMatchProbability,
+          sampleSize: voiceSample.size,
+          fusion: { keystrokeMatchProbability: evidence.keystroke.matchProbability, ...fusionDecision },
+        }) + "\n",
+      )
+
+      // Template aging only learns from typing that passed on its own - a rhythm voice had to rescue
+      // is exactly the kind that shouldn't pull the model toward it
+      if (authenticationSuccessful && keystrokeScore.authenticated && savedModelData.modelType === "autoencoder") {
+        try {
+          const adaptationOutcome = await recordAuthenticatedSample(username, keystrokeFeatures, savedModelData, {
+            confidence: keystrokeScore.confidence!,
+            reconstructionError: keystrokeScore.reconstructionError,
+          })
+          console.log(`Adaptive update for ${username}:`, adaptationOutcome)
+        } catch (adaptationError) {
+          console.error("Adaptive model update failed:", adaptationError)
+        }
+      }
+
+      if (policyDecision.action === "lock") {
+        return lockedResponse(attempt, policyDecision)
+      }
+
+      let reason = "Authentication successful"
+      if (fusionDecision.authenticated && !authenticationSuccessful) {
+        reason = policyDecision.reason
+      } else if (fusionDecision.vetoedBy) {
+        reason = `The ${fusionDecision.vetoedBy} match is too unlikely (${(evidence[fusionDecision.vetoedBy].matchProbability! * 100).toFixed(1)}% < ${(AUTH_CONFIG.FUSION_VETO_PROBABILITY * 100).toFixed(1)}%) for the other modality to make up for`
+      } else if (!authenticationSuccessful) {
+        reason = `Fused match probability too low: ${(fusionDecision.matchProbability * 100).toFixed(1)}% < ${(fusionDecision.acceptProbability * 100).toFixed(1)}%`
+      } else if (fusionDecision.rescued) {
+        reason = `Authentication successful - the ${fusionDecision.rescued === "keystroke" ? "voice" : "keystroke"} match carried a borderline ${fusionDecision.rescued} score`
+      }
+
+      const session = authenticationSuccessful
+        ? await issueSessionToken(username, {
+            modalities: ["passphrase", "keystroke", "voice"],
+            scores: {
+              keystroke: {
+                matchProbability: evidence.keystroke.matchProbability,
+                reconstructionError: evidence.keystroke.reconstructionError,
+              },
+              voice: { matchProbability: evidence.voice.matchProbability, similarityScore: evidence.voice.similarityScore },
+              fused: { matchProbability: fusionDecision.matchProbability, rule: fusionDecision.rule },
+            },
+            policy: policyDecision,
+          })
+        : null
+
+      return NextResponse.json({
+        success: authenticationSuccessful,
+        authenticated: authenticationSuccessful,
+        matchProbability: fusionDecision.matchProbability,
+        reason,
+        method: "fusion",
+        fusion: {
+          rule: fusionDecision.rule,
+          acceptProbability: fusionDecision.acceptProbability,
+          vetoProbability: AUTH_CONFIG.FUSION_VETO_PROBABILITY,
+          weights: fusionDecision.rule === "weighted" ? AUTH_CONFIG.FUSION_WEIGHTS : null,
+          vetoedBy: fusionDecision.vetoedBy,
+          rescued: fusionDecision.rescued,
+        },
+        evidence,
+        policy: policyDecision,
+        session: session && { token: session.token, expiresAt: session.expiresAt },
+        failedFactor: authenticationSuccessful ? null : fusionDecision.authenticated ? "policy" : "biometric",
+        factors: { knowledge: true, biometric: fusionDecision.authenticated },
+      })
+    } catch (error) {
+      // No outcome to count - the attempt broke on the server's side, so its reservation goes back
+      await releaseThrottleReservation(username, request)
+      if (!(error instanceof ModelFormatError)) {
+        throw error
+      }
+
+      // The model exists but can't be trusted - retraining is the only way forward
+      console.error(`Model for ${username} is unusable (${error.code}):`, error.issues.length ? error.issues : error.message)
+      return NextResponse.json({
+        success: false,
+        authenticated: false,
+        reason: `The stored model for ${username} is corrupt or unsupported and needs retraining. ${error.message}`,
+        errorCode: error.code,
+        needsRetraining: true,
+        issues: error.issues,
+      })
+    }
+  } catch (error) {
+    console.error("Fusion authentication failed:", error)
+    return NextResponse.json(
+      { success: false, authenticated: false, reason: "Authentication system error" },
+      { status: 500 },
+    )
+  }
+}
@@ -1,85 +1,20 @@
 import { type NextRequest, NextResponse } from "next/server"
-import fs from "fs/promises"
-import path from "path"
-import { AUTH_CONFIG } from "@/config/auth-config"
-
-// Simple autoencoder implementation for keystroke authentication
-// NOTE: This is a basic implementation - in production you'd want something more robust
-class SimpleAutoencoder {
-  private encoderWeights!: number[][]
-  private bottleneckWeights!: number[][]
-  private decoderWeights!: number[][]
-  private encoderBiases!: number[]
-  private bottleneckBiases!: number[]
-  private decoderBiases!: number[]
-  private inputDimensions: number
-  private hiddenLayerSize: number
-  private bottleneckDimensions: number
-
-  constructor(inputDimensions: number, hiddenLayerSize = 16, bottleneckDimensions = 8) {
-    this.inputDimensions = inputDimensions
-    this.hiddenLayerSize = hiddenLayerSize
-    this.bottleneckDimensions = bottleneckDimensions
-  }
-
-  // ReLU activation function - keeps positive values, zeros out negatives
-  private reluActivation(x: number): number {
-    return Math.max(0, x)
-  }
-
-  // Sigmoid activation function - maps any real number to (0,1)
-  private sigmoidActivation(x: number): number {
-    // Clamp input to prevent overflow
-    return 1 / (1 + Math.exp(-Math.max(-500, Math.min(500, x))))
-  }
-
-  // Forward pass through the autoencoder network
-  predict(inputFeatures: number[]): number[] {
-    // First layer: input to hidden
-    const hiddenLayerOutput = new Array(this.hiddenLayerSize)
-    for (let i = 0; i < this.hiddenLayerSize; i++) {
-      let weightedSum = this.encoderBiases[i]
-      for (let j = 0; j < this.inputDimensions; j++) {
-        weightedSum += inputFeatures[j] * this.encoderWeights[j][i]
-      }
-      hiddenLayerOutput[i] = this.reluActivation(weightedSum)
-    }
-
-    // Second layer: hidden to bottleneck (compressed representation)
-    const bottleneckOutput = new Array(this.bottleneckDimensions)
-    for (let i = 0; i < this.bottleneckDimensions; i++) {
-      let weightedSum = this.bottleneckBiases[i]
-      for (let j = 0; j < this.hiddenLayerSize; j++) {
-        weightedSum += hiddenLayerOutput[j] * this.bottleneckWeights[j][i]
-      }
-      bottleneckOutput[i] = this.reluActivation(weightedSum)
-    }
-
-    // Third layer: bottleneck to output (reconstruction)
-    const reconstructedOutput = new Array(this.inputDimensions)
-    for (let i = 0; i < this.inputDimensions; i++) {
-      let weightedSum = this.decoderBiases[i]
-      for (let j = 0; j < this.bottleneckDimensions; j++) {
-        weightedSum += bottleneckOutput[j] * this.decoderWeights[j][i]
-      }
-      reconstructedOutput[i] = this.sigmoidActivation(weightedSum)
-    }
-
-    return reconstructedOutput
-  }
-
-  // Restore autoencoder from saved training data
-  static deserialize(savedData: any): SimpleAutoencoder {
-    const autoencoder = new SimpleAutoencoder(savedData.inputSize, savedData.hiddenSize, savedData.bottleneckSize)
-    autoencoder.encoderWeights = savedData.weights1
-    autoencoder.bottleneckWeights = savedData.weights2
-    autoencoder.decoderWeights = savedData.weights3
-    autoencoder.encoderBiases = savedData.biases1
-    autoencoder.bottleneckBiases = savedData.biases2
-    autoencoder.decoderBiases = savedData.biases3
-    return autoencoder
-  }
-}
+import { recordAuthenticatedSample } from "@/lib/adaptive-updates"
+import { appendAccessLog, describePolicyOutcome, evaluateAttemptPolicy } from "@/lib/auth-history"
+import { recordThrottleOutcome, releaseThrottleReservation } from "@/lib/auth-throttle"
+import {
+  type AuthenticationAttempt,
+  checkAttemptLayout,
+  checkAttemptThrottle,
+  checkKnowledgeFactor,
+  lockedResponse,
+  rejectMissingEnrollment,
+} from "@/lib/authentication-steps"
+import { selectTopContributors } from "@/lib/feature-contributions"
+import { scoreKeystrokeAttempt } from "@/lib/keystroke-scoring"
+import { loadKeystrokeModel, ModelFormatError } from "@/lib/model-store"
+import { issueSessionToken } from "@/lib/session-tokens"
+import { openVoiceStepUp } from "@/lib/voice-step-up"
 
 // Main authentication endpoint - this is where the magic happens
 export async function POST(request: NextRequest) {
@@ -104,215 +39,157 @@ export async function POST(request: NextRequest) {
       )
     }
 
-    // Load the user's trained biometric model
-    const userModelDirectory = path.join(process.cwd(), AUTH_CONFIG.MODELS_DIR, username)
-    const userModelFile = path.join(userModelDirectory, "model.json")
+    const attempt: AuthenticationAttempt = {
+      username,
+      request,
+      emptyScores: { mse: 0, reconstructionError: 0, deviations: [] },
+      label: "keystroke",
+    }
+    const throttledResponse = await checkAttemptThrottle(attempt)
+    if (throttledResponse) {
+      return throttledResponse
+    }
 
     try {
-      const savedModelData = JSON.parse(await fs.readFile(userModelFile, "utf-8"))
-      console.log("Model loaded for user:", username, "Model type:", savedModelData.modelType || "statistical")
+      // Load the user's trained biometric model (validated and migrated to the current format)
+      const savedModelData = await loadKeystrokeModel(username)
 
-      // Extract biometric features from the request in multiple possible formats
-      let keystrokeFeatures = []
-
-      if (requestBody.features && Array.isArray(requestBody.features)) {
-        keystrokeFeatures = requestBody.features
-      } else if (requestBody.features && requestBody.features.features && Array.isArray(requestBody.features.features)) {
-        keystrokeFeatures = requestBody.features.features
-      } else if (requestBody.extractedFeatures && Array.isArray(requestBody.extractedFeatures)) {
-        keystrokeFeatures = requestBody.extractedFeatures
-      } else if (
-        requestBody.extractedFeatures &&
-        requestBody.extractedFeatures.features &&
-        Array.isArray(requestBody.extractedFeatures.features)
-      ) {
-        keystrokeFeatures = requestBody.extractedFeatures.features
+      if (!savedModelData) {
+        return rejectMissingEnrollment(attempt, `No model found for user ${username}. Please register first.`)
       }
 
-      // If we still don't have features, try to reconstruct them from component parts
-      if (keystrokeFeatures.length === 0) {
-        const keyHoldTimes = requestBody.holdTimes || []
-        const downToDownTimes = requestBody.ddTimes || []
-        const upToDownTimes = requestBody.udTimes || []
-        const overallTypingSpeed = requestBody.typingSpeed || 0
-        const averageFlightTime = requestBody.flightTime || 0
-        const errorCount = requestBody.errorRate || 0
-        const typingPressure = requestBody.pressPressure || 0
+      console.log(
+        "Model loaded for user:",
+        username,
+        "Model type:",
+        savedModelData.modelType,
+        "Format version:",
+        savedModelData.formatVersion,
+      )
 
-        // Reconstruct feature vector similar to the training pipeline
-        const PASSWORD_LENGTH = 11
-        keystrokeFeatures = [
-          ...keyHoldTimes.slice(0, PASSWORD_LENGTH),
-          ...downToDownTimes.slice(0, PASSWORD_LENGTH - 1),
-          ...upToDownTimes.slice(0, PASSWORD_LENGTH - 1),
-          overallTypingSpeed,
-          averageFlightTime,
-          errorCount,
-          typingPressure,
-        ]
+      const knowledgeFailure = await checkKnowledgeFactor(attempt, password)
+      if (knowledgeFailure) {
+        return knowledgeFailure
+      }
 
-        // Pad with zeros if we don't have enough features
-        while (keystrokeFeatures.length < PASSWORD_LENGTH * 3 + 1) {
-          keystrokeFeatures.push(0)
-        }
+      const attemptFeatures = await checkAttemptLayout(attempt, requestBody, savedModelData)
+      if (attemptFeatures instanceof NextResponse) {
+        return attemptFeatures
       }
+      const { features: keystrokeFeatures, featureLayout } = attemptFeatures
 
       console.log("Using features array of length:", keystrokeFeatures.length)
 
-      // Determine which authentication method to use based on model type
-      if (savedModelData.modelType === "autoencoder" && savedModelData.autoencoder) {
-        console.log("Using advanced autoencoder authentication")
-
-        // Normalize input features using the same parameters from training
-        const { min, max } = savedModelData.normalizationParams
-        const normalizedInputFeatures = keystrokeFeatures.map((value: number, i: number) => {
-          if (i >= min.length || i >= max.length) {
-            return 0 // Safety padding if feature array is longer than expected
-          }
-          const featureRange = max[i] - min[i]
-          return featureRange === 0 ? 0 : (value - min[i]) / featureRange
-        })
+      // Detectors, TensorFlow.js network or legacy statistics - whatever the model was trained as
+      const attemptScore = await scoreKeystrokeAttempt(username, keystrokeFeatures, featureLayout, savedModelData)
 
-        // Load the trained autoencoder model
-        const trainedAutoencoder = SimpleAutoencoder.deserialize(savedModelData.autoencoder)
-
-        // Get the autoencoder's reconstruction of the input
-        const reconstructedFeatures = trainedAutoencoder.predict(normalizedInputFeatures)
-
-        // Calculate reconstruction error (mean squared error)
-        let reconstructionError = 0
-        for (let i = 0; i < normalizedInputFeatures.length; i++) {
-          const featureDifference = normalizedInputFeatures[i] - reconstructedFeatures[i]
-          reconstructionError += featureDifference * featureDifference
-        }
-        reconstructionError /= normalizedInputFeatures.length
-
-        // Check if reconstruction error is within acceptable threshold
-        const acceptableThreshold = savedModelData.threshold
-        const authenticationSuccessful = reconstructionError <= acceptableThreshold
-
-        // Calculate confidence score for this authentication attempt
-        const maxExpectedError = savedModelData.trainingStats?.maxError || acceptableThreshold * 2
-        const confidenceScore = Math.max(0, Math.min(1, 1 - reconstructionError / (maxExpectedError * 2)))
-
-        // Create deviation map for visualization (limited to first 10 features for heatmap)
-        const featureDeviations = normalizedInputFeatures.slice(0, 10).map((val: number) => Math.min(Math.abs(val), 1))
-
-        console.log(`Autoencoder authentication for ${username}:`, {
-          reconstructionError: reconstructionError.toFixed(6),
-          threshold: acceptableThreshold.toFixed(6),
-          authenticated: authenticationSuccessful,
-          confidence: confidenceScore.toFixed(3),
-        })
+      // The score is one input - recent failures, an unfamiliar network or browser and the hour can
+      // still ask for voice, deny or lock (libs/auth-policy.js)
+      const policyDecision = await evaluateAttemptPolicy(
+        username,
+        { knowledge: true, authenticated: attemptScore.authenticated, matchProbability: attemptScore.matchProbability },
+        request,
+      )
+      const authenticationSuccessful = policyDecision.action === "allow"
+
+      // Log this authentication attempt to our audit trail
+      await appendAccessLog(request, {
+        username,
+        result: authenticationSuccessful ? "Pass" : "Fail",
+        mse: attemptScore.reconstructionError,
+        reason: describePolicyOutcome(policyDecision),
+      })
+      await recordThrottleOutcome(username, request, authenticationSuccessful)
 
-        // Log this authentication attempt to our audit trail
+      // Opt-in template aging - a failed update must never fail the login itself. Adaptive updates
+      // retrain the hand-rolled autoencoder only, so tfjs and statistical models aren't aged
+      if (authenticationSuccessful && savedModelData.modelType === "autoencoder") {
         try {
-          await fetch(`${request.nextUrl.origin}/api/log-auth`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-              timestamp: new Date().toISOString(),
-              username,
-              result: authenticationSuccessful ? "Pass" : "Fail",
-              mse: reconstructionError,
-              ip: request.headers.get("x-forwarded-for") || "localhost",
-              userAgent: request.headers.get("user-agent") || "Unknown",
-            }),
+          const adaptationOutcome = await recordAuthenticatedSample(username, keystrokeFeatures, savedModelData, {
+            confidence: attemptScore.confidence!,
+            reconstructionError: attemptScore.reconstructionError,
           })
-        } catch (logError) {
-          console.error("Failed to log authentication:", logError)
-        }
-
-        return NextResponse.json({
-          success: authenticationSuccessful,
-          authenticated: authenticationSuccessful,
-          mse: reconstructionError,
-          reconstructionError,
-          deviations: featureDeviations,
-          confidence: confidenceScore,
-          reason: authenticationSuccessful
-            ? "Authentication successful"
-            : `Reconstruction error too high: ${reconstructionError.toFixed(6)} > ${acceptableThreshold.toFixed(6)}`,
-          method: "autoencoder",
-        })
-      } else {
-        console.log("Using legacy statistical authentication")
-
-        // Statistical model authentication (fallback method)
-        if (!savedModelData.means || !savedModelData.stds) {
-          throw new Error("Statistical model data is incomplete")
-        }
-
-        // Calculate mean squared error using the same normalization as training
-        let calculatedMSE = 0
-        const keystrokeDeviations = []
-
-        for (let i = 0; i < keystrokeFeatures.length && i < savedModelData.means.length; i++) {
-          const normalizedFeature = (keystrokeFeatures[i] - savedModelData.means[i]) / (savedModelData.stds[i] || 1)
-          const absoluteDeviation = Math.abs(normalizedFeature)
-          keystrokeDeviations.push(Math.min(absoluteDeviation, 1)) // Cap at 1 for visualization
-          calculatedMSE += normalizedFeature * normalizedFeature
-        }
-
-        calculatedMSE = calculatedMSE / keystrokeFeatures.length
-
-        // Use percentile-based threshold for authentication decision
-        const percentileThreshold = savedModelData.mseStats?.percentileThreshold || 0.1
-        const authenticationSuccessful = calculatedMSE <= percentileThreshold
-
-        let failureReason = ""
-        if (!authenticationSuccessful) {
-          const percentileUsed = savedModelData.mseStats?.percentileUsed || AUTH_CONFIG.STATISTICAL_PERCENTILE_THRESHOLD
-          failureReason = `MSE (${calculatedMSE.toFixed(5)}) exceeds ${percentileUsed}th percentile threshold (${percentileThreshold.toFixed(5)})`
+          console.log(`Adaptive update for ${username}:`, adaptationOutcome)
+        } catch (adaptationError) {
+          console.error("Adaptive model update failed:", adaptationError)
         }
+      }
 
-        console.log(`Statistical authentication for ${username}:`, {
-          mse: calculatedMSE.toFixed(6),
-          threshold: percentileThreshold.toFixed(6),
-          authenticated: authenticationSuccessful,
-        })
+      if (policyDecision.action === "lock") {
+        return lockedResponse(attempt, policyDecision)
+      }
 
-        // Log this authentication attempt
-        try {
-          await fetch(`${request.nextUrl.origin}/api/log-auth`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-              timestamp: new Date().toISOString(),
-              username,
-              result: authenticationSuccessful ? "Pass" : "Fail",
-              mse: calculatedMSE,
-              ip: request.headers.get("x-forwarded-for") || "localhost",
-              userAgent: request.headers.get("user-agent") || "Unknown",
-            }),
+      // Something downstream can check - the client's own success flag proves nothing
+      const session = authenticationSuccessful
+        ? await issueSessionToken(username, {
+            modalities: ["passphrase", "keystroke"],
+            scores: {
+              keystroke: {
+                matchProbability: attemptScore.matchProbability,
+                reconstructionError: attemptScore.reconstructionError,
+              },
+            },
+            policy: policyDecision,
           })
-        } catch (logError) {
-          console.error("Failed to log authentication:", logError)
-        }
+        : null
+
+      // Voice finishes this login rather than starting its own - /api/voice/verify wants this token
+      const voiceStepUp =
+        policyDecision.action === "step-up" && policyDecision.stepUp === "voice"
+          ? await openVoiceStepUp(username, {
+              modalities: attemptScore.authenticated ? ["passphrase", "keystroke"] : ["passphrase"],
+              scores: attemptScore.authenticated
+                ? {
+                    keystroke: {
+                      matchProbability: attemptScore.matchProbability,
+                      reconstructionError: attemptScore.reconstructionError,
+                    },
+                  }
+                : {},
+            })
+          : null
 
-        return NextResponse.json({
-          success: authenticationSuccessful,
-          authenticated: authenticationSuccessful,
-          mse: calculatedMSE,
-          reconstructionError: calculatedMSE,
-          deviations: keystrokeDeviations,
-          reason: authenticationSuccessful ? "Authentication successful" : failureReason,
-          method: "statistical",
-          thresholds: {
-            percentileThreshold,
-            percentileUsed: savedModelData.mseStats?.percentileUsed || AUTH_CONFIG.PERCENTILE_THRESHOLD,
-          },
-        })
-      }
+      return NextResponse.json({
+        success: authenticationSuccessful,
+        authenticated: authenticationSuccessful,
+        mse: attemptScore.reconstructionError,
+        reconstructionError: attemptScore.reconstructionError,
+        deviations: attemptScore.deviations,
+        featureContributions: attemptScore.featureContributions,
+        topContributors: authenticationSuccessful ? [] : selectTopContributors(attemptScore.featureContributions),
+        confidence: attemptScore.confidence,
+        matchProbability: attemptScore.matchProbability,
+        // A rhythm that matched but wasn't allowed is explained by the policy, a rejected one by its score
+        reason: attemptScore.authenticated && !authenticationSuccessful ? policyDecision.reason : attemptScore.reason,
+        method: attemptScore.method,
+        detection: attemptScore.detection,
+        policy: policyDecision,
+        stepUp: policyDecision.stepUp,
+        voiceStepUp,
+        session: session && { token: session.token, expiresAt: session.expiresAt },
+        failedFactor: authenticationSuccessful ? null : attemptScore.authenticated ? "policy" : "biometric",
+        factors: { knowledge: true, biometric: attemptScore.authenticated },
+        thresholds: attemptScore.thresholds,
+      })
     } catch (error) {
-      console.error("Authentication error:", error)
+      // No outcome to count - the attempt broke on the server's side, so its reservation goes back
+      await releaseThrottleReservation(username, request)
+      if (!(error instanceof ModelFormatError)) {
+        throw error
+      }
+
+      // The model exists but can't be trusted - retraining is the only way forward
+      console.error(`Model for ${username} is unusable (${error.code}):`, error.issues.length ? error.issues : error.message)
       return NextResponse.json({
         success: false,
         authenticated: false,
         mse: 0,
         reconstructionError: 0,
         deviations: [],
-        reason: `No model found for user ${username}. Please register first.`,
+        reason: `The stored model for ${username} is corrupt or unsupported and needs retraining. ${error.message}`,
+        errorCode: error.code,
+        needsRetraining: true,
+        issues: error.issues,
       })
     }
   } catch (error) {
@@ -1,15 +1,17 @@
-import { NextResponse, type NextRequest } from "next/server"
+import { NextResponse } from "next/server"
 import { AUTH_CONFIG } from "@/config/auth-config"
+import { withAdminAuth } from "@/lib/admin-auth"
 
-export async function GET() {
+// Thresholds and settings - owners only
+export const GET = withAdminAuth("owner", async () => {
   return NextResponse.json({
     currentPercentile: AUTH_CONFIG.PERCENTILE_THRESHOLD,
     availablePercentiles: AUTH_CONFIG.PERCENTILE_OPTIONS,
     config: AUTH_CONFIG,
   })
-}
+})
 
-export async function POST(request: NextRequest) {
+export const POST = withAdminAuth("owner", async (request) => {
   try {
     const { percentile } = await request.json()
 
@@ -27,4 +29,4 @@ export async function POST(request: NextRequest) {
   } catch (error) {
     return NextResponse.json({ error: "Failed to update configuration" }, { status: 500 })
   }
-}
+})
@@ -1,22 +1,18 @@
-import { type NextRequest, NextResponse } from "next/server"
+import { NextResponse } from "next/server"
 import fs from "fs/promises"
 import path from "path"
 import { AUTH_CONFIG } from "@/config/auth-config"
+import { withAdminAuth } from "@/lib/admin-auth"
 
-export async function POST(request: NextRequest) {
+export const POST = withAdminAuth("operator", async (request, admin) => {
   try {
-    const { username, adminPassword } = await request.json()
-
-    // Verify admin password
-    if (adminPassword !== "admin123") {
-      return NextResponse.json({ error: "Invalid admin credentials" }, { status: 403 })
-    }
+    const { username } = await request.json()
 
     if (!username) {
       return NextResponse.json({ error: "Username is required" }, { status: 400 })
     }
 
-    console.log(`🗑️ Starting complete data deletion for user: ${username}`)
+    console.log(`🗑️ ${admin.username} started complete data deletion for user: ${username}`)
 
     const deletionResults = {
       keystrokeModels: false,
@@ -144,4 +140,4 @@ export async function POST(request: NextRequest) {
       { status: 500 },
     )
   }
-}
+})
@@ -0,0 +1,144 @@
+import { NextResponse } from "next/server"
+import { BenchmarkImportError, importBenchmarkDataset } from "@/lib/benchmark-import"
+import { describeSelectionProblem, getGlobalDetectorSelection, type DetectorSelection } from "@/lib/keystroke-detectors"
+import { evaluateKeystrokePipeline, evaluationReportToCsv, type EvaluationReport } from "@/lib/keystroke-evaluation"
+import { KEYSTROKE_BACKENDS, type KeystrokeBackend } from "@/lib/keystroke-training"
+import { withAdminAuth } from "@/lib/admin-auth"
+
+// Offline FAR/FRR/EER evaluation over the stored enrollment samples
+// GET /api/evaluation?users=a,b&seed=1&maxSamples=20&backend=autoencoder|tfjs&detectors=manhattan,mahalanobis&fusion=mean&format=json|csv&table=users|curve
+// This retrains a model per held-out sample, so expect it to take a while with many users
+export const GET = withAdminAuth("operator", async (request) => {
+  try {
+    const searchParams = request.nextUrl.searchParams
+    const usernames = (searchParams.get("users") || "")
+      .split(",")
+      .map((username) => username.trim())
+      .filter(Boolean)
+    const seed = searchParams.has("seed") ? Number(searchParams.get("seed")) : undefined
+    const maxSamplesPerUser = searchParams.has("maxSamples") ? Number(searchParams.get("maxSamples")) : undefined
+    const detectors = searchParams.get("detectors")?.split(",").map((detector) => detector.trim())
+    const fusion = searchParams.get("fusion") ?? undefined
+    const backend = searchParams.get("backend") ?? undefined
+
+    if ((seed !== undefined && !Number.isInteger(seed)) || (maxSamplesPerUser !== undefined && !(maxSamplesPerUser > 0))) {
+      return NextResponse.json({ error: "seed and maxSamples must be positive integers" }, { status: 400 })
+    }
+
+    const target = parseEvaluationTarget(backend, detectors, fusion)
+    if ("error" in target) {
+      return NextResponse.json({ error: target.error }, { status: 400 })
+    }
+
+    const report = await evaluateKeystrokePipeline({ usernames, seed, maxSamplesPerUser, ...target })
+
+    if (report.users < 2) {
+      return NextResponse.json(
+        { error: "Need at least two users with enough samples for impostor attempts", skippedUsers: report.skippedUsers },
+        { status: 400 },
+      )
+    }
+
+    console.log(
+      `Keystroke evaluation (${describeEvaluatedModel(report)}): ${report.users} users, EER ${(report.eer.rate * 100).toFixed(2)}% at ${report.eer.threshold.toFixed(6)}`,
+    )
+
+    if (searchParams.get("format") === "csv") {
+      const table = searchParams.get("table") === "curve" ? "curve" : "users"
+      return new NextResponse(evaluationReportToCsv(report, table), {
+        headers: {
+          "Content-Type": "text/csv",
+          "Content-Disposition": `attachment; filename="keystroke_evaluation_${table}_${new Date().toISOString().split("T")[0]}.csv"`,
+        },
+      })
+    }
+
+    return NextResponse.json(report)
+  } catch (error) {
+    console.error("Keystroke evaluation failed:", error)
+    return NextResponse.json({ error: "Evaluation failed" }, { status: 500 })
+  }
+})
+
+// Import a public benchmark CSV as synthetic users, then evaluate straight over them - operators only
+// POST { csv, dataset?: "cmu" | "events", userPrefix?, samplesPerUser?, maxUsers?, seed?, backend?, detectors?, fusion? }
+export const POST = withAdminAuth("operator", async (request) => {
+  try {
+    const { csv, dataset, userPrefix, samplesPerUser, maxUsers, seed, backend, detectors, fusion } = await request.json()
+
+    if (typeof csv !== "string" || csv.trim().length === 0) {
+      return NextResponse.json({ error: "CSV content is required" }, { status: 400 })
+    }
+
+    if (dataset !== undefined && dataset !== "cmu" && dataset !== "events") {
+      return NextResponse.json({ error: "Dataset must be cmu or events" }, { status: 400 })
+    }
+
+    const target = parseEvaluationTarget(backend, detectors, fusion)
+    if ("error" in target) {
+      return NextResponse.json({ error: target.error }, { status: 400 })
+    }
+
+    const importResult = await importBenchmarkDataset(csv, { dataset, userPrefix, samplesPerUser, maxUsers })
+    const report = await evaluateKeystrokePipeline({
+      usernames: importResult.usernames,
+      seed,
+      ...target,
+    })
+
+    if (report.users < 2) {
+      return NextResponse.json(
+        {
+          error: "Need at least two users with enough samples for impostor attempts",
+          imported: importResult,
+          skippedUsers: report.skippedUsers,
+        },
+        { status: 400 },
+      )
+    }
+
+    console.log(
+      `Benchmark evaluation (${importResult.dataset}, ${describeEvaluatedModel(report)}): ${report.users} users, EER ${(report.eer.rate * 100).toFixed(2)}%`,
+    )
+
+    return NextResponse.json({ imported: importResult, report })
+  } catch (error) {
+    if (error instanceof BenchmarkImportError) {
+      return NextResponse.json({ error: error.message }, { status: 400 })
+    }
+    console.error("Benchmark evaluation failed:", error)
+    return NextResponse.json({ error: "Evaluation failed" }, { status: 500 })
+  }
+})
+
+// Backend and detectors to evaluate - left out means the autoencoder with the global selection
+function parseEvaluationTarget(
+  backend: unknown,
+  detectors: unknown,
+  fusion: unknown,
+): { backend: KeystrokeBackend | undefined; detection: DetectorSelection | undefined } | { error: string } {
+  if (backend !== undefined && !KEYSTROKE_BACKENDS.includes(backend as KeystrokeBackend)) {
+    return { error: `Unknown backend: ${backend} (expected ${KEYSTROKE_BACKENDS.join(", ")})` }
+  }
+  if (backend === "tfjs" && (detectors !== undefined || fusion !== undefined)) {
+    return { error: "Detector selection only applies to the autoencoder backend" }
+  }
+
+  if (detectors === undefined) {
+    return fusion === undefined
+      ? { backend: backend as KeystrokeBackend | undefined, detection: undefined }
+      : { error: "fusion needs detectors" }
+  }
+  const selectionProblem = describeSelectionProblem(detectors, fusion)
+  if (selectionProblem) {
+    return { error: selectionProblem }
+  }
+  return {
+    backend: backend as KeystrokeBackend | undefined,
+    detection: { detectors, fusion: fusion ?? getGlobalDetectorSelection().fusion } as DetectorSelection,
+  }
+}
+
+function describeEvaluatedModel(report: EvaluationReport): string {
+  return report.detection ? report.detection.detectors.join(" + ") : report.backend
+}
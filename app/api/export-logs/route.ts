@@ -1,8 +1,9 @@
 import { NextResponse } from "next/server"
 import fs from "fs/promises"
 import path from "path"
+import { withAdminAuth } from "@/lib/admin-auth"
 
-export async function GET() {
+export const GET = withAdminAuth("auditor", async () => {
   try {
     const logFile = path.join(process.cwd(), "logs", "access_log.csv")
 
@@ -42,4 +43,4 @@ export async function GET() {
     console.error("Failed to export logs:", error)
     return NextResponse.json({ error: "Failed to export logs" }, { status: 500 })
   }
-}
+})
@@ -1,8 +1,9 @@
 import { NextResponse } from "next/server"
 import fs from "fs/promises"
 import path from "path"
+import { withAdminAuth } from "@/lib/admin-auth"
 
-export async function GET() {
+export const GET = withAdminAuth("auditor", async () => {
   try {
     const logFile = path.join(process.cwd(), "logs", "access_log.csv")
 
@@ -44,7 +45,7 @@ export async function GET() {
           return {
             timestamp: values[0] || new Date().toISOString(),
             username: values[1] || "unknown",
-            result: (values[2] as "Pass" | "Fail") || "Fail",
+            result: (values[2] as "Pass" | "Fail" | "Lock" | "Unlock") || "Fail",
             mse: values[3] ? Number.parseFloat(values[3]) : null,
             ip: values[4] || "unknown",
             userAgent: values[5]?.replace(/"/g, "") || "unknown",
@@ -53,17 +54,19 @@ export async function GET() {
         })
 
       // Generate report statistics
-      const totalAttempts = logs.length
+      // Lock and Unlock rows record rate limit lockouts and admin unlocks - they aren't attempts
+      const attempts = logs.filter((log) => log.result === "Pass" || log.result === "Fail")
+      const totalAttempts = attempts.length
       const successfulAttempts = logs.filter((log) => log.result === "Pass").length
       const failedAttempts = logs.filter((log) => log.result === "Fail").length
-      const uniqueUsers = new Set(logs.map((log) => log.username)).size
+      const uniqueUsers = new Set(attempts.map((log) => log.username)).size
       const validMSEs = logs.filter((log) => log.mse != null).map((log) => log.mse!)
       const avgMSE = validMSEs.length > 0 ? validMSEs.reduce((sum, mse) => sum + mse, 0) / validMSEs.length : 0
       const successRate = totalAttempts > 0 ? (successfulAttempts / totalAttempts) * 100 : 0
 
       // Hourly statistics
       const hourlyStats = Array.from({ length: 24 }, (_, hour) => {
-        const hourAttempts = logs.filter((log) => new Date(log.timestamp).getHours() === hour)
+        const hourAttempts = attempts.filter((log) => new Date(log.timestamp).getHours() === hour)
         return {
           hour,
           attempts: hourAttempts.length,
@@ -79,6 +82,7 @@ export async function GET() {
         uniqueUsers,
         avgMSE,
         successRate,
+        lockouts: logs.filter((log) => log.result === "Lock").length,
         recentActivity: logs.slice(0, 10).reverse(),
         hourlyStats,
         generatedAt: new Date().toISOString(),
@@ -94,6 +98,7 @@ export async function GET() {
         uniqueUsers: 0,
         avgMSE: 0,
         successRate: 0,
+        lockouts: 0,
         recentActivity: [],
         hourlyStats: Array.from({ length: 24 }, (_, i) => ({ hour: i, attempts: 0 })),
       })
@@ -102,4 +107,4 @@ export async function GET() {
     console.error("Failed to generate report:", error)
     return NextResponse.json({ error: "Failed to generate report" }, { status: 500 })
   }
-}
+})
@@ -2,8 +2,9 @@ import { NextResponse } from "next/server"
 import fs from "fs/promises"
 import path from "path"
 import { AUTH_CONFIG } from "@/config/auth-config"
+import { withAdminAuth } from "@/lib/admin-auth"
 
-export async function GET() {
+export const GET = withAdminAuth("operator", async () => {
   try {
     const users = new Set<string>()
 
@@ -45,7 +46,8 @@ export async function GET() {
         const line = lines[i].trim()
         if (line) {
           const columns = line.split(",")
-          if (columns[1]) {
+          // Admin logins share the log as admin:<name> - they aren't users
+          if (columns[1] && !columns[1].startsWith("admin:")) {
             users.add(columns[1])
           }
         }
@@ -64,4 +66,4 @@ export async function GET() {
     console.error("Failed to list users:", error)
     return NextResponse.json({ error: "Failed to list users" }, { status: 500 })
   }
-}
+})
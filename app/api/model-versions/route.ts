@@ -0,0 +1,76 @@
+import { NextResponse } from "next/server"
+import { activateModelVersion, diffModelVersions, listModelVersions, unpinModelVersion } from "@/lib/model-history"
+import { withAdminAuth } from "@/lib/admin-auth"
+
+// List a user's model versions, or compare two of them
+// GET /api/model-versions?username=<user>[&from=<n>&to=<n>]
+export const GET = withAdminAuth("operator", async (request) => {
+  try {
+    const searchParams = request.nextUrl.searchParams
+    const username = searchParams.get("username")
+
+    if (!username) {
+      return NextResponse.json({ error: "Username is required" }, { status: 400 })
+    }
+
+    if (searchParams.has("from") || searchParams.has("to")) {
+      const fromVersion = Number(searchParams.get("from"))
+      const toVersion = Number(searchParams.get("to"))
+
+      if (!Number.isInteger(fromVersion) || !Number.isInteger(toVersion)) {
+        return NextResponse.json({ error: "Both from and to must be version numbers" }, { status: 400 })
+      }
+
+      const versionDiff = await diffModelVersions(username, fromVersion, toVersion)
+      if (!versionDiff) {
+        return NextResponse.json({ error: "Model version not found" }, { status: 404 })
+      }
+
+      return NextResponse.json({ username, ...versionDiff })
+    }
+
+    return NextResponse.json({ username, ...(await listModelVersions(username)) })
+  } catch (error) {
+    console.error("Failed to list model versions:", error)
+    return NextResponse.json({ error: "Failed to list model versions" }, { status: 500 })
+  }
+})
+
+// Roll back / forward (activate), pin or unpin a version - operators only
+export const POST = withAdminAuth("operator", async (request) => {
+  try {
+    const { username, action, version } = await request.json()
+
+    if (!username) {
+      return NextResponse.json({ error: "Username is required" }, { status: 400 })
+    }
+
+    if (action === "unpin") {
+      await unpinModelVersion(username)
+      return NextResponse.json({ success: true, message: `Unpinned model for ${username}` })
+    }
+
+    if (action !== "activate" && action !== "pin") {
+      return NextResponse.json({ error: "Action must be activate, pin or unpin" }, { status: 400 })
+    }
+
+    if (!Number.isInteger(version)) {
+      return NextResponse.json({ error: "Version number is required" }, { status: 400 })
+    }
+
+    const activatedModel = await activateModelVersion(username, version, { pin: action === "pin" })
+    if (!activatedModel) {
+      return NextResponse.json({ error: `Model version ${version} not found for ${username}` }, { status: 404 })
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: `Model v${version} is now active for ${username}${action === "pin" ? " (pinned)" : ""}`,
+      activeVersion: version,
+      pinnedVersion: action === "pin" ? version : null,
+    })
+  } catch (error) {
+    console.error("Failed to update model version:", error)
+    return NextResponse.json({ error: "Failed to update model version" }, { status: 500 })
+  }
+})
@@ -0,0 +1,72 @@
+import { type NextRequest, NextResponse } from "next/server"
+import {
+  buildRedirectUrl,
+  createAuthorizationCode,
+  OidcError,
+  validateAuthorizationRequest,
+} from "@/lib/oidc-provider"
+import { SessionTokenError, verifySessionToken } from "@/lib/session-tokens"
+
+// Check an authorization request before the /authorize page asks the user to log in
+// An error the relying party should hear about comes back as a redirectTo instead
+export async function GET(request: NextRequest) {
+  const parameters = request.nextUrl.searchParams
+  try {
+    const { client, authorizationRequest } = await validateAuthorizationRequest(parameters)
+    return NextResponse.json({
+      client: { clientId: client.clientId, name: client.name },
+      scope: authorizationRequest.scope,
+    })
+  } catch (error) {
+    return authorizationErrorResponse(error, parameters)
+  }
+}
+
+// Finish an authorization request - { ...the request's parameters, sessionToken } after a login on
+// /authorize, or { ...parameters, denied: true } when the user cancels. Answers with where to go next
+export async function POST(request: NextRequest) {
+  let parameters = new URLSearchParams()
+  try {
+    const { sessionToken, denied, ...fields } = await request.json()
+    parameters = new URLSearchParams(
+      Object.entries(fields).filter((entry): entry is [string, string] => typeof entry[1] === "string"),
+    )
+    const { client, authorizationRequest } = await validateAuthorizationRequest(parameters)
+
+    if (denied) {
+      return NextResponse.json({
+        redirectTo: buildRedirectUrl(authorizationRequest, {
+          error: "access_denied",
+          error_description: "The user cancelled the sign-in",
+        }),
+      })
+    }
+
+    const session = await verifySessionToken(sessionToken)
+    const code = await createAuthorizationCode(authorizationRequest, session)
+    console.log(`OIDC code issued to ${client.name} for ${session.sub} (${session.modalities.join(" + ")})`)
+    return NextResponse.json({ redirectTo: buildRedirectUrl(authorizationRequest, { code }) })
+  } catch (error) {
+    if (error instanceof SessionTokenError) {
+      return NextResponse.json({ error: "login_required", error_description: error.message }, { status: 401 })
+    }
+    return authorizationErrorResponse(error, parameters)
+  }
+}
+
+function authorizationErrorResponse(error: unknown, parameters: URLSearchParams) {
+  if (error instanceof OidcError) {
+    if (error.redirectable) {
+      return NextResponse.json({
+        redirectTo: buildRedirectUrl(
+          { redirectUri: parameters.get("redirect_uri")!, state: parameters.get("state") },
+          { error: error.error, error_description: error.message },
+        ),
+      })
+    }
+    return NextResponse.json({ error: error.error, error_description: error.message }, { status: error.status })
+  }
+
+  console.error("OIDC authorization failed:", error)
+  return NextResponse.json({ error: "server_error", error_description: "Authorization failed" }, { status: 500 })
+}
@@ -0,0 +1,45 @@
+import { NextResponse } from "next/server"
+import { deleteOidcClient, listOidcClients, OidcError, registerOidcClient } from "@/lib/oidc-provider"
+import { withAdminAuth } from "@/lib/admin-auth"
+
+// Registered relying parties - GET /api/oidc/clients (no secrets). Clients are owner business
+export const GET = withAdminAuth("owner", async () => {
+  try {
+    return NextResponse.json({ clients: await listOidcClients() })
+  } catch (error) {
+    console.error("Failed to list OIDC clients:", error)
+    return NextResponse.json({ error: "Failed to list OIDC clients" }, { status: 500 })
+  }
+})
+
+// Register a relying party. The client secret is in this response and nowhere else
+export const POST = withAdminAuth("owner", async (request) => {
+  try {
+    const { name, redirectUris } = await request.json()
+
+    const { client, clientSecret } = await registerOidcClient(name, redirectUris)
+    return NextResponse.json({ success: true, client, clientSecret })
+  } catch (error) {
+    if (error instanceof OidcError) {
+      return NextResponse.json({ success: false, error: error.message }, { status: error.status })
+    }
+
+    console.error("OIDC client registration failed:", error)
+    return NextResponse.json({ error: "Failed to register the client" }, { status: 500 })
+  }
+})
+
+// Remove a relying party. Codes it hasn't swapped yet stop working with it
+export const DELETE = withAdminAuth("owner", async (request) => {
+  try {
+    const { clientId } = await request.json()
+
+    if (!(await deleteOidcClient(clientId))) {
+      return NextResponse.json({ success: false, error: `No client ${clientId}` }, { status: 404 })
+    }
+    return NextResponse.json({ success: true, message: `Removed client ${clientId}` })
+  } catch (error) {
+    console.error("OIDC client removal failed:", error)
+    return NextResponse.json({ error: "Failed to remove the client" }, { status: 500 })
+  }
+})
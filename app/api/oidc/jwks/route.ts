@@ -0,0 +1,12 @@
+import { NextResponse } from "next/server"
+import { getJwks } from "@/lib/oidc-provider"
+
+// The public key relying parties check ID token signatures with
+export async function GET() {
+  try {
+    return NextResponse.json(await getJwks())
+  } catch (error) {
+    console.error("Failed to load the OIDC signing key:", error)
+    return NextResponse.json({ error: "Failed to load the signing key" }, { status: 500 })
+  }
+}
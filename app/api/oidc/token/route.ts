@@ -0,0 +1,65 @@
+import { type NextRequest, NextResponse } from "next/server"
+import {
+  authenticateOidcClient,
+  getOidcIssuer,
+  OidcError,
+  redeemAuthorizationCode,
+  signAccessToken,
+  signIdToken,
+} from "@/lib/oidc-provider"
+import { AUTH_CONFIG } from "@/config/auth-config"
+
+// Tokens must never be cached on the way back (RFC 6749 5.1)
+const NO_STORE_HEADERS = { "Cache-Control": "no-store", Pragma: "no-cache" }
+
+// Swap an authorization code for an ID token and an access token - POST /api/oidc/token,
+// form-encoded as OAuth expects (JSON is accepted too)
+export async function POST(request: NextRequest) {
+  try {
+    const body = await request.text()
+    const parameters = request.headers.get("content-type")?.includes("application/json")
+      ? new URLSearchParams(JSON.parse(body || "{}"))
+      : new URLSearchParams(body)
+
+    const client = await authenticateOidcClient(request, parameters)
+    if (parameters.get("grant_type") !== "authorization_code") {
+      throw new OidcError("unsupported_grant_type", "Only grant_type=authorization_code is supported")
+    }
+
+    const grant = await redeemAuthorizationCode(parameters.get("code"), {
+      clientId: client.clientId,
+      redirectUri: parameters.get("redirect_uri"),
+      codeVerifier: parameters.get("code_verifier"),
+    })
+
+    // The access token is for this client and userinfo only - not a session token for the rest of the API
+    const issuer = getOidcIssuer(request)
+    const accessToken = await signAccessToken(issuer, grant)
+    const idToken = await signIdToken(issuer, grant)
+    console.log(`OIDC tokens issued to ${client.name} for ${grant.username}`)
+
+    return NextResponse.json(
+      {
+        access_token: accessToken,
+        token_type: "Bearer",
+        expires_in: AUTH_CONFIG.OIDC_ACCESS_TOKEN_TTL_SECONDS,
+        id_token: idToken,
+        scope: grant.scope.join(" "),
+      },
+      { headers: NO_STORE_HEADERS },
+    )
+  } catch (error) {
+    if (error instanceof OidcError) {
+      return NextResponse.json(
+        { error: error.error, error_description: error.message },
+        {
+          status: error.status,
+          headers: error.error === "invalid_client" ? { ...NO_STORE_HEADERS, "WWW-Authenticate": "Basic" } : NO_STORE_HEADERS,
+        },
+      )
+    }
+
+    console.error("OIDC token request failed:", error)
+    return NextResponse.json({ error: "server_error", error_description: "Token request failed" }, { status: 500 })
+  }
+}
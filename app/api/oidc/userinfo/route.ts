@@ -0,0 +1,35 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { getOidcIssuer, OidcError, verifyAccessToken } from "@/lib/oidc-provider"
+
+// Who an access token belongs to - GET or POST /api/oidc/userinfo with "Authorization: Bearer <token>"
+async function handleUserInfo(request: NextRequest) {
+  const authorization = request.headers.get("authorization")
+  if (!authorization?.toLowerCase().startsWith("bearer ")) {
+    return NextResponse.json(
+      { error: "invalid_request", error_description: "A Bearer access token is required" },
+      { status: 401, headers: { "WWW-Authenticate": "Bearer" } },
+    )
+  }
+
+  try {
+    const claims = await verifyAccessToken(getOidcIssuer(request), authorization.slice("bearer ".length).trim())
+    return NextResponse.json({
+      sub: claims.sub,
+      ...(claims.scope.split(" ").includes("profile") ? { preferred_username: claims.sub } : {}),
+      amr: claims.amr,
+    })
+  } catch (error) {
+    if (error instanceof OidcError) {
+      return NextResponse.json(
+        { error: "invalid_token", error_description: error.message },
+        { status: 401, headers: { "WWW-Authenticate": 'Bearer error="invalid_token"' } },
+      )
+    }
+
+    console.error("OIDC userinfo failed:", error)
+    return NextResponse.json({ error: "server_error", error_description: "Userinfo failed" }, { status: 500 })
+  }
+}
+
+export const GET = handleUserInfo
+export const POST = handleUserInfo
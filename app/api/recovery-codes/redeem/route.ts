@@ -0,0 +1,62 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { openReenrollmentSession, redeemRecoveryCode } from "@/lib/recovery-codes"
+import { appendAccessLog } from "@/lib/auth-history"
+import { checkAuthThrottle, recordThrottleOutcome, releaseThrottleReservation } from "@/lib/auth-throttle"
+
+// Spend a recovery code - { username, code }. A good code opens a re-enrollment session for /api/train-model
+export async function POST(request: NextRequest) {
+  let reservedFor: string | null = null
+  try {
+    const { username, code } = await request.json()
+    if (!username || typeof code !== "string" || !code.trim()) {
+      return NextResponse.json({ error: "Username and recovery code are required" }, { status: 400 })
+    }
+
+    // Guessing codes counts against the same limits as guessing passphrases
+    const throttleBlock = await checkAuthThrottle(username, request)
+    if (throttleBlock) {
+      console.log(`Throttled recovery code for ${username} (${throttleBlock.scope}):`, throttleBlock.reason)
+      return NextResponse.json(
+        {
+          success: false,
+          message: throttleBlock.reason,
+          errorCode: throttleBlock.locked ? "LOCKED" : "THROTTLED",
+          retryAfterSeconds: throttleBlock.retryAfterSeconds,
+        },
+        { status: 429, headers: { "Retry-After": String(throttleBlock.retryAfterSeconds) } },
+      )
+    }
+    reservedFor = username
+
+    const { redeemed, remaining } = await redeemRecoveryCode(username, code)
+    console.log(`Recovery code for ${username}: ${redeemed ? "redeemed" : "rejected"} - ${remaining} left`)
+
+    // A redeemed code ends the failure streak like an unlock - the user is about to re-enroll and log in again
+    await appendAccessLog(request, {
+      username,
+      result: redeemed ? "Pass" : "Fail",
+      reason: redeemed ? "Recovery code redeemed - re-enrollment opened" : "Recovery code rejected",
+    })
+    await recordThrottleOutcome(username, request, redeemed)
+
+    if (!redeemed) {
+      return NextResponse.json(
+        { success: false, message: "Recovery code is not valid or was already used", errorCode: "INVALID_CODE" },
+        { status: 401 },
+      )
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: `Re-enrollment open for ${username} - type the enrollment samples again`,
+      reenrollment: await openReenrollmentSession(username),
+      remainingCodes: remaining,
+    })
+  } catch (error) {
+    if (reservedFor) {
+      await releaseThrottleReservation(reservedFor, request)
+    }
+    console.error("Recovery code redemption failed:", error)
+    return NextResponse.json({ error: "Recovery code redemption failed" }, { status: 500 })
+  }
+}
@@ -0,0 +1,59 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { getRecoveryCodeStatus, issueRecoveryCodes } from "@/lib/recovery-codes"
+import { readSessionToken, requireAccountSession, SessionTokenError, verifySessionToken } from "@/lib/session-tokens"
+
+// A logged-in user's codes - how many are left (GET) or a new set that replaces them (POST).
+// Both take "Authorization: Bearer <token>", so the codes are only ever handed to the user themselves
+async function authenticateRequest(request: NextRequest): Promise<string | NextResponse> {
+  try {
+    const token = await readSessionToken(request)
+    if (!token) {
+      return NextResponse.json({ error: "Log in first - a session token is required" }, { status: 401 })
+    }
+    return (await verifySessionToken(token)).sub
+  } catch (error) {
+    if (error instanceof SessionTokenError) {
+      return NextResponse.json({ error: error.message, errorCode: error.code }, { status: 401 })
+    }
+    throw error
+  }
+}
+
+export async function GET(request: NextRequest) {
+  try {
+    const username = await authenticateRequest(request)
+    if (username instanceof NextResponse) {
+      return username
+    }
+
+    return NextResponse.json({ username, recoveryCodes: await getRecoveryCodeStatus(username) })
+  } catch (error) {
+    console.error("Recovery code status failed:", error)
+    return NextResponse.json({ error: "Failed to read recovery codes" }, { status: 500 })
+  }
+}
+
+// Also the way in for users who enrolled before recovery codes existed. New codes are a way back into the
+// account, so this needs a recent passphrase + second factor login like the other account changes
+export async function POST(request: NextRequest) {
+  try {
+    const { sub: username } = await requireAccountSession(request)
+
+    const recoveryCodes = await issueRecoveryCodes(username)
+    console.log(`Issued ${recoveryCodes.length} new recovery codes for ${username}`)
+    return NextResponse.json({
+      success: true,
+      message: "New recovery codes issued - the previous ones no longer work",
+      recoveryCodes,
+    })
+  } catch (error) {
+    if (error instanceof SessionTokenError) {
+      return NextResponse.json(
+        { error: error.message, errorCode: error.code },
+        { status: error.code === "TOKEN_INSUFFICIENT" ? 403 : 401 },
+      )
+    }
+    console.error("Recovery code generation failed:", error)
+    return NextResponse.json({ error: "Failed to generate recovery codes" }, { status: 500 })
+  }
+}
@@ -0,0 +1,30 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { readSessionToken, SessionTokenError, verifySessionToken } from "@/lib/session-tokens"
+
+// Is this session token still good? - POST /api/session/introspect with "Authorization: Bearer <token>"
+// or { token }. Answers like OAuth token introspection (RFC 7662): active, and the claims when it is
+export async function POST(request: NextRequest) {
+  try {
+    const token = await readSessionToken(request)
+    if (!token) {
+      return NextResponse.json({ error: "A session token is required" }, { status: 400 })
+    }
+
+    const claims = await verifySessionToken(token)
+    return NextResponse.json({
+      active: true,
+      username: claims.sub,
+      expiresAt: new Date(claims.exp * 1000).toISOString(),
+      ...claims,
+    })
+  } catch (error) {
+    if (error instanceof SessionTokenError) {
+      // Why a token is inactive is for the server log - the caller only needs to know it is
+      console.log(`Inactive session token (${error.code}): ${error.message}`)
+      return NextResponse.json({ active: false })
+    }
+
+    console.error("Session introspection failed:", error)
+    return NextResponse.json({ error: "Session introspection failed" }, { status: 500 })
+  }
+}
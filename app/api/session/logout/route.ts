@@ -0,0 +1,23 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { readSessionToken, revokeSessionToken, SessionTokenError } from "@/lib/session-tokens"
+
+// Log a session out - POST /api/session/logout with "Authorization: Bearer <token>" or { token }
+// The token is refused by /api/session/introspect from now on, even though it hasn't expired
+export async function POST(request: NextRequest) {
+  try {
+    const token = await readSessionToken(request)
+    if (!token) {
+      return NextResponse.json({ error: "A session token is required" }, { status: 400 })
+    }
+
+    const claims = await revokeSessionToken(token)
+    return NextResponse.json({ success: true, username: claims.sub })
+  } catch (error) {
+    if (error instanceof SessionTokenError) {
+      return NextResponse.json({ success: false, error: error.message, errorCode: error.code }, { status: 401 })
+    }
+
+    console.error("Logout failed:", error)
+    return NextResponse.json({ error: "Logout failed" }, { status: 500 })
+  }
+}
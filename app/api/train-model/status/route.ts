@@ -0,0 +1,29 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { claimRecoveryCodes } from "@/lib/recovery-codes"
+import { loadTrainingJob } from "@/lib/training-jobs"
+
+// Background training progress for a user's latest enrollment - GET /api/train-model/status?username=<user>
+// Poll until status is "completed" (result has the model version and threshold) or "failed". The client
+// that sent the last sample adds "X-Recovery-Code-Pickup: <recoveryCodePickup>" and gets the new
+// recovery codes with the first completed answer - nobody gets them twice
+export async function GET(request: NextRequest) {
+  const username = request.nextUrl.searchParams.get("username")
+
+  if (!username) {
+    return NextResponse.json({ error: "Username is required" }, { status: 400 })
+  }
+
+  const job = await loadTrainingJob(username)
+  if (!job) {
+    return NextResponse.json({ error: "No training job for this user" }, { status: 404 })
+  }
+
+  const pickupToken = request.headers.get("x-recovery-code-pickup")
+  const recoveryCodes = job.status === "completed" && pickupToken ? await claimRecoveryCodes(username, pickupToken) : null
+
+  return NextResponse.json({
+    ...job,
+    ...(recoveryCodes ? { recoveryCodes } : {}),
+    percent: job.status === "completed" ? 100 : job.progress ? Math.round((job.progress.epoch / job.progress.epochs) * 100) : 0,
+  })
+}
@@ -1,16 +1,36 @@
 import { type NextRequest, NextResponse } from "next/server"
 import fs from "fs/promises"
 import path from "path"
+import { requireAccountSession, SessionTokenError } from "@/lib/session-tokens"
+import { calculateAverageFeatures, calibrateVoiceProfile, type VoiceCalibration } from "@/lib/voice-calibration"
 import type { SessionVoiceProfile } from "@/utils/voice-feature-extractor"
 
+// Registers or replaces the voice profile of the user who is logged in - "Authorization: Bearer <token>"
+// from a recent passphrase + keystroke login. The profile would otherwise be anyone's to overwrite
 export async function POST(request: NextRequest) {
   try {
+    let username: string
+    try {
+      username = (await requireAccountSession(request)).sub
+    } catch (error) {
+      if (error instanceof SessionTokenError) {
+        return NextResponse.json(
+          { error: error.message, errorCode: error.code, success: false },
+          { status: error.code === "TOKEN_INSUFFICIENT" ? 403 : 401 },
+        )
+      }
+      throw error
+    }
+
     const formData = await request.formData()
-    const username = formData.get("username") as string
+    const requestedUsername = formData.get("username") as string
     const featuresJson = formData.get("features") as string
 
-    if (!username) {
-      return NextResponse.json({ error: "Username is required" }, { status: 400 })
+    if (requestedUsername && requestedUsername !== username) {
+      return NextResponse.json(
+        { error: `Logged in as ${username} - log in as ${requestedUsername} to change their voice profile`, success: false },
+        { status: 403 },
+      )
     }
 
     // Parse the extracted features with validation
@@ -77,6 +97,17 @@ export async function POST(request: NextRequest) {
       sampleIndex++
     }
 
+    // Calculate average features across all samples for the reference model
+    const referenceModel = calculateAverageFeatures(extractedFeatures)
+
+    // A profile that can't be calibrated (a single recording) still verifies - just without matchProbability
+    let calibration: VoiceCalibration | null = null
+    try {
+      calibration = await calibrateVoiceProfile(username, extractedFeatures, referenceModel)
+    } catch (error) {
+      console.error(`Voice score calibration failed for ${username}:`, error)
+    }
+
     // Create voice profile metadata with extracted features
     const voiceProfile = {
       username,
@@ -87,15 +118,17 @@ export async function POST(request: NextRequest) {
       modelType: "voice_biometric",
       version: "1.0",
       features: extractedFeatures,
-      // Calculate average features across all samples for the reference model
-      referenceModel: calculateAverageFeatures(extractedFeatures),
+      referenceModel,
+      ...(calibration ? { calibration } : {}),
     }
 
     // Save voice profile
     const profilePath = path.join(voiceDir, "voice_profile.json")
     await fs.writeFile(profilePath, JSON.stringify(voiceProfile, null, 2))
 
-    console.log(`Voice profile created for ${username} with ${samples.length} samples and biometric features`)
+    console.log(`Voice profile created for ${username} with ${samples.length} samples and biometric features`, {
+      calibrationImpostors: calibration?.impostors ?? null,
+    })
 
     return NextResponse.json({
       success: true,
@@ -108,53 +141,3 @@ export async function POST(request: NextRequest) {
     return NextResponse.json({ error: "Voice registration failed" }, { status: 500 })
   }
 }
-
-// Helper function to calculate average features across multiple samples
-function calculateAverageFeatures(features: SessionVoiceProfile[]): SessionVoiceProfile {
-  if (features.length === 0) {
-    throw new Error("No features to average")
-  }
-
-  // Initialize with the structure of the first feature  
-  const result: any = {}
-  const firstFeature = features[0] as any
-
-  // For each property in the first feature
-  for (const key in firstFeature) {
-    if (Array.isArray(firstFeature[key])) {
-      // Handle arrays (like MFCC)
-      const arrayLength = firstFeature[key].length
-      result[key] = new Array(arrayLength).fill(0)
-
-      // Sum all values
-      for (const feature of features) {
-        const featureAny = feature as any
-        for (let i = 0; i < arrayLength; i++) {
-          result[key][i] += featureAny[key][i]
-        }
-      }
-
-      // Calculate average
-      for (let i = 0; i < arrayLength; i++) {
-        result[key][i] /= features.length
-      }
-    } else if (typeof firstFeature[key] === "number") {
-      // Handle numeric values
-      result[key] = 0
-
-      // Sum all values
-      for (const feature of features) {
-        const featureAny = feature as any
-        result[key] += featureAny[key]
-      }
-
-      // Calculate average
-      result[key] /= features.length
-    } else {
-      // Copy other values as is
-      result[key] = firstFeature[key]
-    }
-  }
-
-  return result as SessionVoiceProfile
-}
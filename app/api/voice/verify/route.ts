@@ -3,13 +3,22 @@ import fs from "fs/promises"
 import path from "path"
 import { type SessionVoiceProfile, calculateComprehensiveVoiceMatch } from "@/utils/voice-feature-extractor"
 import { AUTH_CONFIG } from "@/config/auth-config"
+import { estimateVoiceMatchProbability } from "@/lib/voice-calibration"
+import { appendAccessLog, describePolicyOutcome, evaluateAttemptPolicy } from "@/lib/auth-history"
+import { checkAuthThrottle, recordThrottleOutcome, releaseThrottleReservation } from "@/lib/auth-throttle"
+import { issueSessionToken } from "@/lib/session-tokens"
+import { consumeVoiceStepUp } from "@/lib/voice-step-up"
 
+// The voice step-up the policy asked a keystroke attempt for - step_up_token is the voiceStepUp.token
+// /api/authenticate returned. Voice finishes that login, it never starts one
 export async function POST(request: NextRequest) {
+  let reservedFor: string | null = null
   try {
     const formData = await request.formData()
     const username = formData.get("username") as string
     const voiceSample = formData.get("voice_sample") as File
     const featuresJson = formData.get("features") as string
+    const stepUpToken = formData.get("step_up_token")
 
     if (!username || !voiceSample) {
       return NextResponse.json({ error: "Username and voice sample are required" }, { status: 400 })
@@ -22,6 +31,37 @@ export async function POST(request: NextRequest) {
       return NextResponse.json({ error: "Voice features are required" }, { status: 400 })
     }
 
+    // Rate limiting first - replaying recorded clips against a blocked username or IP costs time
+    const throttleBlock = await checkAuthThrottle(username, request)
+    if (throttleBlock) {
+      console.log(`Throttled voice attempt for ${username} (${throttleBlock.scope}):`, throttleBlock.reason)
+      return NextResponse.json(
+        {
+          success: false,
+          message: throttleBlock.reason,
+          errorCode: throttleBlock.locked ? "LOCKED" : "THROTTLED",
+          retryAfterSeconds: throttleBlock.retryAfterSeconds,
+        },
+        { status: 429, headers: { "Retry-After": String(throttleBlock.retryAfterSeconds) } },
+      )
+    }
+    reservedFor = username
+
+    // Spent by this request whatever the voice says - a new keystroke attempt is needed for another try
+    const stepUp = await consumeVoiceStepUp(username, stepUpToken)
+    if (!stepUp) {
+      await appendAccessLog(request, { username, result: "Fail", reason: "Voice step-up without a pending login" })
+      await recordThrottleOutcome(username, request, false)
+      return NextResponse.json(
+        {
+          success: false,
+          errorCode: "STEP_UP_REQUIRED",
+          message: "No login is waiting for a voice sample, or it expired - log in with your passphrase again",
+        },
+        { status: 403 },
+      )
+    }
+
     // Check if voice profile exists
     const voiceDir = path.join(process.cwd(), "voice_models", username)
     const profilePath = path.join(voiceDir, "voice_profile.json")
@@ -29,6 +69,8 @@ export async function POST(request: NextRequest) {
     try {
       await fs.access(profilePath)
     } catch {
+      await appendAccessLog(request, { username, result: "Fail", reason: "Voice step-up without a voice profile" })
+      await recordThrottleOutcome(username, request, false)
       return NextResponse.json(
         {
           success: false,
@@ -55,15 +97,32 @@ export async function POST(request: NextRequest) {
 
     // Use configurable threshold
     const SIMILARITY_THRESHOLD = AUTH_CONFIG.VOICE_MATCH_THRESHOLD
-    const success = similarityResult.overallSimilarity >= SIMILARITY_THRESHOLD
+    const voiceMatched = similarityResult.overallSimilarity >= SIMILARITY_THRESHOLD
+    const matchProbability = estimateVoiceMatchProbability(voiceProfile.calibration, similarityResult.overallSimilarity)
+
+    // Voice is the step-up the policy asks for - a lockout still holds, and the result goes into the history
+    const policyDecision = await evaluateAttemptPolicy(username, { knowledge: true, authenticated: voiceMatched }, request, {
+      stepUpCompleted: true,
+    })
+    const success = policyDecision.action === "allow"
+
+    await appendAccessLog(request, {
+      username,
+      result: success ? "Pass" : "Fail",
+      reason: `Voice step-up - ${describePolicyOutcome(policyDecision)}`,
+    })
+    await recordThrottleOutcome(username, request, success)
 
     // Enhanced logging with robustness metrics
     const verificationLog = {
       timestamp: new Date().toISOString(),
       username,
       success,
+      voiceMatched,
+      policyAction: policyDecision.action,
       similarityScore: similarityResult.overallSimilarity,
       threshold: SIMILARITY_THRESHOLD,
+      matchProbability,
       sampleSize: voiceSample.size,
       verificationFile: path.basename(verificationPath),
       robustnessMetrics: {
@@ -94,17 +153,37 @@ export async function POST(request: NextRequest) {
       }
     }, 5000)
 
+    // The passphrase (and the rhythm, if it matched) from the keystroke attempt, plus voice
+    const session = success
+      ? await issueSessionToken(username, {
+          modalities: [...stepUp.modalities, "voice"],
+          scores: { ...stepUp.scores, voice: { matchProbability, similarityScore: similarityResult.overallSimilarity } },
+          policy: policyDecision,
+        })
+      : null
+
     return NextResponse.json({
       success,
       similarityScore: similarityResult.overallSimilarity,
       threshold: SIMILARITY_THRESHOLD,
-      message: success ? "Voice authentication successful" : "Voice authentication failed",
+      matchProbability,
+      policy: policyDecision,
+      session: session && { token: session.token, expiresAt: session.expiresAt },
+      errorCode: policyDecision.action === "lock" ? "LOCKED" : undefined,
+      message: success
+        ? "Voice authentication successful"
+        : voiceMatched
+          ? policyDecision.reason
+          : "Voice authentication failed",
       robustnessMetrics: verificationLog.robustnessMetrics,
       detailedMetrics: verificationLog.detailedMetrics,
       confidenceLevel:
         similarityResult.confidenceScore > 0.8 ? "high" : similarityResult.confidenceScore > 0.6 ? "medium" : "low",
     })
   } catch (error) {
+    if (reservedFor) {
+      await releaseThrottleReservation(reservedFor, request)
+    }
     console.error("Voice verification failed:", error)
     return NextResponse.json({ error: "Voice verification failed" }, { status: 500 })
   }
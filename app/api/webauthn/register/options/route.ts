@@ -0,0 +1,31 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { createRegistrationOptions, PasskeyError } from "@/lib/webauthn"
+import { requireAccountSession, SessionTokenError } from "@/lib/session-tokens"
+
+// Start adding a passkey - only for the user a session token names, so nobody can add one to
+// someone else's account. POST /api/webauthn/register/options with "Authorization: Bearer <token>"
+// from a recent passphrase + second factor login - a passkey is itself a way back in
+export async function POST(request: NextRequest) {
+  try {
+    const { sub: username } = await requireAccountSession(request)
+
+    return NextResponse.json({ username, options: await createRegistrationOptions(username) })
+  } catch (error) {
+    if (error instanceof SessionTokenError) {
+      return NextResponse.json(
+        { error: error.message, errorCode: error.code },
+        { status: error.code === "TOKEN_INSUFFICIENT" ? 403 : 401 },
+      )
+    }
+    if (error instanceof PasskeyError && error.code === "NOT_CONFIGURED") {
+      console.error("Passkeys are not configured:", error.message)
+      return NextResponse.json(
+        { success: false, error: "Passkeys are not configured on this server", errorCode: error.code },
+        { status: 503 },
+      )
+    }
+
+    console.error("Passkey registration options failed:", error)
+    return NextResponse.json({ error: "Failed to start passkey registration" }, { status: 500 })
+  }
+}
@@ -0,0 +1,45 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { PasskeyError, verifyRegistration } from "@/lib/webauthn"
+import { requireAccountSession, SessionTokenError } from "@/lib/session-tokens"
+
+// Finish adding a passkey - { credential, name } from navigator.credentials.create, with the same
+// "Authorization: Bearer <token>" the options were requested with
+export async function POST(request: NextRequest) {
+  try {
+    // Checked again - the token may have aged out of ACCOUNT_CHANGE_MAX_AUTH_AGE_SECONDS since the options
+    if (!request.headers.get("authorization")?.toLowerCase().startsWith("bearer ")) {
+      return NextResponse.json({ error: "Log in first - a session token is required" }, { status: 401 })
+    }
+    const { sub: username } = await requireAccountSession(request)
+
+    const { credential, name } = await request.json()
+    const passkey = await verifyRegistration(username, credential, name)
+
+    return NextResponse.json({
+      success: true,
+      message: `Passkey ${passkey.name} added for ${username}`,
+      passkey: { credentialId: passkey.credentialId, name: passkey.name, createdAt: passkey.createdAt },
+    })
+  } catch (error) {
+    if (error instanceof SessionTokenError) {
+      return NextResponse.json(
+        { success: false, error: error.message, errorCode: error.code },
+        { status: error.code === "TOKEN_INSUFFICIENT" ? 403 : 401 },
+      )
+    }
+    if (error instanceof PasskeyError && error.code === "NOT_CONFIGURED") {
+      console.error("Passkeys are not configured:", error.message)
+      return NextResponse.json(
+        { success: false, error: "Passkeys are not configured on this server", errorCode: error.code },
+        { status: 503 },
+      )
+    }
+    if (error instanceof PasskeyError) {
+      console.log(`Passkey registration rejected (${error.code}): ${error.message}`)
+      return NextResponse.json({ success: false, error: error.message, errorCode: error.code }, { status: 400 })
+    }
+
+    console.error("Passkey registration failed:", error)
+    return NextResponse.json({ error: "Passkey registration failed" }, { status: 500 })
+  }
+}
@@ -0,0 +1,28 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { createAuthenticationOptions, PasskeyError } from "@/lib/webauthn"
+
+// Start a passkey step-up or recovery - the challenge and the user's credentials for navigator.credentials.get
+export async function POST(request: NextRequest) {
+  try {
+    const { username } = await request.json()
+    if (!username) {
+      return NextResponse.json({ error: "Username is required" }, { status: 400 })
+    }
+
+    return NextResponse.json({ options: await createAuthenticationOptions(username) })
+  } catch (error) {
+    if (error instanceof PasskeyError && error.code === "NOT_CONFIGURED") {
+      console.error("Passkeys are not configured:", error.message)
+      return NextResponse.json(
+        { success: false, error: "Passkeys are not configured on this server", errorCode: error.code },
+        { status: 503 },
+      )
+    }
+    if (error instanceof PasskeyError) {
+      return NextResponse.json({ success: false, error: error.message, errorCode: error.code }, { status: 404 })
+    }
+
+    console.error("Passkey options failed:", error)
+    return NextResponse.json({ error: "Failed to start passkey verification" }, { status: 500 })
+  }
+}
@@ -0,0 +1,85 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { getRelyingParty, PasskeyError, verifyAuthentication } from "@/lib/webauthn"
+import { appendAccessLog, describePolicyOutcome, evaluateAttemptPolicy } from "@/lib/auth-history"
+import { checkAuthThrottle, recordThrottleOutcome, releaseThrottleReservation } from "@/lib/auth-throttle"
+import { issueSessionToken } from "@/lib/session-tokens"
+
+// Finish a passkey step-up or recovery - { username, credential } from navigator.credentials.get
+export async function POST(request: NextRequest) {
+  let reservedFor: string | null = null
+  try {
+    const { username, credential } = await request.json()
+    if (!username || !credential) {
+      return NextResponse.json({ error: "Username and credential are required" }, { status: 400 })
+    }
+
+    // A server without a relying party fails closed before an attempt is reserved
+    getRelyingParty()
+
+    // Rate limiting first, like the voice step-up - a locked username stays locked
+    const throttleBlock = await checkAuthThrottle(username, request)
+    if (throttleBlock) {
+      console.log(`Throttled passkey attempt for ${username} (${throttleBlock.scope}):`, throttleBlock.reason)
+      return NextResponse.json(
+        {
+          success: false,
+          message: throttleBlock.reason,
+          errorCode: throttleBlock.locked ? "LOCKED" : "THROTTLED",
+          retryAfterSeconds: throttleBlock.retryAfterSeconds,
+        },
+        { status: 429, headers: { "Retry-After": String(throttleBlock.retryAfterSeconds) } },
+      )
+    }
+    reservedFor = username
+
+    const { verified, reason } = await verifyAuthentication(username, credential)
+
+    // A passkey is a step-up like voice - the policy still has the last word on a lockout
+    const policyDecision = await evaluateAttemptPolicy(username, { authenticated: verified }, request, {
+      stepUpCompleted: true,
+    })
+    const success = policyDecision.action === "allow"
+    console.log(`Passkey for ${username}: ${reason} - policy ${policyDecision.action}`)
+
+    await appendAccessLog(request, {
+      username,
+      result: success ? "Pass" : "Fail",
+      reason: `Passkey step-up - ${describePolicyOutcome(policyDecision)}`,
+    })
+    await recordThrottleOutcome(username, request, success)
+
+    const session = success
+      ? await issueSessionToken(username, { modalities: ["passkey"], scores: {}, policy: policyDecision })
+      : null
+
+    return NextResponse.json({
+      success,
+      policy: policyDecision,
+      session: session && { token: session.token, expiresAt: session.expiresAt },
+      errorCode: policyDecision.action === "lock" ? "LOCKED" : undefined,
+      message: success ? "Passkey verified" : verified ? policyDecision.reason : reason,
+    })
+  } catch (error) {
+    if (error instanceof PasskeyError && error.code === "NOT_CONFIGURED") {
+      console.error("Passkeys are not configured:", error.message)
+      return NextResponse.json(
+        { success: false, message: "Passkeys are not configured on this server", errorCode: error.code },
+        { status: 503 },
+      )
+    }
+    // A replayed challenge or a malformed assertion is a failed attempt, not a free one
+    if (error instanceof PasskeyError && reservedFor) {
+      await appendAccessLog(request, { username: reservedFor, result: "Fail", reason: `Passkey step-up - ${error.message}` })
+      await recordThrottleOutcome(reservedFor, request, false)
+    }
+    if (error instanceof PasskeyError) {
+      return NextResponse.json({ success: false, message: error.message, errorCode: error.code }, { status: 400 })
+    }
+
+    if (reservedFor) {
+      await releaseThrottleReservation(reservedFor, request)
+    }
+    console.error("Passkey verification failed:", error)
+    return NextResponse.json({ error: "Passkey verification failed" }, { status: 500 })
+  }
+}
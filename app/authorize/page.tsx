@@ -0,0 +1,148 @@
+"use client"
+
+// OIDC sign-in page - other apps send their users here to "Sign in with Ghost Key"
+import { Suspense, useEffect, useState } from "react"
+import { useSearchParams } from "next/navigation"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { KeystrokeCapture } from "@/components/keystroke-capture"
+import { ThemeToggle } from "@/components/theme-toggle"
+import type { SessionToken } from "@/lib/runtime-api"
+import { ExternalLink } from "lucide-react"
+
+interface AuthorizationCheck {
+  client?: { clientId: string; name: string }
+  scope?: string[]
+  redirectTo?: string
+  error?: string
+  error_description?: string
+}
+
+function AuthorizeFlow() {
+  const searchParams = useSearchParams()
+  const [check, setCheck] = useState<AuthorizationCheck | null>(null)
+  const [isRedirecting, setIsRedirecting] = useState(false)
+
+  // Ask the server whether this request is one it will answer before asking anyone to type
+  useEffect(() => {
+    fetch(`/api/oidc/authorize?${searchParams.toString()}`)
+      .then((response) => response.json())
+      .then((result: AuthorizationCheck) => {
+        if (result.redirectTo) {
+          window.location.replace(result.redirectTo)
+        }
+        setCheck(result)
+      })
+      .catch((error) => setCheck({ error: "server_error", error_description: String(error) }))
+  }, [searchParams])
+
+  // The login issued a session token - swap it for a code and send the browser back to the app
+  const finishAuthorization = async (body: { sessionToken: string } | { denied: true }) => {
+    setIsRedirecting(true)
+    try {
+      const response = await fetch("/api/oidc/authorize", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...Object.fromEntries(searchParams.entries()), ...body }),
+      })
+      const result: AuthorizationCheck = await response.json()
+      if (result.redirectTo) {
+        window.location.assign(result.redirectTo)
+        return
+      }
+      setCheck((previous) => ({ ...previous, error: result.error, error_description: result.error_description }))
+    } catch (error) {
+      setCheck((previous) => ({ ...previous, error: "server_error", error_description: String(error) }))
+    }
+    setIsRedirecting(false)
+  }
+
+  if (!check) {
+    return <p className="text-center text-slate-400">Checking sign-in request...</p>
+  }
+
+  // No client to send the user back to - all that's left is to say so
+  if (!check.client) {
+    return (
+      <Alert className="border-red-500/50 bg-red-500/10 text-red-300 dark:text-red-400">
+        <AlertDescription className="whitespace-pre-line font-medium font-mono text-sm">
+          {check.redirectTo
+            ? "↪️ Returning to the application..."
+            : `🚫 INVALID SIGN-IN REQUEST\n${check.error_description || check.error || "Unknown error"}`}
+        </AlertDescription>
+      </Alert>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <Card className="bg-slate-800/50 dark:bg-slate-900/50 border-slate-700/50 dark:border-slate-600/50 shadow-2xl backdrop-blur-sm">
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2 text-slate-100 dark:text-slate-200">
+            <ExternalLink className="w-5 h-5 text-cyan-400" />
+            Sign in to {check.client.name}
+          </CardTitle>
+          <CardDescription className="text-slate-400 dark:text-slate-500">
+            {check.client.name} will learn your username and which biometrics you signed in with
+            {check.scope?.includes("profile") ? " (openid, profile)" : " (openid)"}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="flex justify-end">
+          <Button
+            variant="outline"
+            disabled={isRedirecting}
+            onClick={() => finishAuthorization({ denied: true })}
+            className="border-slate-600 text-slate-300 hover:bg-slate-700/50"
+          >
+            Cancel
+          </Button>
+        </CardContent>
+      </Card>
+
+      {check.error && (
+        <Alert className="border-red-500/50 bg-red-500/10 text-red-300 dark:text-red-400">
+          <AlertDescription className="whitespace-pre-line font-medium font-mono text-sm">
+            {`🚫 SIGN-IN NOT COMPLETED\n${check.error_description || check.error}\n🔁 Authenticate again to continue`}
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {isRedirecting ? (
+        <p className="text-center text-cyan-300">↪️ Returning to {check.client.name}...</p>
+      ) : (
+        <KeystrokeCapture
+          authenticateOnly
+          onAuthenticated={(session: SessionToken) => finishAuthorization({ sessionToken: session.token })}
+        />
+      )}
+    </div>
+  )
+}
+
+export default function AuthorizePage() {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 dark:from-black dark:via-slate-900 dark:to-black transition-all duration-500">
+      <div className="relative border-b border-cyan-500/20 bg-slate-900/90 dark:bg-black/90 backdrop-blur-sm">
+        <div className="container mx-auto max-w-3xl px-4 py-4 flex justify-between items-center">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-gradient-to-br from-cyan-400 to-blue-500 rounded-lg flex items-center justify-center shadow-lg shadow-cyan-500/25">
+              <span className="text-white font-bold text-lg">🔐</span>
+            </div>
+            <h1 className="text-xl font-bold bg-gradient-to-r from-cyan-400 to-blue-400 bg-clip-text text-transparent">
+              Sign in with Ghost Key
+            </h1>
+          </div>
+          <ThemeToggle />
+        </div>
+      </div>
+
+      <div className="relative container mx-auto max-w-3xl px-4 py-8">
+        {/* useSearchParams needs a Suspense boundary to build */}
+        <Suspense fallback={<p className="text-center text-slate-400">Loading...</p>}>
+          <AuthorizeFlow />
+        </Suspense>
+      </div>
+    </div>
+  )
+}
@@ -76,7 +76,7 @@ export default function HomePage() {
             >
               📊 Threat Dashboard
             </TabsTrigger>
-            {/* Admin controls - probably should add some role-based access here eventually */}
+            {/* Admin controls - the panel asks for an admin login and shows what the role allows */}
             <TabsTrigger
               value="admin"
               className="data-[state=active]:bg-purple-500/20 data-[state=active]:text-purple-300 data-[state=active]:border-purple-500/50 transition-all duration-300 font-medium text-slate-300"
@@ -0,0 +1,117 @@
+"use client"
+
+// Admin login form shared by the admin panel and the audit dashboard - sets the session cookie
+import { useState } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Shield } from "lucide-react"
+import type { AdminIdentity } from "@/lib/admin-auth"
+
+interface AdminLoginProps {
+  title: string
+  description: string
+  onLoggedIn: (admin: AdminIdentity) => void
+}
+
+export function AdminLogin({ title, description, onLoggedIn }: AdminLoginProps) {
+  const [username, setUsername] = useState("")
+  const [password, setPassword] = useState("")
+  const [loginError, setLoginError] = useState("")
+  const [isLoggingIn, setIsLoggingIn] = useState(false)
+
+  const logIn = async () => {
+    if (!username || !password) {
+      setLoginError("Enter your admin username and password")
+      return
+    }
+
+    setIsLoggingIn(true)
+    setLoginError("")
+    try {
+      const response = await fetch("/api/admin/session", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username, password }),
+      })
+      const result = await response.json()
+      if (!response.ok) {
+        setLoginError(result.error || "Admin login failed")
+        return
+      }
+      setPassword("")
+      onLoggedIn(result.admin)
+    } catch (error) {
+      setLoginError("Admin login failed: " + error)
+    } finally {
+      setIsLoggingIn(false)
+    }
+  }
+
+  return (
+    <Card className="bg-slate-800/50 dark:bg-slate-900/50 border-slate-700/50 dark:border-slate-600/50 shadow-2xl backdrop-blur-sm">
+      <CardHeader
+        className="border-b border-slate-700/50 dark:border-slate-600/50"
+        style={{
+          background: "linear-gradient(to right, rgba(30, 41, 59, 0.8), rgba(51, 65, 85, 0.8))",
+        }}
+      >
+        <CardTitle className="flex items-center gap-2 text-slate-100 dark:text-slate-200">
+          <Shield className="w-5 h-5 text-purple-400" />
+          <span className="bg-gradient-to-r from-purple-400 to-blue-400 bg-clip-text text-transparent">{title}</span>
+        </CardTitle>
+        <CardDescription className="text-slate-400 dark:text-slate-500">{description}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4 p-6 bg-slate-800/30 dark:bg-slate-900/30">
+        <div className="space-y-2">
+          <Label htmlFor="admin-username" className="text-slate-300 dark:text-slate-400">
+            Admin Username
+          </Label>
+          <Input
+            id="admin-username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            placeholder="Enter admin username"
+            autoComplete="username"
+            className="bg-slate-700/50 dark:bg-slate-800/50 border-slate-600/50 dark:border-slate-700/50 text-slate-200 placeholder:text-slate-500 focus:border-purple-500/50 dark:focus:border-purple-400/50 transition-all duration-300"
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="admin-password" className="text-slate-300 dark:text-slate-400">
+            Password
+          </Label>
+          <Input
+            id="admin-password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && logIn()}
+            placeholder="Enter admin password"
+            autoComplete="current-password"
+            className="bg-slate-700/50 dark:bg-slate-800/50 border-slate-600/50 dark:border-slate-700/50 text-slate-200 placeholder:text-slate-500 focus:border-purple-500/50 dark:focus:border-purple-400/50 transition-all duration-300"
+          />
+          <p className="text-xs text-slate-500">
+            First run? Start the server with GHOST_KEY_ADMIN_PASSWORD set to create the owner account
+          </p>
+        </div>
+
+        {loginError && (
+          <Alert className="border-red-500/50 bg-red-500/10 text-red-300 dark:text-red-400">
+            <AlertDescription>{loginError}</AlertDescription>
+          </Alert>
+        )}
+
+        <Button
+          onClick={logIn}
+          disabled={isLoggingIn}
+          className="w-full bg-gradient-to-r from-purple-600/80 to-purple-700/80 hover:from-purple-500 hover:to-purple-600 border border-purple-500/50 text-white shadow-lg hover:shadow-xl transform hover:scale-[1.02] font-medium backdrop-blur-sm"
+        >
+          <Shield className="w-4 h-4 mr-2" />
+          {isLoggingIn ? "Authenticating..." : "Authenticate Administrator"}
+        </Button>
+      </CardContent>
+    </Card>
+  )
+}
@@ -1,6 +1,6 @@
 "use client"
 
-// Admin panel for system management - probably need better auth than hardcoded password
+// Admin panel for system management - what shows depends on the admin's role (lib/admin-auth.ts)
 import { useState, useEffect } from "react"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
@@ -8,7 +8,29 @@ import { Input } from "@/components/ui/input"
 import { Label } from "@/components/ui/label"
 import { Alert, AlertDescription } from "@/components/ui/alert"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
-import { Shield, Download, Trash2, Terminal, Server, UserX, Users, AlertTriangle } from "lucide-react"
+import { AdminLogin } from "@/components/admin-login"
+import {
+  Shield,
+  Download,
+  Trash2,
+  Terminal,
+  Server,
+  UserX,
+  Users,
+  AlertTriangle,
+  History,
+  Pin,
+  PinOff,
+  RotateCcw,
+  GitCompare,
+  TrendingDown,
+  Lock,
+  Unlock,
+  LogOut,
+  UserCog,
+} from "lucide-react"
+import { CartesianGrid, Legend, Line, LineChart, ReferenceLine, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts"
+import type { AdminAccount, AdminIdentity, AdminRole } from "@/lib/admin-auth"
 
 // User interface for the user list
 interface User {
@@ -18,39 +40,135 @@ interface User {
   lastActivity?: string
 }
 
+// One trained model in a user's history (see /api/model-versions)
+interface ModelVersionSummary {
+  version: number
+  source: "enrollment" | "adaptive" | "legacy"
+  modelType: string
+  createdAt: string | null
+  threshold: number | null
+  samples: number | null
+  augmentedSamples: number | null
+  meanError: number | null
+  maxError: number | null
+  finalLoss: number | null
+  bestEpoch: number | null
+  epochsRun: number | null
+  lossCurve: { training: number[]; validation: number[] } | null
+}
+
+interface ModelHistory {
+  activeVersion: number | null
+  pinnedVersion: number | null
+  versions: ModelVersionSummary[]
+}
+
+interface ModelVersionDiff {
+  changes: { stat: string; from: number | null; to: number | null; delta: number | null }[]
+}
+
+// A username or IP with failures, a backoff or a lockout (see /api/auth-lockouts)
+interface ThrottleListing {
+  scope: "user" | "ip"
+  key: string
+  failures: number
+  lastFailureAt: string | null
+  blockedUntil: string | null
+  lockedUntil: string | null
+  locked: boolean
+  blocked: boolean
+}
+
+const formatStat = (value: number | null) => (value === null ? "—" : Number.isInteger(value) ? value : value.toFixed(6))
+
+// Least to most, like ADMIN_ROLES on the server - an owner can do everything an operator can
+const ADMIN_ROLES: AdminRole[] = ["auditor", "operator", "owner"]
+const hasRole = (admin: AdminIdentity, role: AdminRole) => ADMIN_ROLES.indexOf(admin.role) >= ADMIN_ROLES.indexOf(role)
+
 export function AdminPanel() {
-  // Authentication state for admin access
-  const [adminPassword, setAdminPassword] = useState("")
-  const [isAdminAuthenticated, setIsAdminAuthenticated] = useState(false)
+  // The logged-in admin - null shows the login form
+  const [admin, setAdmin] = useState<AdminIdentity | null>(null)
+  const [isCheckingSession, setIsCheckingSession] = useState(true)
   const [loginError, setLoginError] = useState("")
-  
+
   // User management state
   const [registeredUsers, setRegisteredUsers] = useState<string[]>([])
   const [targetUser, setTargetUser] = useState("")
   const [isDeletingUser, setIsDeletingUser] = useState(false)
   const [deletionResult, setDeletionResult] = useState<any>(null)
 
-  // Fetch user list when admin is authenticated
+  // Model history state
+  const [historyUser, setHistoryUser] = useState("")
+  const [modelHistory, setModelHistory] = useState<ModelHistory | null>(null)
+  const [compareFromVersion, setCompareFromVersion] = useState("")
+  const [compareToVersion, setCompareToVersion] = useState("")
+  const [versionDiff, setVersionDiff] = useState<ModelVersionDiff | null>(null)
+  const [plottedVersion, setPlottedVersion] = useState<number | null>(null)
+  const [historyMessage, setHistoryMessage] = useState("")
+
+  // Lockout state
+  const [throttleEntries, setThrottleEntries] = useState<ThrottleListing[]>([])
+  const [unlockUser, setUnlockUser] = useState("")
+  const [lockoutMessage, setLockoutMessage] = useState("")
+
+  // Admin account state (owners only)
+  const [adminAccounts, setAdminAccounts] = useState<AdminAccount[]>([])
+  const [newAccountUsername, setNewAccountUsername] = useState("")
+  const [newAccountPassword, setNewAccountPassword] = useState("")
+  const [newAccountRole, setNewAccountRole] = useState<AdminRole>("auditor")
+  const [accountMessage, setAccountMessage] = useState("")
+
+  // Pick up a session cookie left from earlier - no login form if it's still good
+  useEffect(() => {
+    const checkSession = async () => {
+      try {
+        const response = await fetch("/api/admin/session")
+        if (response.ok) {
+          setAdmin((await response.json()).admin)
+        }
+      } catch (error) {
+        console.error("Failed to check the admin session:", error)
+      } finally {
+        setIsCheckingSession(false)
+      }
+    }
+    checkSession()
+  }, [])
+
+  // Load whatever the admin's role can see
   useEffect(() => {
-    if (isAdminAuthenticated) {
+    if (!admin) return
+    loadThrottleEntries()
+    if (hasRole(admin, "operator")) {
       loadUserList()
     }
-  }, [isAdminAuthenticated])
-
-  // Simple admin authentication - TODO: implement proper auth system
-  const authenticateAdmin = () => {
-    if (adminPassword === "admin123") {
-      setIsAdminAuthenticated(true)
-      setLoginError("")
-    } else {
-      setLoginError("Invalid admin credentials")
+    if (hasRole(admin, "owner")) {
+      loadAdminAccounts()
     }
+  }, [admin?.username, admin?.role])
+
+  // Every admin route answers 401 once the session has expired or been logged out - back to the login form
+  const fetchAsAdmin = async (input: string, init?: RequestInit) => {
+    const response = await fetch(input, init)
+    if (response.status === 401) {
+      setAdmin(null)
+    }
+    return response
+  }
+
+  const logOut = async () => {
+    try {
+      await fetch("/api/admin/session", { method: "DELETE" })
+    } catch (error) {
+      console.error("Admin logout failed:", error)
+    }
+    setAdmin(null)
   }
 
   // Load the list of registered users from the API
   const loadUserList = async () => {
     try {
-      const response = await fetch("/api/list-users")
+      const response = await fetchAsAdmin("/api/list-users")
       const data = await response.json()
       setRegisteredUsers(data.users || [])
     } catch (error) {
@@ -58,6 +176,87 @@ export function AdminPanel() {
     }
   }
 
+  // Load every stored model version for the selected user
+  const loadModelHistory = async (username: string) => {
+    setHistoryUser(username)
+    setVersionDiff(null)
+    setPlottedVersion(null)
+    setHistoryMessage("")
+
+    try {
+      const response = await fetchAsAdmin(`/api/model-versions?username=${encodeURIComponent(username)}`)
+      const data = await response.json()
+      setModelHistory(data.error ? null : data)
+      if (data.error) {
+        setHistoryMessage(data.error)
+      }
+    } catch (error) {
+      console.error("Failed to fetch model history:", error)
+      setHistoryMessage("Failed to load model history")
+    }
+  }
+
+  // Activate (roll back / forward), pin or unpin a model version
+  const updateModelVersion = async (action: "activate" | "pin" | "unpin", version?: number) => {
+    try {
+      const response = await fetchAsAdmin("/api/model-versions", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username: historyUser, action, version }),
+      })
+      const result = await response.json()
+      setHistoryMessage(result.message || result.error)
+      await loadModelHistory(historyUser)
+    } catch (error) {
+      setHistoryMessage("Failed to update model version: " + error)
+    }
+  }
+
+  // Load the usernames and IPs that are failing, backing off or locked out
+  const loadThrottleEntries = async () => {
+    try {
+      const response = await fetchAsAdmin("/api/auth-lockouts")
+      const data = await response.json()
+      setThrottleEntries(data.entries || [])
+    } catch (error) {
+      console.error("Failed to fetch lockouts:", error)
+    }
+  }
+
+  // Lift a rate limit or lockout - for a user this also ends their policy failure streak
+  const unlockThrottle = async (scope: "user" | "ip", key: string) => {
+    try {
+      const response = await fetchAsAdmin("/api/auth-lockouts", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ scope, key }),
+      })
+      const result = await response.json()
+      setLockoutMessage(result.message || result.error)
+      await loadThrottleEntries()
+    } catch (error) {
+      setLockoutMessage("Failed to unlock: " + error)
+    }
+  }
+
+  // Compare the training stats of two versions
+  const compareModelVersions = async () => {
+    if (!compareFromVersion || !compareToVersion) return
+
+    try {
+      const response = await fetchAsAdmin(
+        `/api/model-versions?username=${encodeURIComponent(historyUser)}&from=${compareFromVersion}&to=${compareToVersion}`,
+      )
+      const data = await response.json()
+      setVersionDiff(data.error ? null : data)
+      if (data.error) {
+        setHistoryMessage(data.error)
+      }
+    } catch (error) {
+      setHistoryMessage("Failed to compare versions: " + error)
+    }
+  }
+
   // Permanently delete all user data - this is the nuclear option
   const permanentlyDeleteUser = async () => {
     if (!targetUser) {
@@ -93,13 +292,10 @@ Type the username "${targetUser}" to confirm:`
     setLoginError("")
 
     try {
-      const response = await fetch("/api/delete-user-data", {
+      const response = await fetchAsAdmin("/api/delete-user-data", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          username: targetUser,
-          adminPassword: adminPassword,
-        }),
+        body: JSON.stringify({ username: targetUser }),
       })
 
       const result = await response.json()
@@ -119,6 +315,47 @@ Type the username "${targetUser}" to confirm:`
     }
   }
 
+  // Load the admin accounts - owners only
+  const loadAdminAccounts = async () => {
+    try {
+      const response = await fetchAsAdmin("/api/admin/accounts")
+      const data = await response.json()
+      setAdminAccounts(data.accounts || [])
+    } catch (error) {
+      console.error("Failed to fetch admin accounts:", error)
+    }
+  }
+
+  // Create, re-role or delete an admin account, then reload the list
+  const changeAdminAccount = async (method: "POST" | "PATCH" | "DELETE", body: Record<string, string>) => {
+    try {
+      const response = await fetchAsAdmin("/api/admin/accounts", {
+        method,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      })
+      const result = await response.json()
+      if (!response.ok) {
+        setAccountMessage(result.error || "Failed to update admin accounts")
+        return
+      }
+      setAccountMessage(
+        method === "POST"
+          ? `Created ${result.account.username} as ${result.account.role}`
+          : method === "PATCH"
+            ? `${result.account.username} is now ${result.account.role}`
+            : `Deleted ${body.username}`,
+      )
+      if (method === "POST") {
+        setNewAccountUsername("")
+        setNewAccountPassword("")
+      }
+      await loadAdminAccounts()
+    } catch (error) {
+      setAccountMessage("Failed to update admin accounts: " + error)
+    }
+  }
+
   // Clear all security logs - another dangerous operation
   const purgeSecurityLogs = async () => {
     if (confirm("⚠️ WARNING: This will permanently delete all security logs. Continue?")) {
@@ -149,210 +386,659 @@ Type the username "${targetUser}" to confirm:`
     }
   }
 
+  if (isCheckingSession) {
+    return null
+  }
+
   // Show login screen if admin hasn't authenticated yet
-  if (!isAdminAuthenticated) {
+  if (!admin) {
     return (
-      <Card className="bg-slate-800/50 dark:bg-slate-900/50 border-slate-700/50 dark:border-slate-600/50 shadow-2xl backdrop-blur-sm">
-        <CardHeader
-          className="border-b border-slate-700/50 dark:border-slate-600/50"
-          style={{
-            background: "linear-gradient(to right, rgba(30, 41, 59, 0.8), rgba(51, 65, 85, 0.8))",
-          }}
-        >
-          <CardTitle className="flex items-center gap-2 text-slate-100 dark:text-slate-200">
-            <Shield className="w-5 h-5 text-purple-400" />
-            <span className="bg-gradient-to-r from-purple-400 to-blue-400 bg-clip-text text-transparent">
-              Security Command Center
-            </span>
-          </CardTitle>
-          <CardDescription className="text-slate-400 dark:text-slate-500">
-            🔒 Administrative access required for system management
-          </CardDescription>
-        </CardHeader>
-        <CardContent className="space-y-4 p-6 bg-slate-800/30 dark:bg-slate-900/30">
-          <div className="space-y-2">
-            <Label htmlFor="admin-password" className="text-slate-300 dark:text-slate-400">
-              Admin Credentials
-            </Label>
-            <Input
-              id="admin-password"
-              type="password"
-              value={adminPassword}
-              onChange={(e) => setAdminPassword(e.target.value)}
-              onKeyDown={(e) => e.key === "Enter" && authenticateAdmin()}
-              placeholder="Enter admin password"
-              className="bg-slate-700/50 dark:bg-slate-800/50 border-slate-600/50 dark:border-slate-700/50 text-slate-200 placeholder:text-slate-500 focus:border-purple-500/50 dark:focus:border-purple-400/50 transition-all duration-300"
-            />
-            <p className="text-xs text-slate-500">Default: admin123 (for demo purposes only)</p>
-          </div>
-
-          {loginError && (
-            <Alert className="border-red-500/50 bg-red-500/10 text-red-300 dark:text-red-400">
-              <AlertDescription>{loginError}</AlertDescription>
-            </Alert>
-          )}
-
-          <Button
-            onClick={authenticateAdmin}
-            className="w-full bg-gradient-to-r from-purple-600/80 to-purple-700/80 hover:from-purple-500 hover:to-purple-600 border border-purple-500/50 text-white shadow-lg hover:shadow-xl transform hover:scale-[1.02] font-medium backdrop-blur-sm"
-          >
-            <Shield className="w-4 h-4 mr-2" />
-            Authenticate Administrator
-          </Button>
-        </CardContent>
-      </Card>
+      <AdminLogin
+        title="Security Command Center"
+        description="🔒 Administrative access required for system management"
+        onLoggedIn={setAdmin}
+      />
     )
   }
 
+  const plottedModelVersion = modelHistory?.versions.find((modelVersion) => modelVersion.version === plottedVersion)
+
   return (
     <div className="space-y-6">
-      {/* User Data Management */}
+      {/* Who is signed in - the cards below depend on the role */}
+      <div className="flex items-center justify-between rounded-lg border border-slate-700/50 bg-slate-800/50 px-4 py-3">
+        <div className="flex items-center gap-2 text-sm text-slate-300">
+          <Shield className="w-4 h-4 text-purple-400" />
+          Signed in as <span className="font-mono text-slate-100">{admin.username}</span>
+          <span className="rounded border border-purple-500/50 bg-purple-500/10 px-2 py-0.5 text-xs uppercase text-purple-300">
+            {admin.role}
+          </span>
+        </div>
+        <Button size="sm" onClick={logOut} className="bg-slate-700/80 hover:bg-slate-600 border border-slate-600/50">
+          <LogOut className="w-3 h-3 mr-1" />
+          Log Out
+        </Button>
+      </div>
+
+      {/* User management - operators and up */}
+      {hasRole(admin, "operator") && (
+        <>
+          {/* User Data Management */}
+          <Card className="bg-slate-800/50 dark:bg-slate-900/50 border-slate-700/50 dark:border-slate-600/50 shadow-2xl backdrop-blur-sm">
+            <CardHeader
+              className="border-b border-slate-700/50 dark:border-slate-600/50"
+              style={{
+                background: "linear-gradient(to right, rgba(220, 38, 38, 0.8), rgba(239, 68, 68, 0.8))",
+              }}
+            >
+              <CardTitle className="flex items-center gap-2 text-slate-100 dark:text-slate-200">
+                <UserX className="w-5 h-5 text-red-400" />
+                <span className="bg-gradient-to-r from-red-400 to-orange-400 bg-clip-text text-transparent">
+                  🗑️ User Data Management
+                </span>
+              </CardTitle>
+              <CardDescription className="text-slate-400 dark:text-slate-500">
+                ⚠️ DANGER ZONE: Permanently delete all user data including models, logs, and training data
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4 p-6 bg-slate-800/30 dark:bg-slate-900/30">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label className="text-slate-300">Select User to Delete</Label>
+                  <Select value={targetUser} onValueChange={setTargetUser}>
+                    <SelectTrigger className="bg-slate-700/50 border-slate-600/50 text-slate-200">
+                      <SelectValue placeholder="Choose user..." />
+                    </SelectTrigger>
+                    <SelectContent className="bg-slate-800 border-slate-600">
+                      {registeredUsers.map((user) => (
+                        <SelectItem key={user} value={user} className="text-slate-200 hover:bg-slate-700">
+                          {user}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <p className="text-xs text-slate-500">Found {registeredUsers.length} registered users</p>
+                </div>
+
+                <div className="flex items-end">
+                  <Button
+                    onClick={permanentlyDeleteUser}
+                    disabled={!targetUser || isDeletingUser}
+                    className="w-full bg-gradient-to-r from-red-600/80 to-red-700/80 hover:from-red-500 hover:to-red-600 border border-red-500/50 text-white font-medium"
+                  >
+                    <UserX className="w-4 h-4 mr-2" />
+                    {isDeletingUser ? "Deleting..." : "🗑️ DELETE ALL USER DATA"}
+                  </Button>
+                </div>
+              </div>
+
+              {deletionResult && (
+                <Alert
+                  className={`border-${deletionResult.success ? "green" : "red"}-500/50 bg-${deletionResult.success ? "green" : "red"}-500/10`}
+                >
+                  <AlertTriangle className="w-4 h-4" />
+                  <AlertDescription className={`text-${deletionResult.success ? "green" : "red"}-300`}>
+                    <div className="font-medium">{deletionResult.message}</div>
+                    {deletionResult.deletionResults && (
+                      <div className="mt-2 text-sm">
+                        <div>
+                          ✅ Keystroke Models: {deletionResult.deletionResults.keystrokeModels ? "Deleted" : "Not Found"}
+                        </div>
+                        <div>✅ Voice Models: {deletionResult.deletionResults.voiceModels ? "Deleted" : "Not Found"}</div>
+                        <div>✅ Auth Logs: {deletionResult.deletionResults.authLogs ? "Cleaned" : "Not Found"}</div>
+                        {deletionResult.deletionResults.errors.length > 0 && (
+                          <div className="mt-1 text-red-400">Errors: {deletionResult.deletionResults.errors.join(", ")}</div>
+                        )}
+                      </div>
+                    )}
+                  </AlertDescription>
+                </Alert>
+              )}
+
+              <div className="bg-red-900/20 border border-red-500/30 rounded-lg p-4">
+                <div className="flex items-start gap-2">
+                  <AlertTriangle className="w-5 h-5 text-red-400 mt-0.5 flex-shrink-0" />
+                  <div className="text-sm text-red-300">
+                    <div className="font-medium mb-1">⚠️ WARNING: This action is IRREVERSIBLE</div>
+                    <ul className="list-disc list-inside space-y-1 text-xs">
+                      <li>Deletes all trained ML models (keystroke & voice)</li>
+                      <li>Removes all authentication logs and history</li>
+                      <li>Erases all raw training data and samples</li>
+                      <li>Clears user from audit dashboard</li>
+                      <li>Cannot be undone - user will need to re-register</li>
+                    </ul>
+                  </div>
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+
+          {/* Model History */}
+          <Card className="bg-slate-800/50 dark:bg-slate-900/50 border-slate-700/50 dark:border-slate-600/50 shadow-2xl backdrop-blur-sm">
+            <CardHeader
+              className="border-b border-slate-700/50 dark:border-slate-600/50"
+              style={{
+                background: "linear-gradient(to right, rgba(30, 41, 59, 0.8), rgba(51, 65, 85, 0.8))",
+              }}
+            >
+              <CardTitle className="flex items-center gap-2 text-slate-100 dark:text-slate-200">
+                <History className="w-5 h-5 text-cyan-400" />
+                <span className="bg-gradient-to-r from-cyan-400 to-blue-400 bg-clip-text text-transparent">
+                  Model History
+                </span>
+              </CardTitle>
+              <CardDescription className="text-slate-400 dark:text-slate-500">
+                🕘 Every trained model is kept - roll back a bad retrain without asking the user to re-enroll
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4 p-6 bg-slate-800/30 dark:bg-slate-900/30">
+              <div className="space-y-2">
+                <Label className="text-slate-300">Select User</Label>
+                <Select value={historyUser} onValueChange={loadModelHistory}>
+                  <SelectTrigger className="bg-slate-700/50 border-slate-600/50 text-slate-200">
+                    <SelectValue placeholder="Choose user..." />
+                  </SelectTrigger>
+                  <SelectContent className="bg-slate-800 border-slate-600">
+                    {registeredUsers.map((user) => (
+                      <SelectItem key={user} value={user} className="text-slate-200 hover:bg-slate-700">
+                        {user}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {historyMessage && (
+                <Alert className="border-cyan-500/50 bg-cyan-500/10 text-cyan-300">
+                  <AlertDescription>{historyMessage}</AlertDescription>
+                </Alert>
+              )}
+
+              {modelHistory && modelHistory.versions.length === 0 && (
+                <p className="text-sm text-slate-500">No trained models stored for {historyUser}</p>
+              )}
+
+              {modelHistory && modelHistory.versions.length > 0 && (
+                <>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-slate-300">
+                      <thead>
+                        <tr className="text-left text-slate-500 border-b border-slate-700/50">
+                          <th className="py-2 pr-4">Version</th>
+                          <th className="py-2 pr-4">Source</th>
+                          <th className="py-2 pr-4">Created</th>
+                          <th className="py-2 pr-4">Threshold</th>
+                          <th className="py-2 pr-4">Samples</th>
+                          <th className="py-2 pr-4">Mean Error</th>
+                          <th className="py-2" />
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {[...modelHistory.versions].reverse().map((modelVersion) => {
+                          const isActive = modelVersion.version === modelHistory.activeVersion
+                          const isPinned = modelVersion.version === modelHistory.pinnedVersion
+
+                          return (
+                            <tr key={modelVersion.version} className="border-b border-slate-700/30">
+                              <td className="py-2 pr-4 font-mono">
+                                v{modelVersion.version}
+                                {isActive && <span className="ml-2 text-xs text-green-400">ACTIVE</span>}
+                                {isPinned && <span className="ml-2 text-xs text-yellow-400">PINNED</span>}
+                              </td>
+                              <td className="py-2 pr-4">{modelVersion.source}</td>
+                              <td className="py-2 pr-4">
+                                {modelVersion.createdAt ? new Date(modelVersion.createdAt).toLocaleString() : "—"}
+                              </td>
+                              <td className="py-2 pr-4 font-mono">{formatStat(modelVersion.threshold)}</td>
+                              <td className="py-2 pr-4">{formatStat(modelVersion.samples)}</td>
+                              <td className="py-2 pr-4 font-mono">{formatStat(modelVersion.meanError)}</td>
+                              <td className="py-2 flex gap-2 justify-end">
+                                {modelVersion.lossCurve && (
+                                  <Button
+                                    size="sm"
+                                    onClick={() =>
+                                      setPlottedVersion(plottedVersion === modelVersion.version ? null : modelVersion.version)
+                                    }
+                                    className="bg-cyan-600/80 hover:bg-cyan-500 border border-cyan-500/50"
+                                  >
+                                    <TrendingDown className="w-3 h-3 mr-1" />
+                                    Loss
+                                  </Button>
+                                )}
+                                {!isActive && (
+                                  <Button
+                                    size="sm"
+                                    onClick={() => updateModelVersion("activate", modelVersion.version)}
+                                    className="bg-blue-600/80 hover:bg-blue-500 border border-blue-500/50"
+                                  >
+                                    <RotateCcw className="w-3 h-3 mr-1" />
+                                    Activate
+                                  </Button>
+                                )}
+                                {isPinned ? (
+                                  <Button
+                                    size="sm"
+                                    onClick={() => updateModelVersion("unpin")}
+                                    className="bg-slate-600/80 hover:bg-slate-500 border border-slate-500/50"
+                                  >
+                                    <PinOff className="w-3 h-3 mr-1" />
+                                    Unpin
+                                  </Button>
+                                ) : (
+                                  <Button
+                                    size="sm"
+                                    onClick={() => updateModelVersion("pin", modelVersion.version)}
+                                    className="bg-yellow-600/80 hover:bg-yellow-500 border border-yellow-500/50"
+                                  >
+                                    <Pin className="w-3 h-3 mr-1" />
+                                    Pin
+                                  </Button>
+                                )}
+                              </td>
+                            </tr>
+                          )
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  {plottedModelVersion?.lossCurve && (
+                    <div className="p-4 bg-slate-700/30 rounded-lg border border-slate-600/30">
+                      <div className="text-sm text-slate-300 mb-2">
+                        v{plottedModelVersion.version} training loss - {plottedModelVersion.epochsRun} epochs, weights kept
+                        from epoch {plottedModelVersion.bestEpoch}
+                      </div>
+                      <ResponsiveContainer width="100%" height={220}>
+                        <LineChart
+                          data={plottedModelVersion.lossCurve.training.map((trainingLoss, index) => ({
+                            epoch: index + 1,
+                            training: trainingLoss,
+                            validation: plottedModelVersion.lossCurve!.validation[index],
+                          }))}
+                        >
+                          <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                          <XAxis dataKey="epoch" stroke="#94a3b8" fontSize={12} />
+                          <YAxis stroke="#94a3b8" fontSize={12} tickFormatter={(loss: number) => loss.toFixed(3)} />
+                          <Tooltip
+                            contentStyle={{ background: "#1e293b", border: "1px solid #475569" }}
+                            formatter={(loss: number) => loss.toFixed(6)}
+                          />
+                          <Legend />
+                          <Line type="monotone" dataKey="training" stroke="#22d3ee" dot={false} />
+                          {plottedModelVersion.lossCurve.validation.length > 0 && (
+                            <Line type="monotone" dataKey="validation" stroke="#f97316" dot={false} />
+                          )}
+                          {plottedModelVersion.bestEpoch !== null && (
+                            <ReferenceLine x={plottedModelVersion.bestEpoch} stroke="#4ade80" strokeDasharray="4 4" />
+                          )}
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </div>
+                  )}
+
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                    <div className="space-y-2">
+                      <Label className="text-slate-300">Compare From</Label>
+                      <Select value={compareFromVersion} onValueChange={setCompareFromVersion}>
+                        <SelectTrigger className="bg-slate-700/50 border-slate-600/50 text-slate-200">
+                          <SelectValue placeholder="Version..." />
+                        </SelectTrigger>
+                        <SelectContent className="bg-slate-800 border-slate-600">
+                          {modelHistory.versions.map((modelVersion) => (
+                            <SelectItem key={modelVersion.version} value={String(modelVersion.version)} className="text-slate-200">
+                              v{modelVersion.version}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <div className="space-y-2">
+                      <Label className="text-slate-300">Compare To</Label>
+                      <Select value={compareToVersion} onValueChange={setCompareToVersion}>
+                        <SelectTrigger className="bg-slate-700/50 border-slate-600/50 text-slate-200">
+                          <SelectValue placeholder="Version..." />
+                        </SelectTrigger>
+                        <SelectContent className="bg-slate-800 border-slate-600">
+                          {modelHistory.versions.map((modelVersion) => (
+                            <SelectItem key={modelVersion.version} value={String(modelVersion.version)} className="text-slate-200">
+                              v{modelVersion.version}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <Button
+                      onClick={compareModelVersions}
+                      disabled={!compareFromVersion || !compareToVersion}
+                      className="bg-purple-600/80 hover:bg-purple-500 border border-purple-500/50"
+                    >
+                      <GitCompare className="w-4 h-4 mr-2" />
+                      Compare Stats
+                    </Button>
+                  </div>
+
+                  {versionDiff && (
+                    <div className="grid grid-cols-2 md:grid-cols-3 gap-2 text-sm">
+                      {versionDiff.changes.map((change) => (
+                        <div
+                          key={change.stat}
+                          className="p-3 bg-slate-700/30 rounded-lg border border-slate-600/30 text-slate-300"
+                        >
+                          <div className="text-xs text-slate-500">{change.stat}</div>
+                          <div className="font-mono">
+                            {formatStat(change.from)} → {formatStat(change.to)}
+                          </div>
+                          {change.delta !== null && change.delta !== 0 && (
+                            <div className={`font-mono text-xs ${change.delta > 0 ? "text-orange-400" : "text-green-400"}`}>
+                              {change.delta > 0 ? "+" : ""}
+                              {formatStat(change.delta)}
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </>
+              )}
+            </CardContent>
+          </Card>
+        </>
+      )}
+
+      {/* Account Lockouts */}
       <Card className="bg-slate-800/50 dark:bg-slate-900/50 border-slate-700/50 dark:border-slate-600/50 shadow-2xl backdrop-blur-sm">
         <CardHeader
           className="border-b border-slate-700/50 dark:border-slate-600/50"
           style={{
-            background: "linear-gradient(to right, rgba(220, 38, 38, 0.8), rgba(239, 68, 68, 0.8))",
+            background: "linear-gradient(to right, rgba(30, 41, 59, 0.8), rgba(51, 65, 85, 0.8))",
           }}
         >
           <CardTitle className="flex items-center gap-2 text-slate-100 dark:text-slate-200">
-            <UserX className="w-5 h-5 text-red-400" />
-            <span className="bg-gradient-to-r from-red-400 to-orange-400 bg-clip-text text-transparent">
-              🗑️ User Data Management
+            <Lock className="w-5 h-5 text-orange-400" />
+            <span className="bg-gradient-to-r from-orange-400 to-yellow-400 bg-clip-text text-transparent">
+              Account Lockouts
             </span>
           </CardTitle>
           <CardDescription className="text-slate-400 dark:text-slate-500">
-            ⚠️ DANGER ZONE: Permanently delete all user data including models, logs, and training data
+            ⏳ Failed attempts slow down and then lock a username or IP - unlock a legitimate user here
           </CardDescription>
         </CardHeader>
         <CardContent className="space-y-4 p-6 bg-slate-800/30 dark:bg-slate-900/30">
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <div className="space-y-2">
-              <Label className="text-slate-300">Select User to Delete</Label>
-              <Select value={targetUser} onValueChange={setTargetUser}>
-                <SelectTrigger className="bg-slate-700/50 border-slate-600/50 text-slate-200">
-                  <SelectValue placeholder="Choose user..." />
-                </SelectTrigger>
-                <SelectContent className="bg-slate-800 border-slate-600">
-                  {registeredUsers.map((user) => (
-                    <SelectItem key={user} value={user} className="text-slate-200 hover:bg-slate-700">
-                      {user}
-                    </SelectItem>
+          {lockoutMessage && (
+            <Alert className="border-orange-500/50 bg-orange-500/10 text-orange-300">
+              <AlertDescription>{lockoutMessage}</AlertDescription>
+            </Alert>
+          )}
+
+          {throttleEntries.length === 0 ? (
+            <p className="text-sm text-slate-500">No recent failures - nothing is rate limited</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-slate-300">
+                <thead>
+                  <tr className="text-left text-slate-500 border-b border-slate-700/50">
+                    <th className="py-2 pr-4">User / IP</th>
+                    <th className="py-2 pr-4">Failures</th>
+                    <th className="py-2 pr-4">Last Failure</th>
+                    <th className="py-2 pr-4">Blocked Until</th>
+                    <th className="py-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {throttleEntries.map((entry) => (
+                    <tr key={`${entry.scope}:${entry.key}`} className="border-b border-slate-700/30">
+                      <td className="py-2 pr-4 font-mono">
+                        {entry.key}
+                        <span className="ml-2 text-xs text-slate-500">{entry.scope === "user" ? "USER" : "IP"}</span>
+                        {entry.locked && <span className="ml-2 text-xs text-red-400">LOCKED</span>}
+                        {!entry.locked && entry.blocked && <span className="ml-2 text-xs text-yellow-400">BACKOFF</span>}
+                      </td>
+                      <td className="py-2 pr-4">{entry.failures}</td>
+                      <td className="py-2 pr-4">
+                        {entry.lastFailureAt ? new Date(entry.lastFailureAt).toLocaleString() : "—"}
+                      </td>
+                      <td className="py-2 pr-4">
+                        {entry.blocked && entry.blockedUntil ? new Date(entry.blockedUntil).toLocaleString() : "—"}
+                      </td>
+                      <td className="py-2 flex justify-end">
+                        <Button
+                          size="sm"
+                          onClick={() => unlockThrottle(entry.scope, entry.key)}
+                          disabled={!hasRole(admin, "operator")}
+                          className="bg-orange-600/80 hover:bg-orange-500 border border-orange-500/50"
+                        >
+                          <Unlock className="w-3 h-3 mr-1" />
+                          Unlock
+                        </Button>
+                      </td>
+                    </tr>
                   ))}
-                </SelectContent>
-              </Select>
-              <p className="text-xs text-slate-500">Found {registeredUsers.length} registered users</p>
+                </tbody>
+              </table>
             </div>
+          )}
 
-            <div className="flex items-end">
+          {/* The policy's own lockout comes from the access log, so a user can be locked without a row above */}
+          {hasRole(admin, "operator") && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-end">
+              <div className="space-y-2">
+                <Label className="text-slate-300">Unlock User</Label>
+                <Select value={unlockUser} onValueChange={setUnlockUser}>
+                  <SelectTrigger className="bg-slate-700/50 border-slate-600/50 text-slate-200">
+                    <SelectValue placeholder="Choose user..." />
+                  </SelectTrigger>
+                  <SelectContent className="bg-slate-800 border-slate-600">
+                    {registeredUsers.map((user) => (
+                      <SelectItem key={user} value={user} className="text-slate-200 hover:bg-slate-700">
+                        {user}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
               <Button
-                onClick={permanentlyDeleteUser}
-                disabled={!targetUser || isDeletingUser}
-                className="w-full bg-gradient-to-r from-red-600/80 to-red-700/80 hover:from-red-500 hover:to-red-600 border border-red-500/50 text-white font-medium"
+                onClick={() => unlockThrottle("user", unlockUser)}
+                disabled={!unlockUser}
+                className="bg-orange-600/80 hover:bg-orange-500 border border-orange-500/50"
               >
-                <UserX className="w-4 h-4 mr-2" />
-                {isDeletingUser ? "Deleting..." : "🗑️ DELETE ALL USER DATA"}
+                <Unlock className="w-4 h-4 mr-2" />
+                Unlock and Reset Failures
               </Button>
             </div>
-          </div>
-
-          {deletionResult && (
-            <Alert
-              className={`border-${deletionResult.success ? "green" : "red"}-500/50 bg-${deletionResult.success ? "green" : "red"}-500/10`}
-            >
-              <AlertTriangle className="w-4 h-4" />
-              <AlertDescription className={`text-${deletionResult.success ? "green" : "red"}-300`}>
-                <div className="font-medium">{deletionResult.message}</div>
-                {deletionResult.deletionResults && (
-                  <div className="mt-2 text-sm">
-                    <div>
-                      ✅ Keystroke Models: {deletionResult.deletionResults.keystrokeModels ? "Deleted" : "Not Found"}
-                    </div>
-                    <div>✅ Voice Models: {deletionResult.deletionResults.voiceModels ? "Deleted" : "Not Found"}</div>
-                    <div>✅ Auth Logs: {deletionResult.deletionResults.authLogs ? "Cleaned" : "Not Found"}</div>
-                    {deletionResult.deletionResults.errors.length > 0 && (
-                      <div className="mt-1 text-red-400">Errors: {deletionResult.deletionResults.errors.join(", ")}</div>
-                    )}
-                  </div>
-                )}
-              </AlertDescription>
-            </Alert>
           )}
-
-          <div className="bg-red-900/20 border border-red-500/30 rounded-lg p-4">
-            <div className="flex items-start gap-2">
-              <AlertTriangle className="w-5 h-5 text-red-400 mt-0.5 flex-shrink-0" />
-              <div className="text-sm text-red-300">
-                <div className="font-medium mb-1">⚠️ WARNING: This action is IRREVERSIBLE</div>
-                <ul className="list-disc list-inside space-y-1 text-xs">
-                  <li>Deletes all trained ML models (keystroke & voice)</li>
-                  <li>Removes all authentication logs and history</li>
-                  <li>Erases all raw training data and samples</li>
-                  <li>Clears user from audit dashboard</li>
-                  <li>Cannot be undone - user will need to re-register</li>
-                </ul>
-              </div>
-            </div>
-          </div>
         </CardContent>
       </Card>
 
       {/* System Administration */}
-      <Card className="bg-slate-800/50 dark:bg-slate-900/50 border-slate-700/50 dark:border-slate-600/50 shadow-2xl backdrop-blur-sm">
-        <CardHeader
-          className="border-b border-slate-700/50 dark:border-slate-600/50"
-          style={{
-            background: "linear-gradient(to right, rgba(30, 41, 59, 0.8), rgba(51, 65, 85, 0.8))",
-          }}
-        >
-          <CardTitle className="flex items-center gap-2 text-slate-100 dark:text-slate-200">
-            <Terminal className="w-5 h-5 text-purple-400" />
-            <span className="bg-gradient-to-r from-purple-400 to-blue-400 bg-clip-text text-transparent">
-              System Administration
-            </span>
-          </CardTitle>
-          <CardDescription className="text-slate-400 dark:text-slate-500">
-            ⚙️ Advanced system management and security controls
-          </CardDescription>
-        </CardHeader>
-        <CardContent className="space-y-4 p-6 bg-slate-800/30 dark:bg-slate-900/30">
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <Button
-              onClick={exportSystemData}
-              className="flex items-center gap-2 bg-blue-600/80 hover:bg-blue-500 border border-blue-500/50"
-            >
-              <Download className="w-4 h-4" />
-              Export All Security Data
-            </Button>
-
-            <Button
-              onClick={purgeSecurityLogs}
-              variant="destructive"
-              className="flex items-center gap-2 bg-red-600/80 hover:bg-red-500 border border-red-500/50"
-            >
-              <Trash2 className="w-4 h-4" />
-              Purge Security Logs
-            </Button>
-          </div>
+      {hasRole(admin, "operator") && (
+        <Card className="bg-slate-800/50 dark:bg-slate-900/50 border-slate-700/50 dark:border-slate-600/50 shadow-2xl backdrop-blur-sm">
+          <CardHeader
+            className="border-b border-slate-700/50 dark:border-slate-600/50"
+            style={{
+              background: "linear-gradient(to right, rgba(30, 41, 59, 0.8), rgba(51, 65, 85, 0.8))",
+            }}
+          >
+            <CardTitle className="flex items-center gap-2 text-slate-100 dark:text-slate-200">
+              <Terminal className="w-5 h-5 text-purple-400" />
+              <span className="bg-gradient-to-r from-purple-400 to-blue-400 bg-clip-text text-transparent">
+                System Administration
+              </span>
+            </CardTitle>
+            <CardDescription className="text-slate-400 dark:text-slate-500">
+              ⚙️ Advanced system management and security controls
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4 p-6 bg-slate-800/30 dark:bg-slate-900/30">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <Button
+                onClick={exportSystemData}
+                className="flex items-center gap-2 bg-blue-600/80 hover:bg-blue-500 border border-blue-500/50"
+              >
+                <Download className="w-4 h-4" />
+                Export All Security Data
+              </Button>
 
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
-            <Button
-              className="flex items-center gap-2 bg-purple-600/80 hover:bg-purple-500 border border-purple-500/50"
-              onClick={loadUserList}
-            >
-              <Users className="w-4 h-4" />
-              Refresh User List ({registeredUsers.length})
-            </Button>
+              <Button
+                onClick={purgeSecurityLogs}
+                variant="destructive"
+                className="flex items-center gap-2 bg-red-600/80 hover:bg-red-500 border border-red-500/50"
+              >
+                <Trash2 className="w-4 h-4" />
+                Purge Security Logs
+              </Button>
+            </div>
 
-            <Button
-              className="flex items-center gap-2 bg-cyan-600/80 hover:bg-cyan-500 border border-cyan-500/50"
-              onClick={() => alert("Feature coming soon")}
-            >
-              <Server className="w-4 h-4" />
-              System Configuration
-            </Button>
-          </div>
-        </CardContent>
-      </Card>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+              <Button
+                className="flex items-center gap-2 bg-purple-600/80 hover:bg-purple-500 border border-purple-500/50"
+                onClick={loadUserList}
+              >
+                <Users className="w-4 h-4" />
+                Refresh User List ({registeredUsers.length})
+              </Button>
+
+              <Button
+                className="flex items-center gap-2 bg-cyan-600/80 hover:bg-cyan-500 border border-cyan-500/50"
+                onClick={() => alert("Feature coming soon")}
+              >
+                <Server className="w-4 h-4" />
+                System Configuration
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Admin Accounts */}
+      {hasRole(admin, "owner") && (
+        <Card className="bg-slate-800/50 dark:bg-slate-900/50 border-slate-700/50 dark:border-slate-600/50 shadow-2xl backdrop-blur-sm">
+          <CardHeader
+            className="border-b border-slate-700/50 dark:border-slate-600/50"
+            style={{
+              background: "linear-gradient(to right, rgba(30, 41, 59, 0.8), rgba(51, 65, 85, 0.8))",
+            }}
+          >
+            <CardTitle className="flex items-center gap-2 text-slate-100 dark:text-slate-200">
+              <UserCog className="w-5 h-5 text-purple-400" />
+              <span className="bg-gradient-to-r from-purple-400 to-blue-400 bg-clip-text text-transparent">
+                Admin Accounts
+              </span>
+            </CardTitle>
+            <CardDescription className="text-slate-400 dark:text-slate-500">
+              👥 Auditors read the logs, operators manage users, owners manage configuration and these accounts
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4 p-6 bg-slate-800/30 dark:bg-slate-900/30">
+            {accountMessage && (
+              <Alert className="border-purple-500/50 bg-purple-500/10 text-purple-300">
+                <AlertDescription>{accountMessage}</AlertDescription>
+              </Alert>
+            )}
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-slate-300">
+                <thead>
+                  <tr className="text-left text-slate-500 border-b border-slate-700/50">
+                    <th className="py-2 pr-4">Username</th>
+                    <th className="py-2 pr-4">Role</th>
+                    <th className="py-2 pr-4">Created</th>
+                    <th className="py-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {adminAccounts.map((account) => (
+                    <tr key={account.username} className="border-b border-slate-700/30">
+                      <td className="py-2 pr-4 font-mono">{account.username}</td>
+                      <td className="py-2 pr-4">
+                        <Select
+                          value={account.role}
+                          onValueChange={(role) => changeAdminAccount("PATCH", { username: account.username, role })}
+                        >
+                          <SelectTrigger className="h-8 w-32 bg-slate-700/50 border-slate-600/50 text-slate-200">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent className="bg-slate-800 border-slate-600">
+                            {ADMIN_ROLES.map((role) => (
+                              <SelectItem key={role} value={role} className="text-slate-200 hover:bg-slate-700">
+                                {role}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </td>
+                      <td className="py-2 pr-4">{new Date(account.createdAt).toLocaleString()}</td>
+                      <td className="py-2 flex justify-end">
+                        <Button
+                          size="sm"
+                          onClick={() =>
+                            confirm(`Delete admin account ${account.username}?`) &&
+                            changeAdminAccount("DELETE", { username: account.username })
+                          }
+                          disabled={account.username === admin.username}
+                          className="bg-red-600/80 hover:bg-red-500 border border-red-500/50"
+                        >
+                          <Trash2 className="w-3 h-3 mr-1" />
+                          Delete
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+              <div className="space-y-2">
+                <Label className="text-slate-300">Username</Label>
+                <Input
+                  value={newAccountUsername}
+                  onChange={(e) => setNewAccountUsername(e.target.value)}
+                  className="bg-slate-700/50 border-slate-600/50 text-slate-200"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label className="text-slate-300">Password</Label>
+                <Input
+                  type="password"
+                  value={newAccountPassword}
+                  onChange={(e) => setNewAccountPassword(e.target.value)}
+                  autoComplete="new-password"
+                  className="bg-slate-700/50 border-slate-600/50 text-slate-200"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label className="text-slate-300">Role</Label>
+                <Select value={newAccountRole} onValueChange={(role) => setNewAccountRole(role as AdminRole)}>
+                  <SelectTrigger className="bg-slate-700/50 border-slate-600/50 text-slate-200">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-slate-800 border-slate-600">
+                    {ADMIN_ROLES.map((role) => (
+                      <SelectItem key={role} value={role} className="text-slate-200 hover:bg-slate-700">
+                        {role}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <Button
+                onClick={() =>
+                  changeAdminAccount("POST", {
+                    username: newAccountUsername,
+                    password: newAccountPassword,
+                    role: newAccountRole,
+                  })
+                }
+                disabled={!newAccountUsername || !newAccountPassword}
+                className="bg-purple-600/80 hover:bg-purple-500 border border-purple-500/50"
+              >
+                <UserCog className="w-4 h-4 mr-2" />
+                Create Account
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
 
       {/* System Status */}
       <Card className="bg-slate-800/50 dark:bg-slate-900/50 border-slate-700/50 dark:border-slate-600/50 shadow-2xl backdrop-blur-sm">
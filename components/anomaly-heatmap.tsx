@@ -2,12 +2,35 @@
 
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { TrendingUp, AlertTriangle } from "lucide-react"
+import { selectTopContributors, type FeatureContribution } from "@/lib/feature-contributions"
 
 interface AnomalyHeatmapProps {
-  data: number[]
+  contributions: FeatureContribution[]
 }
 
-export function AnomalyHeatmap({ data }: AnomalyHeatmapProps) {
+// Distance from the enrollment mean in standard deviations - models without a stored distribution
+// only have the range they were fitted on, taken as roughly four standard deviations wide
+function getEnrollmentZScore({ value, enrollment }: FeatureContribution): number | null {
+  if (enrollment.mean !== null && enrollment.std !== null) {
+    return enrollment.std > 0 ? (value - enrollment.mean) / enrollment.std : null
+  }
+  if (enrollment.min !== null && enrollment.max !== null && enrollment.max > enrollment.min) {
+    return (value - (enrollment.min + enrollment.max) / 2) / ((enrollment.max - enrollment.min) / 4)
+  }
+  return null
+}
+
+function describeEnrollment({ enrollment }: FeatureContribution): string {
+  if (enrollment.mean !== null && enrollment.std !== null) {
+    return `${enrollment.mean.toFixed(1)} ± ${enrollment.std.toFixed(1)}`
+  }
+  if (enrollment.min !== null && enrollment.max !== null) {
+    return `${enrollment.min.toFixed(1)} – ${enrollment.max.toFixed(1)}`
+  }
+  return "unknown"
+}
+
+export function AnomalyHeatmap({ contributions }: AnomalyHeatmapProps) {
   const getColorIntensity = (value: number) => {
     // Normalize value to 0-1 range for color intensity
     const normalized = Math.min(Math.max(value, 0), 1)
@@ -32,9 +55,17 @@ export function AnomalyHeatmap({ data }: AnomalyHeatmapProps) {
     return { level: "High", color: "text-red-400", icon: "🔴" }
   }
 
-  const avgDeviation = data.reduce((sum, val) => sum + val, 0) / data.length
-  const maxDeviation = Math.max(...data)
+  // 3 standard deviations from the enrollment mean is as red as it gets
+  const features = contributions
+    .filter((contribution) => contribution.feature !== "padding")
+    .map((contribution) => {
+      const zScore = getEnrollmentZScore(contribution)
+      return { ...contribution, zScore, intensity: zScore === null ? 0 : Math.min(Math.abs(zScore) / 3, 1) }
+    })
+  const avgDeviation = features.reduce((sum, feature) => sum + feature.intensity, 0) / features.length
+  const offPatternCount = features.filter((feature) => feature.zScore !== null && Math.abs(feature.zScore) > 2).length
   const riskAssessment = getRiskLevel(avgDeviation)
+  const topContributors = selectTopContributors(contributions)
 
   return (
     <Card className="bg-slate-800/50 border-slate-700/50 shadow-xl backdrop-blur-sm transition-all duration-300 hover:shadow-cyan-500/10">
@@ -49,7 +80,7 @@ export function AnomalyHeatmap({ data }: AnomalyHeatmapProps) {
           </span>
         </CardTitle>
         <CardDescription className="text-slate-400">
-          🔍 Real-time visualization of typing pattern deviations from baseline
+          🔍 Each timing of this attempt against your enrollment, and its share of the biometric error
         </CardDescription>
       </CardHeader>
       <CardContent className="p-6">
@@ -63,16 +94,43 @@ export function AnomalyHeatmap({ data }: AnomalyHeatmapProps) {
           </div>
           <div className="grid grid-cols-2 gap-4 text-sm">
             <div>
-              <span className="text-slate-400">Avg Deviation:</span>
-              <span className="ml-2 font-mono text-slate-200">{avgDeviation.toFixed(3)}</span>
+              <span className="text-slate-400">Beyond 2σ:</span>
+              <span className="ml-2 font-mono text-slate-200">
+                {offPatternCount}/{features.length}
+              </span>
             </div>
             <div>
-              <span className="text-slate-400">Max Deviation:</span>
-              <span className="ml-2 font-mono text-slate-200">{maxDeviation.toFixed(3)}</span>
+              <span className="text-slate-400">Largest Share:</span>
+              <span className="ml-2 font-mono text-slate-200">
+                {topContributors.length > 0
+                  ? `${topContributors[0].label} ${(topContributors[0].share * 100).toFixed(0)}%`
+                  : "—"}
+              </span>
             </div>
           </div>
         </div>
 
+        {/* Top contributors to the error */}
+        {topContributors.length > 0 && (
+          <div className="mb-6 space-y-2">
+            <h4 className="text-sm font-medium text-slate-300">Largest Contributors</h4>
+            {topContributors.map((contribution) => (
+              <div key={contribution.index} className="text-xs">
+                <div className="flex justify-between text-slate-300">
+                  <span>{contribution.feature}</span>
+                  <span className="font-mono">{(contribution.share * 100).toFixed(1)}%</span>
+                </div>
+                <div className="h-1.5 mt-1 rounded bg-slate-700/50">
+                  <div className="h-1.5 rounded bg-red-500/70" style={{ width: `${contribution.share * 100}%` }} />
+                </div>
+                <div className="text-slate-400 font-mono mt-0.5">
+                  {contribution.value.toFixed(1)} vs enrolled {describeEnrollment(contribution)}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Heatmap Grid */}
         <div className="space-y-4">
           <div className="flex items-center justify-between">
@@ -83,24 +141,27 @@ export function AnomalyHeatmap({ data }: AnomalyHeatmapProps) {
             </div>
           </div>
 
-          <div className="grid grid-cols-5 sm:grid-cols-10 gap-2 max-w-2xl mx-auto">
-            {data.map((value, index) => {
-              const risk = getRiskLevel(value)
+          <div className="grid grid-cols-4 sm:grid-cols-8 gap-2 max-w-2xl mx-auto">
+            {features.map((feature) => {
+              const risk = getRiskLevel(feature.intensity)
               return (
-                <div key={index} className="relative group">
+                <div key={feature.index} className="relative group">
                   <div
-                    className="w-8 h-8 sm:w-10 sm:h-10 rounded-lg border-2 border-slate-600/50 flex items-center justify-center text-xs font-mono font-bold transition-all duration-300 hover:scale-110 hover:shadow-lg cursor-pointer text-slate-200"
-                    style={{ backgroundColor: getColorIntensity(value) }}
-                    title={`Key ${index + 1}: ${value.toFixed(3)} (${risk.level} Risk)`}
+                    className="h-10 rounded-lg border-2 border-slate-600/50 flex items-center justify-center text-[10px] font-mono font-bold transition-all duration-300 hover:scale-110 hover:shadow-lg cursor-pointer text-slate-200 truncate px-1"
+                    style={{ backgroundColor: getColorIntensity(feature.intensity) }}
+                    title={`${feature.feature}: ${feature.value.toFixed(1)} (${risk.level} Risk)`}
                   >
-                    {index + 1}
+                    {feature.label}
                   </div>
 
                   {/* Tooltip */}
                   <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-2 py-1 bg-slate-700 text-slate-200 text-xs rounded opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none whitespace-nowrap z-10 border border-slate-600/50">
-                    Key {index + 1}: {value.toFixed(3)}
+                    {feature.feature}: {feature.value.toFixed(1)}
+                    <br />
+                    Enrolled {describeEnrollment(feature)}
+                    {feature.zScore !== null && ` (${feature.zScore >= 0 ? "+" : ""}${feature.zScore.toFixed(1)}σ)`}
                     <br />
-                    {risk.icon} {risk.level} Risk
+                    {(feature.share * 100).toFixed(1)}% of the error · {risk.icon} {risk.level} Risk
                   </div>
                 </div>
               )
@@ -138,8 +199,8 @@ export function AnomalyHeatmap({ data }: AnomalyHeatmapProps) {
             </div>
           </div>
           <p className="text-xs text-slate-400 mt-2">
-            💡 Lower deviations indicate consistent typing patterns, while higher deviations may suggest anomalous
-            behavior
+            💡 Colour shows how far each timing is from your enrollment (3σ is fully red). H = hold time, DD =
+            down-down and UD = up-down time between keystrokes
           </p>
         </div>
       </CardContent>
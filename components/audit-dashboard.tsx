@@ -4,12 +4,12 @@ import { useState, useEffect } from "react"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Shield, AlertTriangle, Users, Clock, Activity, RefreshCw } from "lucide-react"
 import { XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, AreaChart, Area } from "recharts"
-import { AnomalyHeatmap } from "./anomaly-heatmap"
+import { AdminLogin } from "@/components/admin-login"
 
 interface AuthLog {
   timestamp: string
   username: string
-  result: "Pass" | "Fail"
+  result: "Pass" | "Fail" | "Lock" | "Unlock" // Lock / Unlock - rate limit lockouts and admin unlocks, not attempts
   mse: number | null
   ip: string
   userAgent: string
@@ -20,7 +20,7 @@ export function AuditDashboard() {
   const [logs, setLogs] = useState<AuthLog[]>([])
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState<string | null>(null)
-  const [avgHeatmapData, setAvgHeatmapData] = useState<number[]>([])
+  const [needsAdminLogin, setNeedsAdminLogin] = useState(false) // The log is auditor-only (lib/admin-auth.ts)
 
   useEffect(() => {
     fetchLogs()
@@ -37,19 +37,19 @@ export function AuditDashboard() {
         },
       })
 
+      // No admin session, or it expired - log in and this runs again
+      if (response.status === 401) {
+        setNeedsAdminLogin(true)
+        setLogs([])
+        return
+      }
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`)
       }
 
       const data = await response.json()
+      setNeedsAdminLogin(false)
       setLogs(Array.isArray(data) ? data : [])
-
-      // Calculate average heatmap data from all attempts
-      if (data.length > 0) {
-        // Simulate heatmap data for demo (in real app, this would come from stored deviations)
-        const avgDeviations = Array.from({ length: 11 }, () => Math.random() * 0.8)
-        setAvgHeatmapData(avgDeviations)
-      }
     } catch (error) {
       console.error("Failed to fetch logs:", error)
       setError(error instanceof Error ? error.message : "Failed to fetch logs")
@@ -63,6 +63,10 @@ export function AuditDashboard() {
     setLoading(true)
     try {
       const response = await fetch("/api/export-logs")
+      if (response.status === 401) {
+        setNeedsAdminLogin(true)
+        return
+      }
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`)
       }
@@ -84,20 +88,21 @@ export function AuditDashboard() {
     }
   }
 
+  const attempts = logs.filter((log) => log.result === "Pass" || log.result === "Fail")
   const stats = {
-    totalAttempts: logs.length,
+    totalAttempts: attempts.length,
     successfulAttempts: logs.filter((log) => log.result === "Pass").length,
     failedAttempts: logs.filter((log) => log.result === "Fail").length,
-    uniqueUsers: new Set(logs.map((log) => log.username)).size,
+    uniqueUsers: new Set(attempts.map((log) => log.username)).size,
     avgMSE:
       logs.length > 0
         ? logs.reduce((sum, log) => sum + (log.mse || 0), 0) / logs.filter((log) => log.mse != null).length || 0
         : 0,
-    successRate: logs.length > 0 ? (logs.filter((log) => log.result === "Pass").length / logs.length) * 100 : 0,
+    successRate: attempts.length > 0 ? (logs.filter((log) => log.result === "Pass").length / attempts.length) * 100 : 0,
   }
 
   // Process data for charts
-  const hourlyData = logs.reduce(
+  const hourlyData = attempts.reduce(
     (acc, log) => {
       const hour = new Date(log.timestamp).getHours()
       if (!acc[hour]) {
@@ -115,6 +120,16 @@ export function AuditDashboard() {
     (_, i) => hourlyData[i] || { hour: `${i}:00`, pass: 0, fail: 0, total: 0 },
   )
 
+  if (needsAdminLogin) {
+    return (
+      <AdminLogin
+        title="Security Audit Dashboard"
+        description="🔒 The access log is for auditors - log in with an admin account"
+        onLoggedIn={() => fetchLogs()}
+      />
+    )
+  }
+
   if (error) {
     return (
       <div className="space-y-6">
@@ -204,14 +219,6 @@ export function AuditDashboard() {
         </Card>
       </div>
 
-      {/* Average Heatmap */}
-      {avgHeatmapData.length > 0 && (
-        <div>
-          <h3 className="text-lg font-semibold text-slate-200 mb-4">📊 Average Threat Pattern Analysis</h3>
-          <AnomalyHeatmap data={avgHeatmapData} />
-        </div>
-      )}
-
       {/* Charts Grid */}
       <div className="grid grid-cols-1 lg:grid-cols-1 gap-6">
         {/* Hourly Activity Chart */}
@@ -311,7 +318,11 @@ export function AuditDashboard() {
                           className={`px-2 py-1 rounded text-xs font-medium ${
                             log.result === "Pass"
                               ? "bg-green-500/20 text-green-300 border border-green-500/30"
-                              : "bg-red-500/20 text-red-300 border border-red-500/30"
+                              : log.result === "Lock"
+                                ? "bg-orange-500/20 text-orange-300 border border-orange-500/30"
+                                : log.result === "Unlock"
+                                  ? "bg-blue-500/20 text-blue-300 border border-blue-500/30"
+                                  : "bg-red-500/20 text-red-300 border border-red-500/30"
                           }`}
                         >
                           {log.result}
@@ -3,7 +3,7 @@
 // Main keystroke authentication component - this is where the magic happens
 import type React from "react"
 
-import { useState, useRef } from "react"
+import { useState, useRef, useEffect } from "react"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
@@ -11,18 +11,36 @@ import { Label } from "@/components/ui/label"
 import { Checkbox } from "@/components/ui/checkbox"
 import { Alert, AlertDescription } from "@/components/ui/alert"
 import { Progress } from "@/components/ui/progress"
-import { Shield, Lock, Key, Fingerprint, Cpu, Volume2 } from "lucide-react"
+import { Shield, Lock, Key, KeyRound, Fingerprint, Cpu, Volume2, LifeBuoy } from "lucide-react"
 import { Haptics, ImpactStyle, NotificationType } from "@capacitor/haptics"
 import { useKeystrokeAnalyzer } from "@/hooks/use-keystroke-analyzer"
+import type { FeatureContribution } from "@/lib/feature-contributions"
+import RuntimeAPI, {
+  type KeystrokeBiometricFeatures,
+  type ReenrollmentSession,
+  type SessionToken,
+  type TrainingJobStatus,
+} from "@/lib/runtime-api"
+import { AUTH_CONFIG } from "@/config/auth-config"
 import { AnomalyHeatmap } from "./anomaly-heatmap"
 import { VoiceRegistration } from "./voice-registration"
 import { VoiceAuthModal } from "./voice-auth-modal"
 
-// Constants - probably should move these to a config file eventually
-const PASSWORD_LENGTH = 11
-const SAMPLES_REQUIRED = 10
+// The server queues training once it holds this many samples - the client has to ask for the same count
+const SAMPLES_REQUIRED = AUTH_CONFIG.SAMPLES_REQUIRED
+const TRAINING_POLL_INTERVAL_MS = 500
 
-export function KeystrokeCapture() {
+// Models trained before score calibration have no matchProbability - leave the line out for them
+function describeMatchProbability(matchProbability: number | null | undefined): string {
+  return typeof matchProbability === "number" ? `\nMatch Probability: ${(matchProbability * 100).toFixed(1)}%` : ""
+}
+
+interface KeystrokeCaptureProps {
+  authenticateOnly?: boolean // Hide registration - e.g. on the OIDC /authorize page
+  onAuthenticated?: (session: SessionToken) => void // Called with the session token of every allowed login
+}
+
+export function KeystrokeCapture({ authenticateOnly = false, onAuthenticated }: KeystrokeCaptureProps = {}) {
   // Main component state - keeping track of auth vs registration mode
   const [currentMode, setCurrentMode] = useState<"auth" | "register">("auth")
   const [userIdentifier, setUserIdentifier] = useState("")
@@ -36,20 +54,83 @@ export function KeystrokeCapture() {
   // UI feedback and status management
   const [authResult, setAuthResult] = useState<{ type: "success" | "error" | "info"; message: string } | null>(null)
   const [capturedSamples, setCapturedSamples] = useState(0)
+  const [nextSampleId, setNextSampleId] = useState(0) // Keeps counting past rejected samples so no id is reused
   const [enablePrivacyMode, setEnablePrivacyMode] = useState(false)
+  const [enableAdaptiveUpdates, setEnableAdaptiveUpdates] = useState(false)
   const [showAnomalyMap, setShowAnomalyMap] = useState(false)
-  const [keystrokeDeviations, setKeystrokeDeviations] = useState<number[]>([])
+  const [featureContributions, setFeatureContributions] = useState<FeatureContribution[]>([])
+
+  // Background training started by the last enrollment sample - polled until it finishes
+  const [trainingJob, setTrainingJob] = useState<TrainingJobStatus | null>(null)
 
   // Voice authentication fallback system
   const [authFailureCount, setAuthFailureCount] = useState(0)
   const [showVoiceAuthDialog, setShowVoiceAuthDialog] = useState(false)
+  const [fusionAttempt, setFusionAttempt] = useState<{ features: KeystrokeBiometricFeatures; password: string | null } | null>(
+    null,
+  )
+  const [voiceStepUpToken, setVoiceStepUpToken] = useState<string | null>(null) // The login a voice sample completes
   const [showVoiceSetup, setShowVoiceSetup] = useState(false)
+  const [voiceSetupPending, setVoiceSetupPending] = useState(false) // Enrolled - voice registration follows the first login
   const [hasVoiceProfile, setHasVoiceProfile] = useState(false)
 
+  // Passkeys - a step-up the policy can ask for, and the recovery when voice fails too
+  const [hasPasskey, setHasPasskey] = useState(false)
+  const [showPasskeyPrompt, setShowPasskeyPrompt] = useState(false)
+  const [canAddPasskey, setCanAddPasskey] = useState(false) // Logged in - a passkey can be added to the account
+  const [isPasskeyPending, setIsPasskeyPending] = useState(false)
+
+  // Recovery codes - re-enrolling an account whose typing changed, and the new codes each enrollment issues
+  const [showRecoveryCodeEntry, setShowRecoveryCodeEntry] = useState(false)
+  const [recoveryCode, setRecoveryCode] = useState("")
+  const [reenrollment, setReenrollment] = useState<ReenrollmentSession | null>(null)
+  const [issuedRecoveryCodes, setIssuedRecoveryCodes] = useState<string[] | null>(null)
+  const [recoveryCodePickup, setRecoveryCodePickup] = useState<string | null>(null)
+
   // DOM refs for focus management
   const passphraseInputRef = useRef<HTMLInputElement>(null)
-  const { captureKeystrokes, extractFeatures, trainModel, authenticate, resetCapture, isCapturing, keystrokeData } =
-    useKeystrokeAnalyzer()
+  const {
+    captureKeystrokes,
+    extractFeatures,
+    trainModel,
+    getTrainingStatus,
+    authenticate,
+    resetCapture,
+    isCapturing,
+    keystrokeData,
+  } = useKeystrokeAnalyzer()
+
+  // Follow the training job until it completes or fails
+  useEffect(() => {
+    if (!trainingJob || trainingJob.status === "completed" || trainingJob.status === "failed") {
+      return
+    }
+
+    const pollTimer = setTimeout(async () => {
+      try {
+        const latestJob = await getTrainingStatus(trainingJob.username, recoveryCodePickup ?? undefined)
+        setTrainingJob(latestJob)
+        if (latestJob.recoveryCodes) {
+          setIssuedRecoveryCodes(latestJob.recoveryCodes)
+          setRecoveryCodePickup(null)
+        }
+
+        if (latestJob.status === "completed" && latestJob.result) {
+          setAuthResult({
+            type: "success",
+            message: `✅ BIOMETRIC PROFILE CREATED\n🤖 Neural Network Trained for ${latestJob.username} (v${latestJob.result.version})\n🎯 Threshold: ${latestJob.result.threshold.toFixed(6)}\n🔒 Security Clearance: ACTIVE`,
+          })
+        } else if (latestJob.status === "failed") {
+          setAuthResult({ type: "error", message: `🚨 TRAINING ERROR: ${latestJob.error || "Training failed"}\n🔁 Please register again` })
+        }
+      } catch (error) {
+        setTrainingJob({ ...trainingJob, status: "failed", error: String(error) })
+        setAuthResult({ type: "error", message: `🚨 TRAINING ERROR: ${error}` })
+      }
+    }, TRAINING_POLL_INTERVAL_MS)
+
+    return () => clearTimeout(pollTimer)
+  }, [trainingJob, recoveryCodePickup, getTrainingStatus])
 
   // Handle Enter key for form submission + keystroke capture
   const handleKeyPress = (e: React.KeyboardEvent) => {
@@ -72,6 +153,9 @@ export function KeystrokeCapture() {
       return
     }
 
+    setShowPasskeyPrompt(false)
+    setCanAddPasskey(false)
+
     try {
       const keystrokeFeatures = extractFeatures(keystrokeData)
 
@@ -79,44 +163,119 @@ export function KeystrokeCapture() {
       const authResponse = await authenticate(userIdentifier, keystrokeFeatures, userPassphrase)
       console.log("Auth result:", authResponse)
 
+      // A broken model file isn't the user's fault - don't count it as a failed attempt
+      if (authResponse.needsRetraining) {
+        setAuthResult({
+          type: "error",
+          message: `⚠️ BIOMETRIC MODEL NEEDS RETRAINING\nReason: ${authResponse.reason || "Stored model is corrupt"}\n🛟 Re-enroll with one of your recovery codes`,
+        })
+        setShowRecoveryCodeEntry(true)
+        setShowAnomalyMap(false)
+        clearFormInputs()
+        return
+      }
+
       // Process authentication response
       if (authResponse.authenticated) {
         setAuthResult({
           type: "success",
-          message: `✅ AUTHENTICATION SUCCESSFUL\nBiometric Error: ${(authResponse.reconstructionError || 0).toFixed(5)}\n🛡️ ACCESS GRANTED`,
+          message: `✅ AUTHENTICATION SUCCESSFUL\nBiometric Error: ${(authResponse.reconstructionError || 0).toFixed(5)}${describeMatchProbability(authResponse.matchProbability)}\n🛡️ ACCESS GRANTED${
+            authResponse.session ? `\n🎫 Session valid until ${new Date(authResponse.session.expiresAt).toLocaleTimeString()}` : ""
+          }`,
         })
         // Haptic feedback for successful auth
         try { await Haptics.impact({ style: ImpactStyle.Heavy }) } catch {}
-        setKeystrokeDeviations(authResponse.deviations || [])
+        setFeatureContributions(authResponse.featureContributions || [])
         setShowAnomalyMap(true)
         setAuthFailureCount(0) // Reset failure counter
-
-        // Log this successful attempt
-        await logAuthenticationAttempt(userIdentifier, true, authResponse.reconstructionError || 0)
+        if (authResponse.session) {
+          setCanAddPasskey(true)
+          onAuthenticated?.(authResponse.session)
+          // Registering a voice needs a logged-in session - a new enrollment picks it up here
+          if (voiceSetupPending) {
+            setVoiceSetupPending(false)
+            setShowVoiceSetup(true)
+          }
+        }
       } else {
-        const newFailureCount = authFailureCount + 1
-        setAuthFailureCount(newFailureCount)
+        // Refused before it was checked - nothing to count
+        if (authResponse.errorCode === "THROTTLED") {
+          setAuthResult({
+            type: "error",
+            message: `⏳ TOO MANY ATTEMPTS\nWait ${authResponse.retryAfterSeconds ?? 1}s before trying again`,
+          })
+          setShowAnomalyMap(false)
+          clearFormInputs()
+          return
+        }
 
-        setAuthResult({
-          type: "error",
-          message: `❌ AUTHENTICATION FAILED (Attempt ${newFailureCount}/2)\nBiometric Error: ${(authResponse.reconstructionError || 0).toFixed(5)}\n🚫 ACCESS DENIED\nReason: ${authResponse.reason || "Authentication failed"}`,
-        })
-        // Haptic feedback for failed auth
-        try { await Haptics.notification({ type: NotificationType.Error }) } catch {}
-        setKeystrokeDeviations(authResponse.deviations || [])
-        setShowAnomalyMap(true)
+        // The server's policy counts failures across every device - mirror it instead of counting here
+        const policy = authResponse.policy
+        setAuthFailureCount(policy?.signals.recentFailures ?? authFailureCount + 1)
+        setHasPasskey(!!policy?.signals.hasPasskey)
 
-        // Log this failed attempt
-        await logAuthenticationAttempt(userIdentifier, false, authResponse.reconstructionError || 0)
+        if (authResponse.errorCode === "LOCKED") {
+          setAuthResult({
+            type: "error",
+            message: `🔒 ACCOUNT LOCKED\n🚫 ACCESS DENIED\nReason: ${authResponse.reason || "Too many failed attempts"}`,
+          })
+          try { await Haptics.notification({ type: NotificationType.Error }) } catch {}
+          setShowAnomalyMap(false)
+          clearFormInputs()
+          return
+        }
 
-        // Trigger voice fallback after 2 consecutive failures
-        if (newFailureCount >= 2) {
-          setShowVoiceAuthDialog(true)
+        // Wrong passphrase - the typing rhythm was never scored, so there's nothing to visualize
+        if (authResponse.failedFactor === "knowledge") {
           setAuthResult({
             type: "error",
-            message: `🚨 MULTIPLE AUTHENTICATION FAILURES\n🎤 Voice authentication required for security verification`,
+            message: `❌ AUTHENTICATION FAILED\n🔑 Knowledge factor rejected\n🚫 ACCESS DENIED\nReason: ${authResponse.reason || "Passphrase does not match"}`,
           })
+          try { await Haptics.notification({ type: NotificationType.Error }) } catch {}
+          setShowAnomalyMap(false)
+          clearFormInputs()
+          return
         }
+
+        setFeatureContributions(authResponse.featureContributions || [])
+        setShowAnomalyMap(true)
+
+        if (policy?.action === "step-up" && policy.stepUp === "passkey") {
+          setAuthResult({
+            type: "info",
+            message: `🔑 PASSKEY REQUIRED\nReason: ${policy.reason}\n👆 Confirm with your passkey to continue`,
+          })
+          setShowPasskeyPrompt(true)
+          clearFormInputs()
+          return
+        }
+
+        // The policy wants a voice sample - on its own, or weighed together with this attempt
+        if (policy?.action === "step-up") {
+          setAuthResult({
+            type: "info",
+            message:
+              policy.stepUp === "fusion"
+                ? `🤏 BORDERLINE KEYSTROKE MATCH${describeMatchProbability(authResponse.matchProbability)}\n🎤 Confirm with your voice - both are weighed together`
+                : `🚨 VOICE VERIFICATION REQUIRED\nReason: ${policy.reason}\n🎤 Confirm with your voice to continue`,
+          })
+          setFusionAttempt(policy.stepUp === "fusion" ? { features: keystrokeFeatures, password: userPassphrase } : null)
+          setVoiceStepUpToken(authResponse.voiceStepUp?.token ?? null)
+          setShowVoiceAuthDialog(true)
+          clearFormInputs()
+          return
+        }
+
+        setAuthResult({
+          type: "error",
+          message: `❌ AUTHENTICATION FAILED\nBiometric Error: ${(authResponse.reconstructionError || 0).toFixed(5)}${describeMatchProbability(authResponse.matchProbability)}\n🚫 ACCESS DENIED\nReason: ${authResponse.reason || "Authentication failed"}${
+            authResponse.topContributors?.length
+              ? `\n📍 Mostly: ${authResponse.topContributors.map((contribution) => contribution.feature).join(", ")}`
+              : ""
+          }`,
+        })
+        // Haptic feedback for failed auth
+        try { await Haptics.notification({ type: NotificationType.Error }) } catch {}
       }
     } catch (error) {
       console.error("Authentication error:", error)
@@ -132,6 +291,17 @@ export function KeystrokeCapture() {
       return
     }
 
+    // Any passphrase length works - the model is sized to it - but short ones carry too little rhythm
+    if (userPassphrase.length < AUTH_CONFIG.REQUIRED_PASSWORD_LENGTH) {
+      setAuthResult({
+        type: "error",
+        message: `🚫 Passphrase too short! Use at least ${AUTH_CONFIG.REQUIRED_PASSWORD_LENGTH} characters.`,
+      })
+      resetCapture()
+      clearFormInputs()
+      return
+    }
+
     // Ensure password consistency across training samples
     if (firstPassword === null) {
       // First sample - store the password for comparison
@@ -145,20 +315,60 @@ export function KeystrokeCapture() {
 
     try {
       const keystrokeFeatures = extractFeatures(keystrokeData)
-      const trainingSuccess = await trainModel(userIdentifier, keystrokeFeatures, capturedSamples, enablePrivacyMode)
+      const trainingResult = await trainModel(
+        userIdentifier,
+        keystrokeFeatures,
+        nextSampleId,
+        enablePrivacyMode,
+        userPassphrase,
+        enableAdaptiveUpdates,
+        reenrollment?.token,
+      )
+
+      // Someone already enrolled under this name - only one of their recovery codes lets the samples in
+      if (trainingResult.errorCode === "REENROLLMENT_REQUIRED") {
+        setAuthResult({
+          type: "error",
+          message: `🔒 ${trainingResult.error}\n🛟 Enter one of your recovery codes to re-enroll`,
+        })
+        setShowRecoveryCodeEntry(true)
+        setFirstPassword(null)
+        resetCapture()
+        clearFormInputs()
+        return
+      }
 
-      if (trainingSuccess) {
-        const newSampleCount = capturedSamples + 1
+      if (trainingResult.success) {
+        if (capturedSamples === 0) {
+          setTrainingJob(null) // A new enrollment replaces whatever trained last
+        }
+        // The quality gate deletes samples that don't match the rest - each one needs a replacement
+        const rejectedSamples = trainingResult.rejectedSamples ?? []
+        const newSampleCount = capturedSamples + 1 - rejectedSamples.length
         setCapturedSamples(newSampleCount)
+        setNextSampleId(nextSampleId + 1)
 
-        if (newSampleCount >= SAMPLES_REQUIRED) {
+        if (rejectedSamples.length > 0) {
           setAuthResult({
-            type: "success",
-            message: `✅ BIOMETRIC PROFILE CREATED\n🤖 Neural Network Trained for ${userIdentifier}\n🔒 Security Clearance: ACTIVE`,
+            type: "error",
+            message: `⚠️ ${rejectedSamples.length} Sample(s) Rejected - enrollment quality ${Math.round((trainingResult.enrollmentQuality?.score ?? 0) * 100)}%\n${rejectedSamples.map((rejectedSample) => `• ${rejectedSample.reason}`).join("\n")}\n⌨️ Type the passphrase again to replace ${rejectedSamples.length === 1 ? "it" : "them"}`,
           })
+        } else if (trainingResult.trainingJob) {
+          // The server decides when it has enough samples - a queued job ends the enrollment, whatever
+          // this component counted
           setCapturedSamples(0)
+          setNextSampleId(0)
           setFirstPassword(null) // Reset for next user registration
-          setShowVoiceSetup(true) // Move to voice registration
+
+          // The recovery codes come with the finished training job - the pickup token collects them
+          setRecoveryCodePickup(trainingResult.recoveryCodePickup ?? null)
+
+          // The server trains in the background - voice registration follows once the job is done
+          setTrainingJob(trainingResult.trainingJob)
+          setAuthResult({
+            type: "info",
+            message: `🤖 Training Neural Network for ${userIdentifier}\n⏳ Your profile is ready once training completes`,
+          })
         } else {
           setAuthResult({
             type: "info",
@@ -169,19 +379,137 @@ export function KeystrokeCapture() {
         resetCapture() // Clear keystroke buffer
       }
     } catch (error) {
+      // e.g. a different keystroke count than the first sample - drop the capture so the retry starts clean
       setAuthResult({ type: "error", message: `🚨 TRAINING ERROR: ${error}` })
+      resetCapture()
     }
 
     clearFormInputs()
   }
   
 
-  // Handle successful voice authentication (fallback method)
+  const processRecoveryCode = async () => {
+    if (!userIdentifier || !recoveryCode.trim()) {
+      setAuthResult({ type: "error", message: "Please enter your security ID and a recovery code" })
+      return
+    }
+
+    try {
+      const redemption = await RuntimeAPI.redeemRecoveryCode(userIdentifier, recoveryCode)
+      if (redemption.success && redemption.reenrollment) {
+        setReenrollment(redemption.reenrollment)
+        setShowRecoveryCodeEntry(false)
+        setCurrentMode("register")
+        setCapturedSamples(0)
+        setNextSampleId(0)
+        setFirstPassword(null)
+        setAuthResult({
+          type: "info",
+          message: `🛟 RECOVERY CODE ACCEPTED\n⌨️ Type your passphrase ${SAMPLES_REQUIRED} times to re-enroll your typing\n🎤 Your voice profile and history are kept\n🔢 ${redemption.remainingCodes ?? 0} recovery code(s) left`,
+        })
+      } else {
+        setAuthResult({
+          type: "error",
+          message:
+            redemption.errorCode === "THROTTLED" || redemption.errorCode === "LOCKED"
+              ? `⏳ TOO MANY ATTEMPTS\n${redemption.message}`
+              : `❌ RECOVERY CODE REJECTED\nReason: ${redemption.message || redemption.error || "Recovery failed"}`,
+        })
+      }
+    } catch (error) {
+      setAuthResult({ type: "error", message: `🚨 RECOVERY ERROR: ${error}` })
+    }
+    setRecoveryCode("")
+  }
+
+  // Handle successful voice authentication (fallback method, or fused with a borderline keystroke attempt)
   const handleVoiceAuthenticationSuccess = () => {
     setAuthFailureCount(0)
     setAuthResult({
       type: "success",
-      message: `✅ VOICE AUTHENTICATION SUCCESSFUL\n🛡️ ACCESS GRANTED VIA BIOMETRIC FALLBACK`,
+      message: fusionAttempt
+        ? `✅ KEYSTROKE + VOICE AUTHENTICATION SUCCESSFUL\n🛡️ ACCESS GRANTED`
+        : `✅ VOICE AUTHENTICATION SUCCESSFUL\n🛡️ ACCESS GRANTED VIA BIOMETRIC FALLBACK`,
+    })
+
+    // The voice endpoints kept the session they issued - see RuntimeAPI.getSession
+    const session = RuntimeAPI.getSession()
+    if (session) {
+      setCanAddPasskey(true)
+      onAuthenticated?.(session)
+    }
+  }
+
+  // Voice didn't work out - the passkey is what's left before the lockout
+  const handlePasskeyRecovery = () => {
+    setShowVoiceAuthDialog(false)
+    setAuthResult({ type: "info", message: "🔑 PASSKEY RECOVERY\n👆 Confirm with your passkey to continue" })
+    setShowPasskeyPrompt(true)
+  }
+
+  const processPasskeyVerification = async () => {
+    setIsPasskeyPending(true)
+    try {
+      const passkeyResult = await RuntimeAPI.passkeyVerify(userIdentifier)
+      const policy = passkeyResult.policy
+      if (policy) {
+        setAuthFailureCount(policy.signals.recentFailures)
+      }
+
+      if (passkeyResult.success) {
+        setAuthFailureCount(0)
+        setShowPasskeyPrompt(false)
+        setAuthResult({ type: "success", message: "✅ PASSKEY VERIFIED\n🛡️ ACCESS GRANTED" })
+        try { await Haptics.impact({ style: ImpactStyle.Heavy }) } catch {}
+        if (passkeyResult.session) {
+          setCanAddPasskey(true)
+          onAuthenticated?.(passkeyResult.session)
+        }
+      } else {
+        // A failed passkey leaves the prompt up unless the policy locked the account
+        setShowPasskeyPrompt(!!policy?.recovery)
+        setAuthResult({
+          type: "error",
+          message:
+            passkeyResult.errorCode === "LOCKED"
+              ? `🔒 ACCOUNT LOCKED\n🚫 ACCESS DENIED\nReason: ${passkeyResult.message || "Too many failed attempts"}`
+              : `❌ PASSKEY NOT ACCEPTED\nReason: ${passkeyResult.message || "Passkey verification failed"}`,
+        })
+        try { await Haptics.notification({ type: NotificationType.Error }) } catch {}
+      }
+    } catch (error) {
+      // The user closed the browser's passkey prompt, or no authenticator answered
+      setAuthResult({ type: "error", message: `⚠️ Passkey prompt failed: ${error}` })
+    }
+    setIsPasskeyPending(false)
+  }
+
+  const processPasskeyRegistration = async () => {
+    setIsPasskeyPending(true)
+    try {
+      const registration = await RuntimeAPI.registerPasskey()
+      setAuthResult(
+        registration.success
+          ? { type: "success", message: `🔑 ${registration.message}\n🛟 Use it when keystroke and voice both fail` }
+          : { type: "error", message: `⚠️ Passkey not added: ${registration.error}` },
+      )
+      if (registration.success) {
+        setCanAddPasskey(false)
+        setHasPasskey(true)
+      }
+    } catch (error) {
+      setAuthResult({ type: "error", message: `⚠️ Passkey not added: ${error}` })
+    }
+    setIsPasskeyPending(false)
+  }
+
+  // A voice profile is only registered for a logged-in user - log in once with the new typing profile first
+  const startVoiceSetupAfterLogin = () => {
+    setVoiceSetupPending(true)
+    setCurrentMode("auth")
+    setAuthResult({
+      type: "info",
+      message: `🔐 Log in once as ${userIdentifier} with your new typing profile\n🎤 Voice registration follows`,
     })
   }
 
@@ -196,6 +524,12 @@ export function KeystrokeCapture() {
     })
   }
 
+  // The fusion attempt keeps its timings for the result message, but not the plaintext passphrase -
+  // like the form field, it goes once the attempt is sent or abandoned
+  const forgetFusionPassphrase = () => {
+    setFusionAttempt((attempt) => attempt && { ...attempt, password: null })
+  }
+
   // Reset form inputs and focus management
   const clearFormInputs = () => {
     setUserPassphrase("")
@@ -204,26 +538,6 @@ export function KeystrokeCapture() {
     }
   }
 
-  // Log authentication attempts for audit trail
-  const logAuthenticationAttempt = async (user: string, success: boolean, error: number) => {
-    try {
-      await fetch("/api/log-auth", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          timestamp: new Date().toISOString(),
-          username: user,
-          result: success ? "Pass" : "Fail",
-          mse: error,
-          ip: "localhost",
-          userAgent: navigator.userAgent,
-        }),
-      })
-    } catch (logError) {
-      console.error("Failed to log auth attempt:", logError)
-    }
-  }
-
   // Show voice registration component if we're in that flow
   if (showVoiceSetup) {
     return <VoiceRegistration username={userIdentifier} onComplete={handleVoiceProfileComplete} />
@@ -249,7 +563,7 @@ export function KeystrokeCapture() {
                 {currentMode === "auth" ? "Multi-Modal Biometric Authentication" : "Biometric Profile Training"}
               </span>
             </span>
-            <div className="flex gap-2">
+            <div className={authenticateOnly ? "hidden" : "flex gap-2"}>
               <Button
                 variant={currentMode === "auth" ? "default" : "outline"}
                 size="sm"
@@ -361,6 +675,18 @@ export function KeystrokeCapture() {
                 </Label>
               </div>
 
+              <div className="flex items-center space-x-3 p-4 bg-slate-700/30 dark:bg-slate-800/30 rounded-lg border border-slate-600/30 dark:border-slate-700/30">
+                <Checkbox
+                  id="adaptive"
+                  checked={enableAdaptiveUpdates}
+                  onCheckedChange={(checked) => setEnableAdaptiveUpdates(checked as boolean)}
+                  className="border-slate-500 dark:border-slate-600"
+                />
+                <Label htmlFor="adaptive" className="text-sm text-slate-400 dark:text-slate-500">
+                  🔄 Adaptive Mode (Confident logins keep the model up to date as your typing changes)
+                </Label>
+              </div>
+
               {capturedSamples > 0 && (
                 <div className="space-y-3 p-4 rounded-lg border border-blue-500/30 dark:border-blue-400/30">
                   <div
@@ -387,15 +713,129 @@ export function KeystrokeCapture() {
             </>
           )}
 
+          {/* Background training progress - loss and ETA while running, then the threshold it picked */}
+          {trainingJob && (
+            <div className="space-y-3 p-4 rounded-lg border border-cyan-500/30 dark:border-cyan-400/30 bg-cyan-500/5">
+              <Label className="text-slate-300 dark:text-slate-400 font-medium flex items-center gap-2">
+                <Cpu className="w-4 h-4" />
+                {trainingJob.status === "queued" && "Waiting for a training worker..."}
+                {trainingJob.status === "running" && `Training ${trainingJob.backend} model for ${trainingJob.username}`}
+                {trainingJob.status === "completed" && `Model trained for ${trainingJob.username}`}
+                {trainingJob.status === "failed" && "Training failed"}
+              </Label>
+              <Progress value={trainingJob.percent} className="h-3 bg-slate-700 dark:bg-slate-800" />
+              {trainingJob.progress && trainingJob.status === "running" && (
+                <p className="text-xs text-slate-400 dark:text-slate-500 font-mono">
+                  Epoch {trainingJob.progress.epoch}/{trainingJob.progress.epochs} · loss{" "}
+                  {trainingJob.progress.trainingLoss.toFixed(5)}
+                  {trainingJob.progress.validationLoss !== null &&
+                    ` · validation ${trainingJob.progress.validationLoss.toFixed(5)}`}
+                  {trainingJob.etaSeconds !== null && ` · ETA ≤ ${trainingJob.etaSeconds}s`}
+                </p>
+              )}
+              {trainingJob.status === "completed" && trainingJob.result && (
+                <>
+                  <p className="text-xs text-slate-400 dark:text-slate-500 font-mono">
+                    Threshold {trainingJob.result.threshold.toFixed(6)} · version {trainingJob.result.version}
+                    {trainingJob.result.bestEpoch !== null &&
+                      ` · best epoch ${trainingJob.result.bestEpoch}/${trainingJob.result.epochsRun}`}
+                  </p>
+                  <Button
+                    size="sm"
+                    onClick={() => {
+                      setTrainingJob(null)
+                      if (reenrollment) {
+                        // Re-enrollment only replaced the typing model - the voice profile is still there
+                        setReenrollment(null)
+                        setCurrentMode("auth")
+                        setAuthResult({ type: "success", message: "✅ TYPING RE-ENROLLED\n🔐 Log in with your new rhythm" })
+                      } else {
+                        startVoiceSetupAfterLogin()
+                      }
+                    }}
+                    className="w-full bg-cyan-600/80 hover:bg-cyan-500 text-white border-cyan-500/50"
+                  >
+                    {reenrollment ? <Shield className="w-4 h-4 mr-2" /> : <Volume2 className="w-4 h-4 mr-2" />}
+                    {reenrollment ? "Back to Authentication" : "Log In to Continue to Voice Registration"}
+                  </Button>
+                </>
+              )}
+            </div>
+          )}
+
+          {/* New recovery codes - the server only keeps their hashes, so this is the one chance to save them */}
+          {issuedRecoveryCodes && (
+            <div className="space-y-3 p-4 rounded-lg border border-emerald-500/30 bg-emerald-500/5">
+              <Label className="text-slate-300 dark:text-slate-400 font-medium flex items-center gap-2">
+                <LifeBuoy className="w-4 h-4 text-emerald-400" />
+                Recovery Codes for {userIdentifier}
+              </Label>
+              <p className="text-xs text-slate-400 dark:text-slate-500">
+                Save these somewhere safe - they won't be shown again. Each one lets you re-enroll once if your typing
+                changes. Any codes from before no longer work.
+              </p>
+              <div className="grid grid-cols-2 gap-2 font-mono text-sm text-emerald-300">
+                {issuedRecoveryCodes.map((code) => (
+                  <span key={code}>{code}</span>
+                ))}
+              </div>
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => setIssuedRecoveryCodes(null)}
+                className="w-full border-emerald-500/50 text-emerald-300 hover:bg-emerald-500/10"
+              >
+                I've Saved These Codes
+              </Button>
+            </div>
+          )}
+
           {/* Security warning for failed authentication attempts */}
-          {currentMode === "auth" && authFailureCount > 0 && authFailureCount < 2 && (
+          {currentMode === "auth" && authFailureCount > 0 && (
             <div className="p-3 bg-orange-500/10 rounded-lg border border-orange-500/30">
               <div className="flex items-center gap-2 text-orange-300 text-sm">
                 <Shield className="w-4 h-4" />
                 <span className="font-medium">Security Alert</span>
               </div>
               <p className="text-xs text-orange-400/80 mt-1">
-                Authentication failed {authFailureCount}/2 times. Voice authentication will be required after 2 failures.
+                {authFailureCount} recent failed attempt{authFailureCount === 1 ? "" : "s"}. More failures will ask for voice
+                verification, and eventually lock the account for a while.
+              </p>
+              {!authenticateOnly && !showRecoveryCodeEntry && (
+                <button
+                  type="button"
+                  onClick={() => setShowRecoveryCodeEntry(true)}
+                  className="text-xs text-orange-300 underline underline-offset-2 mt-2"
+                >
+                  Typing changed (injury, new keyboard)? Re-enroll with a recovery code
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Redeem a recovery code - opens a re-enrollment of the typing model only */}
+          {showRecoveryCodeEntry && !authenticateOnly && (
+            <div className="space-y-2 p-4 rounded-lg border border-emerald-500/30 bg-emerald-500/5">
+              <Label htmlFor="recovery-code" className="text-slate-300 dark:text-slate-400 font-medium flex items-center gap-2">
+                <LifeBuoy className="w-4 h-4 text-emerald-400" />
+                Recovery Code for {userIdentifier || "your account"}
+              </Label>
+              <div className="flex gap-2">
+                <Input
+                  id="recovery-code"
+                  value={recoveryCode}
+                  onChange={(e) => setRecoveryCode(e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && processRecoveryCode()}
+                  placeholder="xxxxx-xxxxx"
+                  autoComplete="off"
+                  className="font-mono bg-slate-700/50 dark:bg-slate-800/50 border-slate-600/50 dark:border-slate-700/50 text-slate-200 placeholder:text-slate-500"
+                />
+                <Button onClick={processRecoveryCode} className="bg-emerald-600/80 hover:bg-emerald-500 text-white">
+                  Redeem
+                </Button>
+              </div>
+              <p className="text-xs text-slate-500 dark:text-slate-600">
+                Each code works once. Your voice profile and login history are kept.
               </p>
             </div>
           )}
@@ -437,17 +877,36 @@ export function KeystrokeCapture() {
               </AlertDescription>
             </Alert>
           )}
+
+          {currentMode === "auth" && (showPasskeyPrompt || canAddPasskey) && (
+            <Button
+              variant="outline"
+              onClick={showPasskeyPrompt ? processPasskeyVerification : processPasskeyRegistration}
+              disabled={isPasskeyPending}
+              className="w-full border-amber-500/50 text-amber-300 hover:bg-amber-500/10"
+            >
+              <KeyRound className="w-4 h-4 mr-2" />
+              {showPasskeyPrompt ? "Verify with Passkey" : "Add a Passkey to This Account"}
+            </Button>
+          )}
         </CardContent>
       </Card>
 
-      {showAnomalyMap && keystrokeDeviations.length > 0 && <AnomalyHeatmap data={keystrokeDeviations} />}
+      {showAnomalyMap && featureContributions.length > 0 && <AnomalyHeatmap contributions={featureContributions} />}
 
-      {/* Voice Authentication Modal for fallback authentication */}
+      {/* Voice Authentication Modal - fallback authentication, or fusion with a borderline keystroke attempt */}
       <VoiceAuthModal
         isOpen={showVoiceAuthDialog}
-        onClose={() => setShowVoiceAuthDialog(false)}
+        onClose={() => {
+          setShowVoiceAuthDialog(false)
+          forgetFusionPassphrase()
+        }}
         username={userIdentifier}
         onSuccess={handleVoiceAuthenticationSuccess}
+        keystrokeAttempt={fusionAttempt}
+        onKeystrokeAttemptSent={forgetFusionPassphrase}
+        stepUpToken={voiceStepUpToken}
+        onPasskeyRecovery={hasPasskey ? handlePasskeyRecovery : undefined}
       />
     </div>
   )
@@ -4,20 +4,38 @@ import { useState, useEffect, useRef } from "react"
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog"
 import { Button } from "@/components/ui/button"
 import { Alert, AlertDescription } from "@/components/ui/alert"
-import { Mic, MicOff, Play, Pause, RotateCcw, Shield, Volume2, AlertCircle } from "lucide-react"
+import { Mic, MicOff, Play, Pause, RotateCcw, Shield, Volume2, AlertCircle, KeyRound } from "lucide-react"
 import { useVoiceAuth } from "@/hooks/use-voice-auth"
 import { Progress } from "@/components/ui/progress"
+import type { KeystrokeBiometricFeatures } from "@/lib/runtime-api"
 
 interface VoiceAuthModalProps {
   isOpen: boolean
   onClose: () => void
   username: string
   onSuccess: () => void
+  // Set for a borderline keystroke attempt - the recording is then weighed together with it instead of alone.
+  // The passphrase is spent by one verification - onKeystrokeAttemptSent tells the owner to forget it
+  keystrokeAttempt?: { features: KeystrokeBiometricFeatures; password: string | null } | null
+  onKeystrokeAttemptSent?: () => void
+  // Set for a voice step-up - the keystroke login the recording completes, spent by one verification
+  stepUpToken?: string | null
+  // Set when the user has a passkey - offered once the voice attempt fails
+  onPasskeyRecovery?: () => void
 }
 
 const PASSPHRASE = "I'll Always Choose You"
 
-export function VoiceAuthModal({ isOpen, onClose, username, onSuccess }: VoiceAuthModalProps) {
+export function VoiceAuthModal({
+  isOpen,
+  onClose,
+  username,
+  onSuccess,
+  keystrokeAttempt,
+  onKeystrokeAttemptSent,
+  stepUpToken,
+  onPasskeyRecovery,
+}: VoiceAuthModalProps) {
   const [isVerifying, setIsVerifying] = useState(false)
   const [isPlaying, setIsPlaying] = useState(false)
   const [result, setResult] = useState<{ type: "success" | "error" | "info"; message: string } | null>(null)
@@ -34,6 +52,7 @@ export function VoiceAuthModal({ isOpen, onClose, username, onSuccess }: VoiceAu
     stopRecording,
     resetRecording,
     verifyVoice,
+    verifyVoiceWithKeystrokes,
     attachWaveform,
     detachWaveform,
   } = useVoiceAuth()
@@ -84,8 +103,56 @@ export function VoiceAuthModal({ isOpen, onClose, username, onSuccess }: VoiceAu
     }
 
     setIsVerifying(true)
+
+    if (keystrokeAttempt) {
+      if (keystrokeAttempt.password === null) {
+        setResult({ type: "error", message: "🔁 Log in with your passphrase again to retry" })
+        setIsVerifying(false)
+        return
+      }
+
+      const fusionResult = await verifyVoiceWithKeystrokes(
+        username,
+        audioBlob,
+        keystrokeAttempt.features,
+        keystrokeAttempt.password,
+      )
+      onKeystrokeAttemptSent?.()
+      const describeProbability = (probability: number | null | undefined) =>
+        typeof probability === "number" ? `${(probability * 100).toFixed(1)}%` : "n/a"
+      const evidence = fusionResult?.evidence
+        ? `\n⌨️ Keystroke: ${describeProbability(fusionResult.evidence.keystroke.matchProbability)}  🎤 Voice: ${describeProbability(fusionResult.evidence.voice.matchProbability)}\n🔗 Combined: ${describeProbability(fusionResult.matchProbability)}`
+        : ""
+
+      if (fusionResult?.authenticated) {
+        setResult({
+          type: "success",
+          message: `✅ KEYSTROKE + VOICE AUTHENTICATION SUCCESSFUL\n🛡️ ACCESS GRANTED${evidence}`,
+        })
+        setTimeout(() => {
+          onSuccess()
+          onClose()
+        }, 2000)
+      } else {
+        setResult({
+          type: "error",
+          message: fusionResult
+            ? `❌ KEYSTROKE + VOICE AUTHENTICATION FAILED${evidence}\nReason: ${fusionResult.reason || "Authentication failed"}\n🔁 Log in with your passphrase again to retry.`
+            : "🚨 Voice verification error. Please try again.",
+        })
+      }
+      setIsVerifying(false)
+      return
+    }
+
+    if (!stepUpToken) {
+      setResult({ type: "error", message: "🔁 Log in with your passphrase first - voice only confirms a login" })
+      setIsVerifying(false)
+      return
+    }
+
     try {
-      const success = await verifyVoice(username, audioBlob)
+      const success = await verifyVoice(username, audioBlob, stepUpToken)
 
       if (success) {
         setResult({
@@ -100,7 +167,7 @@ export function VoiceAuthModal({ isOpen, onClose, username, onSuccess }: VoiceAu
         setResult({
           type: "error",
           message:
-            "❌ VOICE AUTHENTICATION FAILED\n🚫 Voice biometric patterns do not match\n\nDetected anomalies in voice characteristics.",
+            "❌ VOICE AUTHENTICATION FAILED\n🚫 Voice biometric patterns do not match\n\nDetected anomalies in voice characteristics.\n🔁 Log in with your passphrase again to retry.",
         })
       }
     } catch (error) {
@@ -134,7 +201,9 @@ export function VoiceAuthModal({ isOpen, onClose, username, onSuccess }: VoiceAu
             </span>
           </DialogTitle>
           <DialogDescription className="text-slate-400 dark:text-slate-500">
-            🔐 Keystroke authentication failed. Please verify your identity using voice biometrics.
+            {keystrokeAttempt
+              ? "🔐 Your typing was close but not conclusive. Your voice will be weighed together with it."
+              : "🔐 Keystroke authentication failed. Please verify your identity using voice biometrics."}
           </DialogDescription>
         </DialogHeader>
 
@@ -144,10 +213,14 @@ export function VoiceAuthModal({ isOpen, onClose, username, onSuccess }: VoiceAu
             <div className="p-3 bg-orange-500/10 rounded-lg border border-orange-500/30">
               <div className="flex items-center gap-2 text-orange-300 text-sm">
                 <Shield className="w-4 h-4" />
-                <span className="font-medium">Security Fallback Activated</span>
+                <span className="font-medium">
+                  {keystrokeAttempt ? "Keystroke + Voice Fusion" : "Security Fallback Activated"}
+                </span>
               </div>
               <p className="text-xs text-orange-400/80 mt-1">
-                Multiple keystroke authentication failures detected. Voice verification required.
+                {keystrokeAttempt
+                  ? "Borderline keystroke match detected. A voice sample can confirm it without a failed attempt."
+                  : "Multiple keystroke authentication failures detected. Voice verification required."}
               </p>
             </div>
 
@@ -346,6 +419,17 @@ export function VoiceAuthModal({ isOpen, onClose, username, onSuccess }: VoiceAu
               </AlertDescription>
             </Alert>
           )}
+
+          {result?.type === "error" && onPasskeyRecovery && (
+            <Button
+              variant="outline"
+              onClick={onPasskeyRecovery}
+              className="col-span-2 border-amber-500/50 text-amber-300 hover:bg-amber-500/10"
+            >
+              <KeyRound className="w-4 h-4 mr-2" />
+              Use a Passkey Instead
+            </Button>
+          )}
         </div>
       </DialogContent>
     </Dialog>
@@ -2,7 +2,7 @@
 // Had to experiment with different thresholds to get the right balance between security and usability
 export const AUTH_CONFIG = {
   // Keystroke dynamics settings - based on password complexity requirements
-  REQUIRED_PASSWORD_LENGTH: 8,        // Found 8 chars gives good biometric signal
+  REQUIRED_PASSWORD_LENGTH: 8,        // Minimum passphrase length - the feature vector is sized to each user's passphrase
   MINIMUM_TRAINING_SAMPLES: 5,        // Need at least 5 samples for reliable model training
   DATA_AUGMENTATION_NOISE: 0.1,       // 10% noise level works well for data augmentation
   SAMPLE_AUGMENTATION_MULTIPLIER: 3,  // Triple the dataset size with variations
@@ -11,11 +11,128 @@ export const AUTH_CONFIG = {
   AUTOENCODER_AUTH_THRESHOLD: 0.03,   // Main threshold - adjust this for stricter/looser auth
   AUTOENCODER_TEST_THRESHOLDS: [0.01, 0.03, 0.05, 0.07, 0.1], // Different thresholds for testing
 
+  // Autoencoder training - mini-batch Adam, stopped early on a held-out share of the enrollment samples
+  AUTOENCODER_MAX_EPOCHS: 300,        // Upper bound - early stopping usually ends training well before this
+  AUTOENCODER_LEARNING_RATE: 0.005,
+  AUTOENCODER_BATCH_SIZE: 8,
+  AUTOENCODER_VALIDATION_SPLIT: 0.2,  // Held-out samples also set the threshold, so it reflects unseen attempts
+  AUTOENCODER_EARLY_STOPPING_PATIENCE: 25,
+
+  // Keystroke backend for new enrollments - "autoencoder" (hand-rolled, libs/autoencoder.js) or
+  // "tfjs" (TensorFlow.js, libs/tfjs-keystroke-model.js). Both use the training settings above
+  KEYSTROKE_BACKEND: "autoencoder",
+  TFJS_LAYERS: [16, 8, 16],           // Hidden layer sizes - the smallest one is the bottleneck
+  TFJS_ACTIVATION: "relu",            // relu | elu | selu | tanh | sigmoid
+  TFJS_DROPOUT: 0.1,                  // After every hidden layer, training only
+  TFJS_OPTIMIZER: "adam",             // adam | sgd | rmsprop | adagrad
+  TFJS_NETWORKS_DIRECTORY: "tfjs",    // Network weights live in models/<user>/tfjs/<network id>.json
+
+  // Enrollment quality gate (lib/enrollment-quality.ts) - inconsistent samples are replaced before training
+  ENROLLMENT_FEATURE_Z_LIMIT: 2.5,    // Within this many standard deviations of the other samples counts as consistent
+  ENROLLMENT_MAX_FEATURE_Z: 20,       // A single feature further off than this (a long pause) rejects the sample - four samples give noisy spreads
+  ENROLLMENT_MIN_SAMPLE_CONSISTENCY: 0.6, // Share of consistent features each sample needs - one-handed typing falls well short
+  ENROLLMENT_MIN_QUALITY: 0.75,       // Mean consistency over all samples before training starts
+  ENROLLMENT_MIN_RELATIVE_SPREAD: 0.05, // Spread floor as a share of the mean, so near-identical samples don't make jitter look huge
+
+  // Background training (lib/training-jobs.ts) - enrollment answers right away, the network trains in a worker thread
+  TRAINING_JOB_FILE: "training_job.json", // Lives next to model.json
+  TRAINING_WORKERS: 1,                // Jobs trained at once - each keeps a CPU core busy
+  TRAINING_PROGRESS_INTERVAL_MS: 250, // How often a running job writes its progress
+  TRAINING_JOB_STALE_MS: 60000,       // A running job quiet for this long died with its server
+
+  // Keystroke detectors - the autoencoder plus the classic scorers from keystroke research (lib/keystroke-detectors.ts)
+  KEYSTROKE_DETECTORS: ["autoencoder"], // Used for every user who didn't pick their own at enrollment
+  KEYSTROKE_DETECTOR_FUSION: "mean",  // mean | max | min of the threshold-normalized detector scores
+  TRAINED_KEYSTROKE_DETECTORS: ["manhattan", "mahalanobis", "ocsvm", "isolationForest"], // Trained with every model so the selection can change without re-enrolling
+  MAHALANOBIS_SHRINKAGE: 0.3,         // Blend toward the identity - a handful of samples can't pin down a full covariance
+  OCSVM_NU: 0.1,                      // Upper bound on the share of enrollment samples treated as outliers
+  ISOLATION_FOREST_TREES: 100,
+
+  // Per-feature breakdown in authentication responses (lib/feature-contributions.ts)
+  TOP_FEATURE_CONTRIBUTORS: 3,        // Features named as the main reasons behind a rejection
+
+  // Score calibration (lib/score-calibration.ts) - raw keystroke and voice scores become a genuine-match probability
+  SCORE_CALIBRATION_METHOD: "platt",  // platt (logistic fit) | isotonic (monotone steps - wants plenty of impostors)
+  CALIBRATION_IMPOSTOR_SAMPLES: 100,  // Impostor attempts per calibration - other users' samples, topped up with synthetic ones
+  CALIBRATION_SYNTHETIC_SPREAD: 0.35, // Log-normal spread of every feature in a synthetic impostor (about ±35%)
+
+  // Keystroke + voice fusion (lib/modality-fusion.ts, POST /api/authenticate/fusion) - one decision from both matchProbabilities
+  FUSION_RULE: "likelihood-ratio",    // likelihood-ratio (multiply the odds of both) | weighted (weighted mean of the probabilities)
+  FUSION_WEIGHTS: { keystroke: 0.6, voice: 0.4 }, // Weighted rule only - the likelihood ratios carry their own strength
+  FUSION_ACCEPT_PROBABILITY: 0.5,     // Fused matchProbability needed to authenticate
+  FUSION_VETO_PROBABILITY: 0.02,      // A modality this sure of an impostor rejects however sure the other one is
+
+  // Risk-based policy (libs/auth-policy.js) - the groups and their rules are shared with the extension
+  DEFAULT_POLICY_GROUP: "standard",  // standard | strict, for everyone not listed below
+  POLICY_USER_GROUPS: {} as Record<string, string>, // username -> policy group, e.g. { alice: "strict" }
+
+  // Rate limiting (lib/auth-throttle.ts) - per username and per IP, checked before any attempt is scored
+  THROTTLE_STATE_FILE: "auth_throttle.json", // Lives in logs/ beside the access log, so a restart doesn't reset it
+  THROTTLE_FREE_FAILURES: 3,          // Failures in a row before attempts have to wait
+  THROTTLE_BASE_DELAY_MS: 1000,       // First wait - doubled with every further failure
+  THROTTLE_MAX_DELAY_MS: 60000,       // Backoff never waits longer than this
+  THROTTLE_FAILURE_WINDOW_MS: 15 * 60 * 1000, // A failure streak this old starts over
+  THROTTLE_USER_LOCKOUT_FAILURES: 10, // Failures that lock a username out
+  THROTTLE_IP_LOCKOUT_FAILURES: 30,   // Higher - one network may be shared, or try several usernames honestly
+  THROTTLE_LOCKOUT_MS: 15 * 60 * 1000, // Lockouts end by themselves after this, or when an admin unlocks
+  THROTTLE_RESERVATION_MS: 30 * 1000, // An attempt still being checked holds its place in the budget this long at most
+
+  // Session tokens (lib/session-tokens.ts) - HMAC-signed JWTs handed out once an attempt is allowed
+  SESSION_TOKEN_ISSUER: "ghost-key",
+  SESSION_TOKEN_TTL_SECONDS: 15 * 60, // Short-lived - apps check them with /api/session/introspect
+  SESSION_KEY_FILE: "session_key.json", // Lives in models/ unless GHOST_KEY_SESSION_SECRET is set - logs/ gets exported
+  SESSION_REVOCATION_FILE: "revoked_sessions.json", // Lives in logs/ - logged-out tokens until they expire anyway
+  ACCOUNT_CHANGE_MAX_AUTH_AGE_SECONDS: 5 * 60, // Changing a factor (voice profile, passkey, recovery codes) needs a login this recent
+
+  // OpenID Connect provider mode - "Sign in with Ghost Key" for other apps (lib/oidc-provider.ts)
+  OIDC_CLIENTS_FILE: "oidc_clients.json",    // Registered relying parties - lives in models/, secrets hashed
+  OIDC_SIGNING_KEY_FILE: "oidc_signing_key.json", // RS256 key pair for ID and access tokens - lives in models/, public half at the JWKS endpoint
+  OIDC_CODES_FILE: "oidc_codes.json",        // Unredeemed authorization codes - lives in models/
+  OIDC_CODE_TTL_SECONDS: 60,                 // The relying party swaps the code straight away
+  OIDC_ID_TOKEN_TTL_SECONDS: 5 * 60,
+  OIDC_ACCESS_TOKEN_TTL_SECONDS: 5 * 60,     // Only good for userinfo - the relying party runs its own session after that
+  OIDC_MAX_AUTH_AGE_SECONDS: 2 * 60,         // /authorize only accepts a login made on its own page just now
+
+  // Admin accounts and sessions (lib/admin-auth.ts) - every admin route checks the cookie and the role
+  ADMIN_ACCOUNTS_FILE: "admin_accounts.json", // Lives in models/ - passwords scrypt-hashed like passphrases
+  ADMIN_SESSIONS_FILE: "admin_sessions.json", // Lives in models/ - hashes of the session cookies handed out
+  ADMIN_SESSION_COOKIE: "ghostkey_admin",
+  ADMIN_SESSION_TTL_SECONDS: 8 * 60 * 60,     // A working day - logging out ends it sooner
+  ADMIN_MIN_PASSWORD_LENGTH: 12,
+
   // Voice biometric authentication settings - more lenient than keystroke
   VOICE_MATCH_THRESHOLD: 0.65,         // 70% similarity required for voice authentication
   VOICE_THRESHOLD_OPTIONS: [0.5, 0.6, 0.65, 0.7, 0.75], // For testing different strictness levels
   VOICE_RECORDING_DURATION: 3000,     // 3 seconds seems optimal for voice samples
   MFCC_FEATURE_COUNT: 13,             // Standard number of MFCC coefficients
+  VOICE_STEP_UP_FILE: "voice_step_up.json", // Lives next to model.json - the keystroke attempt waiting for voice
+  VOICE_STEP_UP_TTL_MS: 5 * 60 * 1000, // Time to record the voice sample the policy asked for
+
+  // WebAuthn passkeys - a step-up and recovery factor next to voice (lib/webauthn.ts)
+  WEBAUTHN_CREDENTIALS_FILE: "passkeys.json",       // Lives next to model.json
+  WEBAUTHN_CHALLENGE_FILE: "passkey_challenge.json", // Lives next to model.json - the ceremony in progress
+  WEBAUTHN_RP_NAME: "Ghost Key",
+  WEBAUTHN_TIMEOUT_MS: 2 * 60 * 1000,              // How long the browser prompt and the challenge last
+
+  // Recovery codes - one-time codes that let a user whose typing changed re-enroll (lib/recovery-codes.ts)
+  RECOVERY_CODES_FILE: "recovery_codes.json",   // Lives next to model.json - hashes only
+  RECOVERY_CODE_COUNT: 10,                      // A fresh set is issued with every completed enrollment
+  RECOVERY_CODE_PICKUP_FILE: "recovery_codes_pickup.json", // Lives next to model.json - the new set, sealed until the enrolling client collects it
+  REENROLLMENT_SESSION_FILE: "reenrollment.json", // Lives next to model.json - the re-enrollment a code opened
+  REENROLLMENT_SESSION_TTL_MS: 30 * 60 * 1000,  // Time to type every enrollment sample again
+
+  // Knowledge factor - the passphrase itself is checked before the typing rhythm
+  PASSPHRASE_HASH_FILE: "passphrase.json", // Lives next to model.json
+  PASSPHRASE_SCRYPT_PARAMS: { N: 16384, r: 8, p: 1, keyLength: 64 }, // ~50ms per hash on a laptop
+
+  // Adaptive model updates (opt-in per user) - keeps up with typing rhythm drifting over weeks
+  ADAPTIVE_STATE_FILE: "adaptation.json", // Lives next to model.json
+  ADAPTIVE_MIN_CONFIDENCE: 0.6,       // Only learn from logins that were clearly genuine
+  ADAPTIVE_SAMPLE_WINDOW: 20,         // Rolling window of login samples kept beside the enrollment ones
+  ADAPTIVE_RETRAIN_EVERY: 5,          // Retrain after this many accepted login samples
+  ADAPTIVE_MAX_SAMPLES_PER_DAY: 5,    // Caps how fast anyone can drag the template somewhere else
+  ADAPTIVE_MAX_THRESHOLD_GROWTH: 1.5, // Refuse a retrain that loosens the threshold more than this
+  ADAPTIVE_MIN_ENROLLMENT_ACCEPTANCE: 0.8, // Retrained model must still accept 80% of enrollment samples
 
   // File system paths for model storage
   KEYSTROKE_MODELS_DIRECTORY: "models",
@@ -3,7 +3,7 @@
 // Custom hook for voice biometric authentication - handles recording, processing, and verification
 import { useState, useRef, useCallback } from "react"
 import { processVoiceAudio } from "@/utils/voice-feature-extractor"
-import RuntimeAPI from "@/lib/runtime-api"
+import RuntimeAPI, { type FusionAuthenticationResult, type KeystrokeBiometricFeatures } from "@/lib/runtime-api"
 import { Haptics, ImpactStyle, NotificationType } from "@capacitor/haptics"
 
 // TypeScript interface for the voice authentication hook
@@ -19,7 +19,13 @@ interface VoiceAuthHook {
   stopRecording: () => void
   resetRecording: () => void
   registerVoice: (username: string, samples: Blob[]) => Promise<boolean>
-  verifyVoice: (username: string, sample: Blob) => Promise<boolean>
+  verifyVoice: (username: string, sample: Blob, stepUpToken: string) => Promise<boolean>
+  verifyVoiceWithKeystrokes: (
+    username: string,
+    sample: Blob,
+    keystrokeFeatures: KeystrokeBiometricFeatures,
+    password: string,
+  ) => Promise<FusionAuthenticationResult | null>
   attachWaveform: (canvas: HTMLCanvasElement) => void
   detachWaveform: () => void
 }
@@ -179,11 +185,11 @@ export function useVoiceAuth(): VoiceAuthHook {
   }, [])
 
   // Verify voice against stored biometric profile
-  const authenticateVoice = useCallback(async (username: string, voiceSample: Blob): Promise<boolean> => {
+  const authenticateVoice = useCallback(async (username: string, voiceSample: Blob, stepUpToken: string): Promise<boolean> => {
     try {
       setIsProcessingAudio(true)
       setCurrentProcessingProgress(30)
-      const verificationSuccessful = await RuntimeAPI.voiceVerify(username, voiceSample)
+      const verificationSuccessful = await RuntimeAPI.voiceVerify(username, voiceSample, stepUpToken)
       setCurrentProcessingProgress(100)
       if (verificationSuccessful) {
         await Haptics.impact({ style: ImpactStyle.Medium }).catch(() => {})
@@ -201,6 +207,37 @@ export function useVoiceAuth(): VoiceAuthHook {
     }
   }, [])
 
+  // Keystroke + voice fusion - the server weighs the voice sample together with a borderline typing attempt
+  const authenticateVoiceWithKeystrokes = useCallback(
+    async (
+      username: string,
+      voiceSample: Blob,
+      keystrokeFeatures: KeystrokeBiometricFeatures,
+      password: string,
+    ): Promise<FusionAuthenticationResult | null> => {
+      try {
+        setIsProcessingAudio(true)
+        setCurrentProcessingProgress(30)
+        const fusionResult = await RuntimeAPI.authenticateWithVoice(username, keystrokeFeatures, password, voiceSample)
+        setCurrentProcessingProgress(100)
+        if (fusionResult.authenticated) {
+          await Haptics.impact({ style: ImpactStyle.Medium }).catch(() => {})
+        } else {
+          await Haptics.notification({ type: NotificationType.Error }).catch(() => {})
+        }
+        return fusionResult
+      } catch (error) {
+        console.error("Fusion authentication failed:", error)
+        await Haptics.notification({ type: NotificationType.Error }).catch(() => {})
+        return null
+      } finally {
+        setIsProcessingAudio(false)
+        setCurrentProcessingProgress(0)
+      }
+    },
+    [],
+  )
+
   // Set up real-time waveform visualization during recording
   const setupWaveformVisualization = useCallback((canvas: HTMLCanvasElement | null) => {
     visualizationCanvas.current = canvas
@@ -281,6 +318,7 @@ export function useVoiceAuth(): VoiceAuthHook {
     resetRecording: clearRecording,
     registerVoice: enrollVoiceProfile,
     verifyVoice: authenticateVoice,
+    verifyVoiceWithKeystrokes: authenticateVoiceWithKeystrokes,
     attachWaveform: setupWaveformVisualization,
     detachWaveform: cleanupWaveformVisualization,
   }
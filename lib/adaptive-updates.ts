@@ -0,0 +1,287 @@
+/**
+ * Adaptive keystroke model updates (opt-in per user)
+ * Typing rhythm drifts over weeks, so a frozen enrollment template slowly turns into false rejects.
+ * High-confidence logins are kept in a rolling window next to the enrollment samples and the
+ * autoencoder is periodically retrained on both.
+ *
+ * Poisoning guards:
+ *   - only logins above ADAPTIVE_MIN_CONFIDENCE are learned from
+ *   - at most ADAPTIVE_MAX_SAMPLES_PER_DAY login samples are accepted per day
+ *   - enrollment samples are never rotated out, and a retrain is refused if the new model
+ *     stops accepting them or loosens the threshold by more than ADAPTIVE_MAX_THRESHOLD_GROWTH
+ *   - every retrain is a new version in the model history, so an update can be rolled back
+ *
+ * Only autoencoder models are aged - /api/authenticate never records samples for tfjs models
+ */
+
+import fs from "fs/promises"
+import path from "path"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { getSampleDirectory, loadEnrollmentSamples, trainUserKeystrokeModel } from "@/lib/keystroke-training"
+import {
+  activateModelVersion,
+  getPreviousVersionNumber,
+  recordModelVersion,
+  type StoredModelVersion,
+} from "@/lib/model-history"
+import { calibrateKeystrokeModel, type KeystrokeCalibration } from "@/lib/keystroke-calibration"
+import { scoreWithDetectors, type KeystrokeDetectorModel } from "@/lib/keystroke-detectors"
+
+const ADAPTIVE_SAMPLE_PATTERN = /^adaptive_(\d+)\.json$/
+const ONE_DAY_MS = 24 * 60 * 60 * 1000
+
+export interface AdaptationState {
+  enabled: boolean
+  acceptedSampleTimes: string[] // Login samples accepted in the last 24h (rate limit)
+  samplesSinceRetrain: number
+  retrainCount: number
+  lastRetrainAt: string | null
+  lastRejectedRetrain: { at: string; reason: string } | null
+  updatedAt: string
+}
+
+export interface AdaptationOutcome {
+  accepted: boolean
+  reason: string
+  retrained?: boolean
+}
+
+export function createAdaptationState(enabled: boolean): AdaptationState {
+  return {
+    enabled,
+    acceptedSampleTimes: [],
+    samplesSinceRetrain: 0,
+    retrainCount: 0,
+    lastRetrainAt: null,
+    lastRejectedRetrain: null,
+    updatedAt: new Date().toISOString(),
+  }
+}
+
+function getAdaptationStatePath(username: string): string {
+  return path.join(process.cwd(), AUTH_CONFIG.KEYSTROKE_MODELS_DIRECTORY, username, AUTH_CONFIG.ADAPTIVE_STATE_FILE)
+}
+
+// Users enrolled before adaptive mode existed simply have it switched off
+export async function loadAdaptationState(username: string): Promise<AdaptationState> {
+  try {
+    return JSON.parse(await fs.readFile(getAdaptationStatePath(username), "utf-8"))
+  } catch {
+    return createAdaptationState(false)
+  }
+}
+
+export async function saveAdaptationState(username: string, state: AdaptationState): Promise<void> {
+  await fs.writeFile(getAdaptationStatePath(username), JSON.stringify({ ...state, updatedAt: new Date().toISOString() }, null, 2))
+}
+
+// Fresh enrollment - start counting again with the user's adaptive mode choice
+export async function resetAdaptiveUpdates(username: string, enabled: boolean): Promise<void> {
+  await saveAdaptationState(username, createAdaptationState(enabled))
+}
+
+async function listAdaptiveSampleFiles(username: string): Promise<string[]> {
+  try {
+    const sampleFiles = await fs.readdir(getSampleDirectory(username))
+    return sampleFiles
+      .filter((fileName) => ADAPTIVE_SAMPLE_PATTERN.test(fileName))
+      .sort((a, b) => Number(a.match(ADAPTIVE_SAMPLE_PATTERN)![1]) - Number(b.match(ADAPTIVE_SAMPLE_PATTERN)![1]))
+  } catch {
+    return []
+  }
+}
+
+export async function loadAdaptiveSamples(username: string): Promise<number[][]> {
+  const sampleDirectory = getSampleDirectory(username)
+  const adaptiveSamples: number[][] = []
+
+  for (const fileName of await listAdaptiveSampleFiles(username)) {
+    try {
+      adaptiveSamples.push(JSON.parse(await fs.readFile(path.join(sampleDirectory, fileName), "utf-8")).features)
+    } catch (error) {
+      console.error(`Failed to load adaptive sample ${fileName}:`, error)
+    }
+  }
+
+  return adaptiveSamples
+}
+
+export async function countAdaptiveSamples(username: string): Promise<number> {
+  return (await listAdaptiveSampleFiles(username)).length
+}
+
+async function clearAdaptiveSamples(username: string): Promise<void> {
+  const sampleDirectory = getSampleDirectory(username)
+  for (const fileName of await listAdaptiveSampleFiles(username)) {
+    await fs.rm(path.join(sampleDirectory, fileName), { force: true })
+  }
+}
+
+/**
+ * Offer the features of a successful login to the adaptive window
+ * Called by /api/authenticate after the autoencoder accepted the attempt
+ */
+export async function recordAuthenticatedSample(
+  username: string,
+  features: number[],
+  currentModel: KeystrokeDetectorModel,
+  attempt: { confidence: number; reconstructionError: number },
+): Promise<AdaptationOutcome> {
+  const state = await loadAdaptationState(username)
+
+  if (!state.enabled) {
+    return { accepted: false, reason: "Adaptive updates are disabled" }
+  }
+
+  if (attempt.confidence < AUTH_CONFIG.ADAPTIVE_MIN_CONFIDENCE) {
+    return {
+      accepted: false,
+      reason: `Confidence ${attempt.confidence.toFixed(3)} below ${AUTH_CONFIG.ADAPTIVE_MIN_CONFIDENCE}`,
+    }
+  }
+
+  // Rate limit - only count samples accepted in the last 24 hours
+  const now = Date.now()
+  state.acceptedSampleTimes = state.acceptedSampleTimes.filter((time) => now - new Date(time).getTime() < ONE_DAY_MS)
+
+  if (state.acceptedSampleTimes.length >= AUTH_CONFIG.ADAPTIVE_MAX_SAMPLES_PER_DAY) {
+    await saveAdaptationState(username, state)
+    return { accepted: false, reason: "Daily adaptation limit reached" }
+  }
+
+  // Append to the rolling window, dropping the oldest login samples beyond its size
+  const sampleDirectory = getSampleDirectory(username)
+  await fs.mkdir(sampleDirectory, { recursive: true })
+  await fs.writeFile(
+    path.join(sampleDirectory, `adaptive_${now}.json`),
+    JSON.stringify(
+      {
+        sampleId: `adaptive_${now}`,
+        timestamp: new Date(now).toISOString(),
+        features,
+        source: "adaptive",
+        confidence: attempt.confidence,
+        reconstructionError: attempt.reconstructionError,
+      },
+      null,
+      2,
+    ),
+  )
+
+  const adaptiveFiles = await listAdaptiveSampleFiles(username)
+  for (const expiredFile of adaptiveFiles.slice(0, Math.max(0, adaptiveFiles.length - AUTH_CONFIG.ADAPTIVE_SAMPLE_WINDOW))) {
+    await fs.rm(path.join(sampleDirectory, expiredFile), { force: true })
+  }
+
+  state.acceptedSampleTimes.push(new Date(now).toISOString())
+  state.samplesSinceRetrain += 1
+
+  if (state.samplesSinceRetrain < AUTH_CONFIG.ADAPTIVE_RETRAIN_EVERY) {
+    await saveAdaptationState(username, state)
+    return { accepted: true, reason: "Sample added to adaptive window", retrained: false }
+  }
+
+  const retrainResult = await retrainWithAdaptiveSamples(username, currentModel)
+  state.samplesSinceRetrain = 0
+
+  if (retrainResult.retrained) {
+    state.retrainCount += 1
+    state.lastRetrainAt = new Date().toISOString()
+  } else {
+    state.lastRejectedRetrain = { at: new Date().toISOString(), reason: retrainResult.reason }
+  }
+
+  await saveAdaptationState(username, state)
+  return { accepted: true, reason: retrainResult.reason, retrained: retrainResult.retrained }
+}
+
+/**
+ * Retrain on enrollment + adaptive samples and swap the model in only if it passes the guards
+ */
+async function retrainWithAdaptiveSamples(
+  username: string,
+  currentModel: KeystrokeDetectorModel,
+): Promise<{ retrained: boolean; reason: string }> {
+  const enrollmentSamples = await loadEnrollmentSamples(username)
+  const adaptiveSamples = await loadAdaptiveSamples(username)
+
+  if (enrollmentSamples.length < AUTH_CONFIG.MINIMUM_TRAINING_SAMPLES) {
+    return { retrained: false, reason: "Enrollment samples missing - retrain skipped" }
+  }
+
+  console.log(
+    `Adaptive retrain for ${username}: ${enrollmentSamples.length} enrollment + ${adaptiveSamples.length} login samples`,
+  )
+
+  const candidateModel = {
+    ...trainUserKeystrokeModel(username, [...enrollmentSamples, ...adaptiveSamples], {
+      featureLayout: currentModel.featureLayout,
+      detection: currentModel.detection,
+    }),
+    trainingSource: "adaptive",
+  }
+
+  // Guard 1: the original enrollment must still authenticate (with the detectors login uses)
+  const acceptedEnrollmentSamples = enrollmentSamples.filter(
+    (sample) => scoreWithDetectors(sample, candidateModel).authenticated,
+  ).length
+  const enrollmentAcceptance = acceptedEnrollmentSamples / enrollmentSamples.length
+
+  if (enrollmentAcceptance < AUTH_CONFIG.ADAPTIVE_MIN_ENROLLMENT_ACCEPTANCE) {
+    console.warn(`Adaptive retrain rejected for ${username}: enrollment acceptance ${enrollmentAcceptance.toFixed(2)}`)
+    return {
+      retrained: false,
+      reason: `Retrain rejected - new model accepts only ${(enrollmentAcceptance * 100).toFixed(0)}% of enrollment samples`,
+    }
+  }
+
+  // Guard 2: the threshold may not balloon (a sign of noisy or poisoned samples)
+  if (candidateModel.threshold > currentModel.threshold * AUTH_CONFIG.ADAPTIVE_MAX_THRESHOLD_GROWTH) {
+    console.warn(`Adaptive retrain rejected for ${username}: threshold grew to ${candidateModel.threshold.toFixed(6)}`)
+    return {
+      retrained: false,
+      reason: `Retrain rejected - threshold would grow from ${currentModel.threshold.toFixed(6)} to ${candidateModel.threshold.toFixed(6)}`,
+    }
+  }
+
+  // Recalibrated like an enrollment - without it the new version would report no matchProbability
+  let calibratedModel: typeof candidateModel & { calibration?: KeystrokeCalibration } = candidateModel
+  try {
+    calibratedModel = { ...candidateModel, calibration: await calibrateKeystrokeModel(username, candidateModel) }
+  } catch (error) {
+    console.error(`Score calibration failed for the adaptive retrain of ${username}:`, error)
+  }
+
+  // Stored as a new version - the current one stays in history for rollback
+  const { version, activated } = await recordModelVersion(username, calibratedModel, "adaptive")
+
+  if (!activated) {
+    return { retrained: true, reason: `Model retrained as v${version} but a pinned version stays active` }
+  }
+
+  console.log(`Adaptive retrain applied for ${username} as v${version}, new threshold ${candidateModel.threshold.toFixed(6)}`)
+  return { retrained: true, reason: `Model retrained with recent login samples (v${version})` }
+}
+
+/**
+ * Go back to the version before the active one and throw away the login samples behind the bad update
+ */
+export async function rollbackAdaptiveModel(username: string): Promise<StoredModelVersion | null> {
+  const previousVersion = await getPreviousVersionNumber(username)
+  if (previousVersion === null) {
+    return null
+  }
+
+  const restoredModel = await activateModelVersion(username, previousVersion)
+  if (!restoredModel) {
+    return null
+  }
+
+  await clearAdaptiveSamples(username)
+
+  const state = await loadAdaptationState(username)
+  await saveAdaptationState(username, { ...state, samplesSinceRetrain: 0, acceptedSampleTimes: [] })
+
+  console.log(`Rolled back adaptive model update for ${username} to v${previousVersion}`)
+  return restoredModel
+}
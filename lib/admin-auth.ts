@@ -0,0 +1,363 @@
+/**
+ * Admin accounts, roles and the session cookie every admin route checks
+ * Roles nest - each one can do what the ones before it can:
+ *   auditor  - read the access log, reports and lockouts
+ *   operator - manage users: list, delete, unlock, roll back models, run evaluations
+ *   owner    - configuration, OIDC clients and the admin accounts themselves
+ *
+ * Admin routes export their handlers through withAdminAuth(role, handler), which turns away requests
+ * without a live session (401) or with too small a role (403) before the handler runs. Logging in
+ * (POST /api/admin/session) sets an HttpOnly, SameSite=Strict cookie holding a random session id.
+ * The server keeps only its hash, and looks the account up again on every request, so deleting an
+ * account or changing its role takes effect straight away. Deleting an account, changing its password
+ * or lowering its role also ends its open sessions.
+ *
+ * Accounts and sessions are JSON files in models/. Passwords are scrypt-hashed with the passphrase
+ * code (lib/passphrase-hash.ts). The first owner comes from GHOST_KEY_ADMIN_PASSWORD (and optionally
+ * GHOST_KEY_ADMIN_USERNAME, default "admin") - it is only read while there are no accounts at all.
+ */
+
+import crypto from "crypto"
+import fs from "fs/promises"
+import path from "path"
+import { type NextRequest, NextResponse } from "next/server"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { hashPassphrase, verifyPassphrase, type PassphraseHashRecord } from "@/lib/passphrase-hash"
+
+export const ADMIN_ROLES = ["auditor", "operator", "owner"] as const // Least to most
+export type AdminRole = (typeof ADMIN_ROLES)[number]
+
+export interface AdminAccount {
+  username: string
+  role: AdminRole
+  createdAt: string
+}
+
+interface StoredAdminAccount extends AdminAccount {
+  password: PassphraseHashRecord
+}
+
+// Who is behind a request - the role is the account's current one, not the one at login
+export interface AdminIdentity {
+  username: string
+  role: AdminRole
+  expiresAt: string
+}
+
+interface StoredAdminSession {
+  username: string
+  createdAt: string
+  expiresAt: string
+}
+
+export type AdminAuthErrorCode =
+  | "INVALID_CREDENTIALS"
+  | "NO_ADMIN_ACCOUNTS"
+  | "INVALID_ACCOUNT"
+  | "ACCOUNT_EXISTS"
+  | "ACCOUNT_NOT_FOUND"
+  | "LAST_OWNER"
+
+export class AdminAuthError extends Error {
+  code: AdminAuthErrorCode
+  status: number
+
+  constructor(code: AdminAuthErrorCode, message: string, status = 400) {
+    super(message)
+    this.name = "AdminAuthError"
+    this.code = code
+    this.status = status
+  }
+}
+
+const ADMIN_DIRECTORY = path.join(process.cwd(), AUTH_CONFIG.KEYSTROKE_MODELS_DIRECTORY)
+const ACCOUNTS_FILE = path.join(ADMIN_DIRECTORY, AUTH_CONFIG.ADMIN_ACCOUNTS_FILE)
+const SESSIONS_FILE = path.join(ADMIN_DIRECTORY, AUTH_CONFIG.ADMIN_SESSIONS_FILE)
+const USERNAME_PATTERN = /^[a-z0-9._-]{1,64}$/i
+
+// Every change is a read-modify-write of one file - run them one at a time so none is lost
+let pendingUpdate: Promise<unknown> = Promise.resolve()
+
+async function readJsonFile<T>(filePath: string, fallback: T): Promise<T> {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf-8"))
+  } catch {
+    return fallback
+  }
+}
+
+// Written through a temp file - a crash mid-write must not lock every admin out
+async function writeJsonFile(filePath: string, value: unknown): Promise<void> {
+  await fs.mkdir(path.dirname(filePath), { recursive: true })
+  const temporaryFilePath = `${filePath}.${process.pid}.tmp`
+  await fs.writeFile(temporaryFilePath, JSON.stringify(value, null, 2), { mode: 0o600 })
+  await fs.rename(temporaryFilePath, filePath)
+}
+
+function updateJsonFile<S, T>(filePath: string, fallback: S, update: (state: S) => T | Promise<T>): Promise<T> {
+  const result = pendingUpdate.then(async () => {
+    const state = await readJsonFile(filePath, fallback)
+    const outcome = await update(state)
+    await writeJsonFile(filePath, state)
+    return outcome
+  })
+  pendingUpdate = result.catch(() => undefined)
+  return result
+}
+
+function hashSessionId(sessionId: string): string {
+  return crypto.createHash("sha256").update(sessionId).digest("base64url")
+}
+
+function toAdminAccount({ username, role, createdAt }: StoredAdminAccount): AdminAccount {
+  return { username, role, createdAt }
+}
+
+export function hasAdminRole(role: AdminRole, requiredRole: AdminRole): boolean {
+  return ADMIN_ROLES.indexOf(role) >= ADMIN_ROLES.indexOf(requiredRole)
+}
+
+function checkPassword(password: unknown): string {
+  if (typeof password !== "string" || password.length < AUTH_CONFIG.ADMIN_MIN_PASSWORD_LENGTH) {
+    throw new AdminAuthError(
+      "INVALID_ACCOUNT",
+      `Admin passwords need at least ${AUTH_CONFIG.ADMIN_MIN_PASSWORD_LENGTH} characters`,
+    )
+  }
+  return password
+}
+
+function checkRole(role: unknown): AdminRole {
+  if (!ADMIN_ROLES.includes(role as AdminRole)) {
+    throw new AdminAuthError("INVALID_ACCOUNT", `Role must be one of ${ADMIN_ROLES.join(", ")}`)
+  }
+  return role as AdminRole
+}
+
+// Removing or demoting this account must leave somebody who can manage accounts
+function checkOwnerRemains(accounts: StoredAdminAccount[], username: string) {
+  if (!accounts.some((account) => account.role === "owner" && account.username !== username)) {
+    throw new AdminAuthError("LAST_OWNER", `${username} is the last owner - make someone else owner first`, 409)
+  }
+}
+
+// The accounts - or, before there are any, the owner GHOST_KEY_ADMIN_PASSWORD describes
+async function loadAccounts(): Promise<StoredAdminAccount[]> {
+  const accounts = await readJsonFile<StoredAdminAccount[]>(ACCOUNTS_FILE, [])
+  const bootstrapPassword = process.env.GHOST_KEY_ADMIN_PASSWORD
+  if (accounts.length > 0 || !bootstrapPassword) {
+    return accounts
+  }
+
+  return updateJsonFile<StoredAdminAccount[], StoredAdminAccount[]>(ACCOUNTS_FILE, [], async (current) => {
+    if (current.length === 0) {
+      const username = process.env.GHOST_KEY_ADMIN_USERNAME || "admin"
+      current.push({
+        username,
+        role: "owner",
+        createdAt: new Date().toISOString(),
+        password: await hashPassphrase(checkPassword(bootstrapPassword)),
+      })
+      console.log(`Created owner admin account ${username} from GHOST_KEY_ADMIN_PASSWORD`)
+    }
+    return current
+  })
+}
+
+export async function listAdminAccounts(): Promise<AdminAccount[]> {
+  return (await loadAccounts()).map(toAdminAccount)
+}
+
+export async function createAdminAccount(username: unknown, password: unknown, role: unknown): Promise<AdminAccount> {
+  if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+    throw new AdminAuthError("INVALID_ACCOUNT", "Usernames are 1-64 letters, digits, dots, dashes or underscores")
+  }
+  const account: StoredAdminAccount = {
+    username,
+    role: checkRole(role),
+    createdAt: new Date().toISOString(),
+    password: await hashPassphrase(checkPassword(password)),
+  }
+
+  await loadAccounts() // Bootstrap first, so the env owner isn't skipped by this account
+  return updateJsonFile<StoredAdminAccount[], AdminAccount>(ACCOUNTS_FILE, [], (accounts) => {
+    if (accounts.some((existing) => existing.username === username)) {
+      throw new AdminAuthError("ACCOUNT_EXISTS", `Admin account ${username} already exists`, 409)
+    }
+    accounts.push(account)
+    return toAdminAccount(account)
+  })
+}
+
+// Change an account's role, password or both
+export async function updateAdminAccount(
+  username: string,
+  changes: { role?: unknown; password?: unknown },
+): Promise<AdminAccount> {
+  const role = changes.role === undefined ? undefined : checkRole(changes.role)
+  const password = changes.password === undefined ? undefined : await hashPassphrase(checkPassword(changes.password))
+
+  let credentialsChanged = false
+  const updatedAccount = await updateJsonFile<StoredAdminAccount[], AdminAccount>(ACCOUNTS_FILE, [], (accounts) => {
+    const account = accounts.find((existing) => existing.username === username)
+    if (!account) {
+      throw new AdminAuthError("ACCOUNT_NOT_FOUND", `No admin account ${username}`, 404)
+    }
+    if (role && role !== "owner" && account.role === "owner") {
+      checkOwnerRemains(accounts, username)
+    }
+    credentialsChanged = password !== undefined || (role !== undefined && !hasAdminRole(role, account.role))
+    account.role = role ?? account.role
+    account.password = password ?? account.password
+    return toAdminAccount(account)
+  })
+
+  // A new password or a smaller role ends every session the old one opened - a stolen cookie included
+  if (credentialsChanged) {
+    await deleteAdminSessions(username)
+  }
+  return updatedAccount
+}
+
+export async function deleteAdminAccount(username: string): Promise<void> {
+  await updateJsonFile<StoredAdminAccount[], void>(ACCOUNTS_FILE, [], (accounts) => {
+    const index = accounts.findIndex((existing) => existing.username === username)
+    if (index === -1) {
+      throw new AdminAuthError("ACCOUNT_NOT_FOUND", `No admin account ${username}`, 404)
+    }
+    if (accounts[index].role === "owner") {
+      checkOwnerRemains(accounts, username)
+    }
+    accounts.splice(index, 1)
+  })
+
+  // Their cookies would be turned away anyway - this just doesn't keep them around
+  await deleteAdminSessions(username)
+}
+
+function deleteAdminSessions(username: string): Promise<void> {
+  return updateJsonFile<Record<string, StoredAdminSession>, void>(SESSIONS_FILE, {}, (sessions) => {
+    for (const [sessionHash, session] of Object.entries(sessions)) {
+      if (session.username === username) {
+        delete sessions[sessionHash]
+      }
+    }
+  })
+}
+
+/**
+ * Check an admin's username and password and open a session - the id goes into the cookie only
+ */
+export async function loginAdmin(username: string, password: string): Promise<{ sessionId: string; admin: AdminIdentity }> {
+  const accounts = await loadAccounts()
+  if (accounts.length === 0) {
+    throw new AdminAuthError(
+      "NO_ADMIN_ACCOUNTS",
+      "No admin accounts yet - start the server with GHOST_KEY_ADMIN_PASSWORD set to create the first owner",
+      503,
+    )
+  }
+
+  const account = accounts.find((existing) => existing.username === username)
+  // Unknown usernames cost the same scrypt run, so the timing doesn't say which names exist
+  const passwordMatches = account
+    ? await verifyPassphrase(password, account.password)
+    : (await hashPassphrase(password), false)
+  if (!account || !passwordMatches) {
+    throw new AdminAuthError("INVALID_CREDENTIALS", "Invalid admin credentials", 401)
+  }
+
+  const sessionId = crypto.randomBytes(32).toString("base64url")
+  const now = Date.now()
+  const session: StoredAdminSession = {
+    username,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + AUTH_CONFIG.ADMIN_SESSION_TTL_SECONDS * 1000).toISOString(),
+  }
+  await updateJsonFile<Record<string, StoredAdminSession>, void>(SESSIONS_FILE, {}, (sessions) => {
+    // Expired sessions are dropped whenever a new one is written
+    for (const [sessionHash, stored] of Object.entries(sessions)) {
+      if (Date.parse(stored.expiresAt) <= now) {
+        delete sessions[sessionHash]
+      }
+    }
+    sessions[hashSessionId(sessionId)] = session
+  })
+
+  return { sessionId, admin: { username, role: account.role, expiresAt: session.expiresAt } }
+}
+
+/**
+ * The admin a request's cookie belongs to - null without a cookie, or for an expired, logged-out or
+ * deleted one
+ */
+export async function getAdminSession(request: NextRequest): Promise<AdminIdentity | null> {
+  const sessionId = request.cookies.get(AUTH_CONFIG.ADMIN_SESSION_COOKIE)?.value
+  if (!sessionId) {
+    return null
+  }
+
+  const sessions = await readJsonFile<Record<string, StoredAdminSession>>(SESSIONS_FILE, {})
+  const session = sessions[hashSessionId(sessionId)]
+  if (!session || Date.parse(session.expiresAt) <= Date.now()) {
+    return null
+  }
+
+  const account = (await loadAccounts()).find((existing) => existing.username === session.username)
+  return account ? { username: account.username, role: account.role, expiresAt: session.expiresAt } : null
+}
+
+export async function logoutAdmin(request: NextRequest): Promise<void> {
+  const sessionId = request.cookies.get(AUTH_CONFIG.ADMIN_SESSION_COOKIE)?.value
+  if (!sessionId) {
+    return
+  }
+  await updateJsonFile<Record<string, StoredAdminSession>, void>(SESSIONS_FILE, {}, (sessions) => {
+    delete sessions[hashSessionId(sessionId)]
+  })
+}
+
+export function setAdminSessionCookie(response: NextResponse, request: NextRequest, sessionId: string, expiresAt: string) {
+  response.cookies.set(AUTH_CONFIG.ADMIN_SESSION_COOKIE, sessionId, {
+    httpOnly: true,
+    sameSite: "strict", // Other sites can't make the browser send it - no CSRF token needed
+    secure: request.nextUrl.protocol === "https:",
+    path: "/",
+    expires: new Date(expiresAt),
+  })
+}
+
+export function clearAdminSessionCookie(response: NextResponse) {
+  response.cookies.set(AUTH_CONFIG.ADMIN_SESSION_COOKIE, "", { httpOnly: true, sameSite: "strict", path: "/", maxAge: 0 })
+}
+
+/**
+ * Shared middleware for admin routes - export GET = withAdminAuth("auditor", async (request, admin) => ...)
+ * The handler only runs for a logged-in admin whose role is at least requiredRole
+ */
+export function withAdminAuth(
+  requiredRole: AdminRole,
+  handler: (request: NextRequest, admin: AdminIdentity) => Promise<Response>,
+) {
+  return async (request: NextRequest): Promise<Response> => {
+    let admin: AdminIdentity | null
+    try {
+      admin = await getAdminSession(request)
+    } catch (error) {
+      console.error("Admin session check failed:", error)
+      return NextResponse.json({ error: "Failed to check the admin session" }, { status: 500 })
+    }
+
+    if (!admin) {
+      return NextResponse.json({ error: "Admin login required", errorCode: "ADMIN_LOGIN_REQUIRED" }, { status: 401 })
+    }
+    if (!hasAdminRole(admin.role, requiredRole)) {
+      return NextResponse.json(
+        { error: `Requires the ${requiredRole} role - ${admin.username} is ${admin.role}`, errorCode: "ADMIN_ROLE_REQUIRED" },
+        { status: 403 },
+      )
+    }
+
+    return handler(request, admin)
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * Authentication history and policy evaluation for the API routes
+ * The access log (logs/access_log.csv, written only by appendAccessLog below) is the history the shared policy
+ * (libs/auth-policy.js) decides on - recent failures and the networks and browsers a user has
+ * logged in from before. The extension keeps the same history in chrome.storage.local.
+ */
+
+import fs from "fs/promises"
+import path from "path"
+import type { NextRequest } from "next/server"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { hasPasskeys } from "@/lib/webauthn"
+import {
+  POLICY_HISTORY_LIMIT,
+  evaluatePolicy,
+  resolvePolicy,
+  type PolicyAttempt,
+  type PolicyDecision,
+  type PolicyHistoryEvent,
+} from "@/libs/auth-policy"
+
+const ACCESS_LOG_FILE = path.join(process.cwd(), "logs", "access_log.csv")
+const ACCESS_LOG_HEADER = "timestamp,username,result,mse,ip,userAgent,reason\n"
+
+export type AccessLogResult = "Pass" | "Fail" | "Lock" | "Unlock"
+
+export interface AccessLogEntry {
+  username: string
+  result: AccessLogResult
+  mse?: number | null
+  reason?: string
+}
+
+// One CSV line - the user agent is quoted and real ones contain commas ("KHTML, like Gecko")
+function splitCsvLine(line: string): string[] {
+  const values: string[] = []
+  let current = ""
+  let quoted = false
+  for (let i = 0; i < line.length; i++) {
+    const character = line[i]
+    if (quoted && character === '"' && line[i + 1] === '"') {
+      current += '"'
+      i++
+    } else if (character === '"') {
+      quoted = !quoted
+    } else if (character === "," && !quoted) {
+      values.push(current)
+      current = ""
+    } else {
+      current += character
+    }
+  }
+  values.push(current)
+  return values
+}
+
+// Quoted when it has to be - usernames and user agents come from the client, and a stray comma,
+// quote or line break must not shift the columns or start a forged row
+function escapeCsvField(value: string): string {
+  const singleLine = value.replace(/[\r\n]+/g, " ")
+  return /[",]/.test(singleLine) ? `"${singleLine.replace(/"/g, '""')}"` : singleLine
+}
+
+/**
+ * The address the attempt came from, as the throttle and the policy's new-network check see it
+ * Route handlers never see the socket - Next.js puts its address in x-forwarded-for, but only when the
+ * request arrived without one. Anything the client wrote there itself is on the left of the list, so
+ * with GHOST_KEY_TRUSTED_PROXY_HOPS reverse proxies in front (each appending the address it saw) the
+ * client is that many entries from the right. Without proxies only the last entry counts.
+ */
+export function getClientIp(request: NextRequest): string {
+  const forwardedFor = (request.headers.get("x-forwarded-for") || "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter(Boolean)
+  if (forwardedFor.length === 0) {
+    return "localhost"
+  }
+
+  const trustedProxyHops = Math.max(1, Number.parseInt(process.env.GHOST_KEY_TRUSTED_PROXY_HOPS || "0", 10) || 0)
+  return forwardedFor[Math.max(0, forwardedFor.length - trustedProxyHops)]
+}
+
+export function getClientUserAgent(request: NextRequest): string {
+  return request.headers.get("user-agent") || "Unknown"
+}
+
+/**
+ * Add an attempt, lockout or unlock to the access log
+ * The IP and user agent always come from the request itself - the policy trusts them as the user's
+ * known networks and browsers, so no caller gets to supply its own
+ */
+export async function appendAccessLog(request: NextRequest, entry: AccessLogEntry): Promise<void> {
+  try {
+    await fs.mkdir(path.dirname(ACCESS_LOG_FILE), { recursive: true })
+    await fs.writeFile(ACCESS_LOG_FILE, ACCESS_LOG_HEADER, { flag: "wx" }).catch((error) => {
+      if (error.code !== "EEXIST") {
+        throw error
+      }
+    })
+
+    const line = [
+      new Date().toISOString(),
+      entry.username,
+      entry.result,
+      entry.mse ?? "",
+      getClientIp(request),
+      getClientUserAgent(request),
+      entry.reason ?? "",
+    ]
+      .map((value) => escapeCsvField(String(value)))
+      .join(",")
+    await fs.appendFile(ACCESS_LOG_FILE, line + "\n", "utf-8")
+  } catch (logError) {
+    console.error("Failed to log authentication:", logError)
+  }
+}
+
+/**
+ * A user's most recent attempts, oldest first
+ * Lockout rows (lib/auth-throttle.ts) are skipped - they record a consequence, not another attempt
+ */
+export async function loadAuthHistory(username: string): Promise<PolicyHistoryEvent[]> {
+  let content: string
+  try {
+    content = await fs.readFile(ACCESS_LOG_FILE, "utf-8")
+  } catch {
+    return []
+  }
+
+  return content
+    .split("\n")
+    .slice(1)
+    .filter((line) => line.trim())
+    .map(splitCsvLine)
+    .filter(([, loggedUsername, result]) => loggedUsername === username && result !== "Lock")
+    .map(([timestamp, , result, , ip, userAgent]) => ({
+      timestamp,
+      result: result === "Pass" || result === "Unlock" ? (result as "Pass" | "Unlock") : ("Fail" as const),
+      ip: ip || null,
+      userAgent: userAgent || null,
+    }))
+    .slice(-POLICY_HISTORY_LIMIT)
+}
+
+/**
+ * Decide an attempt with the user's policy group, their history, whether they have a passkey and the
+ * request's network and browser
+ * Call before the attempt is logged - the history must not contain it yet
+ */
+export async function evaluateAttemptPolicy(
+  username: string,
+  attempt: Omit<PolicyAttempt, "ip" | "userAgent" | "hasPasskey">,
+  request: NextRequest,
+  options: { stepUpCompleted?: boolean } = {},
+): Promise<PolicyDecision> {
+  const assignedGroup = AUTH_CONFIG.POLICY_USER_GROUPS[username]
+  const { group, policy } = resolvePolicy(assignedGroup ?? AUTH_CONFIG.DEFAULT_POLICY_GROUP)
+
+  const decision = evaluatePolicy(
+    policy,
+    {
+      ...attempt,
+      ip: getClientIp(request),
+      userAgent: getClientUserAgent(request),
+      hasPasskey: await hasPasskeys(username),
+    },
+    await loadAuthHistory(username),
+    { group, stepUpCompleted: options.stepUpCompleted },
+  )
+
+  console.log(`Policy for ${username} (${group}):`, {
+    action: decision.action,
+    rule: decision.rule ?? "default",
+    recentFailures: decision.signals.recentFailures,
+    newIp: decision.signals.newIp,
+    newUserAgent: decision.signals.newUserAgent,
+  })
+  return decision
+}
+
+// The access log's reason column - rule names only, free text might carry a comma
+export function describePolicyOutcome(decision: PolicyDecision): string {
+  return `Policy ${decision.action} (${decision.rule ?? "default"})`
+}
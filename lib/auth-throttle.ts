@@ -0,0 +1,317 @@
+/**
+ * Rate limiting for the authentication endpoints
+ * Failures are counted per username and per IP. After THROTTLE_FREE_FAILURES in a row the next attempt
+ * has to wait, and the wait doubles with every further failure up to THROTTLE_MAX_DELAY_MS. Enough
+ * failures lock the username or IP out for THROTTLE_LOCKOUT_MS, or until an admin unlocks it.
+ *
+ * This sits in front of the risk-based policy (libs/auth-policy.js): a blocked request is refused before
+ * the passphrase is hashed or the rhythm scored, so brute-forcing a passphrase, a typing rhythm or a
+ * voice clip costs time. The state lives in logs/ so a restart doesn't hand out a fresh budget, and
+ * lockouts and unlocks are written to the access log.
+ *
+ * Checking an attempt also reserves it, in the same serialized update: attempts still being scored count
+ * against the free failures, so a burst of parallel requests can't all get in before the first one fails.
+ */
+
+import fs from "fs/promises"
+import path from "path"
+import type { NextRequest } from "next/server"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { appendAccessLog, getClientIp } from "@/lib/auth-history"
+
+export type ThrottleScope = "user" | "ip"
+
+export interface ThrottleEntry {
+  failures: number // In a row, inside THROTTLE_FAILURE_WINDOW_MS
+  lastFailureAt: string | null
+  blockedUntil: string | null // Backoff or lockout - attempts before this are refused
+  lockedUntil: string | null // Only set by a lockout
+  pending?: string[] // Expiry of each reserved attempt that hasn't reported its outcome yet
+}
+
+interface ThrottleState {
+  users: Record<string, ThrottleEntry>
+  ips: Record<string, ThrottleEntry>
+}
+
+export interface ThrottleBlock {
+  scope: ThrottleScope
+  key: string
+  locked: boolean
+  retryAfterSeconds: number
+  reason: string
+}
+
+export interface ThrottleListing extends ThrottleEntry {
+  scope: ThrottleScope
+  key: string
+  locked: boolean
+  blocked: boolean
+}
+
+const THROTTLE_STATE_FILE = path.join(process.cwd(), "logs", AUTH_CONFIG.THROTTLE_STATE_FILE)
+
+// Every change is a read-modify-write of one file - run them one at a time so none is lost
+let pendingUpdate: Promise<unknown> = Promise.resolve()
+// Requests whose reservation hasn't been settled yet, so releasing one twice can't free someone else's
+const unsettledRequests = new WeakSet<NextRequest>()
+
+async function loadThrottleState(): Promise<ThrottleState> {
+  try {
+    const state = JSON.parse(await fs.readFile(THROTTLE_STATE_FILE, "utf-8"))
+    return { users: state.users ?? {}, ips: state.ips ?? {} }
+  } catch {
+    return { users: {}, ips: {} }
+  }
+}
+
+// Written through a temp file - a crash mid-write must not wipe every lockout
+async function saveThrottleState(state: ThrottleState): Promise<void> {
+  await fs.mkdir(path.dirname(THROTTLE_STATE_FILE), { recursive: true })
+  const temporaryFilePath = `${THROTTLE_STATE_FILE}.${process.pid}.tmp`
+  await fs.writeFile(temporaryFilePath, JSON.stringify(state, null, 2))
+  await fs.rename(temporaryFilePath, THROTTLE_STATE_FILE)
+}
+
+function updateThrottleState<T>(update: (state: ThrottleState) => T): Promise<T> {
+  const result = pendingUpdate.then(async () => {
+    const state = await loadThrottleState()
+    const outcome = update(state)
+    await saveThrottleState(state)
+    return outcome
+  })
+  pendingUpdate = result.catch(() => undefined)
+  return result
+}
+
+function getEntries(state: ThrottleState, scope: ThrottleScope): Record<string, ThrottleEntry> {
+  return scope === "user" ? state.users : state.ips
+}
+
+function isActive(until: string | null, now: number): boolean {
+  return !!until && Date.parse(until) > now
+}
+
+function streakFailures(entry: ThrottleEntry, now: number): number {
+  return entry.lastFailureAt && now - Date.parse(entry.lastFailureAt) < AUTH_CONFIG.THROTTLE_FAILURE_WINDOW_MS
+    ? entry.failures
+    : 0
+}
+
+// Reservations of requests that crashed or never reported back expire by themselves
+function activeReservations(entry: ThrottleEntry | undefined, now: number): string[] {
+  return (entry?.pending ?? []).filter((until) => isActive(until, now))
+}
+
+function describeBlock(scope: ThrottleScope, key: string, entry: ThrottleEntry | undefined, now: number): ThrottleBlock | null {
+  if (!entry) {
+    return null
+  }
+
+  const subject = scope === "user" ? "This account" : "This network"
+  if (isActive(entry.blockedUntil, now)) {
+    const locked = isActive(entry.lockedUntil, now)
+    const retryAfterSeconds = Math.ceil((Date.parse(entry.blockedUntil!) - now) / 1000)
+    return {
+      scope,
+      key,
+      locked,
+      retryAfterSeconds,
+      reason: locked
+        ? `${subject} is locked after too many failed attempts - try again in ${Math.ceil(retryAfterSeconds / 60)} min`
+        : `Too many failed attempts - wait ${retryAfterSeconds}s before trying again`,
+    }
+  }
+
+  // Past the free failures only one attempt at a time - its outcome decides the next wait
+  const reservations = activeReservations(entry, now)
+  if (reservations.length > 0 && streakFailures(entry, now) + reservations.length >= AUTH_CONFIG.THROTTLE_FREE_FAILURES) {
+    return {
+      scope,
+      key,
+      locked: false,
+      retryAfterSeconds: 1,
+      reason: `${subject} has another attempt still being checked - wait a moment before trying again`,
+    }
+  }
+  return null
+}
+
+// Lockouts and unlocks go to the access log like the attempts that caused them
+async function logThrottleEvent(request: NextRequest, username: string, result: "Lock" | "Unlock", reason: string) {
+  await appendAccessLog(request, { username, result, reason })
+}
+
+/**
+ * Whether the username or the IP has to wait before trying again - null when the attempt may go ahead
+ * When both are blocked, the longer wait is reported. An attempt that may go ahead is reserved, and
+ * recordThrottleOutcome settles the reservation - every allowed attempt has to report back
+ */
+export async function checkAuthThrottle(username: string, request: NextRequest): Promise<ThrottleBlock | null> {
+  const subjects = [
+    ["user", username],
+    ["ip", getClientIp(request)],
+  ] as const
+
+  return updateThrottleState((state) => {
+    const now = Date.now()
+    const blocks = subjects
+      .map(([scope, key]) => describeBlock(scope, key, getEntries(state, scope)[key], now))
+      .filter((block): block is ThrottleBlock => block !== null)
+      .sort((a, b) => b.retryAfterSeconds - a.retryAfterSeconds)
+    if (blocks.length > 0) {
+      return blocks[0]
+    }
+
+    const reservedUntil = new Date(now + AUTH_CONFIG.THROTTLE_RESERVATION_MS).toISOString()
+    for (const [scope, key] of subjects) {
+      const entries = getEntries(state, scope)
+      const entry = entries[key] ?? { failures: 0, lastFailureAt: null, blockedUntil: null, lockedUntil: null }
+      entries[key] = { ...entry, pending: [...activeReservations(entry, now), reservedUntil] }
+    }
+    unsettledRequests.add(request)
+    return null
+  })
+}
+
+/**
+ * Count an attempt's outcome and release its reservation. A success clears the username's streak - not
+ * the IP's, or one account the attacker owns would reset the budget for guessing all the others
+ */
+export async function recordThrottleOutcome(username: string, request: NextRequest, success: boolean): Promise<void> {
+  const ip = getClientIp(request)
+  unsettledRequests.delete(request)
+
+  const lockouts = await updateThrottleState((state) => {
+    const now = Date.now()
+    const newLockouts: { scope: ThrottleScope; failures: number }[] = []
+    for (const [scope, key, lockoutFailures] of [
+      ["user", username, AUTH_CONFIG.THROTTLE_USER_LOCKOUT_FAILURES],
+      ["ip", ip, AUTH_CONFIG.THROTTLE_IP_LOCKOUT_FAILURES],
+    ] as const) {
+      const entries = getEntries(state, scope)
+      const previous = entries[key]
+      const remainingReservations = activeReservations(previous, now).slice(1)
+      const pending = remainingReservations.length > 0 ? remainingReservations : undefined
+
+      if (success) {
+        const remaining =
+          scope === "user" || !previous
+            ? { failures: 0, lastFailureAt: null, blockedUntil: null, lockedUntil: null }
+            : previous
+        if (pending || remaining.lastFailureAt || remaining.blockedUntil) {
+          entries[key] = { ...remaining, pending }
+        } else {
+          delete entries[key]
+        }
+        continue
+      }
+
+      const failures = previous ? streakFailures(previous, now) + 1 : 1
+
+      let blockedUntil: number | null = null
+      let lockedUntil = previous && isActive(previous.lockedUntil, now) ? Date.parse(previous.lockedUntil!) : null
+      if (failures >= lockoutFailures && lockedUntil === null) {
+        lockedUntil = now + AUTH_CONFIG.THROTTLE_LOCKOUT_MS
+        newLockouts.push({ scope, failures })
+      }
+      if (failures >= AUTH_CONFIG.THROTTLE_FREE_FAILURES) {
+        const backoff = AUTH_CONFIG.THROTTLE_BASE_DELAY_MS * 2 ** (failures - AUTH_CONFIG.THROTTLE_FREE_FAILURES)
+        blockedUntil = now + Math.min(backoff, AUTH_CONFIG.THROTTLE_MAX_DELAY_MS)
+      }
+      if (lockedUntil !== null) {
+        blockedUntil = Math.max(blockedUntil ?? 0, lockedUntil)
+      }
+
+      entries[key] = {
+        failures,
+        lastFailureAt: new Date(now).toISOString(),
+        blockedUntil: blockedUntil === null ? null : new Date(blockedUntil).toISOString(),
+        lockedUntil: lockedUntil === null ? null : new Date(lockedUntil).toISOString(),
+        pending,
+      }
+    }
+    return newLockouts
+  })
+
+  for (const { scope, failures } of lockouts) {
+    const minutes = Math.round(AUTH_CONFIG.THROTTLE_LOCKOUT_MS / 60000)
+    console.warn(`Locked ${scope === "user" ? username : ip} (${scope}) for ${minutes} min after ${failures} failures`)
+    await logThrottleEvent(request, username, "Lock", `Lockout (${scope}) - ${failures} failures - ${minutes} min`)
+  }
+}
+
+/**
+ * Give back a reservation without counting the attempt - for a request that failed on the server's side
+ * before it had an outcome to report. Does nothing once recordThrottleOutcome has settled the request
+ */
+export async function releaseThrottleReservation(username: string, request: NextRequest): Promise<void> {
+  if (!unsettledRequests.has(request)) {
+    return
+  }
+  unsettledRequests.delete(request)
+  const ip = getClientIp(request)
+
+  await updateThrottleState((state) => {
+    const now = Date.now()
+    for (const [scope, key] of [
+      ["user", username],
+      ["ip", ip],
+    ] as const) {
+      const entries = getEntries(state, scope)
+      const entry = entries[key]
+      if (!entry) {
+        continue
+      }
+      const remainingReservations = activeReservations(entry, now).slice(1)
+      const pending = remainingReservations.length > 0 ? remainingReservations : undefined
+      if (pending || entry.lastFailureAt || entry.blockedUntil) {
+        entries[key] = { ...entry, pending }
+      } else {
+        delete entries[key]
+      }
+    }
+  })
+}
+
+/**
+ * Usernames and IPs with a failure streak, a backoff or a lockout - for the admin panel
+ */
+export async function listThrottleEntries(): Promise<ThrottleListing[]> {
+  const state = await loadThrottleState()
+  const now = Date.now()
+
+  return (["user", "ip"] as const)
+    .flatMap((scope) =>
+      Object.entries(getEntries(state, scope)).map(([key, entry]) => ({
+        ...entry,
+        scope,
+        key,
+        locked: isActive(entry.lockedUntil, now),
+        blocked: isActive(entry.blockedUntil, now),
+      })),
+    )
+    .filter(
+      (listing) =>
+        listing.blocked ||
+        (!!listing.lastFailureAt && now - Date.parse(listing.lastFailureAt) < AUTH_CONFIG.THROTTLE_FAILURE_WINDOW_MS),
+    )
+    .sort((a, b) => Number(b.locked) - Number(a.locked) || b.failures - a.failures)
+}
+
+/**
+ * Admin unlock - forget the username's or IP's streak, backoff and lockout
+ * Unlocking a username also ends its failure streak for the policy (an "Unlock" row in the access log)
+ */
+export async function unlockThrottle(scope: ThrottleScope, key: string, request: NextRequest): Promise<boolean> {
+  const existed = await updateThrottleState((state) => {
+    const entries = getEntries(state, scope)
+    const found = key in entries
+    delete entries[key]
+    return found
+  })
+
+  await logThrottleEvent(request, scope === "user" ? key : "", "Unlock", `Unlock (${scope}) by admin`)
+  console.log(`Admin unlocked ${key} (${scope})`)
+  return existed
+}
@@ -0,0 +1,159 @@
+/**
+ * The steps /api/authenticate and /api/authenticate/fusion share, from the rate limit to the feature layout
+ * Every step that ends an attempt has already logged it and counted it against the rate limit, so neither
+ * route can forget to on one of its failure paths. A step returns the response that ends the attempt, or
+ * what the next step needs.
+ *
+ * emptyScores are the route's own score fields for an attempt that was never scored (mse and deviations
+ * for a keystroke login, matchProbability for fusion), so each route keeps its response shape.
+ */
+
+import { type NextRequest, NextResponse } from "next/server"
+import { appendAccessLog, describePolicyOutcome, evaluateAttemptPolicy } from "@/lib/auth-history"
+import { checkAuthThrottle, recordThrottleOutcome } from "@/lib/auth-throttle"
+import { buildAttemptFeatures, type KeystrokeAttemptFeatures } from "@/lib/keystroke-scoring"
+import type { KeystrokeModelFile } from "@/lib/model-store"
+import { loadPassphraseRecord, verifyPassphrase } from "@/lib/passphrase-hash"
+import type { PolicyDecision } from "@/libs/auth-policy"
+
+export interface AuthenticationAttempt {
+  username: string
+  request: NextRequest
+  emptyScores: Record<string, unknown>
+  label: string // How the console names the route - "keystroke" or "fusion"
+}
+
+// A locked account learns nothing about the attempt - not even whether the passphrase was right
+export function lockedResponse(attempt: AuthenticationAttempt, policy: PolicyDecision) {
+  return NextResponse.json({
+    success: false,
+    authenticated: false,
+    ...attempt.emptyScores,
+    reason: policy.reason,
+    errorCode: "LOCKED",
+    policy,
+    failedFactor: "policy",
+    factors: { knowledge: null, biometric: null },
+  })
+}
+
+/**
+ * Rate limiting first - a blocked username or IP doesn't get its passphrase hashed or anything scored,
+ * the client only learns how long to wait. null reserves the attempt, which the later steps settle
+ */
+export async function checkAttemptThrottle(attempt: AuthenticationAttempt): Promise<NextResponse | null> {
+  const block = await checkAuthThrottle(attempt.username, attempt.request)
+  if (!block) {
+    return null
+  }
+
+  console.log(`Throttled ${attempt.label} attempt for ${attempt.username} (${block.scope}):`, block.reason)
+  return NextResponse.json(
+    {
+      success: false,
+      authenticated: false,
+      ...attempt.emptyScores,
+      reason: block.reason,
+      errorCode: block.locked ? "LOCKED" : "THROTTLED",
+      retryAfterSeconds: block.retryAfterSeconds,
+    },
+    { status: 429, headers: { "Retry-After": String(block.retryAfterSeconds) } },
+  )
+}
+
+/**
+ * An enrollment the attempt needs is missing - still a failed attempt, or guessing usernames would be free.
+ * logReason adds an access log row - left out for usernames that don't exist, so guesses can't fill the log
+ */
+export async function rejectMissingEnrollment(
+  attempt: AuthenticationAttempt,
+  reason: string,
+  options: { status?: number; logReason?: string } = {},
+) {
+  if (options.logReason) {
+    await appendAccessLog(attempt.request, { username: attempt.username, result: "Fail", reason: options.logReason })
+  }
+  await recordThrottleOutcome(attempt.username, attempt.request, false)
+  return NextResponse.json(
+    { success: false, authenticated: false, ...attempt.emptyScores, reason },
+    { status: options.status ?? 200 },
+  )
+}
+
+/**
+ * Knowledge factor first - no point scoring the rhythm (or the voice) of the wrong passphrase.
+ * null when the passphrase matches
+ */
+export async function checkKnowledgeFactor(attempt: AuthenticationAttempt, password: unknown): Promise<NextResponse | null> {
+  const { username, request } = attempt
+  const passphraseRecord = await loadPassphraseRecord(username)
+  if (passphraseRecord && typeof password === "string" && (await verifyPassphrase(password, passphraseRecord))) {
+    return null
+  }
+
+  const knowledgeFailureReason = passphraseRecord
+    ? "Passphrase does not match"
+    : `No passphrase enrolled for user ${username}. Please register again.`
+  console.log(`Knowledge factor rejected for ${username} (${attempt.label}): ${knowledgeFailureReason}`)
+
+  // No step-up was completed - a wrong passphrase never earns the policy's recovery offer
+  const policyDecision = await evaluateAttemptPolicy(username, { knowledge: false, authenticated: false }, request)
+  await appendAccessLog(request, {
+    username,
+    result: "Fail",
+    reason: policyDecision.action === "lock" ? describePolicyOutcome(policyDecision) : "Passphrase mismatch",
+  })
+  await recordThrottleOutcome(username, request, false)
+
+  if (policyDecision.action === "lock") {
+    return lockedResponse(attempt, policyDecision)
+  }
+  return NextResponse.json({
+    success: false,
+    authenticated: false,
+    ...attempt.emptyScores,
+    reason: knowledgeFailureReason,
+    policy: policyDecision,
+    failedFactor: "knowledge",
+    factors: { knowledge: false, biometric: null },
+  })
+}
+
+/**
+ * The enrolled layout decides the vector size, and a different key count is a different passphrase
+ * rhythm - rejected instead of padded with zeros. The attempt's features when the layout fits
+ */
+export async function checkAttemptLayout(
+  attempt: AuthenticationAttempt,
+  keystrokeAttempt: any,
+  model: KeystrokeModelFile,
+): Promise<KeystrokeAttemptFeatures | NextResponse> {
+  const { username, request } = attempt
+  const attemptFeatures = buildAttemptFeatures(keystrokeAttempt, model)
+  if (!attemptFeatures.layoutMismatch) {
+    return attemptFeatures
+  }
+
+  console.log(`Keystroke layout rejected for ${username} (${attempt.label}): ${attemptFeatures.layoutMismatch}`)
+  const policyDecision = await evaluateAttemptPolicy(username, { knowledge: true, authenticated: false }, request)
+  await appendAccessLog(request, {
+    username,
+    result: "Fail",
+    reason: policyDecision.action === "lock" ? describePolicyOutcome(policyDecision) : "Keystroke count mismatch",
+  })
+  await recordThrottleOutcome(username, request, false)
+
+  if (policyDecision.action === "lock") {
+    return lockedResponse(attempt, policyDecision)
+  }
+  return NextResponse.json({
+    success: false,
+    authenticated: false,
+    ...attempt.emptyScores,
+    reason: attemptFeatures.layoutMismatch,
+    errorCode: "KEY_COUNT_MISMATCH",
+    policy: policyDecision,
+    failedFactor: "biometric",
+    factors: { knowledge: true, biometric: false },
+  })
+}
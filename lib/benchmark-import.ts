@@ -0,0 +1,346 @@
+/**
+ * Importers for public keystroke-dynamics benchmark datasets
+ * Rows are converted into the same sample_<n>.json structure /api/train-model writes, under
+ * synthetic users in models/, so the evaluation harness can run over them like real enrollments.
+ *   - "cmu":    DSL-StrongPasswordData.csv (subject, sessionIndex, rep, H.*, DD.*.*, UD.*.* in seconds)
+ *   - "events": one row per key event (user, sample, key, type, timestamp in ms)
+ */
+
+import fs from "fs/promises"
+import path from "path"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { getSampleDirectory } from "@/lib/keystroke-training"
+import { buildFeatureVector, createFeatureLayout, extractKeystrokeTimings } from "@/libs/keystroke-features"
+
+export type BenchmarkDataset = "cmu" | "events"
+
+export interface BenchmarkImportOptions {
+  dataset?: BenchmarkDataset // Detected from the header when left out
+  userPrefix?: string
+  samplesPerUser?: number // Leave-one-out retrains once per sample, so keep this modest
+  maxUsers?: number
+}
+
+export interface BenchmarkImportResult {
+  dataset: BenchmarkDataset
+  usernames: string[]
+  samplesWritten: number
+  samplesSkipped: number // Missing key releases - they can't fill the feature layout
+  rowsSkipped: number
+  skippedUsers: { username: string; reason: string }[]
+}
+
+interface ImportedSample {
+  keyCount: number
+  holdTimes: number[]
+  ddTimes: number[]
+  udTimes: number[]
+  typoCount: number
+  // Replayed Backspace corrections - absent for datasets that only kept clean repetitions
+  correctionFeatures?: { correctionCount: number; correctionLatency: number; errorPosition: number }
+}
+
+interface KeyEvent {
+  key: string
+  type: "keydown" | "keyup"
+  timestamp: number
+}
+
+// Bad input rather than a server fault - the route turns these into 400s
+export class BenchmarkImportError extends Error {}
+
+const DEFAULT_SAMPLES_PER_USER = 20
+
+// Minimal RFC 4180 line splitter - quoted fields may contain commas (the key column often does)
+function splitCsvLine(line: string): string[] {
+  const fields: string[] = []
+  let current = ""
+  let quoted = false
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        current += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ",") {
+      fields.push(current)
+      current = ""
+    } else {
+      current += char
+    }
+  }
+
+  fields.push(current)
+  return fields
+}
+
+function parseCsv(csvText: string): { header: string[]; rows: string[][] } {
+  const lines = csvText.split(/\r?\n/).filter((line) => line.trim().length > 0)
+  if (lines.length === 0) {
+    return { header: [], rows: [] }
+  }
+  return {
+    header: splitCsvLine(lines[0]).map((column) => column.trim()),
+    rows: lines.slice(1).map(splitCsvLine),
+  }
+}
+
+export function detectBenchmarkDataset(header: string[]): BenchmarkDataset | null {
+  if (header.includes("subject") && header.some((column) => column.startsWith("H."))) {
+    return "cmu"
+  }
+  const lowerHeader = header.map((column) => column.toLowerCase())
+  if (lowerHeader.includes("key") && lowerHeader.some((column) => column === "timestamp" || column === "time")) {
+    return "events"
+  }
+  return null
+}
+
+/**
+ * Same summary features as extractBiometricFeatures in hooks/use-keystroke-analyzer.ts
+ * so imported samples are scored exactly like captured ones
+ */
+function buildImportedFeatures(sample: ImportedSample) {
+  const { keyCount, holdTimes, ddTimes, udTimes, typoCount, correctionFeatures } = sample
+  const sum = (values: number[]) => values.reduce((total, value) => total + value, 0)
+
+  const totalTypingTime = Math.max(sum(holdTimes), sum(ddTimes), sum(udTimes)) || 0.001
+  const typingSpeed = keyCount / (totalTypingTime / 1000)
+  const flightTime = udTimes.length > 0 ? sum(udTimes) / udTimes.length : 0
+  const meanHoldDuration = holdTimes.length > 0 ? sum(holdTimes) / holdTimes.length : 0
+  const pressPressure =
+    holdTimes.length > 0
+      ? Math.sqrt(holdTimes.reduce((total, t) => total + Math.pow(t - meanHoldDuration, 2), 0) / holdTimes.length)
+      : 0
+
+  const additionalFeatures = {
+    typingSpeed,
+    flightTime,
+    errorRate: typoCount,
+    pressPressure,
+    ...(correctionFeatures || { correctionCount: 0, correctionLatency: 0, errorPosition: 0 }),
+  }
+  const featureLayout = createFeatureLayout(keyCount)
+  return {
+    features: buildFeatureVector({ holdTimes, ddTimes, udTimes, ...additionalFeatures }, featureLayout),
+    featureLayout,
+    additionalFeatures,
+  }
+}
+
+/**
+ * CMU layout: H.<key> hold, DD.<a>.<b> down-down, UD.<a>.<b> up-down, all in seconds
+ * Column order follows the typed sequence, so H/DD/UD columns come out already in key order
+ */
+function readCmuSamples(header: string[], rows: string[][]) {
+  const subjectColumn = header.indexOf("subject")
+  const holdColumns = header.flatMap((column, index) => (column.startsWith("H.") ? [index] : []))
+  const ddColumns = header.flatMap((column, index) => (column.startsWith("DD.") ? [index] : []))
+  const udColumns = header.flatMap((column, index) => (column.startsWith("UD.") ? [index] : []))
+  // The CSV has 4 decimal places (0.1ms) - round so float noise doesn't creep into the samples
+  const toMilliseconds = (row: string[], columns: number[]) =>
+    columns.map((index) => Math.round(Number(row[index]) * 10000) / 10)
+
+  const samplesBySubject = new Map<string, ImportedSample[]>()
+  let rowsSkipped = 0
+
+  for (const row of rows) {
+    const subject = row[subjectColumn]?.trim()
+    const sample = {
+      keyCount: holdColumns.length,
+      holdTimes: toMilliseconds(row, holdColumns),
+      ddTimes: toMilliseconds(row, ddColumns),
+      udTimes: toMilliseconds(row, udColumns),
+      typoCount: 0, // The CMU set only kept error-free repetitions
+    }
+
+    if (!subject || [...sample.holdTimes, ...sample.ddTimes, ...sample.udTimes].some((value) => !Number.isFinite(value))) {
+      rowsSkipped++
+      continue
+    }
+
+    if (!samplesBySubject.has(subject)) {
+      samplesBySubject.set(subject, [])
+    }
+    samplesBySubject.get(subject)!.push(sample)
+  }
+
+  return { samplesBySubject, rowsSkipped }
+}
+
+// Same pairing as live capture (per-key press stacks), so imported rhythms line up with real ones
+function eventsToSample(events: KeyEvent[]): ImportedSample {
+  const timings = extractKeystrokeTimings(events)
+  return {
+    keyCount: timings.keyCount,
+    holdTimes: timings.holdTimes,
+    ddTimes: timings.ddTimes,
+    udTimes: timings.udTimes,
+    typoCount: timings.errorRate,
+    correctionFeatures: {
+      correctionCount: timings.correctionCount,
+      correctionLatency: timings.correctionLatency,
+      errorPosition: timings.errorPosition,
+    },
+  }
+}
+
+function normalizeEventType(type: string): KeyEvent["type"] | null {
+  const lowerType = type.trim().toLowerCase()
+  if (["keydown", "down", "press", "kd"].includes(lowerType)) {
+    return "keydown"
+  }
+  if (["keyup", "up", "release", "ku"].includes(lowerType)) {
+    return "keyup"
+  }
+  return null
+}
+
+/**
+ * Generic per-event layout: user (or subject), sample (or session/rep), key, type (or event), timestamp (or time) in ms
+ */
+function readEventSamples(header: string[], rows: string[][]) {
+  const lowerHeader = header.map((column) => column.toLowerCase())
+  const columnOf = (...names: string[]) => lowerHeader.findIndex((column) => names.includes(column))
+
+  const userColumn = columnOf("user", "username", "subject")
+  const sampleColumn = columnOf("sample", "session", "rep", "repetition")
+  const keyColumn = columnOf("key")
+  const typeColumn = columnOf("type", "event")
+  const timestampColumn = columnOf("timestamp", "time")
+
+  if ([userColumn, sampleColumn, keyColumn, typeColumn, timestampColumn].includes(-1)) {
+    throw new BenchmarkImportError("Event CSV needs user, sample, key, type and timestamp columns")
+  }
+
+  // user -> sample id -> events, both in first-seen order
+  const eventsByUser = new Map<string, Map<string, KeyEvent[]>>()
+  let rowsSkipped = 0
+
+  for (const row of rows) {
+    const user = row[userColumn]?.trim()
+    const sampleId = row[sampleColumn]?.trim()
+    const type = normalizeEventType(row[typeColumn] || "")
+    const timestamp = Number(row[timestampColumn])
+
+    if (!user || !sampleId || !type || !Number.isFinite(timestamp) || row[keyColumn] === undefined) {
+      rowsSkipped++
+      continue
+    }
+
+    if (!eventsByUser.has(user)) {
+      eventsByUser.set(user, new Map())
+    }
+    const userSamples = eventsByUser.get(user)!
+    if (!userSamples.has(sampleId)) {
+      userSamples.set(sampleId, [])
+    }
+    userSamples.get(sampleId)!.push({ key: row[keyColumn], type, timestamp })
+  }
+
+  const samplesBySubject = new Map<string, ImportedSample[]>()
+  for (const [user, userSamples] of eventsByUser) {
+    samplesBySubject.set(
+      user,
+      [...userSamples.values()].map(eventsToSample),
+    )
+  }
+
+  return { samplesBySubject, rowsSkipped }
+}
+
+// Synthetic usernames stay filesystem-safe whatever the dataset calls its subjects
+function toSyntheticUsername(prefix: string, subject: string): string {
+  return `${prefix}${subject.replace(/[^A-Za-z0-9_-]/g, "_")}`
+}
+
+async function isEnrolledUser(username: string): Promise<boolean> {
+  try {
+    await fs.access(
+      path.join(process.cwd(), AUTH_CONFIG.KEYSTROKE_MODELS_DIRECTORY, username, AUTH_CONFIG.PASSPHRASE_HASH_FILE),
+    )
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Import a benchmark CSV as synthetic users - returns the usernames to evaluate
+ */
+export async function importBenchmarkDataset(
+  csvText: string,
+  options: BenchmarkImportOptions = {},
+): Promise<BenchmarkImportResult> {
+  const { header, rows } = parseCsv(csvText)
+  const dataset = options.dataset ?? detectBenchmarkDataset(header)
+  if (!dataset) {
+    throw new BenchmarkImportError("Unrecognised benchmark CSV layout")
+  }
+
+  const samplesPerUser = options.samplesPerUser ?? DEFAULT_SAMPLES_PER_USER
+  const userPrefix = options.userPrefix ?? `${dataset}_`
+  const { samplesBySubject, rowsSkipped } =
+    dataset === "cmu" ? readCmuSamples(header, rows) : readEventSamples(header, rows)
+
+  const usernames: string[] = []
+  const skippedUsers: { username: string; reason: string }[] = []
+  let samplesWritten = 0
+  let samplesSkipped = 0
+
+  for (const [subject, samples] of samplesBySubject) {
+    if (options.maxUsers && usernames.length >= options.maxUsers) {
+      break
+    }
+
+    const username = toSyntheticUsername(userPrefix, subject)
+
+    // Never overwrite someone who actually enrolled
+    if (await isEnrolledUser(username)) {
+      skippedUsers.push({ username, reason: "A real user with this name is already enrolled" })
+      continue
+    }
+
+    // Re-importing replaces the previous import, same as a fresh enrollment
+    const sampleDirectory = getSampleDirectory(username)
+    await fs.rm(sampleDirectory, { recursive: true, force: true })
+    await fs.mkdir(sampleDirectory, { recursive: true })
+
+    const importedAt = new Date().toISOString()
+    const completeSamples = samples.filter((sample) => sample.keyCount >= 2 && sample.holdTimes.length === sample.keyCount)
+    samplesSkipped += samples.length - completeSamples.length
+    const selectedSamples = completeSamples.slice(0, samplesPerUser)
+    for (const [sampleIndex, sample] of selectedSamples.entries()) {
+      const { features, featureLayout, additionalFeatures } = buildImportedFeatures(sample)
+      const sampleData = {
+        sampleId: sampleIndex,
+        timestamp: importedAt,
+        features,
+        featureLayout,
+        detailedFeatures: {
+          holdTimes: sample.holdTimes,
+          ddTimes: sample.ddTimes,
+          udTimes: sample.udTimes,
+          ...additionalFeatures,
+        },
+        privacyMode: true,
+        source: `benchmark:${dataset}`,
+      }
+      await fs.writeFile(path.join(sampleDirectory, `sample_${sampleIndex}.json`), JSON.stringify(sampleData, null, 2))
+    }
+
+    usernames.push(username)
+    samplesWritten += selectedSamples.length
+  }
+
+  console.log(`Imported ${samplesWritten} ${dataset} samples for ${usernames.length} synthetic users`)
+  return { dataset, usernames, samplesWritten, samplesSkipped, rowsSkipped, skippedUsers }
+}
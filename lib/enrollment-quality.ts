@@ -0,0 +1,124 @@
+/**
+ * Enrollment quality gate
+ * One sample typed one-handed, or interrupted halfway, pulls the model and its threshold toward
+ * typing the user won't repeat. Before training, every sample is compared with the others through
+ * leave-one-out z-scores per feature (mean and spread taken from the remaining samples):
+ *   - consistency    share of its features within ENROLLMENT_FEATURE_Z_LIMIT
+ *   - worst feature  the largest |z| - a single long pause is enough to spoil a sample
+ *
+ * A sample is an outlier when its consistency or its worst feature is out of bounds. The enrollment
+ * passes when nothing is an outlier and the quality score (mean consistency) reaches
+ * ENROLLMENT_MIN_QUALITY. Otherwise the outliers - or, when the samples are merely loose overall,
+ * the least consistent one - are rejected so the user can type replacements.
+ */
+
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { describeFeature, type FeatureLayout } from "@/libs/keystroke-features"
+
+export interface SampleConsistency {
+  sampleId: number
+  consistency: number // Share of compared features within ENROLLMENT_FEATURE_Z_LIMIT
+  worstFeature: { index: number; name: string; zScore: number } | null
+  outlier: boolean
+}
+
+export interface EnrollmentQuality {
+  score: number
+  minimumScore: number
+  passed: boolean
+  samples: SampleConsistency[]
+  rejectedSamples: { sampleId: number; reason: string }[]
+}
+
+// z-scores of one sample against the others. Features the others never used (corrections,
+// mostly) have no spread to compare against and are left out
+function scoreAgainstOthers(sample: number[], others: number[][]): (number | null)[] {
+  return sample.map((value, featureIndex) => {
+    const otherValues = others.map((other) => other[featureIndex])
+    const mean = otherValues.reduce((total, otherValue) => total + otherValue, 0) / otherValues.length
+    const std = Math.sqrt(
+      otherValues.reduce((total, otherValue) => total + Math.pow(otherValue - mean, 2), 0) / Math.max(otherValues.length - 1, 1),
+    )
+    const spread = Math.max(std, Math.abs(mean) * AUTH_CONFIG.ENROLLMENT_MIN_RELATIVE_SPREAD)
+
+    return spread > 0 ? (value - mean) / spread : null
+  })
+}
+
+function describeSampleConsistency(
+  sampleId: number,
+  features: number[],
+  others: number[][],
+  featureLayout: FeatureLayout,
+): SampleConsistency {
+  const zScores = scoreAgainstOthers(features, others)
+  const comparedFeatures = zScores.flatMap((zScore, index) => (zScore === null ? [] : [{ index, zScore }]))
+
+  if (comparedFeatures.length === 0) {
+    return { sampleId, consistency: 1, worstFeature: null, outlier: false }
+  }
+
+  const consistentCount = comparedFeatures.filter(({ zScore }) => Math.abs(zScore) <= AUTH_CONFIG.ENROLLMENT_FEATURE_Z_LIMIT).length
+  const consistency = consistentCount / comparedFeatures.length
+  const worst = comparedFeatures.reduce((a, b) => (Math.abs(b.zScore) > Math.abs(a.zScore) ? b : a))
+
+  return {
+    sampleId,
+    consistency,
+    worstFeature: { index: worst.index, name: describeFeature(worst.index, featureLayout), zScore: worst.zScore },
+    outlier:
+      consistency < AUTH_CONFIG.ENROLLMENT_MIN_SAMPLE_CONSISTENCY ||
+      Math.abs(worst.zScore) > AUTH_CONFIG.ENROLLMENT_MAX_FEATURE_Z,
+  }
+}
+
+function describeRejection(sample: SampleConsistency): string {
+  if (sample.worstFeature && Math.abs(sample.worstFeature.zScore) > AUTH_CONFIG.ENROLLMENT_MAX_FEATURE_Z) {
+    const direction = sample.worstFeature.zScore > 0 ? "longer" : "shorter"
+    return `The ${sample.worstFeature.name} was far ${direction} than in the other samples (z = ${sample.worstFeature.zScore.toFixed(1)}) - was typing interrupted?`
+  }
+  return `Only ${Math.round(sample.consistency * 100)}% of the timings match the other samples - the rhythm was different (one-handed, distracted?)`
+}
+
+/**
+ * Score an enrollment before training
+ * Needs at least three samples - with fewer there is nothing to compare a sample against
+ */
+export function assessEnrollmentQuality(
+  samples: { sampleId: number; features: number[] }[],
+  featureLayout: FeatureLayout,
+): EnrollmentQuality {
+  const minimumScore = AUTH_CONFIG.ENROLLMENT_MIN_QUALITY
+
+  if (samples.length < 3) {
+    return { score: 1, minimumScore, passed: true, samples: [], rejectedSamples: [] }
+  }
+
+  const sampleConsistency = samples.map(({ sampleId, features }, sampleIndex) =>
+    describeSampleConsistency(
+      sampleId,
+      features,
+      samples.filter((_, index) => index !== sampleIndex).map((other) => other.features),
+      featureLayout,
+    ),
+  )
+  const score = sampleConsistency.reduce((total, sample) => total + sample.consistency, 0) / sampleConsistency.length
+
+  let rejected = sampleConsistency.filter((sample) => sample.outlier)
+  if (rejected.length === 0 && score < minimumScore) {
+    rejected = [sampleConsistency.reduce((a, b) => (b.consistency < a.consistency ? b : a))]
+  }
+
+  return {
+    score,
+    minimumScore,
+    passed: rejected.length === 0,
+    samples: sampleConsistency,
+    rejectedSamples: rejected.map((sample) => ({
+      sampleId: sample.sampleId,
+      reason: sample.outlier
+        ? describeRejection(sample)
+        : `Least consistent sample (${Math.round(sample.consistency * 100)}%) - the enrollment quality is ${Math.round(score * 100)}%, below ${Math.round(minimumScore * 100)}%`,
+    })),
+  }
+}
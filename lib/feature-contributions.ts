@@ -0,0 +1,74 @@
+/**
+ * Per-feature breakdown of a keystroke score
+ * The reconstruction error is the mean of one squared error per feature, so each feature's share of it
+ * says which timings made an attempt look unfamiliar. Every feature is labelled by meaning
+ * (libs/keystroke-features.js) and set beside the user's enrollment distribution, so the heatmap
+ * can show "DD 4→5 took 480ms, enrolled 150 ± 20ms" instead of a bare index
+ */
+
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { abbreviateFeature, describeFeature, type FeatureLayout } from "@/libs/keystroke-features"
+import type { KeystrokeModelFile } from "@/libs/model-format"
+
+export interface FeatureContribution {
+  index: number
+  feature: string // e.g. "down-down time from keystroke 4 to 5"
+  label: string // e.g. "DD 4→5" - short enough for a heatmap cell
+  value: number // This attempt, in raw units (milliseconds for the timings)
+  error: number // Squared error in normalized units - the score is their mean
+  share: number // Of the total error, 0-1
+  enrollment: {
+    mean: number | null
+    std: number | null
+    // Range the model was fitted on (augmented samples) - not stored for statistical models
+    min: number | null
+    max: number | null
+  }
+}
+
+// Models trained before per-feature breakdowns still have their normalization range
+function getEnrollmentDistribution(model: KeystrokeModelFile) {
+  if (model.modelType === "statistical") {
+    return { mean: model.means, std: model.stds, min: null, max: null }
+  }
+  const featureDistribution = model.trainingStats.featureDistribution
+  return {
+    mean: featureDistribution?.mean ?? null,
+    std: featureDistribution?.std ?? null,
+    min: model.normalizationParams.min,
+    max: model.normalizationParams.max,
+  }
+}
+
+export function describeFeatureContributions(
+  features: number[],
+  featureErrors: number[],
+  featureLayout: FeatureLayout,
+  model: KeystrokeModelFile,
+): FeatureContribution[] {
+  const enrollment = getEnrollmentDistribution(model)
+  const totalError = featureErrors.reduce((total, error) => total + error, 0)
+
+  return featureErrors.map((error, index) => ({
+    index,
+    feature: describeFeature(index, featureLayout),
+    label: abbreviateFeature(index, featureLayout),
+    value: features[index],
+    error,
+    share: totalError > 0 ? error / totalError : 0,
+    enrollment: {
+      mean: enrollment.mean?.[index] ?? null,
+      std: enrollment.std?.[index] ?? null,
+      min: enrollment.min?.[index] ?? null,
+      max: enrollment.max?.[index] ?? null,
+    },
+  }))
+}
+
+// The features that did most to push a rejected attempt over its threshold, largest first
+export function selectTopContributors(contributions: FeatureContribution[]): FeatureContribution[] {
+  return contributions
+    .filter((contribution) => contribution.share > 0 && contribution.feature !== "padding")
+    .sort((a, b) => b.share - a.share)
+    .slice(0, AUTH_CONFIG.TOP_FEATURE_CONTRIBUTORS)
+}
@@ -0,0 +1,202 @@
+/**
+ * Keystroke score calibration (see lib/score-calibration.ts)
+ * Runs after every keystroke training - enrollment jobs and adaptive retrains:
+ *   - genuine attempts: the enrollment samples - leave-one-out scores for the classic detectors,
+ *     reconstruction errors for the networks (held-out samples included, the rest in-sample)
+ *   - impostor attempts: other users' enrollment samples with the same vector length, topped up to
+ *     CALIBRATION_IMPOSTOR_SAMPLES with synthetic impostors - the user's mean timings, each scaled
+ *     by a random log-normal factor
+ *
+ * Scores go in as log(threshold-normalized score), so 0 is the decision boundary. The per-detector
+ * scores are stored beside the fitted map, so when a user's detector selection changes after training
+ * (the global one, say) a map for the new selection is fitted on the spot.
+ */
+
+import * as tf from "@tensorflow/tfjs"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import {
+  fuseScores,
+  resolveDetectorSelection,
+  scoreWithDetectors,
+  type DetectorName,
+  type DetectorSelection,
+  type KeystrokeDetectorModel,
+} from "@/lib/keystroke-detectors"
+import { listEnrolledUsers, loadEnrollmentSamples } from "@/lib/keystroke-training"
+import {
+  applyScoreCalibration,
+  fitScoreCalibration,
+  sampleGaussian,
+  type CalibrationMap,
+  type CalibrationMethod,
+} from "@/lib/score-calibration"
+import { loadTfjsNetwork } from "@/lib/tfjs-model-store"
+import type { KeystrokeModelFile } from "@/libs/model-format"
+import { scoreTfjsKeystrokePattern, type TrainedTfjsModel } from "@/libs/tfjs-keystroke-model"
+
+type DetectorScores = Partial<Record<DetectorName, number[]>>
+
+export interface KeystrokeCalibration {
+  method: CalibrationMethod
+  impostors: { users: number; samples: number; synthetic: number }
+  genuineScores: DetectorScores // Threshold-normalized, one per enrollment sample
+  impostorScores: DetectorScores // Threshold-normalized, one per impostor attempt
+  selection: string // The selection `map` was fitted for, e.g. "mean:autoencoder+manhattan"
+  map: CalibrationMap
+}
+
+// The tfjs network fills the autoencoder's slot - it is the only scorer those models have
+const TFJS_SELECTION: DetectorSelection = { detectors: ["autoencoder"], fusion: "mean" }
+
+function describeSelection({ detectors, fusion }: DetectorSelection): string {
+  return `${fusion}:${detectors.join("+")}`
+}
+
+function toCalibrationScore(normalizedScore: number): number {
+  return Math.log(Math.max(normalizedScore, 1e-6))
+}
+
+// Fuse stored per-detector scores attempt by attempt - null when a selected detector wasn't calibrated
+function fuseStoredScores(scores: DetectorScores, { detectors, fusion }: DetectorSelection): number[] | null {
+  const detectorScores = detectors.map((detector) => scores[detector])
+  if (detectorScores.some((scoreList) => scoreList === undefined)) {
+    return null
+  }
+  return detectorScores[0]!.map((_, attempt) =>
+    toCalibrationScore(fuseScores(detectorScores.map((scoreList) => scoreList![attempt]), fusion)),
+  )
+}
+
+async function loadImpostorSamples(username: string, inputDim: number, random: () => number) {
+  const impostorSamples: { username: string; features: number[] }[] = []
+  for (const otherUser of await listEnrolledUsers()) {
+    if (otherUser === username) {
+      continue
+    }
+    for (const features of await loadEnrollmentSamples(otherUser)) {
+      if (features.length === inputDim) {
+        impostorSamples.push({ username: otherUser, features })
+      }
+    }
+  }
+
+  // Shuffled before the cap, so one user with many samples can't fill it alone
+  for (let i = impostorSamples.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    ;[impostorSamples[i], impostorSamples[j]] = [impostorSamples[j], impostorSamples[i]]
+  }
+  return impostorSamples.slice(0, AUTH_CONFIG.CALIBRATION_IMPOSTOR_SAMPLES)
+}
+
+function synthesizeImpostorSamples(meanFeatures: number[], count: number, random: () => number): number[][] {
+  return Array.from({ length: count }, () =>
+    meanFeatures.map((value) => value * Math.exp(sampleGaussian(random) * AUTH_CONFIG.CALIBRATION_SYNTHETIC_SPREAD)),
+  )
+}
+
+/**
+ * Calibrate a freshly trained model - the result is stored as the model's `calibration`
+ */
+export async function calibrateKeystrokeModel(
+  username: string,
+  model: KeystrokeDetectorModel | TrainedTfjsModel,
+  random: () => number = Math.random,
+): Promise<KeystrokeCalibration> {
+  const featureDistribution = model.trainingStats.featureDistribution
+  if (!featureDistribution) {
+    throw new Error("Model has no feature distribution to synthesize impostors from")
+  }
+
+  const realImpostors = await loadImpostorSamples(username, model.inputDim, random)
+  const syntheticImpostors = synthesizeImpostorSamples(
+    featureDistribution.mean,
+    AUTH_CONFIG.CALIBRATION_IMPOSTOR_SAMPLES - realImpostors.length,
+    random,
+  )
+  const impostorSamples = [...realImpostors.map((impostor) => impostor.features), ...syntheticImpostors]
+
+  const genuineScores: DetectorScores = {
+    autoencoder: model.trainingStats.reconstructionErrors.map((error) => error / model.threshold),
+  }
+  const impostorScores: DetectorScores = {}
+  let selection: DetectorSelection
+
+  if (model.modelType === "tfjs") {
+    const network = await loadTfjsNetwork(username, model)
+    try {
+      impostorScores.autoencoder = impostorSamples.map(
+        (features) => scoreTfjsKeystrokePattern(tf, network, features, model).reconstructionError / model.threshold,
+      )
+    } finally {
+      network.dispose()
+    }
+    selection = TFJS_SELECTION
+  } else {
+    // Every trained detector is calibrated, so any later selection can be served
+    const calibratedDetectors: DetectorName[] = ["autoencoder"]
+    for (const [detector, trainedDetector] of Object.entries(model.detectors ?? {})) {
+      if (trainedDetector.heldOutScores) {
+        genuineScores[detector as DetectorName] = trainedDetector.heldOutScores.map(
+          (score) => score / trainedDetector.threshold,
+        )
+        calibratedDetectors.push(detector as DetectorName)
+      }
+    }
+
+    const impostorDecisions = impostorSamples.map((features) =>
+      scoreWithDetectors(features, model, { detectors: calibratedDetectors, fusion: "mean" }),
+    )
+    for (const detector of calibratedDetectors) {
+      impostorScores[detector] = impostorDecisions.map(
+        (decision) => decision.scores.find((score) => score.detector === detector)!.normalizedScore,
+      )
+    }
+    selection = resolveDetectorSelection(model)
+  }
+
+  const method = AUTH_CONFIG.SCORE_CALIBRATION_METHOD as CalibrationMethod
+  return {
+    method,
+    impostors: {
+      users: new Set(realImpostors.map((impostor) => impostor.username)).size,
+      samples: realImpostors.length,
+      synthetic: syntheticImpostors.length,
+    },
+    genuineScores,
+    impostorScores,
+    selection: describeSelection(selection),
+    map: fitScoreCalibration(
+      fuseStoredScores(genuineScores, selection)!,
+      fuseStoredScores(impostorScores, selection)!,
+      method,
+    ),
+  }
+}
+
+/**
+ * Probability that an attempt came from the enrolled user, from its fused threshold-normalized score
+ * Null for models trained before calibration, or when a selected detector wasn't calibrated
+ */
+export function estimateMatchProbability(
+  model: KeystrokeModelFile,
+  fusedScore: number,
+  selection: DetectorSelection = TFJS_SELECTION,
+): number | null {
+  // Not part of the model format - older models simply don't have it
+  const { calibration } = model as { calibration?: KeystrokeCalibration }
+  if (!calibration) {
+    return null
+  }
+
+  let map = calibration.map
+  if (calibration.selection !== describeSelection(selection)) {
+    const genuineScores = fuseStoredScores(calibration.genuineScores, selection)
+    const impostorScores = fuseStoredScores(calibration.impostorScores, selection)
+    if (!genuineScores || !impostorScores) {
+      return null
+    }
+    map = fitScoreCalibration(genuineScores, impostorScores, calibration.method)
+  }
+
+  return applyScoreCalibration(map, toCalibrationScore(fusedScore))
+}
@@ -0,0 +1,480 @@
+/**
+ * Pluggable keystroke detectors and score fusion
+ * The autoencoder stays the default, but on a handful of enrollment samples the simple detectors
+ * from the keystroke-dynamics literature often do better (Killourhy & Maxion, 2009):
+ *   - manhattan        scaled Manhattan distance to the mean, per-feature mean absolute deviation
+ *   - mahalanobis      Mahalanobis distance with a covariance shrunk toward the identity
+ *   - ocsvm            one-class SVM (RBF kernel, nu formulation)
+ *   - isolationForest  how much quicker than average random trees isolate the attempt
+ *
+ * Every detector scores "higher = less like the enrolled user" and gets its own threshold from
+ * leave-one-out scores on the enrollment samples. Scores are divided by that threshold before they
+ * are fused, so 1.0 is the decision boundary for every detector and for the fused score alike.
+ *
+ * Params for every trained detector are stored in the model (`detectors`); a per-user choice of
+ * detectors is stored as `detection`, otherwise the global AUTH_CONFIG selection applies.
+ */
+
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { authenticateKeystrokePattern, type TrainedAutoencoderModel } from "@/libs/autoencoder"
+
+export type DetectorName = "autoencoder" | "manhattan" | "mahalanobis" | "ocsvm" | "isolationForest"
+export type FusionRule = "mean" | "max" | "min"
+
+export const DETECTOR_NAMES: DetectorName[] = ["autoencoder", "manhattan", "mahalanobis", "ocsvm", "isolationForest"]
+export const FUSION_RULES: FusionRule[] = ["mean", "max", "min"]
+
+export interface DetectorSelection {
+  detectors: DetectorName[]
+  fusion: FusionRule
+}
+
+export interface TrainedDetector {
+  threshold: number
+  params: Record<string, unknown>
+  heldOutScores?: number[] // Leave-one-out enrollment scores - the genuine side of score calibration
+}
+
+export type TrainedDetectors = Partial<Record<Exclude<DetectorName, "autoencoder">, TrainedDetector>>
+
+export type KeystrokeDetectorModel = TrainedAutoencoderModel & {
+  detectors?: TrainedDetectors
+  detection?: DetectorSelection // Per-user choice - absent means the global selection
+}
+
+export interface DetectorScore {
+  detector: DetectorName
+  score: number
+  threshold: number
+  normalizedScore: number // score / threshold - above 1 rejects
+  authenticated: boolean
+}
+
+export interface DetectorDecision {
+  authenticated: boolean
+  fusedScore: number
+  fusion: FusionRule
+  confidence: number
+  scores: DetectorScore[]
+  autoencoder: ReturnType<typeof authenticateKeystrokePattern> | null // Kept for reconstruction error and deviations
+}
+
+interface KeystrokeDetector {
+  train(samples: number[][], random: () => number): Record<string, unknown>
+  score(params: Record<string, unknown>, features: number[]): number
+}
+
+// Features that never varied during enrollment carry no information - the autoencoder's
+// normalization zeroes them too, so every detector leaves them out
+function describeFeatures(samples: number[][]) {
+  const dimensions = samples[0].length
+  const mean = Array.from({ length: dimensions }, (_, i) => samples.reduce((total, sample) => total + sample[i], 0) / samples.length)
+  const std = mean.map((average, i) =>
+    Math.sqrt(samples.reduce((total, sample) => total + Math.pow(sample[i] - average, 2), 0) / samples.length),
+  )
+  const active = mean.map((_, i) => i).filter((i) => std[i] > 0)
+  return { mean, std, active }
+}
+
+function standardize(features: number[], mean: number[], std: number[], active: number[]): number[] {
+  return active.map((i) => (features[i] - mean[i]) / std[i])
+}
+
+// Gauss-Jordan with partial pivoting - the shrunk covariance is always well conditioned
+function invertMatrix(matrix: number[][]): number[][] {
+  const size = matrix.length
+  const augmented = matrix.map((row, i) => [...row, ...Array.from({ length: size }, (_, j) => (i === j ? 1 : 0))])
+
+  for (let column = 0; column < size; column++) {
+    let pivotRow = column
+    for (let row = column + 1; row < size; row++) {
+      if (Math.abs(augmented[row][column]) > Math.abs(augmented[pivotRow][column])) {
+        pivotRow = row
+      }
+    }
+    const pivotRowValues = augmented[pivotRow]
+    augmented[pivotRow] = augmented[column]
+    augmented[column] = pivotRowValues
+
+    const pivot = augmented[column][column]
+    for (let j = 0; j < 2 * size; j++) {
+      augmented[column][j] /= pivot
+    }
+    for (let row = 0; row < size; row++) {
+      if (row !== column) {
+        const factor = augmented[row][column]
+        for (let j = 0; j < 2 * size; j++) {
+          augmented[row][j] -= factor * augmented[column][j]
+        }
+      }
+    }
+  }
+
+  return augmented.map((row) => row.slice(size))
+}
+
+const manhattanDetector: KeystrokeDetector = {
+  train(samples) {
+    const { mean, active } = describeFeatures(samples)
+    const meanAbsoluteDeviation = mean.map(
+      (average, i) => samples.reduce((total, sample) => total + Math.abs(sample[i] - average), 0) / samples.length,
+    )
+    return { mean, meanAbsoluteDeviation, active }
+  },
+  score(params, features) {
+    const { mean, meanAbsoluteDeviation, active } = params as { mean: number[]; meanAbsoluteDeviation: number[]; active: number[] }
+    if (active.length === 0) {
+      return 0
+    }
+    // Averaged rather than summed so the scale doesn't depend on the passphrase length
+    return active.reduce((total, i) => total + Math.abs(features[i] - mean[i]) / meanAbsoluteDeviation[i], 0) / active.length
+  },
+}
+
+const mahalanobisDetector: KeystrokeDetector = {
+  train(samples) {
+    const { mean, std, active } = describeFeatures(samples)
+    const standardized = samples.map((sample) => standardize(sample, mean, std, active))
+    const shrinkage = AUTH_CONFIG.MAHALANOBIS_SHRINKAGE
+
+    // Correlation matrix of the standardized features, shrunk toward the identity
+    const shrunkCovariance = active.map((_, row) =>
+      active.map((_, column) => {
+        const correlation =
+          standardized.reduce((total, sample) => total + sample[row] * sample[column], 0) / standardized.length
+        return (1 - shrinkage) * correlation + (row === column ? shrinkage : 0)
+      }),
+    )
+
+    return { mean, std, active, inverseCovariance: active.length > 0 ? invertMatrix(shrunkCovariance) : [] }
+  },
+  score(params, features) {
+    const { mean, std, active, inverseCovariance } = params as {
+      mean: number[]
+      std: number[]
+      active: number[]
+      inverseCovariance: number[][]
+    }
+    if (active.length === 0) {
+      return 0
+    }
+    const standardized = standardize(features, mean, std, active)
+    const squaredDistance = standardized.reduce(
+      (total, value, row) =>
+        total + value * inverseCovariance[row].reduce((rowTotal, entry, column) => rowTotal + entry * standardized[column], 0),
+      0,
+    )
+    return Math.sqrt(Math.max(0, squaredDistance) / active.length)
+  },
+}
+
+const OCSVM_MAX_ITERATIONS = 10000
+const OCSVM_TOLERANCE = 1e-6
+
+function rbfKernel(a: number[], b: number[], gamma: number): number {
+  return Math.exp(-gamma * a.reduce((total, value, i) => total + Math.pow(value - b[i], 2), 0))
+}
+
+const ocsvmDetector: KeystrokeDetector = {
+  // Dual problem: minimize 1/2 a'Ka with 0 <= a_i <= 1/(nu n) and sum(a) = 1, solved with SMO pair updates
+  train(samples) {
+    const { mean, std, active } = describeFeatures(samples)
+    const points = samples.map((sample) => standardize(sample, mean, std, active))
+    const count = points.length
+    const gamma = 1 / Math.max(1, active.length)
+    const upperBound = 1 / (AUTH_CONFIG.OCSVM_NU * count)
+
+    const kernel = points.map((a) => points.map((b) => rbfKernel(a, b, gamma)))
+
+    // Feasible start: fill the first coefficients up to the bound until they sum to 1
+    const alphas = new Array(count).fill(0)
+    let remaining = 1
+    for (let i = 0; i < count && remaining > 0; i++) {
+      alphas[i] = Math.min(upperBound, remaining)
+      remaining -= alphas[i]
+    }
+    const gradient = kernel.map((row) => row.reduce((total, value, j) => total + value * alphas[j], 0))
+
+    for (let iteration = 0; iteration < OCSVM_MAX_ITERATIONS; iteration++) {
+      let up = -1
+      let down = -1
+      for (let t = 0; t < count; t++) {
+        if (alphas[t] < upperBound - 1e-12 && (up === -1 || gradient[t] < gradient[up])) {
+          up = t
+        }
+        if (alphas[t] > 1e-12 && (down === -1 || gradient[t] > gradient[down])) {
+          down = t
+        }
+      }
+      if (up === -1 || down === -1 || gradient[down] - gradient[up] < OCSVM_TOLERANCE) {
+        break
+      }
+
+      const curvature = Math.max(1e-12, kernel[up][up] + kernel[down][down] - 2 * kernel[up][down])
+      const step = Math.min((gradient[down] - gradient[up]) / curvature, upperBound - alphas[up], alphas[down])
+      alphas[up] += step
+      alphas[down] -= step
+      for (let t = 0; t < count; t++) {
+        gradient[t] += step * (kernel[t][up] - kernel[t][down])
+      }
+    }
+
+    const supportIndices = alphas.map((_, i) => i).filter((i) => alphas[i] > 1e-12)
+    return {
+      mean,
+      std,
+      active,
+      gamma,
+      supportVectors: supportIndices.map((i) => points[i]),
+      alphas: supportIndices.map((i) => alphas[i]),
+    }
+  },
+  // -log of the kernel density the SVM learned: 0 on top of the enrollment samples, growing with distance
+  score(params, features) {
+    const { mean, std, active, gamma, supportVectors, alphas } = params as {
+      mean: number[]
+      std: number[]
+      active: number[]
+      gamma: number
+      supportVectors: number[][]
+      alphas: number[]
+    }
+    const point = standardize(features, mean, std, active)
+    const decision = supportVectors.reduce((total, vector, i) => total + alphas[i] * rbfKernel(vector, point, gamma), 0)
+    return -Math.log(Math.max(decision, 1e-300))
+  },
+}
+
+type IsolationNode = { size: number } | { feature: number; split: number; left: IsolationNode; right: IsolationNode }
+
+// Average path length of an unsuccessful binary search tree lookup over n points
+function averagePathLength(count: number): number {
+  if (count <= 1) {
+    return 0
+  }
+  if (count === 2) {
+    return 1
+  }
+  return 2 * (Math.log(count - 1) + 0.5772156649) - (2 * (count - 1)) / count
+}
+
+function buildIsolationTree(points: number[][], depth: number, maxDepth: number, random: () => number): IsolationNode {
+  if (depth >= maxDepth || points.length <= 1) {
+    return { size: points.length }
+  }
+
+  const splittable = points[0]
+    .map((_, feature) => feature)
+    .filter((feature) => points.some((point) => point[feature] !== points[0][feature]))
+  if (splittable.length === 0) {
+    return { size: points.length }
+  }
+
+  const feature = splittable[Math.floor(random() * splittable.length)]
+  const values = points.map((point) => point[feature])
+  const low = Math.min(...values)
+  const high = Math.max(...values)
+  const split = low + random() * (high - low)
+
+  return {
+    feature,
+    split,
+    left: buildIsolationTree(
+      points.filter((point) => point[feature] < split),
+      depth + 1,
+      maxDepth,
+      random,
+    ),
+    right: buildIsolationTree(
+      points.filter((point) => point[feature] >= split),
+      depth + 1,
+      maxDepth,
+      random,
+    ),
+  }
+}
+
+function isolationDepth(node: IsolationNode, point: number[], depth: number): number {
+  if ("size" in node) {
+    return depth + averagePathLength(node.size)
+  }
+  return isolationDepth(point[node.feature] < node.split ? node.left : node.right, point, depth + 1)
+}
+
+const isolationForestDetector: KeystrokeDetector = {
+  train(samples, random) {
+    const subsampleSize = Math.min(256, samples.length)
+    const maxDepth = Math.ceil(Math.log2(Math.max(2, subsampleSize)))
+
+    const trees = Array.from({ length: AUTH_CONFIG.ISOLATION_FOREST_TREES }, () => {
+      // Partial Fisher-Yates shuffle for a subsample without replacement
+      const pool = [...samples]
+      for (let i = 0; i < subsampleSize; i++) {
+        const j = i + Math.floor(random() * (pool.length - i))
+        const picked = pool[j]
+        pool[j] = pool[i]
+        pool[i] = picked
+      }
+      return buildIsolationTree(pool.slice(0, subsampleSize), 0, maxDepth, random)
+    })
+
+    return { subsampleSize, trees }
+  },
+  // Isolation deficit 1 - E[h] / c(n): 0 for a point as deep as an average one, toward 1 when it's cut off
+  // at the root. Unlike the usual 2^(-E[h] / c(n)) it starts at 0, so the threshold margin means the same
+  // thing as for the distance detectors
+  score(params, features) {
+    const { subsampleSize, trees } = params as { subsampleSize: number; trees: IsolationNode[] }
+    const averageDepth = trees.reduce((total, tree) => total + isolationDepth(tree, features, 0), 0) / trees.length
+    return Math.max(0, 1 - averageDepth / (averagePathLength(subsampleSize) || 1))
+  },
+}
+
+const KEYSTROKE_DETECTORS: Record<Exclude<DetectorName, "autoencoder">, KeystrokeDetector> = {
+  manhattan: manhattanDetector,
+  mahalanobis: mahalanobisDetector,
+  ocsvm: ocsvmDetector,
+  isolationForest: isolationForestDetector,
+}
+
+/**
+ * Train the given detectors on the enrollment samples
+ * Thresholds follow the autoencoder's rule (95th percentile of the scores), but over
+ * leave-one-out scores - in-sample distances would all be optimistically small
+ */
+export function trainKeystrokeDetectors(
+  samples: number[][],
+  detectorNames: DetectorName[],
+  random: () => number = Math.random,
+): TrainedDetectors {
+  const trainedDetectors: TrainedDetectors = {}
+
+  for (const detectorName of detectorNames) {
+    if (detectorName === "autoencoder") {
+      continue
+    }
+    const detector = KEYSTROKE_DETECTORS[detectorName]
+
+    const heldOutScores = samples.map((heldOutSample, heldOutIndex) => {
+      const remainingSamples = samples.filter((_, index) => index !== heldOutIndex)
+      return detector.score(detector.train(remainingSamples, random), heldOutSample)
+    })
+    const sortedScores = [...heldOutScores].sort((a, b) => a - b)
+    const percentileScore = sortedScores[Math.floor(sortedScores.length * 0.95)]
+    const threshold = percentileScore
+
+    trainedDetectors[detectorName] = {
+      // A detector with nothing to measure (every feature constant) still needs a usable boundary
+      threshold: Number.isFinite(threshold) && threshold > 0 ? threshold : Number.EPSILON,
+      params: detector.train(samples, random),
+      heldOutScores,
+    }
+  }
+
+  return trainedDetectors
+}
+
+/**
+ * Validate a requested selection - returns an error message, or null when it can be used
+ */
+export function describeSelectionProblem(detectors: unknown, fusion: unknown): string | null {
+  if (!Array.isArray(detectors) || detectors.length === 0) {
+    return "detectors must be a non-empty list"
+  }
+  const unknownDetectors = detectors.filter((name) => !DETECTOR_NAMES.includes(name))
+  if (unknownDetectors.length > 0) {
+    return `Unknown detectors: ${unknownDetectors.join(", ")} (expected ${DETECTOR_NAMES.join(", ")})`
+  }
+  if (fusion !== undefined && !FUSION_RULES.includes(fusion as FusionRule)) {
+    return `Fusion must be one of ${FUSION_RULES.join(", ")}`
+  }
+  return null
+}
+
+export function getGlobalDetectorSelection(): DetectorSelection {
+  return {
+    detectors: [...AUTH_CONFIG.KEYSTROKE_DETECTORS] as DetectorName[],
+    fusion: AUTH_CONFIG.KEYSTROKE_DETECTOR_FUSION as FusionRule,
+  }
+}
+
+/**
+ * The detectors a model is actually scored with
+ * The user's own choice wins over the global one; detectors the model has no params for
+ * (models trained before they existed) are dropped, and the autoencoder is the last resort
+ */
+export function resolveDetectorSelection(model: KeystrokeDetectorModel): DetectorSelection & { scope: "user" | "global" } {
+  const selection = model.detection ?? getGlobalDetectorSelection()
+  const available = selection.detectors.filter(
+    (detectorName) => detectorName === "autoencoder" || model.detectors?.[detectorName] !== undefined,
+  )
+  return {
+    detectors: available.length > 0 ? available : ["autoencoder"],
+    fusion: selection.fusion,
+    scope: model.detection ? "user" : "global",
+  }
+}
+
+// Combine threshold-normalized scores - 1.0 stays the decision boundary whatever the rule
+export function fuseScores(normalizedScores: number[], fusion: FusionRule): number {
+  if (fusion === "max") {
+    return Math.max(...normalizedScores)
+  }
+  if (fusion === "min") {
+    return Math.min(...normalizedScores)
+  }
+  return normalizedScores.reduce((total, value) => total + value, 0) / normalizedScores.length
+}
+
+/**
+ * Score an attempt with every selected detector and fuse the threshold-normalized scores
+ */
+export function scoreWithDetectors(
+  features: number[],
+  model: KeystrokeDetectorModel,
+  selection: DetectorSelection = resolveDetectorSelection(model),
+): DetectorDecision {
+  const autoencoderResult = selection.detectors.includes("autoencoder")
+    ? authenticateKeystrokePattern(features, model)
+    : null
+
+  const scores: DetectorScore[] = selection.detectors.map((detectorName) => {
+    let score: number
+    let threshold: number
+
+    if (detectorName === "autoencoder") {
+      score = autoencoderResult!.reconstructionError
+      threshold = autoencoderResult!.threshold
+    } else {
+      const trainedDetector = model.detectors?.[detectorName]
+      if (!trainedDetector) {
+        throw new Error(`Model has no trained ${detectorName} detector`)
+      }
+      score = KEYSTROKE_DETECTORS[detectorName].score(trainedDetector.params, features)
+      threshold = trainedDetector.threshold
+    }
+
+    const normalizedScore = score / threshold
+    return { detector: detectorName, score, threshold, normalizedScore, authenticated: normalizedScore <= 1 }
+  })
+
+  const fusedScore = fuseScores(
+    scores.map((detectorScore) => detectorScore.normalizedScore),
+    selection.fusion,
+  )
+
+  // The autoencoder on its own keeps its established confidence; fused scores map 0 -> 1 and the boundary -> 0.5
+  const confidence =
+    autoencoderResult && selection.detectors.length === 1
+      ? autoencoderResult.confidence
+      : Math.max(0, Math.min(1, 1 - fusedScore / 2))
+
+  return {
+    authenticated: fusedScore <= 1,
+    fusedScore,
+    fusion: selection.fusion,
+    confidence,
+    scores,
+    autoencoder: autoencoderResult,
+  }
+}
@@ -0,0 +1,371 @@
+/**
+ * Offline FAR/FRR/EER evaluation of the keystroke pipeline
+ * Replays stored enrollment samples through the same training and scoring code as
+ * /api/train-model and /api/authenticate:
+ *   - genuine attempts: leave-one-out - train on all but one of a user's samples, score the held-out one
+ *   - impostor attempts: score every other user's samples against the user's full model
+ * Scores are reconstruction errors, so "accept" means score <= threshold. With any other detector
+ * selection the score is the fused, threshold-normalized detector score instead (accept at <= 1).
+ * The TensorFlow.js backend is evaluated the same way, so its EER compares directly with the
+ * hand-rolled autoencoder's on the same samples and seed.
+ * An impostor whose passphrase has a different key count never reaches a detector in production,
+ * so those attempts score Infinity (always rejected).
+ */
+
+import { AUTH_CONFIG } from "@/config/auth-config"
+import {
+  getGlobalDetectorSelection,
+  scoreWithDetectors,
+  type DetectorSelection,
+  type KeystrokeDetectorModel,
+} from "@/lib/keystroke-detectors"
+import * as tf from "@tensorflow/tfjs"
+import {
+  listEnrolledUsers,
+  loadEnrollmentSamples,
+  trainUserKeystrokeModel,
+  trainUserTfjsModel,
+  type KeystrokeBackend,
+} from "@/lib/keystroke-training"
+import { createSeededRandom } from "@/libs/autoencoder"
+import { scoreTfjsKeystrokePattern } from "@/libs/tfjs-keystroke-model"
+
+// Leave-one-out needs at least two samples left to train on
+const MINIMUM_EVALUATION_SAMPLES = 3
+const MAXIMUM_CURVE_POINTS = 200
+
+export interface EvaluationOptions {
+  usernames?: string[] // Defaults to every user under models/
+  seed?: number // Seeds training so two runs over the same data agree
+  maxSamplesPerUser?: number
+  backend?: KeystrokeBackend // Defaults to the hand-rolled autoencoder
+  detection?: DetectorSelection // Defaults to the global AUTH_CONFIG selection - autoencoder backend only
+}
+
+interface ScoredAttempt {
+  score: number
+  accepted: boolean // What /api/authenticate would have decided
+  adaptiveThreshold: number // The model's own p95, before the configured floor
+}
+
+// A trained model reduced to scoring - release() frees a tfjs network
+interface EvaluationModel {
+  score(features: number[]): ScoredAttempt
+  release(): void
+}
+
+export interface ErrorRatePoint {
+  threshold: number
+  far: number
+  frr: number
+  tpr: number
+}
+
+export interface UserEvaluation {
+  username: string
+  samples: number
+  genuineAttempts: number
+  impostorAttempts: number
+  eer: number
+  recommendedThreshold: number
+  farAtRecommended: number
+  frrAtRecommended: number
+}
+
+export interface EvaluationReport {
+  generatedAt: string
+  seed: number
+  backend: KeystrokeBackend
+  detection: DetectorSelection | null // null for the tfjs backend - its network decides alone
+  users: number
+  skippedUsers: { username: string; reason: string }[]
+  genuineAttempts: number
+  impostorAttempts: number
+  eer: { rate: number; threshold: number }
+  current: { far: number; frr: number } // The production decision with the evaluated detectors
+  // What the threshold policy (max(floor, model p95 * margin)) would do at each floor - only for
+  // reconstruction error scores (tfjs or autoencoder-only), fused scores have no configurable floor
+  configuredThresholds: { floor: number; current: boolean; far: number; frr: number }[]
+  roc: { far: number; tpr: number; threshold: number }[]
+  det: { far: number; frr: number; threshold: number }[]
+  perUser: UserEvaluation[]
+}
+
+function isAutoencoderOnly(selection: DetectorSelection): boolean {
+  return selection.detectors.length === 1 && selection.detectors[0] === "autoencoder"
+}
+
+function scoreAttempt(features: number[], model: KeystrokeDetectorModel, selection: DetectorSelection): ScoredAttempt {
+  const adaptiveThreshold = model.trainingStats.calculatedThreshold
+  if (features.length !== model.inputDim) {
+    return { score: Infinity, accepted: false, adaptiveThreshold }
+  }
+
+  const decision = scoreWithDetectors(features, model, selection)
+  return {
+    score: isAutoencoderOnly(selection) ? decision.autoencoder!.reconstructionError : decision.fusedScore,
+    accepted: decision.authenticated,
+    adaptiveThreshold,
+  }
+}
+
+async function trainEvaluationModel(
+  username: string,
+  samples: number[][],
+  random: () => number,
+  backend: KeystrokeBackend,
+  detection: DetectorSelection,
+): Promise<EvaluationModel> {
+  const minimumSamples = Math.min(AUTH_CONFIG.MINIMUM_TRAINING_SAMPLES, samples.length)
+
+  if (backend === "autoencoder") {
+    const model = trainUserKeystrokeModel(username, samples, { random, minimumSamples, detection })
+    return { score: (features) => scoreAttempt(features, model, detection), release: () => {} }
+  }
+
+  const { model, network } = await trainUserTfjsModel(username, samples, { random, minimumSamples })
+  const adaptiveThreshold = model.trainingStats.calculatedThreshold
+  return {
+    score: (features) => {
+      if (features.length !== model.inputDim) {
+        return { score: Infinity, accepted: false, adaptiveThreshold }
+      }
+      const result = scoreTfjsKeystrokePattern(tf, network, features, model)
+      return { score: result.reconstructionError, accepted: result.authenticated, adaptiveThreshold }
+    },
+    release: () => network.dispose(),
+  }
+}
+
+// Number of sorted scores <= threshold
+function countAtOrBelow(sortedScores: number[], threshold: number): number {
+  let low = 0
+  let high = sortedScores.length
+  while (low < high) {
+    const middle = (low + high) >> 1
+    if (sortedScores[middle] <= threshold) {
+      low = middle + 1
+    } else {
+      high = middle
+    }
+  }
+  return low
+}
+
+function errorRatesAt(threshold: number, sortedGenuine: number[], sortedImpostor: number[]): ErrorRatePoint {
+  const falseRejects = sortedGenuine.length - countAtOrBelow(sortedGenuine, threshold)
+  const falseAccepts = countAtOrBelow(sortedImpostor, threshold)
+  const frr = sortedGenuine.length > 0 ? falseRejects / sortedGenuine.length : 0
+  const far = sortedImpostor.length > 0 ? falseAccepts / sortedImpostor.length : 0
+  return { threshold, far, frr, tpr: 1 - frr }
+}
+
+/**
+ * Sweep every observed (finite) score as a threshold - the curve only changes at those points
+ */
+export function computeErrorRateCurve(genuineScores: number[], impostorScores: number[]): ErrorRatePoint[] {
+  const sortedGenuine = [...genuineScores].sort((a, b) => a - b)
+  const sortedImpostor = [...impostorScores].sort((a, b) => a - b)
+  const candidateThresholds = [...new Set([0, ...sortedGenuine, ...sortedImpostor])]
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b)
+  return candidateThresholds.map((threshold) => errorRatesAt(threshold, sortedGenuine, sortedImpostor))
+}
+
+/**
+ * Equal error rate and the threshold that produces it
+ * The threshold is placed halfway to the next observed score so it isn't sitting exactly on a sample
+ */
+export function findEqualErrorPoint(genuineScores: number[], impostorScores: number[]) {
+  const curve = computeErrorRateCurve(genuineScores, impostorScores)
+
+  let bestIndex = 0
+  curve.forEach((point, index) => {
+    const best = curve[bestIndex]
+    const gap = Math.abs(point.far - point.frr)
+    const bestGap = Math.abs(best.far - best.frr)
+    if (gap < bestGap || (gap === bestGap && point.far + point.frr < best.far + best.frr)) {
+      bestIndex = index
+    }
+  })
+
+  const bestPoint = curve[bestIndex]
+  const nextThreshold = curve[bestIndex + 1]?.threshold
+  const threshold = nextThreshold !== undefined ? (bestPoint.threshold + nextThreshold) / 2 : bestPoint.threshold
+
+  const sortedGenuine = [...genuineScores].sort((a, b) => a - b)
+  const sortedImpostor = [...impostorScores].sort((a, b) => a - b)
+  const { far, frr } = errorRatesAt(threshold, sortedGenuine, sortedImpostor)
+
+  return { rate: (bestPoint.far + bestPoint.frr) / 2, threshold, far, frr }
+}
+
+// Keep the curve small enough to plot while always including both ends
+function downsampleCurve<T>(points: T[]): T[] {
+  if (points.length <= MAXIMUM_CURVE_POINTS) {
+    return points
+  }
+  const step = (points.length - 1) / (MAXIMUM_CURVE_POINTS - 1)
+  return Array.from({ length: MAXIMUM_CURVE_POINTS }, (_, i) => points[Math.round(i * step)])
+}
+
+/**
+ * Run the full evaluation over the stored samples
+ */
+export async function evaluateKeystrokePipeline(options: EvaluationOptions = {}): Promise<EvaluationReport> {
+  const seed = options.seed ?? 1
+  const backend = options.backend ?? "autoencoder"
+  const detection = options.detection ?? getGlobalDetectorSelection()
+  const usernames = options.usernames?.length ? options.usernames : await listEnrolledUsers()
+  const skippedUsers: { username: string; reason: string }[] = []
+
+  // Gather samples first - impostor attempts need everybody's
+  const userSamples = new Map<string, number[][]>()
+  for (const username of usernames) {
+    let samples = await loadEnrollmentSamples(username)
+    if (options.maxSamplesPerUser) {
+      samples = samples.slice(0, options.maxSamplesPerUser)
+    }
+
+    if (samples.length < MINIMUM_EVALUATION_SAMPLES) {
+      skippedUsers.push({ username, reason: `Only ${samples.length} samples (need ${MINIMUM_EVALUATION_SAMPLES})` })
+      continue
+    }
+
+    if (samples.some((sample) => sample.length !== samples[0].length)) {
+      skippedUsers.push({ username, reason: "Samples were typed with different key counts" })
+      continue
+    }
+    userSamples.set(username, samples)
+  }
+
+  const genuineAttempts = new Map<string, ScoredAttempt[]>()
+  const impostorAttempts = new Map<string, ScoredAttempt[]>()
+
+  for (const [username, samples] of userSamples) {
+    console.log(`Evaluating ${username} (${samples.length} samples)...`)
+    const random = createSeededRandom(seed)
+
+    // Genuine - leave-one-out; the sample minimum drops to what leave-one-out can provide
+    const genuine: ScoredAttempt[] = []
+    for (const [heldOutIndex, heldOutSample] of samples.entries()) {
+      const trainingSamples = samples.filter((_, index) => index !== heldOutIndex)
+      const model = await trainEvaluationModel(username, trainingSamples, random, backend, detection)
+      genuine.push(model.score(heldOutSample))
+      model.release()
+    }
+
+    // Impostor - everyone else typing against this user's full model
+    const fullModel = await trainEvaluationModel(username, samples, random, backend, detection)
+    const impostor: ScoredAttempt[] = []
+    for (const [otherUsername, otherSamples] of userSamples) {
+      if (otherUsername !== username) {
+        otherSamples.forEach((sample) => impostor.push(fullModel.score(sample)))
+      }
+    }
+    fullModel.release()
+
+    genuineAttempts.set(username, genuine)
+    impostorAttempts.set(username, impostor)
+  }
+
+  const allGenuine = [...genuineAttempts.values()].flat()
+  const allImpostor = [...impostorAttempts.values()].flat()
+  const genuineScores = allGenuine.map((attempt) => attempt.score)
+  const impostorScores = allImpostor.map((attempt) => attempt.score)
+
+  const curve = computeErrorRateCurve(genuineScores, impostorScores)
+  const overallEqualError = findEqualErrorPoint(genuineScores, impostorScores)
+
+  const current = {
+    far: allImpostor.length > 0 ? allImpostor.filter((attempt) => attempt.accepted).length / allImpostor.length : 0,
+    frr: allGenuine.length > 0 ? allGenuine.filter((attempt) => !attempt.accepted).length / allGenuine.length : 0,
+  }
+
+  // Replay the reconstruction error decision rule for each configured floor
+  const floors = backend === "tfjs" || isAutoencoderOnly(detection)
+    ? [...new Set<number>([...AUTH_CONFIG.AUTOENCODER_TEST_THRESHOLDS, AUTH_CONFIG.AUTOENCODER_AUTH_THRESHOLD])].sort(
+        (a, b) => a - b,
+      )
+    : []
+  const configuredThresholds = floors.map((floor) => {
+    const accepted = (attempt: ScoredAttempt) => attempt.score <= Math.max(floor, attempt.adaptiveThreshold)
+    return {
+      floor,
+      current: floor === AUTH_CONFIG.AUTOENCODER_AUTH_THRESHOLD,
+      far: allImpostor.length > 0 ? allImpostor.filter(accepted).length / allImpostor.length : 0,
+      frr: allGenuine.length > 0 ? allGenuine.filter((attempt) => !accepted(attempt)).length / allGenuine.length : 0,
+    }
+  })
+
+  const perUser: UserEvaluation[] = [...userSamples.keys()].map((username) => {
+    const userGenuineScores = genuineAttempts.get(username)!.map((attempt) => attempt.score)
+    const userImpostorScores = impostorAttempts.get(username)!.map((attempt) => attempt.score)
+    const userEqualError = findEqualErrorPoint(userGenuineScores, userImpostorScores)
+
+    return {
+      username,
+      samples: userSamples.get(username)!.length,
+      genuineAttempts: userGenuineScores.length,
+      impostorAttempts: userImpostorScores.length,
+      eer: userEqualError.rate,
+      recommendedThreshold: userEqualError.threshold,
+      farAtRecommended: userEqualError.far,
+      frrAtRecommended: userEqualError.frr,
+    }
+  })
+
+  const sampledCurve = downsampleCurve(curve)
+
+  return {
+    generatedAt: new Date().toISOString(),
+    seed,
+    backend,
+    detection: backend === "tfjs" ? null : detection,
+    users: userSamples.size,
+    skippedUsers,
+    genuineAttempts: allGenuine.length,
+    impostorAttempts: allImpostor.length,
+    eer: { rate: overallEqualError.rate, threshold: overallEqualError.threshold },
+    current,
+    configuredThresholds,
+    roc: sampledCurve.map(({ far, tpr, threshold }) => ({ far, tpr, threshold })),
+    det: sampledCurve.map(({ far, frr, threshold }) => ({ far, frr, threshold })),
+    perUser,
+  }
+}
+
+/**
+ * CSV exports - "users" for per-user results, "curve" for ROC/DET points
+ */
+export function evaluationReportToCsv(report: EvaluationReport, table: "users" | "curve"): string {
+  if (table === "curve") {
+    const header = "threshold,far,frr,tpr\n"
+    return (
+      header +
+      report.det.map((point) => `${point.threshold},${point.far},${point.frr},${1 - point.frr}`).join("\n") +
+      "\n"
+    )
+  }
+
+  const header =
+    "username,samples,genuineAttempts,impostorAttempts,eer,recommendedThreshold,farAtRecommended,frrAtRecommended\n"
+  return (
+    header +
+    report.perUser
+      .map((user) =>
+        [
+          user.username,
+          user.samples,
+          user.genuineAttempts,
+          user.impostorAttempts,
+          user.eer,
+          user.recommendedThreshold,
+          user.farAtRecommended,
+          user.frrAtRecommended,
+        ].join(","),
+      )
+      .join("\n") +
+    "\n"
+  )
+}
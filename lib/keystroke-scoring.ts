@@ -0,0 +1,253 @@
+/**
+ * Keystroke attempt scoring - shared by /api/authenticate and the keystroke + voice fusion endpoint
+ * Turns a request body into the feature vector the user's enrolled layout expects, then scores it
+ * with whatever the model was trained as (detectors, TensorFlow.js network or the legacy statistics)
+ */
+
+import * as tf from "@tensorflow/tfjs"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { describeFeatureContributions, type FeatureContribution } from "@/lib/feature-contributions"
+import { estimateMatchProbability } from "@/lib/keystroke-calibration"
+import {
+  resolveDetectorSelection,
+  scoreWithDetectors,
+  type DetectorScore,
+  type FusionRule,
+} from "@/lib/keystroke-detectors"
+import { loadTfjsNetwork } from "@/lib/tfjs-model-store"
+import { authenticateKeystrokePattern } from "@/libs/autoencoder"
+import {
+  buildFeatureVector,
+  createLegacyFeatureLayout,
+  describeLayoutMismatch,
+  describeVectorMismatch,
+  type FeatureLayout,
+} from "@/libs/keystroke-features"
+import type { KeystrokeModelFile } from "@/libs/model-format"
+import { scoreTfjsKeystrokePattern } from "@/libs/tfjs-keystroke-model"
+
+export interface KeystrokeAttemptFeatures {
+  features: number[]
+  featureLayout: FeatureLayout
+  layoutMismatch: string | null // Set when the attempt can't be compared with the enrollment at all
+}
+
+export interface KeystrokeAttemptScore {
+  authenticated: boolean
+  reconstructionError: number // The MSE for statistical models
+  deviations: number[]
+  featureContributions: FeatureContribution[]
+  confidence?: number // Not reported by statistical models
+  matchProbability: number | null
+  reason: string
+  method: string
+  detection?: {
+    scope: "user" | "global"
+    fusion: FusionRule
+    fusedScore: number
+    scores: DetectorScore[]
+  }
+  thresholds?: { percentileThreshold: number; percentileUsed: number }
+}
+
+/**
+ * Build the attempt's feature vector in the enrolled layout
+ * Raw timings are rebuilt into the layout; a client-built vector is taken as-is
+ */
+export function buildAttemptFeatures(requestBody: any, model: KeystrokeModelFile): KeystrokeAttemptFeatures {
+  // The enrolled layout decides the vector size - legacy models keep their zero-padded 11-key layout
+  const featureLayout =
+    model.modelType === "statistical" ? createLegacyFeatureLayout(model.means.length) : model.featureLayout
+
+  if (Array.isArray(requestBody.holdTimes) && Array.isArray(requestBody.ddTimes) && Array.isArray(requestBody.udTimes)) {
+    const keystrokeTimings = {
+      holdTimes: requestBody.holdTimes,
+      ddTimes: requestBody.ddTimes,
+      udTimes: requestBody.udTimes,
+      typingSpeed: requestBody.typingSpeed,
+      flightTime: requestBody.flightTime,
+      errorRate: requestBody.errorRate,
+      pressPressure: requestBody.pressPressure,
+      correctionCount: requestBody.correctionCount,
+      correctionLatency: requestBody.correctionLatency,
+      errorPosition: requestBody.errorPosition,
+    }
+    return {
+      features: buildFeatureVector(keystrokeTimings, featureLayout),
+      featureLayout,
+      layoutMismatch: describeLayoutMismatch(keystrokeTimings, featureLayout),
+    }
+  }
+
+  let features: number[] = []
+  if (requestBody.features && Array.isArray(requestBody.features)) {
+    features = requestBody.features
+  } else if (requestBody.features && requestBody.features.features && Array.isArray(requestBody.features.features)) {
+    features = requestBody.features.features
+  } else if (requestBody.extractedFeatures && Array.isArray(requestBody.extractedFeatures)) {
+    features = requestBody.extractedFeatures
+  } else if (
+    requestBody.extractedFeatures &&
+    requestBody.extractedFeatures.features &&
+    Array.isArray(requestBody.extractedFeatures.features)
+  ) {
+    features = requestBody.extractedFeatures.features
+  }
+
+  return {
+    features,
+    featureLayout,
+    // Statistical models have always compared only the overlapping features
+    layoutMismatch: model.modelType === "statistical" ? null : describeVectorMismatch(features, featureLayout),
+  }
+}
+
+/**
+ * Score an attempt against the user's model - no logging to the audit trail and no adaptive update,
+ * those are up to the endpoint
+ */
+export async function scoreKeystrokeAttempt(
+  username: string,
+  keystrokeFeatures: number[],
+  featureLayout: FeatureLayout,
+  savedModelData: KeystrokeModelFile,
+): Promise<KeystrokeAttemptScore> {
+  if (savedModelData.modelType === "autoencoder") {
+    // The user's own detector choice if they made one, the global selection otherwise
+    const detectorSelection = resolveDetectorSelection(savedModelData)
+    console.log(`Using ${detectorSelection.detectors.join(" + ")} (${detectorSelection.scope} selection)`)
+
+    const detectorDecision = scoreWithDetectors(keystrokeFeatures, savedModelData, detectorSelection)
+    const authenticationSuccessful = detectorDecision.authenticated
+    const confidenceScore = detectorDecision.confidence
+    const matchProbability = estimateMatchProbability(savedModelData, detectorDecision.fusedScore, detectorSelection)
+
+    // The autoencoder is always in the model - it still supplies the reconstruction error and the
+    // per-feature breakdown, whichever detectors decided
+    const { reconstructionError, deviations: featureDeviations } =
+      detectorDecision.autoencoder ?? authenticateKeystrokePattern(keystrokeFeatures, savedModelData)
+
+    console.log(`Keystroke authentication for ${username}:`, {
+      scores: detectorDecision.scores.map(
+        ({ detector, score, threshold }) => `${detector} ${score.toFixed(6)}/${threshold.toFixed(6)}`,
+      ),
+      fusedScore: detectorDecision.fusedScore.toFixed(3),
+      authenticated: authenticationSuccessful,
+      confidence: confidenceScore.toFixed(3),
+      matchProbability: matchProbability?.toFixed(3) ?? "uncalibrated",
+    })
+
+    let failureReason = ""
+    if (!authenticationSuccessful) {
+      const [onlyScore] = detectorDecision.scores
+      failureReason =
+        detectorDecision.scores.length === 1
+          ? `${onlyScore.detector === "autoencoder" ? "Reconstruction error" : `${onlyScore.detector} score`} too high: ${onlyScore.score.toFixed(6)} > ${onlyScore.threshold.toFixed(6)}`
+          : `Fused detector score too high (${detectorDecision.fusion}): ${detectorDecision.fusedScore.toFixed(3)} > 1.000 - ${detectorDecision.scores
+              .map(({ detector, normalizedScore }) => `${detector} ${normalizedScore.toFixed(2)}`)
+              .join(", ")}`
+    }
+
+    return {
+      authenticated: authenticationSuccessful,
+      reconstructionError,
+      deviations: featureDeviations,
+      featureContributions: describeFeatureContributions(keystrokeFeatures, featureDeviations, featureLayout, savedModelData),
+      confidence: confidenceScore,
+      matchProbability,
+      reason: authenticationSuccessful ? "Authentication successful" : failureReason,
+      method: detectorSelection.detectors.length === 1 ? detectorSelection.detectors[0] : "fusion",
+      detection: {
+        scope: detectorSelection.scope,
+        fusion: detectorDecision.fusion,
+        fusedScore: detectorDecision.fusedScore,
+        scores: detectorDecision.scores,
+      },
+    }
+  }
+
+  if (savedModelData.modelType === "tfjs") {
+    // TensorFlow.js backend - the extra detectors are trained for autoencoder models only,
+    // so the network's reconstruction error decides on its own
+    const network = await loadTfjsNetwork(username, savedModelData)
+    let tfjsResult
+    try {
+      tfjsResult = scoreTfjsKeystrokePattern(tf, network, keystrokeFeatures, savedModelData)
+    } finally {
+      network.dispose()
+    }
+    const { authenticated: authenticationSuccessful, reconstructionError, confidence: confidenceScore } = tfjsResult
+    const matchProbability = estimateMatchProbability(savedModelData, reconstructionError / savedModelData.threshold)
+
+    console.log(`TensorFlow.js keystroke authentication for ${username}:`, {
+      reconstructionError: reconstructionError.toFixed(6),
+      threshold: savedModelData.threshold.toFixed(6),
+      authenticated: authenticationSuccessful,
+      confidence: confidenceScore.toFixed(3),
+      matchProbability: matchProbability?.toFixed(3) ?? "uncalibrated",
+    })
+
+    return {
+      authenticated: authenticationSuccessful,
+      reconstructionError,
+      deviations: tfjsResult.deviations,
+      featureContributions: describeFeatureContributions(
+        keystrokeFeatures,
+        tfjsResult.deviations,
+        featureLayout,
+        savedModelData,
+      ),
+      confidence: confidenceScore,
+      matchProbability,
+      reason: authenticationSuccessful
+        ? "Authentication successful"
+        : `Reconstruction error too high: ${reconstructionError.toFixed(6)} > ${savedModelData.threshold.toFixed(6)}`,
+      method: "tfjs",
+    }
+  }
+
+  console.log("Using legacy statistical authentication")
+
+  // Statistical model authentication (fallback method)
+  // Calculate mean squared error using the same normalization as training
+  let calculatedMSE = 0
+  const keystrokeDeviations = []
+
+  for (let i = 0; i < keystrokeFeatures.length && i < savedModelData.means.length; i++) {
+    const normalizedFeature = (keystrokeFeatures[i] - savedModelData.means[i]) / (savedModelData.stds[i] || 1)
+    keystrokeDeviations.push(normalizedFeature * normalizedFeature) // This feature's part of the MSE
+    calculatedMSE += normalizedFeature * normalizedFeature
+  }
+
+  calculatedMSE = calculatedMSE / keystrokeFeatures.length
+
+  // Use percentile-based threshold for authentication decision
+  const percentileThreshold = savedModelData.mseStats?.percentileThreshold || 0.1
+  const authenticationSuccessful = calculatedMSE <= percentileThreshold
+
+  let failureReason = ""
+  if (!authenticationSuccessful) {
+    const percentileUsed = savedModelData.mseStats?.percentileUsed || AUTH_CONFIG.STATISTICAL_PERCENTILE_THRESHOLD
+    failureReason = `MSE (${calculatedMSE.toFixed(5)}) exceeds ${percentileUsed}th percentile threshold (${percentileThreshold.toFixed(5)})`
+  }
+
+  console.log(`Statistical authentication for ${username}:`, {
+    mse: calculatedMSE.toFixed(6),
+    threshold: percentileThreshold.toFixed(6),
+    authenticated: authenticationSuccessful,
+  })
+
+  return {
+    authenticated: authenticationSuccessful,
+    reconstructionError: calculatedMSE,
+    deviations: keystrokeDeviations,
+    featureContributions: describeFeatureContributions(keystrokeFeatures, keystrokeDeviations, featureLayout, savedModelData),
+    matchProbability: null, // Legacy statistical models were never calibrated
+    reason: authenticationSuccessful ? "Authentication successful" : failureReason,
+    method: "statistical",
+    thresholds: {
+      percentileThreshold,
+      percentileUsed: savedModelData.mseStats?.percentileUsed || AUTH_CONFIG.PERCENTILE_THRESHOLD,
+    },
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * Server-side keystroke training helpers
+ * Enrollment (/api/train-model) and adaptive retraining both go through here,
+ * so a model always comes out of the same pipeline with the same settings
+ */
+
+import fs from "fs/promises"
+import path from "path"
+import * as tf from "@tensorflow/tfjs"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import {
+  trainKeystrokeDetectors,
+  type DetectorName,
+  type DetectorSelection,
+  type KeystrokeDetectorModel,
+} from "@/lib/keystroke-detectors"
+import { trainKeystrokeBiometricModel, type TrainedAutoencoderModel, type TrainingOptions } from "@/libs/autoencoder"
+import {
+  trainTfjsKeystrokeModel,
+  type TfjsActivation,
+  type TfjsOptimizer,
+  type TfjsTrainingOptions,
+  type TrainedTfjsModel,
+} from "@/libs/tfjs-keystroke-model"
+
+export const ENROLLMENT_SAMPLE_PATTERN = /^sample_(\d+)\.json$/
+
+export type KeystrokeBackend = "autoencoder" | "tfjs"
+export const KEYSTROKE_BACKENDS: readonly KeystrokeBackend[] = ["autoencoder", "tfjs"]
+
+// Settings every backend trains with
+const SHARED_TRAINING_SETTINGS = {
+  epochs: AUTH_CONFIG.AUTOENCODER_MAX_EPOCHS,
+  learningRate: AUTH_CONFIG.AUTOENCODER_LEARNING_RATE,
+  batchSize: AUTH_CONFIG.AUTOENCODER_BATCH_SIZE,
+  validationSplit: AUTH_CONFIG.AUTOENCODER_VALIDATION_SPLIT,
+  patience: AUTH_CONFIG.AUTOENCODER_EARLY_STOPPING_PATIENCE,
+  noiseLevel: AUTH_CONFIG.DATA_AUGMENTATION_NOISE,
+  augmentationMultiplier: AUTH_CONFIG.SAMPLE_AUGMENTATION_MULTIPLIER,
+  minimumThreshold: AUTH_CONFIG.AUTOENCODER_AUTH_THRESHOLD,
+  minimumSamples: AUTH_CONFIG.MINIMUM_TRAINING_SAMPLES,
+}
+
+export function getSampleDirectory(username: string): string {
+  return path.join(process.cwd(), AUTH_CONFIG.KEYSTROKE_MODELS_DIRECTORY, username, "samples")
+}
+
+// Every user with a directory under models/, enrolled or part-way through enrolling
+export async function listEnrolledUsers(): Promise<string[]> {
+  try {
+    const entries = await fs.readdir(path.join(process.cwd(), AUTH_CONFIG.KEYSTROKE_MODELS_DIRECTORY), {
+      withFileTypes: true,
+    })
+    return entries
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => entry.name)
+      .sort()
+  } catch {
+    return []
+  }
+}
+
+// Feature vectors from samples/sample_<n>.json, in enrollment order
+export async function loadEnrollmentSamples(username: string): Promise<number[][]> {
+  return (await loadEnrollmentSampleSet(username)).map((sample) => sample.features)
+}
+
+// Same, keeping each sample's id (the <n> in its file name) for callers that act on single samples
+export async function loadEnrollmentSampleSet(username: string): Promise<{ sampleId: number; features: number[] }[]> {
+  const sampleDirectory = getSampleDirectory(username)
+
+  let sampleFiles: string[]
+  try {
+    sampleFiles = await fs.readdir(sampleDirectory)
+  } catch {
+    return []
+  }
+
+  const enrollmentFiles = sampleFiles
+    .map((fileName) => ({ fileName, match: fileName.match(ENROLLMENT_SAMPLE_PATTERN) }))
+    .filter((entry) => entry.match)
+    .sort((a, b) => Number(a.match![1]) - Number(b.match![1]))
+
+  const collectedSamples: { sampleId: number; features: number[] }[] = []
+  for (const { fileName, match } of enrollmentFiles) {
+    try {
+      const loadedSampleData = JSON.parse(await fs.readFile(path.join(sampleDirectory, fileName), "utf-8"))
+      collectedSamples.push({ sampleId: Number(match![1]), features: loadedSampleData.features })
+    } catch (error) {
+      console.error(`Failed to load sample ${fileName}:`, error)
+    }
+  }
+
+  return collectedSamples
+}
+
+// Drop enrollment samples (and their raw keystrokes, if kept) so replacements can take their place
+export async function discardEnrollmentSamples(username: string, sampleIds: number[]): Promise<void> {
+  const rawKeystrokeDirectory = path.join(process.cwd(), AUTH_CONFIG.KEYSTROKE_MODELS_DIRECTORY, username, "raw_data")
+
+  for (const sampleId of sampleIds) {
+    await fs.rm(path.join(getSampleDirectory(username), `sample_${sampleId}.json`), { force: true })
+    await fs.rm(path.join(rawKeystrokeDirectory, `raw_${sampleId}.json`), { force: true })
+  }
+}
+
+// Everything a backend trains with apart from the samples - plain data, so it can also be handed
+// to the training worker (lib/training-jobs.ts)
+export function getTrainingSettings(backend: KeystrokeBackend) {
+  if (backend === "autoencoder") {
+    return { ...SHARED_TRAINING_SETTINGS }
+  }
+  return {
+    ...SHARED_TRAINING_SETTINGS,
+    layers: [...AUTH_CONFIG.TFJS_LAYERS],
+    activation: AUTH_CONFIG.TFJS_ACTIVATION as TfjsActivation,
+    dropout: AUTH_CONFIG.TFJS_DROPOUT,
+    optimizer: AUTH_CONFIG.TFJS_OPTIMIZER as TfjsOptimizer,
+  }
+}
+
+// Shared pipeline: validation split, augmentation, normalization, training and threshold selection
+// Overrides are for offline evaluation only (seeded randomness, leave-one-out sample counts)
+// `detection` records the user's own detector choice; the other detectors are trained either way
+export function trainUserKeystrokeModel(
+  username: string,
+  trainingSamples: number[][],
+  { detection, ...overrides }: TrainingOptions & { detection?: DetectorSelection } = {},
+): KeystrokeDetectorModel & { username: string } {
+  const trainedAutoencoderModel = trainKeystrokeBiometricModel(trainingSamples, {
+    ...getTrainingSettings("autoencoder"),
+    ...overrides,
+  })
+
+  return attachKeystrokeDetectors(username, trainingSamples, trainedAutoencoderModel, { detection, random: overrides.random })
+}
+
+// Add the classic detectors to a trained autoencoder model - split out for the training worker,
+// which only trains the network
+export function attachKeystrokeDetectors(
+  username: string,
+  trainingSamples: number[][],
+  trainedAutoencoderModel: TrainedAutoencoderModel,
+  { detection, random }: { detection?: DetectorSelection; random?: () => number } = {},
+): KeystrokeDetectorModel & { username: string } {
+  const detectorNames = new Set<DetectorName>([
+    ...(AUTH_CONFIG.TRAINED_KEYSTROKE_DETECTORS as readonly DetectorName[]),
+    ...(detection?.detectors ?? []),
+  ])
+
+  return {
+    username,
+    ...trainedAutoencoderModel,
+    detectors: trainKeystrokeDetectors(trainingSamples, [...detectorNames], random),
+    ...(detection ? { detection } : {}),
+  }
+}
+
+// The same pipeline on the TensorFlow.js backend, in-process. The network comes back live for scoring
+// (evaluation) - dispose it when done. Enrollment trains in the training worker instead
+export async function trainUserTfjsModel(
+  username: string,
+  trainingSamples: number[][],
+  overrides: TfjsTrainingOptions = {},
+): Promise<{ model: TrainedTfjsModel & { username: string }; network: tf.LayersModel }> {
+  const { model, network } = await trainTfjsKeystrokeModel(tf, trainingSamples, {
+    ...getTrainingSettings("tfjs"),
+    ...overrides,
+  })
+
+  return { model: { username, ...model }, network }
+}
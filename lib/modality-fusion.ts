@@ -0,0 +1,71 @@
+/**
+ * Score-level fusion of keystroke and voice
+ * Both modalities report a calibrated matchProbability (lib/score-calibration.ts) fitted with a 50%
+ * prior, so p / (1 - p) is the likelihood ratio of a genuine attempt over an impostor:
+ *   - likelihood-ratio  multiply the ratios (the modalities are treated as independent) and turn the
+ *                       product back into a probability - two fairly sure modalities make a very sure one
+ *   - weighted          weighted mean of the probabilities (FUSION_WEIGHTS) - never surer than the surest
+ *
+ * A modality that is all but certain of an impostor (below FUSION_VETO_PROBABILITY) rejects on its own,
+ * so a good recording can't carry a completely foreign typing rhythm, or the other way round
+ */
+
+import { AUTH_CONFIG } from "@/config/auth-config"
+
+export type FusionModality = "keystroke" | "voice"
+export type ModalityFusionRule = "likelihood-ratio" | "weighted"
+
+export interface ModalityEvidence {
+  modality: FusionModality
+  matchProbability: number
+  authenticated: boolean // The modality's own decision, against its own threshold
+}
+
+export interface FusionDecision {
+  rule: ModalityFusionRule
+  authenticated: boolean
+  matchProbability: number
+  acceptProbability: number
+  vetoedBy: FusionModality | null
+  rescued: FusionModality | null // Rejected on its own, accepted on the strength of the other
+}
+
+// Log-odds, clamped so a calibrated 0 or 1 can't make the product meaningless
+function toLogOdds(probability: number): number {
+  const clamped = Math.min(Math.max(probability, 1e-6), 1 - 1e-6)
+  return Math.log(clamped / (1 - clamped))
+}
+
+export function fuseModalities(
+  evidence: ModalityEvidence[],
+  rule: ModalityFusionRule = AUTH_CONFIG.FUSION_RULE as ModalityFusionRule,
+): FusionDecision {
+  if (evidence.length === 0) {
+    throw new Error("Fusion needs evidence from at least one modality")
+  }
+
+  let matchProbability: number
+  if (rule === "weighted") {
+    const weights = evidence.map(({ modality }) => AUTH_CONFIG.FUSION_WEIGHTS[modality])
+    const totalWeight = weights.reduce((total, weight) => total + weight, 0)
+    matchProbability =
+      evidence.reduce((total, { matchProbability }, index) => total + weights[index] * matchProbability, 0) / totalWeight
+  } else {
+    const logOdds = evidence.reduce((total, { matchProbability }) => total + toLogOdds(matchProbability), 0)
+    matchProbability = 1 / (1 + Math.exp(-logOdds))
+  }
+
+  const veto = evidence.find(({ matchProbability }) => matchProbability < AUTH_CONFIG.FUSION_VETO_PROBABILITY)
+  const acceptProbability = AUTH_CONFIG.FUSION_ACCEPT_PROBABILITY
+  const authenticated = !veto && matchProbability >= acceptProbability
+  const rescued = authenticated ? evidence.find((modalityEvidence) => !modalityEvidence.authenticated) : undefined
+
+  return {
+    rule,
+    authenticated,
+    matchProbability,
+    acceptProbability,
+    vetoedBy: veto?.modality ?? null,
+    rescued: rescued?.modality ?? null,
+  }
+}
@@ -0,0 +1,265 @@
+/**
+ * Per-user model history (models/<user>/versions)
+ * Every trained model is kept as an immutable v<n>.json; model.json is just a copy of the
+ * active version, so authentication never has to know about history.
+ * A pinned version stays active even when enrollment or adaptive updates train a newer one.
+ */
+
+import fs from "fs/promises"
+import path from "path"
+import { z } from "zod"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { getModelFilePath, saveKeystrokeModel, type KeystrokeModelFile } from "@/lib/model-store"
+import { parseModelFile } from "@/libs/model-format"
+
+const VERSION_FILE_PATTERN = /^v(\d+)\.json$/
+
+export type ModelVersionSource = "enrollment" | "adaptive" | "legacy"
+
+export interface ModelHistoryState {
+  activeVersion: number | null
+  pinnedVersion: number | null
+  updatedAt: string
+}
+
+export interface ModelVersionSummary {
+  version: number
+  source: ModelVersionSource
+  modelType: KeystrokeModelFile["modelType"]
+  createdAt: string | null
+  threshold: number | null
+  samples: number | null
+  augmentedSamples: number | null
+  meanError: number | null
+  maxError: number | null
+  finalLoss: number | null
+  bestEpoch: number | null
+  epochsRun: number | null
+  // Per-epoch losses for plotting - null for models trained before early stopping
+  lossCurve: { training: number[]; validation: number[] } | null
+}
+
+export type StoredModelVersion = KeystrokeModelFile & { modelVersion: number; source: ModelVersionSource }
+
+function getVersionsDirectory(username: string): string {
+  return path.join(process.cwd(), AUTH_CONFIG.KEYSTROKE_MODELS_DIRECTORY, username, "versions")
+}
+
+function getVersionFilePath(username: string, version: number): string {
+  return path.join(getVersionsDirectory(username), `v${version}.json`)
+}
+
+function getHistoryStatePath(username: string): string {
+  return path.join(getVersionsDirectory(username), "history.json")
+}
+
+async function loadHistoryState(username: string): Promise<ModelHistoryState> {
+  try {
+    return JSON.parse(await fs.readFile(getHistoryStatePath(username), "utf-8"))
+  } catch {
+    return { activeVersion: null, pinnedVersion: null, updatedAt: new Date().toISOString() }
+  }
+}
+
+async function saveHistoryState(username: string, state: ModelHistoryState): Promise<void> {
+  await fs.mkdir(getVersionsDirectory(username), { recursive: true })
+  await fs.writeFile(getHistoryStatePath(username), JSON.stringify({ ...state, updatedAt: new Date().toISOString() }, null, 2))
+}
+
+async function listVersionNumbers(username: string): Promise<number[]> {
+  try {
+    const versionFiles = await fs.readdir(getVersionsDirectory(username))
+    return versionFiles
+      .map((fileName) => fileName.match(VERSION_FILE_PATTERN))
+      .filter((match): match is RegExpMatchArray => !!match)
+      .map((match) => Number(match[1]))
+      .sort((a, b) => a - b)
+  } catch {
+    return []
+  }
+}
+
+export async function loadModelVersion(username: string, version: number): Promise<StoredModelVersion | null> {
+  try {
+    const rawVersion = JSON.parse(await fs.readFile(getVersionFilePath(username, version), "utf-8"))
+    const { model } = parseModelFile(rawVersion, z)
+    return { ...model, modelVersion: version, source: rawVersion.source || "legacy" }
+  } catch (error) {
+    console.error(`Failed to load model version ${version} for ${username}:`, error)
+    return null
+  }
+}
+
+// Users trained before history existed get their current model.json adopted as v1
+async function ensureHistoryInitialized(username: string): Promise<void> {
+  if ((await listVersionNumbers(username)).length > 0) {
+    return
+  }
+
+  let legacyModel: KeystrokeModelFile
+  try {
+    legacyModel = parseModelFile(JSON.parse(await fs.readFile(getModelFilePath(username), "utf-8")), z).model
+  } catch {
+    return
+  }
+
+  await fs.mkdir(getVersionsDirectory(username), { recursive: true })
+  await fs.writeFile(
+    getVersionFilePath(username, 1),
+    JSON.stringify({ ...legacyModel, modelVersion: 1, source: "legacy" }, null, 2),
+    { flag: "wx" },
+  )
+  await saveHistoryState(username, { activeVersion: 1, pinnedVersion: null, updatedAt: new Date().toISOString() })
+}
+
+/**
+ * Store a freshly trained model as the next version and make it active unless a version is pinned
+ */
+export async function recordModelVersion(
+  username: string,
+  model: KeystrokeModelFile,
+  source: ModelVersionSource,
+): Promise<{ version: number; activated: boolean }> {
+  await ensureHistoryInitialized(username)
+  await fs.mkdir(getVersionsDirectory(username), { recursive: true })
+
+  const existingVersions = await listVersionNumbers(username)
+  const version = (existingVersions[existingVersions.length - 1] || 0) + 1
+  const versionedModel = { ...model, modelVersion: version, source }
+
+  // wx - versions are immutable, never overwrite one
+  await fs.writeFile(getVersionFilePath(username, version), JSON.stringify(versionedModel, null, 2), { flag: "wx" })
+
+  const state = await loadHistoryState(username)
+  if (state.pinnedVersion !== null) {
+    console.log(`Stored model v${version} for ${username} - v${state.pinnedVersion} stays active (pinned)`)
+    return { version, activated: false }
+  }
+
+  await saveKeystrokeModel(username, versionedModel)
+  await saveHistoryState(username, { ...state, activeVersion: version })
+  return { version, activated: true }
+}
+
+/**
+ * Make an older (or newer) version the active model.json, optionally pinning it
+ */
+export async function activateModelVersion(
+  username: string,
+  version: number,
+  options: { pin?: boolean } = {},
+): Promise<StoredModelVersion | null> {
+  await ensureHistoryInitialized(username)
+
+  const storedVersion = await loadModelVersion(username, version)
+  if (!storedVersion) {
+    return null
+  }
+
+  await saveKeystrokeModel(username, storedVersion)
+
+  const state = await loadHistoryState(username)
+  await saveHistoryState(username, {
+    ...state,
+    activeVersion: version,
+    pinnedVersion: options.pin ? version : null,
+  })
+
+  console.log(`Activated model v${version} for ${username}${options.pin ? " (pinned)" : ""}`)
+  return storedVersion
+}
+
+export async function unpinModelVersion(username: string): Promise<void> {
+  const state = await loadHistoryState(username)
+  await saveHistoryState(username, { ...state, pinnedVersion: null })
+}
+
+// The version just before the active one - what "undo the last retrain" means
+export async function getPreviousVersionNumber(username: string): Promise<number | null> {
+  await ensureHistoryInitialized(username)
+
+  const { activeVersion } = await loadHistoryState(username)
+  const olderVersions = (await listVersionNumbers(username)).filter(
+    (version) => activeVersion === null || version < activeVersion,
+  )
+  return olderVersions.length > 0 ? olderVersions[olderVersions.length - 1] : null
+}
+
+function summarizeModelVersion(storedVersion: StoredModelVersion): ModelVersionSummary {
+  const trainingStats = storedVersion.modelType !== "statistical" ? storedVersion.trainingStats : undefined
+
+  return {
+    version: storedVersion.modelVersion,
+    source: storedVersion.source,
+    modelType: storedVersion.modelType,
+    createdAt: storedVersion.createdAt || null,
+    threshold: storedVersion.modelType !== "statistical" ? storedVersion.threshold : null,
+    samples: trainingStats?.samples ?? null,
+    augmentedSamples: trainingStats?.augmentedSamples ?? null,
+    meanError: trainingStats?.meanError ?? null,
+    maxError: trainingStats?.maxError ?? null,
+    finalLoss: trainingStats?.finalLoss ?? null,
+    bestEpoch: trainingStats?.bestEpoch ?? null,
+    epochsRun: trainingStats?.epochsRun ?? null,
+    lossCurve: trainingStats?.trainingLosses
+      ? { training: trainingStats.trainingLosses, validation: trainingStats.validationLosses ?? [] }
+      : null,
+  }
+}
+
+export async function listModelVersions(
+  username: string,
+): Promise<ModelHistoryState & { versions: ModelVersionSummary[] }> {
+  await ensureHistoryInitialized(username)
+
+  const versions: ModelVersionSummary[] = []
+  for (const version of await listVersionNumbers(username)) {
+    const storedVersion = await loadModelVersion(username, version)
+    if (storedVersion) {
+      versions.push(summarizeModelVersion(storedVersion))
+    }
+  }
+
+  return { ...(await loadHistoryState(username)), versions }
+}
+
+/**
+ * Side-by-side training stats of two versions, with the change from the first to the second
+ */
+export async function diffModelVersions(username: string, fromVersion: number, toVersion: number) {
+  const [fromModel, toModel] = await Promise.all([
+    loadModelVersion(username, fromVersion),
+    loadModelVersion(username, toVersion),
+  ])
+
+  if (!fromModel || !toModel) {
+    return null
+  }
+
+  const fromSummary = summarizeModelVersion(fromModel)
+  const toSummary = summarizeModelVersion(toModel)
+  const comparedStats = [
+    "threshold",
+    "samples",
+    "augmentedSamples",
+    "meanError",
+    "maxError",
+    "finalLoss",
+    "bestEpoch",
+  ] as const
+
+  return {
+    from: fromSummary,
+    to: toSummary,
+    changes: comparedStats.map((stat) => {
+      const fromValue = fromSummary[stat]
+      const toValue = toSummary[stat]
+      return {
+        stat,
+        from: fromValue,
+        to: toValue,
+        delta: fromValue !== null && toValue !== null ? toValue - fromValue : null,
+      }
+    }),
+  }
+}
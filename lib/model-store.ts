@@ -0,0 +1,63 @@
+/**
+ * Loading and saving keystroke model files (models/<user>/model.json)
+ * Every read goes through the shared schema in libs/model-format.js, and files written
+ * by older builds are migrated and written back in place the first time they're loaded
+ */
+
+import fs from "fs/promises"
+import path from "path"
+import { z } from "zod"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { ModelFormatError, parseModelFile, type KeystrokeModelFile } from "@/libs/model-format"
+
+export { ModelFormatError }
+export type { KeystrokeModelFile }
+
+export function getModelFilePath(username: string): string {
+  return path.join(process.cwd(), AUTH_CONFIG.KEYSTROKE_MODELS_DIRECTORY, username, "model.json")
+}
+
+// Whether the user finished an enrollment - without reading, migrating or validating the model
+export async function hasKeystrokeModel(username: string): Promise<boolean> {
+  try {
+    await fs.access(getModelFilePath(username))
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Load, migrate and validate a user's model - null means the user never enrolled
+export async function loadKeystrokeModel(username: string): Promise<KeystrokeModelFile | null> {
+  const modelFilePath = getModelFilePath(username)
+
+  let rawModelFile: string
+  try {
+    rawModelFile = await fs.readFile(modelFilePath, "utf-8")
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+      return null
+    }
+    throw error
+  }
+
+  let rawModel: unknown
+  try {
+    rawModel = JSON.parse(rawModelFile)
+  } catch {
+    throw new ModelFormatError("MODEL_CORRUPT", "Model file is not valid JSON")
+  }
+
+  const { model, migrated, fromVersion } = parseModelFile(rawModel, z)
+
+  if (migrated) {
+    console.log(`Migrating model for ${username} from format v${fromVersion} to v${model.formatVersion}`)
+    await saveKeystrokeModel(username, model)
+  }
+
+  return model
+}
+
+export async function saveKeystrokeModel(username: string, model: KeystrokeModelFile): Promise<void> {
+  await fs.writeFile(getModelFilePath(username), JSON.stringify(model, null, 2))
+}
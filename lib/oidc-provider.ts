@@ -0,0 +1,558 @@
+/**
+ * OpenID Connect provider mode - "Sign in with Ghost Key" for other apps
+ * A minimal authorization-code flow: a registered app (relying party) sends the user to /authorize,
+ * the user logs in there with keystroke + voice, and the app swaps the returned code at
+ * /api/oidc/token for an ID token and an access token.
+ *
+ * The ID token is signed with RS256, so relying parties check it against the JWKS endpoint without
+ * sharing a secret. Its amr claim lists what was checked: "kbd" (typing rhythm), "voice", "pwd" and "passkey".
+ * The access token is signed with the same key but is its own JWT (typ "at+jwt", RFC 9068) - its aud is
+ * the client it was issued to, and only /api/oidc/userinfo accepts it. It is never a Ghost Key session token,
+ * so a relying party can't use it against the rest of this API.
+ *
+ * Clients, the signing key and unredeemed codes are JSON files in models/, next to the session key.
+ * Client secrets are stored as SHA-256 hashes - they are random, so a slow hash would add nothing.
+ */
+
+import crypto from "crypto"
+import fs from "fs/promises"
+import path from "path"
+import { promisify } from "util"
+import type { NextRequest } from "next/server"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import type { AuthModality, SessionClaims } from "@/lib/session-tokens"
+
+export interface OidcClient {
+  clientId: string
+  name: string
+  redirectUris: string[]
+  createdAt: string
+}
+
+interface StoredOidcClient extends OidcClient {
+  clientSecretHash: string
+}
+
+// What /authorize was asked for, once it checks out
+export interface AuthorizationRequest {
+  clientId: string
+  redirectUri: string
+  scope: string[]
+  state: string | null
+  nonce: string | null
+  codeChallenge: string | null // PKCE, S256 only
+}
+
+// What an access token says - RFC 9068 claims plus the amr the ID token carries
+export interface AccessTokenClaims {
+  iss: string
+  sub: string
+  aud: string // The client it was issued to
+  client_id: string
+  scope: string
+  iat: number
+  exp: number
+  jti: string
+  auth_time: number
+  amr: string[]
+}
+
+// A code waiting to be swapped - the file keys these by a hash of the code, never the code itself
+interface AuthorizationGrant extends AuthorizationRequest {
+  username: string
+  authTime: number
+  modalities: AuthModality[]
+  expiresAt: number
+}
+
+// The error codes OAuth 2.0 (RFC 6749) and OpenID Connect Core define for these endpoints
+export type OidcErrorCode =
+  | "invalid_request"
+  | "invalid_client"
+  | "invalid_grant"
+  | "unsupported_grant_type"
+  | "unsupported_response_type"
+  | "invalid_scope"
+  | "access_denied"
+  | "login_required"
+  | "invalid_token" // RFC 6750 - the access token presented to userinfo
+
+export class OidcError extends Error {
+  error: OidcErrorCode
+  status: number
+  redirectable: boolean // Safe to send back to the redirect_uri - false until client and redirect_uri check out
+
+  constructor(error: OidcErrorCode, message: string, options: { status?: number; redirectable?: boolean } = {}) {
+    super(message)
+    this.name = "OidcError"
+    this.error = error
+    this.status = options.status ?? 400
+    this.redirectable = options.redirectable ?? false
+  }
+}
+
+const OIDC_DIRECTORY = path.join(process.cwd(), AUTH_CONFIG.KEYSTROKE_MODELS_DIRECTORY)
+const CLIENTS_FILE = path.join(OIDC_DIRECTORY, AUTH_CONFIG.OIDC_CLIENTS_FILE)
+const SIGNING_KEY_FILE = path.join(OIDC_DIRECTORY, AUTH_CONFIG.OIDC_SIGNING_KEY_FILE)
+const CODES_FILE = path.join(OIDC_DIRECTORY, AUTH_CONFIG.OIDC_CODES_FILE)
+
+// The amr values relying parties asked for - the session token's own amr follows RFC 8176 instead
+const MODALITY_AMR: Record<AuthModality, string> = {
+  passphrase: "pwd",
+  keystroke: "kbd",
+  voice: "voice",
+  passkey: "passkey",
+}
+
+// Every change is a read-modify-write of one file - run them one at a time so none is lost
+let pendingUpdate: Promise<unknown> = Promise.resolve()
+let signingKey: Promise<{ kid: string; privateKey: crypto.KeyObject; publicKey: crypto.KeyObject }> | null = null
+
+async function readJsonFile<T>(filePath: string, fallback: T): Promise<T> {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf-8"))
+  } catch {
+    return fallback
+  }
+}
+
+// Written through a temp file - a crash mid-write must not wipe every client
+async function writeJsonFile(filePath: string, value: unknown): Promise<void> {
+  await fs.mkdir(path.dirname(filePath), { recursive: true })
+  const temporaryFilePath = `${filePath}.${process.pid}.tmp`
+  await fs.writeFile(temporaryFilePath, JSON.stringify(value, null, 2), { mode: 0o600 })
+  await fs.rename(temporaryFilePath, filePath)
+}
+
+function updateJsonFile<S, T>(filePath: string, fallback: S, update: (state: S) => T): Promise<T> {
+  const result = pendingUpdate.then(async () => {
+    const state = await readJsonFile(filePath, fallback)
+    const outcome = update(state)
+    await writeJsonFile(filePath, state)
+    return outcome
+  })
+  pendingUpdate = result.catch(() => undefined)
+  return result
+}
+
+function hashSecret(secret: string): string {
+  return crypto.createHash("sha256").update(secret).digest("base64url")
+}
+
+function secretsMatch(secret: string, expectedHash: string): boolean {
+  const hash = Buffer.from(hashSecret(secret))
+  const expected = Buffer.from(expectedHash)
+  return hash.length === expected.length && crypto.timingSafeEqual(hash, expected)
+}
+
+function toPublicClient({ clientSecretHash, ...client }: StoredOidcClient): OidcClient {
+  return client
+}
+
+/**
+ * The issuer every token and the discovery document name - GHOST_KEY_OIDC_ISSUER behind a proxy,
+ * otherwise the origin the request came in on
+ */
+export function getOidcIssuer(request: NextRequest): string {
+  return (process.env.GHOST_KEY_OIDC_ISSUER || request.nextUrl.origin).replace(/\/$/, "")
+}
+
+/**
+ * GET /.well-known/openid-configuration
+ */
+export function getDiscoveryDocument(issuer: string) {
+  return {
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/api/oidc/token`,
+    userinfo_endpoint: `${issuer}/api/oidc/userinfo`,
+    jwks_uri: `${issuer}/api/oidc/jwks`,
+    scopes_supported: ["openid", "profile"],
+    response_types_supported: ["code"],
+    grant_types_supported: ["authorization_code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    token_endpoint_auth_methods_supported: ["client_secret_basic", "client_secret_post"],
+    code_challenge_methods_supported: ["S256"],
+    claims_supported: ["iss", "sub", "aud", "exp", "iat", "auth_time", "nonce", "amr", "preferred_username"],
+  }
+}
+
+export async function listOidcClients(): Promise<OidcClient[]> {
+  const clients = await readJsonFile<StoredOidcClient[]>(CLIENTS_FILE, [])
+  return clients.map(toPublicClient)
+}
+
+export async function findOidcClient(clientId: string): Promise<OidcClient | null> {
+  const clients = await readJsonFile<StoredOidcClient[]>(CLIENTS_FILE, [])
+  const client = clients.find((candidate) => candidate.clientId === clientId)
+  return client ? toPublicClient(client) : null
+}
+
+/**
+ * Register a relying party - the secret is only ever returned here
+ * Redirect URIs must be absolute http(s) URLs without a fragment, and are matched exactly
+ */
+export async function registerOidcClient(
+  name: string,
+  redirectUris: string[],
+): Promise<{ client: OidcClient; clientSecret: string }> {
+  if (!name?.trim()) {
+    throw new OidcError("invalid_request", "A client name is required")
+  }
+  if (!Array.isArray(redirectUris) || redirectUris.length === 0) {
+    throw new OidcError("invalid_request", "At least one redirect URI is required")
+  }
+  for (const redirectUri of redirectUris) {
+    let url: URL
+    try {
+      url = new URL(redirectUri)
+    } catch {
+      throw new OidcError("invalid_request", `Not a URL: ${redirectUri}`)
+    }
+    if (!["http:", "https:"].includes(url.protocol) || url.hash) {
+      throw new OidcError("invalid_request", `Redirect URIs must be http(s) without a fragment: ${redirectUri}`)
+    }
+  }
+
+  const clientSecret = crypto.randomBytes(32).toString("base64url")
+  const storedClient: StoredOidcClient = {
+    clientId: `gk_${crypto.randomBytes(12).toString("hex")}`,
+    name: name.trim(),
+    redirectUris,
+    createdAt: new Date().toISOString(),
+    clientSecretHash: hashSecret(clientSecret),
+  }
+
+  await updateJsonFile<StoredOidcClient[], void>(CLIENTS_FILE, [], (clients) => {
+    clients.push(storedClient)
+  })
+  console.log(`Registered OIDC client ${storedClient.clientId} (${storedClient.name})`)
+  return { client: toPublicClient(storedClient), clientSecret }
+}
+
+export async function deleteOidcClient(clientId: string): Promise<boolean> {
+  return updateJsonFile<StoredOidcClient[], boolean>(CLIENTS_FILE, [], (clients) => {
+    const index = clients.findIndex((client) => client.clientId === clientId)
+    if (index === -1) {
+      return false
+    }
+    clients.splice(index, 1)
+    return true
+  })
+}
+
+/**
+ * The client calling the token endpoint - HTTP Basic (client_secret_basic) or form fields (client_secret_post)
+ */
+export async function authenticateOidcClient(request: NextRequest, parameters: URLSearchParams): Promise<OidcClient> {
+  let clientId = parameters.get("client_id")
+  let clientSecret = parameters.get("client_secret")
+
+  const authorization = request.headers.get("authorization")
+  if (authorization?.toLowerCase().startsWith("basic ")) {
+    // RFC 6749 2.3.1 - both halves are form-urlencoded before they are joined
+    const decoded = Buffer.from(authorization.slice("basic ".length).trim(), "base64").toString("utf-8")
+    const separator = decoded.indexOf(":")
+    try {
+      if (separator < 0) {
+        throw new URIError("No ':' between client id and secret")
+      }
+      clientId = decodeURIComponent(decoded.slice(0, separator))
+      clientSecret = decodeURIComponent(decoded.slice(separator + 1))
+    } catch {
+      // A header that doesn't decode authenticates nobody - that's the client's failure, not the server's
+      throw new OidcError("invalid_client", "Malformed Basic authorization header", { status: 401 })
+    }
+  }
+
+  const clients = await readJsonFile<StoredOidcClient[]>(CLIENTS_FILE, [])
+  const client = clients.find((candidate) => candidate.clientId === clientId)
+  if (!client || !clientSecret || !secretsMatch(clientSecret, client.clientSecretHash)) {
+    throw new OidcError("invalid_client", "Client authentication failed", { status: 401 })
+  }
+  return toPublicClient(client)
+}
+
+/**
+ * Check an authorization request's parameters
+ * Until client_id and redirect_uri check out, errors are shown to the user - redirecting then would
+ * hand an unregistered URL whatever it asked for
+ */
+export async function validateAuthorizationRequest(
+  parameters: URLSearchParams,
+): Promise<{ client: OidcClient; authorizationRequest: AuthorizationRequest }> {
+  const clientId = parameters.get("client_id")
+  const redirectUri = parameters.get("redirect_uri")
+  const client = clientId ? await findOidcClient(clientId) : null
+  if (!client) {
+    throw new OidcError("invalid_client", "Unknown client_id")
+  }
+  if (!redirectUri || !client.redirectUris.includes(redirectUri)) {
+    throw new OidcError("invalid_request", "redirect_uri is not registered for this client")
+  }
+
+  if (parameters.get("response_type") !== "code") {
+    throw new OidcError("unsupported_response_type", "Only response_type=code is supported", { redirectable: true })
+  }
+  const scope = (parameters.get("scope") || "").split(" ").filter(Boolean)
+  if (!scope.includes("openid")) {
+    throw new OidcError("invalid_scope", "The openid scope is required", { redirectable: true })
+  }
+  const codeChallenge = parameters.get("code_challenge")
+  if (codeChallenge && (parameters.get("code_challenge_method") || "plain") !== "S256") {
+    throw new OidcError("invalid_request", "Only the S256 code_challenge_method is supported", { redirectable: true })
+  }
+
+  return {
+    client,
+    authorizationRequest: {
+      clientId: client.clientId,
+      redirectUri,
+      scope,
+      state: parameters.get("state"),
+      nonce: parameters.get("nonce"),
+      codeChallenge,
+    },
+  }
+}
+
+/**
+ * Where to send the browser back to - with a code, or with an error the relying party can show
+ */
+export function buildRedirectUrl(
+  authorizationRequest: Pick<AuthorizationRequest, "redirectUri" | "state">,
+  result: { code: string } | { error: OidcErrorCode; error_description: string },
+): string {
+  const url = new URL(authorizationRequest.redirectUri)
+  for (const [key, value] of Object.entries(result)) {
+    url.searchParams.set(key, value)
+  }
+  if (authorizationRequest.state) {
+    url.searchParams.set("state", authorizationRequest.state)
+  }
+  return url.toString()
+}
+
+/**
+ * A single-use code for a user who just logged in on /authorize
+ * session is the token that login returned - it says who they are and what was checked
+ */
+export async function createAuthorizationCode(
+  authorizationRequest: AuthorizationRequest,
+  session: SessionClaims,
+): Promise<string> {
+  const now = Math.floor(Date.now() / 1000)
+  if (now - session.iat > AUTH_CONFIG.OIDC_MAX_AUTH_AGE_SECONDS) {
+    throw new OidcError("login_required", "The login is too old - sign in again", { status: 401 })
+  }
+  // Another app's sign-in is only as good as the login behind it - the passphrase plus a second factor
+  if (!session.amr?.includes("pwd") || !session.amr.includes("mfa")) {
+    throw new OidcError("login_required", "Sign in with your passphrase and a second factor", { status: 401 })
+  }
+
+  const code = crypto.randomBytes(32).toString("base64url")
+  const grant: AuthorizationGrant = {
+    ...authorizationRequest,
+    username: session.sub,
+    authTime: session.iat,
+    modalities: session.modalities,
+    expiresAt: now + AUTH_CONFIG.OIDC_CODE_TTL_SECONDS,
+  }
+
+  await updateJsonFile<Record<string, AuthorizationGrant>, void>(CODES_FILE, {}, (grants) => {
+    for (const [codeHash, existingGrant] of Object.entries(grants)) {
+      if (existingGrant.expiresAt <= now) {
+        delete grants[codeHash]
+      }
+    }
+    grants[hashSecret(code)] = grant
+  })
+  return code
+}
+
+/**
+ * Swap a code at the token endpoint - it is gone after the first try, whether or not that succeeds
+ */
+export async function redeemAuthorizationCode(
+  code: string | null,
+  details: { clientId: string; redirectUri: string | null; codeVerifier: string | null },
+): Promise<AuthorizationGrant> {
+  if (!code) {
+    throw new OidcError("invalid_request", "code is required")
+  }
+
+  const codeHash = hashSecret(code)
+  const grant = await updateJsonFile<Record<string, AuthorizationGrant>, AuthorizationGrant | undefined>(
+    CODES_FILE,
+    {},
+    (grants) => {
+      const found = grants[codeHash]
+      delete grants[codeHash]
+      return found
+    },
+  )
+
+  if (!grant || grant.expiresAt <= Math.floor(Date.now() / 1000)) {
+    throw new OidcError("invalid_grant", "The code is invalid, expired or already used")
+  }
+  if (grant.clientId !== details.clientId) {
+    throw new OidcError("invalid_grant", "The code was issued to another client")
+  }
+  if (grant.redirectUri !== details.redirectUri) {
+    throw new OidcError("invalid_grant", "redirect_uri does not match the authorization request")
+  }
+  if (grant.codeChallenge) {
+    const challenge = details.codeVerifier
+      ? crypto.createHash("sha256").update(details.codeVerifier).digest("base64url")
+      : null
+    if (challenge !== grant.codeChallenge) {
+      throw new OidcError("invalid_grant", "code_verifier does not match the code_challenge")
+    }
+  }
+  return grant
+}
+
+// Generated once and kept - relying parties cache the JWKS, so a new key every start would break them
+function getSigningKey() {
+  if (!signingKey) {
+    signingKey = (async () => {
+      let stored = await readJsonFile<{ privateKey: string } | null>(SIGNING_KEY_FILE, null)
+      if (!stored) {
+        const { privateKey } = await promisify(crypto.generateKeyPair)("rsa", { modulusLength: 2048 })
+        const generated = {
+          privateKey: privateKey.export({ type: "pkcs8", format: "pem" }).toString(),
+          createdAt: new Date().toISOString(),
+        }
+        // wx - if another request generated the key first, use theirs
+        try {
+          await fs.mkdir(path.dirname(SIGNING_KEY_FILE), { recursive: true })
+          await fs.writeFile(SIGNING_KEY_FILE, JSON.stringify(generated, null, 2), { flag: "wx", mode: 0o600 })
+          console.log("Generated a new OIDC signing key")
+          stored = generated
+        } catch {
+          stored = JSON.parse(await fs.readFile(SIGNING_KEY_FILE, "utf-8")) as { privateKey: string }
+        }
+      }
+
+      const privateKey = crypto.createPrivateKey(stored.privateKey)
+      const publicKey = crypto.createPublicKey(privateKey)
+      // RFC 7638 thumbprint - the same key always gets the same kid
+      const { e, kty, n } = publicKey.export({ format: "jwk" })
+      const kid = crypto.createHash("sha256").update(JSON.stringify({ e, kty, n })).digest("base64url")
+      return { kid, privateKey, publicKey }
+    })()
+    signingKey.catch(() => {
+      signingKey = null
+    })
+  }
+  return signingKey
+}
+
+/**
+ * GET /api/oidc/jwks - the public half of the ID token signing key
+ */
+export async function getJwks() {
+  const { kid, publicKey } = await getSigningKey()
+  return { keys: [{ ...publicKey.export({ format: "jwk" }), kid, use: "sig", alg: "RS256" }] }
+}
+
+// kbd and voice, pwd for the passphrase, passkey, and mfa when there was more than one
+export function describeAmr(modalities: AuthModality[]): string[] {
+  return [...modalities.map((modality) => MODALITY_AMR[modality]), ...(modalities.length > 1 ? ["mfa"] : [])]
+}
+
+async function signJwt(type: string, claims: object): Promise<string> {
+  const { kid, privateKey } = await getSigningKey()
+  const encode = (value: object) => Buffer.from(JSON.stringify(value)).toString("base64url")
+  const signingInput = `${encode({ alg: "RS256", typ: type, kid })}.${encode(claims)}`
+  const signature = crypto.sign("sha256", Buffer.from(signingInput), privateKey).toString("base64url")
+  return `${signingInput}.${signature}`
+}
+
+/**
+ * Sign the ID token for a redeemed code
+ */
+export async function signIdToken(issuer: string, grant: AuthorizationGrant): Promise<string> {
+  const issuedAt = Math.floor(Date.now() / 1000)
+  const claims = {
+    iss: issuer,
+    sub: grant.username,
+    aud: grant.clientId,
+    iat: issuedAt,
+    exp: issuedAt + AUTH_CONFIG.OIDC_ID_TOKEN_TTL_SECONDS,
+    auth_time: grant.authTime,
+    ...(grant.nonce ? { nonce: grant.nonce } : {}),
+    amr: describeAmr(grant.modalities),
+    ...(grant.scope.includes("profile") ? { preferred_username: grant.username } : {}),
+  }
+  return signJwt("JWT", claims)
+}
+
+/**
+ * Sign the access token for a redeemed code - bound to the client through aud
+ */
+export async function signAccessToken(issuer: string, grant: AuthorizationGrant): Promise<string> {
+  const issuedAt = Math.floor(Date.now() / 1000)
+  const claims: AccessTokenClaims = {
+    iss: issuer,
+    sub: grant.username,
+    aud: grant.clientId,
+    client_id: grant.clientId,
+    scope: grant.scope.join(" "),
+    iat: issuedAt,
+    exp: issuedAt + AUTH_CONFIG.OIDC_ACCESS_TOKEN_TTL_SECONDS,
+    jti: crypto.randomUUID(),
+    auth_time: grant.authTime,
+    amr: describeAmr(grant.modalities),
+  }
+  return signJwt("at+jwt", claims)
+}
+
+/**
+ * Check an access token at userinfo - the signature, the at+jwt type (so an ID token doesn't pass),
+ * the issuer, the expiry and that the client it names is still registered
+ */
+export async function verifyAccessToken(issuer: string, token: string): Promise<AccessTokenClaims> {
+  const segments = typeof token === "string" ? token.split(".") : []
+  if (segments.length !== 3) {
+    throw new OidcError("invalid_token", "Not an access token", { status: 401 })
+  }
+
+  const [encodedHeader, encodedClaims, encodedSignature] = segments
+  let header: { alg?: string; typ?: string; kid?: string }
+  let claims: AccessTokenClaims
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, "base64url").toString("utf-8"))
+    claims = JSON.parse(Buffer.from(encodedClaims, "base64url").toString("utf-8"))
+  } catch {
+    throw new OidcError("invalid_token", "Access token segments are not valid JSON", { status: 401 })
+  }
+
+  const { kid, publicKey } = await getSigningKey()
+  if (header.alg !== "RS256" || header.typ !== "at+jwt" || header.kid !== kid) {
+    throw new OidcError("invalid_token", "Not an access token issued here", { status: 401 })
+  }
+  const signatureValid = crypto.verify(
+    "sha256",
+    Buffer.from(`${encodedHeader}.${encodedClaims}`),
+    publicKey,
+    Buffer.from(encodedSignature, "base64url"),
+  )
+  if (!signatureValid) {
+    throw new OidcError("invalid_token", "Access token signature does not match", { status: 401 })
+  }
+
+  if (claims.iss !== issuer || !claims.sub || typeof claims.exp !== "number") {
+    throw new OidcError("invalid_token", "Access token is missing its issuer, subject or expiry", { status: 401 })
+  }
+  if (claims.exp <= Math.floor(Date.now() / 1000)) {
+    throw new OidcError("invalid_token", "Access token has expired", { status: 401 })
+  }
+  if (typeof claims.aud !== "string" || !(await findOidcClient(claims.aud))) {
+    throw new OidcError("invalid_token", "Access token was issued to a client that is no longer registered", {
+      status: 401,
+    })
+  }
+  return claims
+}
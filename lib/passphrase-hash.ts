@@ -0,0 +1,88 @@
+/**
+ * Passphrase hashing for the knowledge factor of keystroke authentication
+ * The typing rhythm alone isn't enough - we also need to know the user typed the right thing
+ * Uses scrypt from Node's crypto module so no native dependencies are needed
+ */
+
+import crypto from "crypto"
+import fs from "fs/promises"
+import path from "path"
+import { promisify } from "util"
+import { AUTH_CONFIG } from "@/config/auth-config"
+
+const scryptAsync = promisify(crypto.scrypt) as (
+  password: crypto.BinaryLike,
+  salt: crypto.BinaryLike,
+  keylen: number,
+  options: crypto.ScryptOptions,
+) => Promise<Buffer>
+
+// Stored next to model.json - never contains the passphrase itself
+export interface PassphraseHashRecord {
+  algorithm: "scrypt"
+  salt: string // base64
+  hash: string // base64
+  params: {
+    N: number
+    r: number
+    p: number
+    keyLength: number
+  }
+  createdAt: string
+}
+
+// Derive a salted scrypt hash for a passphrase
+export async function hashPassphrase(passphrase: string): Promise<PassphraseHashRecord> {
+  const { N, r, p, keyLength } = AUTH_CONFIG.PASSPHRASE_SCRYPT_PARAMS
+  const salt = crypto.randomBytes(16)
+  const derivedKey = await scryptAsync(passphrase.normalize("NFKC"), salt, keyLength, {
+    N,
+    r,
+    p,
+    maxmem: 128 * N * r * 2,
+  })
+
+  return {
+    algorithm: "scrypt",
+    salt: salt.toString("base64"),
+    hash: derivedKey.toString("base64"),
+    params: { N, r, p, keyLength },
+    createdAt: new Date().toISOString(),
+  }
+}
+
+// Check a passphrase against a stored record using a constant-time comparison
+export async function verifyPassphrase(passphrase: string, record: PassphraseHashRecord): Promise<boolean> {
+  if (record.algorithm !== "scrypt") {
+    return false
+  }
+
+  const { N, r, p, keyLength } = record.params
+  const expectedHash = Buffer.from(record.hash, "base64")
+  const derivedKey = await scryptAsync(passphrase.normalize("NFKC"), Buffer.from(record.salt, "base64"), keyLength, {
+    N,
+    r,
+    p,
+    maxmem: 128 * N * r * 2,
+  })
+
+  return derivedKey.length === expectedHash.length && crypto.timingSafeEqual(derivedKey, expectedHash)
+}
+
+// Path helpers so the routes agree on where the record lives
+export function getPassphraseFilePath(username: string): string {
+  return path.join(process.cwd(), AUTH_CONFIG.KEYSTROKE_MODELS_DIRECTORY, username, AUTH_CONFIG.PASSPHRASE_HASH_FILE)
+}
+
+// Load the stored record, or null if the user enrolled before passphrases were stored
+export async function loadPassphraseRecord(username: string): Promise<PassphraseHashRecord | null> {
+  try {
+    return JSON.parse(await fs.readFile(getPassphraseFilePath(username), "utf-8"))
+  } catch {
+    return null
+  }
+}
+
+export async function savePassphraseRecord(username: string, record: PassphraseHashRecord): Promise<void> {
+  await fs.writeFile(getPassphraseFilePath(username), JSON.stringify(record, null, 2))
+}
@@ -0,0 +1,227 @@
+/**
+ * One-time recovery codes and the re-enrollment they unlock
+ * A user whose typing changed (an injured hand, a new keyboard) can't pass the keystroke check any more,
+ * and /api/train-model won't replace an enrolled user's model for just anyone. Every completed enrollment
+ * hands out RECOVERY_CODE_COUNT codes, shown once. Redeeming one (POST /api/recovery-codes/redeem) opens
+ * a re-enrollment session: a short-lived token that lets /api/train-model take a new set of samples and
+ * retrain the keystroke model. The voice profile, passkeys, model versions and access log all stay.
+ *
+ * Enrollment trains in the background, so its codes are issued when the job completes. Until the enrolling
+ * client collects them from GET /api/train-model/status, they wait in models/<user>/recovery_codes_pickup.json,
+ * sealed with a pickup token only that client was given.
+ *
+ * Only SHA-256 hashes of the codes are stored - they are random, so a slow hash buys nothing.
+ * The codes live in models/<user>/recovery_codes.json, the open session in models/<user>/reenrollment.json.
+ */
+
+import crypto from "crypto"
+import fs from "fs/promises"
+import path from "path"
+import { AUTH_CONFIG } from "@/config/auth-config"
+
+interface RecoveryCodeFile {
+  createdAt: string
+  codes: { hash: string; usedAt: string | null }[]
+}
+
+export interface RecoveryCodeStatus {
+  total: number
+  remaining: number
+  createdAt: string
+}
+
+export interface ReenrollmentSession {
+  token: string
+  expiresAt: string
+}
+
+// Crockford's base32 - no I, L, O or U to misread on a printout
+const CODE_ALPHABET = "0123456789abcdefghjkmnpqrstvwxyz"
+const CODE_LENGTH = 10 // 50 bits, written as two groups of five
+
+// Redemptions are a read-modify-write of one file - run them one at a time so a code can't be spent twice
+let pendingUpdate: Promise<unknown> = Promise.resolve()
+
+function getUserDirectory(username: string): string {
+  return path.join(process.cwd(), AUTH_CONFIG.KEYSTROKE_MODELS_DIRECTORY, username)
+}
+
+function hashCode(code: string): string {
+  return crypto.createHash("sha256").update(code).digest("base64url")
+}
+
+function sameHash(hash: string, expected: string): boolean {
+  return hash.length === expected.length && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(expected))
+}
+
+// What people type back - any case, with or without the dash, and the letters Crockford reads as digits
+function normalizeCode(code: string): string {
+  return code
+    .toLowerCase()
+    .replace(/[^0-9a-z]/g, "")
+    .replace(/o/g, "0")
+    .replace(/[il]/g, "1")
+}
+
+function generateCode(): string {
+  const characters = [...crypto.randomBytes(CODE_LENGTH)].map((byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length])
+  return `${characters.slice(0, 5).join("")}-${characters.slice(5).join("")}`
+}
+
+async function readJsonFile<T>(filePath: string): Promise<T | null> {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf-8"))
+  } catch {
+    return null
+  }
+}
+
+// Written through a temp file - a crash mid-write must not lose the codes the user printed
+async function writeJsonFile(filePath: string, value: unknown): Promise<void> {
+  await fs.mkdir(path.dirname(filePath), { recursive: true })
+  const temporaryFilePath = `${filePath}.${process.pid}.tmp`
+  await fs.writeFile(temporaryFilePath, JSON.stringify(value, null, 2), { mode: 0o600 })
+  await fs.rename(temporaryFilePath, filePath)
+}
+
+function serialize<T>(update: () => Promise<T>): Promise<T> {
+  const result = pendingUpdate.then(update)
+  pendingUpdate = result.catch(() => undefined)
+  return result
+}
+
+/**
+ * A new set of codes for the user - the old set stops working. The plain codes are only returned here
+ */
+export function issueRecoveryCodes(username: string): Promise<string[]> {
+  return serialize(async () => {
+    const codes = Array.from({ length: AUTH_CONFIG.RECOVERY_CODE_COUNT }, generateCode)
+    const codeFile: RecoveryCodeFile = {
+      createdAt: new Date().toISOString(),
+      codes: codes.map((code) => ({ hash: hashCode(normalizeCode(code)), usedAt: null })),
+    }
+    await writeJsonFile(path.join(getUserDirectory(username), AUTH_CONFIG.RECOVERY_CODES_FILE), codeFile)
+    return codes
+  })
+}
+
+/**
+ * A token for collecting the codes a background enrollment issues later - returned with the last sample
+ */
+export function createRecoveryCodePickup(): string {
+  return crypto.randomBytes(32).toString("base64url")
+}
+
+// AES-256-GCM under the pickup token's hash - the file never holds the codes in the clear
+function pickupKey(pickupToken: string): Buffer {
+  return crypto.createHash("sha256").update(pickupToken).digest()
+}
+
+/**
+ * Issue a new set of codes for a background enrollment that just completed, and keep them sealed for the
+ * client holding pickupToken. A later enrollment's codes replace any that were never collected
+ */
+export async function issueRecoveryCodesForPickup(username: string, pickupToken: string): Promise<void> {
+  const codes = await issueRecoveryCodes(username)
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv("aes-256-gcm", pickupKey(pickupToken), iv)
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(codes), "utf-8"), cipher.final()])
+  await writeJsonFile(path.join(getUserDirectory(username), AUTH_CONFIG.RECOVERY_CODE_PICKUP_FILE), {
+    sealed: [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString("base64url")).join("."),
+  })
+}
+
+/**
+ * The codes waiting for pickupToken - handed out once, then the sealed copy is gone. null when none are
+ * waiting or the token doesn't open them
+ */
+export function claimRecoveryCodes(username: string, pickupToken: unknown): Promise<string[] | null> {
+  return serialize(async () => {
+    const pickupFilePath = path.join(getUserDirectory(username), AUTH_CONFIG.RECOVERY_CODE_PICKUP_FILE)
+    const pickup = await readJsonFile<{ sealed: string }>(pickupFilePath)
+    if (!pickup || typeof pickupToken !== "string" || !pickupToken) {
+      return null
+    }
+
+    let codes: string[]
+    try {
+      const [iv, authTag, ciphertext] = pickup.sealed.split(".").map((part) => Buffer.from(part, "base64url"))
+      const decipher = crypto.createDecipheriv("aes-256-gcm", pickupKey(pickupToken), iv)
+      decipher.setAuthTag(authTag)
+      codes = JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf-8"))
+    } catch {
+      return null // Not this client's token
+    }
+    await fs.rm(pickupFilePath, { force: true })
+    return codes
+  })
+}
+
+// null for users who enrolled before recovery codes existed
+export async function getRecoveryCodeStatus(username: string): Promise<RecoveryCodeStatus | null> {
+  const codeFile = await readJsonFile<RecoveryCodeFile>(
+    path.join(getUserDirectory(username), AUTH_CONFIG.RECOVERY_CODES_FILE),
+  )
+  if (!codeFile) {
+    return null
+  }
+  return {
+    total: codeFile.codes.length,
+    remaining: codeFile.codes.filter((storedCode) => !storedCode.usedAt).length,
+    createdAt: codeFile.createdAt,
+  }
+}
+
+/**
+ * Spend one code. Each one works once - a used or unknown code is { redeemed: false }
+ */
+export function redeemRecoveryCode(username: string, code: string): Promise<{ redeemed: boolean; remaining: number }> {
+  return serialize(async () => {
+    const codeFilePath = path.join(getUserDirectory(username), AUTH_CONFIG.RECOVERY_CODES_FILE)
+    const codeFile = await readJsonFile<RecoveryCodeFile>(codeFilePath)
+    if (!codeFile) {
+      return { redeemed: false, remaining: 0 }
+    }
+
+    const codeHash = hashCode(normalizeCode(code))
+    const matchingCode = codeFile.codes.find((storedCode) => !storedCode.usedAt && sameHash(storedCode.hash, codeHash))
+    if (matchingCode) {
+      matchingCode.usedAt = new Date().toISOString()
+      await writeJsonFile(codeFilePath, codeFile)
+    }
+
+    return {
+      redeemed: !!matchingCode,
+      remaining: codeFile.codes.filter((storedCode) => !storedCode.usedAt).length,
+    }
+  })
+}
+
+/**
+ * Let /api/train-model replace the user's keystroke model until REENROLLMENT_SESSION_TTL_MS is up.
+ * A new session replaces the previous one. Only the token's hash is stored
+ */
+export async function openReenrollmentSession(username: string): Promise<ReenrollmentSession> {
+  const token = crypto.randomBytes(32).toString("base64url")
+  const expiresAt = new Date(Date.now() + AUTH_CONFIG.REENROLLMENT_SESSION_TTL_MS).toISOString()
+  await writeJsonFile(path.join(getUserDirectory(username), AUTH_CONFIG.REENROLLMENT_SESSION_FILE), {
+    tokenHash: hashCode(token),
+    expiresAt,
+  })
+  return { token, expiresAt }
+}
+
+export async function checkReenrollmentSession(username: string, token: unknown): Promise<boolean> {
+  if (typeof token !== "string" || !token) {
+    return false
+  }
+  const session = await readJsonFile<{ tokenHash: string; expiresAt: string }>(
+    path.join(getUserDirectory(username), AUTH_CONFIG.REENROLLMENT_SESSION_FILE),
+  )
+  return !!session && Date.parse(session.expiresAt) > Date.now() && sameHash(hashCode(token), session.tokenHash)
+}
+
+// The new model is on its way - the session has done its job
+export async function closeReenrollmentSession(username: string): Promise<void> {
+  await fs.rm(path.join(getUserDirectory(username), AUTH_CONFIG.REENROLLMENT_SESSION_FILE), { force: true })
+}
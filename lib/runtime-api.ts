@@ -4,31 +4,148 @@
  * Probably should add retry logic and better error handling eventually
  */
 
+import type { FeatureContribution } from '@/lib/feature-contributions'
+import type { PolicyDecision, StepUpMethod } from '@/libs/auth-policy'
+
 // Interface definitions for type safety
-interface KeystrokeBiometricFeatures {
+export interface KeystrokeBiometricFeatures {
   holdTimes: number[]
   ddTimes: number[]
   udTimes: number[]
+  duTimes: number[]
+  uuTimes: number[]
+  overlapCount: number
+  modifierTimings: { code: string; holdTime: number; modifiedKeys: number; leadTime: number | null; releaseLag: number | null }[]
+  corrections: { position: number; erased: number; latency: number }[]
   typingSpeed: number
   flightTime: number
   errorRate: number
   pressPressure: number
+  correctionCount: number
+  correctionLatency: number
+  errorPosition: number
   features: number[]
 }
 
+// Signed by the server after an allowed attempt (lib/session-tokens.ts) - send it as a Bearer token
+export interface SessionToken {
+  token: string
+  expiresAt: string
+}
+
+// POST /api/session/introspect - the claims are only there while the token is active
+export interface SessionIntrospection {
+  active: boolean
+  username?: string
+  expiresAt?: string
+  modalities?: ('passphrase' | 'keystroke' | 'voice' | 'passkey')[]
+  amr?: string[]
+  scores?: Record<string, { matchProbability: number | null } & Record<string, number | string | null>>
+}
+
 interface AuthenticationResult {
   success: boolean
   authenticated: boolean
   mse: number
   reconstructionError?: number
-  deviations?: number[]
+  deviations?: number[] // Squared error per feature - featureContributions labels them
+  featureContributions?: FeatureContribution[]
+  topContributors?: FeatureContribution[] // Only filled in for a rejected attempt
   reason?: string
   method?: string
   confidence?: number
+  matchProbability?: number | null // Calibrated chance the attempt is genuine - null for uncalibrated models
+  policy?: PolicyDecision // What the risk-based policy made of the attempt - see libs/auth-policy.js
+  stepUp?: StepUpMethod | null // Set when the policy wants more before allowing the attempt
+  voiceStepUp?: { token: string; expiresAt: string } | null // Voice step-up only - pass the token to voiceVerify
+  failedFactor?: 'knowledge' | 'biometric' | 'policy' | null
+  factors?: { knowledge: boolean | null; biometric: boolean | null }
+  errorCode?: 'MODEL_CORRUPT' | 'MODEL_VERSION_UNSUPPORTED' | 'KEY_COUNT_MISMATCH' | 'LOCKED' | 'THROTTLED'
+  retryAfterSeconds?: number // Rate limited (HTTP 429) - the attempt wasn't checked at all
+  session?: SessionToken | null // Only for an allowed attempt
+  detection?: {
+    scope: 'user' | 'global'
+    fusion: 'mean' | 'max' | 'min'
+    fusedScore: number
+    scores: { detector: string; score: number; threshold: number; normalizedScore: number; authenticated: boolean }[]
+  }
+  needsRetraining?: boolean
+  issues?: string[]
+}
+
+// POST /api/authenticate/fusion - one decision from a keystroke attempt and a voice sample together
+export interface FusionAuthenticationResult {
+  success: boolean
+  authenticated: boolean
+  matchProbability?: number | null // Fused - null when either enrollment predates score calibration
+  reason?: string
+  method?: 'fusion'
+  fusion?: {
+    rule: 'likelihood-ratio' | 'weighted'
+    acceptProbability: number
+    vetoProbability: number
+    weights: { keystroke: number; voice: number } | null // Weighted rule only
+    vetoedBy: 'keystroke' | 'voice' | null
+    rescued: 'keystroke' | 'voice' | null // Rejected on its own, accepted on the strength of the other
+  }
+  evidence?: {
+    keystroke: {
+      authenticated: boolean
+      matchProbability: number | null
+      reconstructionError: number
+      method: string
+      reason: string
+      featureContributions: FeatureContribution[]
+      topContributors: FeatureContribution[]
+    }
+    voice: { authenticated: boolean; matchProbability: number | null; similarityScore: number; threshold: number }
+  }
+  policy?: PolicyDecision
+  failedFactor?: 'knowledge' | 'biometric' | 'policy' | null
+  factors?: { knowledge: boolean | null; biometric: boolean | null }
+  errorCode?: 'MODEL_CORRUPT' | 'MODEL_VERSION_UNSUPPORTED' | 'KEY_COUNT_MISMATCH' | 'UNCALIBRATED' | 'LOCKED' | 'THROTTLED'
+  retryAfterSeconds?: number
+  session?: SessionToken | null
+  needsRetraining?: boolean
+}
+
+// Background training job for the enrollment's last sample - see GET /api/train-model/status
+export interface TrainingJobStatus {
+  id: string
+  username: string
+  backend: 'autoencoder' | 'tfjs'
+  status: 'queued' | 'running' | 'completed' | 'failed'
+  percent: number
+  progress: { epoch: number; epochs: number; trainingLoss: number; validationLoss: number | null } | null
+  etaSeconds: number | null // Upper bound - early stopping usually finishes sooner
+  result: { version: number; threshold: number; bestEpoch: number | null; epochsRun: number | null } | null
+  error: string | null
+  recoveryCodes?: string[] // The new set, in the first completed answer to the client holding the pickup token
+}
+
+export interface ModelTrainingResult {
+  success: boolean
+  error?: string
+  trainingJob?: TrainingJobStatus // Only once enough samples are in
+  enrollmentQuality?: { score: number; minimumScore: number; passed: boolean }
+  rejectedSamples?: { sampleId: number; reason: string }[] // Deleted by the quality gate - type replacements
+  recoveryCodePickup?: string // With the training job - getTrainingStatus collects the new recovery codes with it
+  errorCode?: 'REENROLLMENT_REQUIRED' // The username is enrolled - redeemRecoveryCode opens a re-enrollment
+}
+
+// A recovery code's re-enrollment session - pass the token to trainModel for every sample
+export interface ReenrollmentSession {
+  token: string
+  expiresAt: string
 }
 
-interface ModelTrainingResult {
+export interface RecoveryCodeRedemptionResult {
   success: boolean
+  message?: string
+  reenrollment?: ReenrollmentSession
+  remainingCodes?: number
+  errorCode?: 'INVALID_CODE' | 'LOCKED' | 'THROTTLED'
+  retryAfterSeconds?: number
   error?: string
 }
 
@@ -44,6 +161,11 @@ interface VoiceVerificationResult {
   success: boolean
   similarityScore?: number
   threshold?: number
+  matchProbability?: number | null // Same scale as the keystroke matchProbability
+  policy?: PolicyDecision // success is the policy's verdict - a matching voice can't lift a lockout
+  errorCode?: 'LOCKED' | 'THROTTLED' | 'STEP_UP_REQUIRED'
+  retryAfterSeconds?: number
+  session?: SessionToken | null
   message?: string
   robustnessMetrics?: any
   detailedMetrics?: any
@@ -51,17 +173,68 @@ interface VoiceVerificationResult {
   error?: string
 }
 
+export interface PasskeyVerificationResult {
+  success: boolean
+  policy?: PolicyDecision // success is the policy's verdict, as for voice
+  errorCode?: 'LOCKED' | 'THROTTLED' | 'NO_PASSKEYS' | 'CHALLENGE_MISSING' | 'CREDENTIAL_MALFORMED'
+  retryAfterSeconds?: number
+  session?: SessionToken | null
+  message?: string
+}
+
+// WebAuthn hands out ArrayBuffers - the /api/webauthn routes exchange them base64url-encoded
+function toBase64Url(buffer: ArrayBuffer): string {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+}
+
+function fromBase64Url(value: string): ArrayBuffer {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'))
+  return Uint8Array.from(binary, (character) => character.charCodeAt(0)).buffer
+}
+
+// The keystroke attempt as /api/authenticate and /api/authenticate/fusion read it
+function toKeystrokeAttempt(keystrokeFeatures: KeystrokeBiometricFeatures) {
+  return {
+    features: keystrokeFeatures.features,
+    holdTimes: keystrokeFeatures.holdTimes,
+    ddTimes: keystrokeFeatures.ddTimes,
+    udTimes: keystrokeFeatures.udTimes,
+    typingSpeed: keystrokeFeatures.typingSpeed,
+    flightTime: keystrokeFeatures.flightTime,
+    errorRate: keystrokeFeatures.errorRate,
+    pressPressure: keystrokeFeatures.pressPressure,
+    correctionCount: keystrokeFeatures.correctionCount,
+    correctionLatency: keystrokeFeatures.correctionLatency,
+    errorPosition: keystrokeFeatures.errorPosition,
+  }
+}
+
+const SESSION_STORAGE_KEY = 'ghostkey_session'
+
+// The latest session lasts as long as the browser tab - a new login replaces it
+function rememberSession(session: SessionToken | null | undefined) {
+  if (session && typeof sessionStorage !== 'undefined') {
+    sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session))
+  }
+}
+
 class RuntimeAPI {
   /**
-   * Train the keystroke biometric model for a user
-   * This sends the extracted features to our autoencoder training pipeline
+   * Store an enrollment sample for a user
+   * Once enough samples are in, the server queues training and returns the job to poll with getTrainingStatus
    */
   static async trainModel(
     username: string,
     keystrokeFeatures: KeystrokeBiometricFeatures,
     sampleCount: number,
-    privacyMode: boolean
-  ): Promise<boolean> {
+    privacyMode: boolean,
+    password: string,
+    adaptiveUpdates = false,
+    reenrollmentToken?: string
+  ): Promise<ModelTrainingResult> {
     try {
       const response = await fetch('/api/train-model', {
         method: 'POST',
@@ -70,6 +243,7 @@ class RuntimeAPI {
         },
         body: JSON.stringify({
           username,
+          password,
           features: keystrokeFeatures.features,
           holdTimes: keystrokeFeatures.holdTimes,
           ddTimes: keystrokeFeatures.ddTimes,
@@ -79,25 +253,72 @@ class RuntimeAPI {
             flightTime: keystrokeFeatures.flightTime,
             errorRate: keystrokeFeatures.errorRate,
             pressPressure: keystrokeFeatures.pressPressure,
+            correctionCount: keystrokeFeatures.correctionCount,
+            correctionLatency: keystrokeFeatures.correctionLatency,
+            errorPosition: keystrokeFeatures.errorPosition,
+            // Kept with the sample for analysis - not part of the feature vector
+            duTimes: keystrokeFeatures.duTimes,
+            uuTimes: keystrokeFeatures.uuTimes,
+            overlapCount: keystrokeFeatures.overlapCount,
+            modifierTimings: keystrokeFeatures.modifierTimings,
+            corrections: keystrokeFeatures.corrections,
           },
           sampleCount,
           privacyMode,
           rawData: privacyMode ? null : [], // Could store raw data if not in privacy mode
+          adaptiveUpdates,
+          reenrollmentToken,
         }),
       })
 
+      const result: ModelTrainingResult = await response.json()
+
+      // Not an error to show as such - the UI asks for a recovery code instead
+      if (result.errorCode === 'REENROLLMENT_REQUIRED') {
+        return result
+      }
+
       if (!response.ok) {
-        throw new Error(`Training failed: ${response.statusText}`)
+        throw new Error(result.error || `Training failed: ${response.statusText}`)
       }
 
-      const result: ModelTrainingResult = await response.json()
-      return result.success
+      return result
     } catch (error) {
       console.error('Training API error:', error)
       throw error
     }
   }
 
+  /**
+   * Spend a recovery code for a user whose typing changed
+   * Opens a re-enrollment session - the voice profile and the access log are kept
+   */
+  static async redeemRecoveryCode(username: string, code: string): Promise<RecoveryCodeRedemptionResult> {
+    const response = await fetch('/api/recovery-codes/redeem', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, code }),
+    })
+    return response.json()
+  }
+
+  /**
+   * Progress of a user's background training job - epoch, loss, ETA and finally the threshold
+   * Pass the enrollment's recoveryCodePickup to get its recovery codes once the job completes
+   */
+  static async getTrainingStatus(username: string, recoveryCodePickup?: string): Promise<TrainingJobStatus> {
+    const response = await fetch(`/api/train-model/status?username=${encodeURIComponent(username)}`, {
+      headers: recoveryCodePickup ? { 'X-Recovery-Code-Pickup': recoveryCodePickup } : {}
+    })
+    const result = await response.json()
+
+    if (!response.ok) {
+      throw new Error(result.error || `Training status failed: ${response.statusText}`)
+    }
+
+    return result
+  }
+
   /**
    * Authenticate a user against their trained biometric model
    * Returns detailed results including reconstruction error and confidence
@@ -116,22 +337,17 @@ class RuntimeAPI {
         body: JSON.stringify({
           username,
           password,
-          features: keystrokeFeatures.features,
-          holdTimes: keystrokeFeatures.holdTimes,
-          ddTimes: keystrokeFeatures.ddTimes,
-          udTimes: keystrokeFeatures.udTimes,
-          typingSpeed: keystrokeFeatures.typingSpeed,
-          flightTime: keystrokeFeatures.flightTime,
-          errorRate: keystrokeFeatures.errorRate,
-          pressPressure: keystrokeFeatures.pressPressure,
+          ...toKeystrokeAttempt(keystrokeFeatures),
         }),
       })
 
-      if (!response.ok) {
+      // A rate-limited attempt is an answer too - the caller shows how long to wait
+      if (!response.ok && response.status !== 429) {
         throw new Error(`Authentication failed: ${response.statusText}`)
       }
 
       const result: AuthenticationResult = await response.json()
+      rememberSession(result.session)
       return result
     } catch (error) {
       console.error('Authentication API error:', error)
@@ -139,11 +355,65 @@ class RuntimeAPI {
     }
   }
 
+  /**
+   * Authenticate with a keystroke attempt and a voice sample weighed together
+   * Lets a voice match carry a borderline typing rhythm instead of waiting for two keystroke failures
+   */
+  static async authenticateWithVoice(
+    username: string,
+    keystrokeFeatures: KeystrokeBiometricFeatures,
+    password: string,
+    voiceSample: Blob
+  ): Promise<FusionAuthenticationResult> {
+    try {
+      // Dynamically import voice processing to avoid SSR issues
+      const { processVoiceAudio } = await import('@/utils/voice-feature-extractor')
+
+      const formData = new FormData()
+      formData.append('username', username)
+      formData.append('password', password)
+      formData.append('keystroke', JSON.stringify(toKeystrokeAttempt(keystrokeFeatures)))
+      formData.append('voice_sample', voiceSample, 'verification_sample.webm')
+
+      try {
+        const { features } = await processVoiceAudio(voiceSample)
+        formData.append('voice_features', JSON.stringify(features))
+      } catch (error) {
+        console.error('Failed to extract features from verification sample:', error)
+        throw new Error('Failed to extract voice features for verification')
+      }
+
+      const response = await fetch('/api/authenticate/fusion', {
+        method: 'POST',
+        body: formData,
+      })
+
+      const result: FusionAuthenticationResult = await response.json()
+
+      if (!response.ok) {
+        throw new Error(result.reason || `Fusion authentication failed: ${response.statusText}`)
+      }
+
+      rememberSession(result.session)
+
+      return result
+    } catch (error) {
+      console.error('Fusion authentication API error:', error)
+      throw error
+    }
+  }
+
   /**
    * Register voice biometric samples for a user
-   * Takes multiple voice samples and extracts features for training
+   * Takes multiple voice samples and extracts features for training - needs this tab's session from a
+   * recent passphrase + keystroke login
    */
   static async voiceRegister(username: string, voiceSamples: Blob[]): Promise<boolean> {
+    const session = RuntimeAPI.getSession()
+    if (!session) {
+      throw new Error('Log in first to register your voice')
+    }
+
     try {
       // Dynamically import voice processing to avoid SSR issues
       const { processVoiceAudio } = await import('@/utils/voice-feature-extractor')
@@ -171,14 +441,15 @@ class RuntimeAPI {
 
       const response = await fetch('/api/voice/register', {
         method: 'POST',
+        headers: { Authorization: `Bearer ${session.token}` },
         body: formData,
       })
 
+      const result: VoiceRegistrationResult = await response.json()
       if (!response.ok) {
-        throw new Error(`Voice registration failed: ${response.statusText}`)
+        throw new Error(result.error || `Voice registration failed: ${response.statusText}`)
       }
 
-      const result: VoiceRegistrationResult = await response.json()
       return result.success
     } catch (error) {
       console.error('Voice registration API error:', error)
@@ -188,9 +459,9 @@ class RuntimeAPI {
 
   /**
    * Verify a voice sample against a user's stored voice profile
-   * Used as fallback authentication when keystroke auth fails
+   * The voice step-up the policy asked for - stepUpToken is the voiceStepUp.token authenticate returned
    */
-  static async voiceVerify(username: string, voiceSample: Blob): Promise<boolean> {
+  static async voiceVerify(username: string, voiceSample: Blob, stepUpToken: string): Promise<boolean> {
     try {
       // Dynamically import voice processing to avoid SSR issues
       const { processVoiceAudio } = await import('@/utils/voice-feature-extractor')
@@ -198,6 +469,7 @@ class RuntimeAPI {
       const formData = new FormData()
       formData.append('username', username)
       formData.append('voice_sample', voiceSample, 'verification_sample.webm')
+      formData.append('step_up_token', stepUpToken)
       
       // Extract features from the verification sample
       try {
@@ -213,17 +485,184 @@ class RuntimeAPI {
         body: formData,
       })
 
+      // Throttled, or no login waiting for this sample - the message says what to do
+      if (response.status === 429 || response.status === 403) {
+        const refused: VoiceVerificationResult = await response.json()
+        throw new Error(refused.message || 'Too many failed attempts')
+      }
       if (!response.ok) {
         throw new Error(`Voice verification failed: ${response.statusText}`)
       }
 
       const result: VoiceVerificationResult = await response.json()
+      rememberSession(result.session)
       return result.success
     } catch (error) {
       console.error('Voice verification API error:', error)
       throw error
     }
   }
+
+  /**
+   * Add a passkey (WebAuthn) to the account this tab is logged in as
+   * The browser asks for the authenticator's PIN or biometric - registration needs a current session
+   */
+  static async registerPasskey(name?: string): Promise<{ success: boolean; message?: string; error?: string }> {
+    const session = RuntimeAPI.getSession()
+    if (!session) {
+      return { success: false, error: 'Log in first to add a passkey' }
+    }
+
+    const optionsResponse = await fetch('/api/webauthn/register/options', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${session.token}` },
+    })
+    const { options, error } = await optionsResponse.json()
+    if (!optionsResponse.ok) {
+      return { success: false, error: error || optionsResponse.statusText }
+    }
+
+    const credential = (await navigator.credentials.create({
+      publicKey: {
+        ...options,
+        challenge: fromBase64Url(options.challenge),
+        user: { ...options.user, id: fromBase64Url(options.user.id) },
+        excludeCredentials: options.excludeCredentials.map((excluded: { id: string }) => ({
+          ...excluded,
+          id: fromBase64Url(excluded.id),
+        })),
+      },
+    })) as PublicKeyCredential | null
+    if (!credential) {
+      return { success: false, error: 'Passkey creation was cancelled' }
+    }
+
+    const attestation = credential.response as AuthenticatorAttestationResponse
+    const response = await fetch('/api/webauthn/register', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${session.token}` },
+      body: JSON.stringify({
+        name,
+        credential: {
+          id: credential.id,
+          type: credential.type,
+          response: {
+            clientDataJSON: toBase64Url(attestation.clientDataJSON),
+            attestationObject: toBase64Url(attestation.attestationObject),
+            transports: attestation.getTransports?.() ?? [],
+          },
+        },
+      }),
+    })
+    return response.json()
+  }
+
+  /**
+   * Step up or recover with a passkey instead of voice
+   * The browser prompt throws if the user cancels it
+   */
+  static async passkeyVerify(username: string): Promise<PasskeyVerificationResult> {
+    const optionsResponse = await fetch('/api/webauthn/verify/options', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username }),
+    })
+    const { options, ...optionsError } = await optionsResponse.json()
+    if (!optionsResponse.ok) {
+      return { success: false, ...optionsError }
+    }
+
+    const credential = (await navigator.credentials.get({
+      publicKey: {
+        ...options,
+        challenge: fromBase64Url(options.challenge),
+        allowCredentials: options.allowCredentials.map((allowed: { id: string }) => ({
+          ...allowed,
+          id: fromBase64Url(allowed.id),
+        })),
+      },
+    })) as PublicKeyCredential | null
+    if (!credential) {
+      return { success: false, message: 'Passkey prompt was cancelled' }
+    }
+
+    const assertion = credential.response as AuthenticatorAssertionResponse
+    const response = await fetch('/api/webauthn/verify', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        username,
+        credential: {
+          id: credential.id,
+          type: credential.type,
+          response: {
+            clientDataJSON: toBase64Url(assertion.clientDataJSON),
+            authenticatorData: toBase64Url(assertion.authenticatorData),
+            signature: toBase64Url(assertion.signature),
+            userHandle: assertion.userHandle ? toBase64Url(assertion.userHandle) : null,
+          },
+        },
+      }),
+    })
+
+    const result: PasskeyVerificationResult = await response.json()
+    rememberSession(result.session)
+    return result
+  }
+
+  /**
+   * The session token from the last allowed attempt in this tab, while it hasn't expired
+   */
+  static getSession(): SessionToken | null {
+    if (typeof sessionStorage === 'undefined') {
+      return null
+    }
+    try {
+      const session: SessionToken | null = JSON.parse(sessionStorage.getItem(SESSION_STORAGE_KEY) || 'null')
+      return session && Date.parse(session.expiresAt) > Date.now() ? session : null
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * Ask the server whether a session token is still good - expired and logged-out ones aren't
+   */
+  static async introspectSession(token: string): Promise<SessionIntrospection> {
+    const response = await fetch('/api/session/introspect', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` },
+    })
+
+    if (!response.ok) {
+      throw new Error(`Session introspection failed: ${response.statusText}`)
+    }
+    return response.json()
+  }
+
+  /**
+   * Revoke this tab's session on the server and forget it here
+   */
+  static async logout(): Promise<boolean> {
+    const session = RuntimeAPI.getSession()
+    if (typeof sessionStorage !== 'undefined') {
+      sessionStorage.removeItem(SESSION_STORAGE_KEY)
+    }
+    if (!session) {
+      return false
+    }
+
+    try {
+      const response = await fetch('/api/session/logout', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${session.token}` },
+      })
+      return response.ok
+    } catch (error) {
+      console.error('Logout API error:', error)
+      return false
+    }
+  }
 }
 
 export default RuntimeAPI
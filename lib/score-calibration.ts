@@ -0,0 +1,177 @@
+/**
+ * Score calibration - raw scores to a genuine-match probability
+ * Keystroke scores (threshold-normalized, lower = more genuine) and voice similarities (higher = more
+ * genuine) live on unrelated scales, and neither the old keystroke confidence nor the voice
+ * confidenceScore meant anything outside its own formula. At training time the scores of genuine
+ * attempts (held-out enrollment samples) and impostor attempts (other users' samples, topped up with
+ * synthetic ones) are fitted to a map whose output is a probability:
+ *   - platt     logistic fit p = 1 / (1 + exp(a * score + b)), Newton's method (Lin, Lin & Weng, 2007)
+ *   - isotonic  monotone step fit by pool-adjacent-violators, interpolated between the steps
+ *
+ * Both classes weigh the same in the fit, so matchProbability assumes an attempt is as likely to come
+ * from the user as from an impostor. Targets are smoothed the way Platt suggests - with five genuine
+ * samples the probability tops out near 86%, which is as sure as five samples can make anyone.
+ */
+
+import { AUTH_CONFIG } from "@/config/auth-config"
+
+export type CalibrationMethod = "platt" | "isotonic"
+
+export type CalibrationMap =
+  | { method: "platt"; a: number; b: number }
+  // Breakpoints in oriented score (score * orientation), ascending, probabilities non-decreasing
+  | { method: "isotonic"; orientation: 1 | -1; scores: number[]; probabilities: number[] }
+
+interface CalibrationPoint {
+  score: number
+  target: number
+  weight: number
+}
+
+// The probability of a genuine match at a logit of -fApB, written so exp() never overflows
+function logistic(fApB: number): number {
+  return fApB >= 0 ? Math.exp(-fApB) / (1 + Math.exp(-fApB)) : 1 / (1 + Math.exp(fApB))
+}
+
+function fitPlatt(points: CalibrationPoint[]): { a: number; b: number } {
+  const objective = (a: number, b: number) =>
+    points.reduce((total, { score, target, weight }) => {
+      const fApB = a * score + b
+      return (
+        total +
+        weight *
+          (fApB >= 0 ? target * fApB + Math.log1p(Math.exp(-fApB)) : (target - 1) * fApB + Math.log1p(Math.exp(fApB)))
+      )
+    }, 0)
+
+  let a = 0
+  let b = 0
+  let value = objective(a, b)
+
+  for (let iteration = 0; iteration < 100; iteration++) {
+    // Gradient and Hessian, with a small ridge so a separable set still gives a solvable system
+    let h11 = 1e-12
+    let h22 = 1e-12
+    let h21 = 0
+    let g1 = 0
+    let g2 = 0
+    for (const { score, target, weight } of points) {
+      const p = logistic(a * score + b)
+      const d2 = p * (1 - p) * weight
+      const d1 = (target - p) * weight
+      h11 += score * score * d2
+      h22 += d2
+      h21 += score * d2
+      g1 += score * d1
+      g2 += d1
+    }
+    if (Math.abs(g1) < 1e-6 && Math.abs(g2) < 1e-6) {
+      break
+    }
+
+    const determinant = h11 * h22 - h21 * h21
+    const deltaA = -(h22 * g1 - h21 * g2) / determinant
+    const deltaB = -(-h21 * g1 + h11 * g2) / determinant
+    const directionalDerivative = g1 * deltaA + g2 * deltaB
+
+    // Backtracking line search - a full Newton step can overshoot on a nearly separable set
+    let step = 1
+    while (step >= 1e-10) {
+      const nextValue = objective(a + step * deltaA, b + step * deltaB)
+      if (nextValue < value + 1e-4 * step * directionalDerivative) {
+        a += step * deltaA
+        b += step * deltaB
+        value = nextValue
+        break
+      }
+      step /= 2
+    }
+    if (step < 1e-10) {
+      break
+    }
+  }
+
+  return { a, b }
+}
+
+function fitIsotonic(points: CalibrationPoint[], orientation: 1 | -1) {
+  const sortedPoints = points
+    .map((point) => ({ ...point, score: point.score * orientation }))
+    .sort((first, second) => first.score - second.score)
+
+  // Pool adjacent violators - merge neighbouring blocks until the probabilities never go down
+  const blocks: { weight: number; targetSum: number; scoreSum: number }[] = []
+  for (const { score, target, weight } of sortedPoints) {
+    blocks.push({ weight, targetSum: target * weight, scoreSum: score * weight })
+    while (
+      blocks.length > 1 &&
+      blocks[blocks.length - 2].targetSum / blocks[blocks.length - 2].weight >=
+        blocks[blocks.length - 1].targetSum / blocks[blocks.length - 1].weight
+    ) {
+      const last = blocks.pop()!
+      const previous = blocks[blocks.length - 1]
+      previous.weight += last.weight
+      previous.targetSum += last.targetSum
+      previous.scoreSum += last.scoreSum
+    }
+  }
+
+  return {
+    method: "isotonic" as const,
+    orientation,
+    scores: blocks.map((block) => block.scoreSum / block.weight),
+    probabilities: blocks.map((block) => block.targetSum / block.weight),
+  }
+}
+
+// Standard normal draw (Box-Muller) - synthetic impostors are built from these
+export function sampleGaussian(random: () => number): number {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random())
+}
+
+/**
+ * Fit a calibration map - needs at least one finite genuine and one finite impostor score
+ */
+export function fitScoreCalibration(
+  genuineScores: number[],
+  impostorScores: number[],
+  method: CalibrationMethod = AUTH_CONFIG.SCORE_CALIBRATION_METHOD as CalibrationMethod,
+): CalibrationMap {
+  const genuine = genuineScores.filter(Number.isFinite)
+  const impostor = impostorScores.filter(Number.isFinite)
+  if (genuine.length === 0 || impostor.length === 0) {
+    throw new Error("Calibration needs genuine and impostor scores")
+  }
+
+  // Platt's smoothed targets, and equal total weight for both classes (a 50% prior)
+  const genuineTarget = (genuine.length + 1) / (genuine.length + 2)
+  const impostorTarget = 1 / (impostor.length + 2)
+  const points: CalibrationPoint[] = [
+    ...genuine.map((score) => ({ score, target: genuineTarget, weight: 1 / genuine.length })),
+    ...impostor.map((score) => ({ score, target: impostorTarget, weight: 1 / impostor.length })),
+  ]
+
+  if (method === "isotonic") {
+    const mean = (scores: number[]) => scores.reduce((total, score) => total + score, 0) / scores.length
+    return fitIsotonic(points, mean(genuine) >= mean(impostor) ? 1 : -1)
+  }
+  return { method: "platt", ...fitPlatt(points) }
+}
+
+export function applyScoreCalibration(map: CalibrationMap, score: number): number {
+  if (map.method === "platt") {
+    return logistic(map.a * score + map.b)
+  }
+
+  const { scores, probabilities } = map
+  const orientedScore = score * map.orientation
+  if (!(orientedScore > scores[0])) {
+    return probabilities[0]
+  }
+  if (orientedScore >= scores[scores.length - 1]) {
+    return probabilities[probabilities.length - 1]
+  }
+  const upper = scores.findIndex((breakpoint) => breakpoint > orientedScore)
+  const position = (orientedScore - scores[upper - 1]) / (scores[upper] - scores[upper - 1])
+  return probabilities[upper - 1] + position * (probabilities[upper] - probabilities[upper - 1])
+}
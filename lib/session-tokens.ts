@@ -0,0 +1,278 @@
+/**
+ * Signed session tokens - what a successful authentication hands back
+ * A token is a JWT signed with HMAC-SHA256 (HS256) and a key only this server knows. It names the user,
+ * the modalities that were checked, their scores and an expiry, so an app built on Ghost Key can gate
+ * its own routes: verify the token itself, or ask POST /api/session/introspect.
+ *
+ * The key comes from GHOST_KEY_SESSION_SECRET, or is generated once into models/session_key.json.
+ * Logging out puts the token's id on a revocation list (logs/revoked_sessions.json) until it would
+ * have expired anyway. Node's crypto module does the signing, so no dependencies are needed.
+ */
+
+import crypto from "crypto"
+import fs from "fs/promises"
+import path from "path"
+import type { NextRequest } from "next/server"
+import { AUTH_CONFIG } from "@/config/auth-config"
+
+export type AuthModality = "passphrase" | "keystroke" | "voice" | "passkey"
+
+export interface SessionScores {
+  keystroke?: { matchProbability: number | null; reconstructionError: number }
+  voice?: { matchProbability: number | null; similarityScore: number }
+  fused?: { matchProbability: number; rule: string }
+}
+
+export interface SessionClaims {
+  iss: string
+  sub: string // Username
+  iat: number // Seconds since the epoch, like exp
+  exp: number
+  jti: string // Token id - what a logout revokes
+  amr: string[] // RFC 8176 method references: pwd (passphrase), vbm (voice), pop (passkey), mfa (more than one)
+  modalities: AuthModality[]
+  scores: SessionScores
+  policy: { group: string | null; rule: string | null } | null // The policy rule that allowed the attempt
+}
+
+export interface IssuedSessionToken {
+  token: string
+  expiresAt: string
+  claims: SessionClaims
+}
+
+export type SessionTokenErrorCode =
+  | "TOKEN_MISSING"
+  | "TOKEN_MALFORMED"
+  | "TOKEN_SIGNATURE_INVALID"
+  | "TOKEN_EXPIRED"
+  | "TOKEN_REVOKED"
+  | "TOKEN_INSUFFICIENT" // Genuine, but not strong or recent enough for what was asked
+
+export class SessionTokenError extends Error {
+  code: SessionTokenErrorCode
+
+  constructor(code: SessionTokenErrorCode, message: string) {
+    super(message)
+    this.name = "SessionTokenError"
+    this.code = code
+  }
+}
+
+const SESSION_KEY_FILE = path.join(process.cwd(), AUTH_CONFIG.KEYSTROKE_MODELS_DIRECTORY, AUTH_CONFIG.SESSION_KEY_FILE)
+const REVOCATION_FILE = path.join(process.cwd(), "logs", AUTH_CONFIG.SESSION_REVOCATION_FILE)
+const TOKEN_HEADER = { alg: "HS256", typ: "JWT" }
+
+let signingKey: Promise<Buffer> | null = null
+
+// Every logout is a read-modify-write of the revocation list - run them one at a time so none is lost
+let pendingUpdate: Promise<unknown> = Promise.resolve()
+
+// The env secret wins; otherwise one random key is generated and kept for every later start
+function getSigningKey(): Promise<Buffer> {
+  if (!signingKey) {
+    signingKey = (async () => {
+      const secret = process.env.GHOST_KEY_SESSION_SECRET
+      if (secret) {
+        return Buffer.from(secret, "utf-8")
+      }
+
+      try {
+        const { key } = JSON.parse(await fs.readFile(SESSION_KEY_FILE, "utf-8"))
+        return Buffer.from(key, "base64")
+      } catch {
+        const key = crypto.randomBytes(32)
+        await fs.mkdir(path.dirname(SESSION_KEY_FILE), { recursive: true })
+        // wx - if another request generated the key first, use theirs
+        try {
+          await fs.writeFile(
+            SESSION_KEY_FILE,
+            JSON.stringify({ key: key.toString("base64"), createdAt: new Date().toISOString() }, null, 2),
+            { flag: "wx", mode: 0o600 },
+          )
+          console.log("Generated a new session signing key")
+          return key
+        } catch {
+          const { key: existingKey } = JSON.parse(await fs.readFile(SESSION_KEY_FILE, "utf-8"))
+          return Buffer.from(existingKey, "base64")
+        }
+      }
+    })()
+    signingKey.catch(() => {
+      signingKey = null
+    })
+  }
+  return signingKey
+}
+
+function encodeSegment(value: object): string {
+  return Buffer.from(JSON.stringify(value)).toString("base64url")
+}
+
+async function sign(signingInput: string): Promise<Buffer> {
+  return crypto.createHmac("sha256", await getSigningKey()).update(signingInput).digest()
+}
+
+// Revoked token ids and when each would have expired - expired ones are dropped on the next write
+async function loadRevocations(): Promise<Record<string, number>> {
+  try {
+    return JSON.parse(await fs.readFile(REVOCATION_FILE, "utf-8"))
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * Sign a token for a user who just authenticated
+ */
+export async function issueSessionToken(
+  username: string,
+  details: {
+    modalities: AuthModality[]
+    scores: SessionScores
+    policy?: { group: string | null; rule: string | null } | null
+  },
+): Promise<IssuedSessionToken> {
+  const issuedAt = Math.floor(Date.now() / 1000)
+  const amr = [
+    ...(details.modalities.includes("passphrase") ? ["pwd"] : []),
+    ...(details.modalities.includes("voice") ? ["vbm"] : []),
+    ...(details.modalities.includes("passkey") ? ["pop"] : []),
+    ...(details.modalities.length > 1 ? ["mfa"] : []),
+  ]
+  const claims: SessionClaims = {
+    iss: AUTH_CONFIG.SESSION_TOKEN_ISSUER,
+    sub: username,
+    iat: issuedAt,
+    exp: issuedAt + AUTH_CONFIG.SESSION_TOKEN_TTL_SECONDS,
+    jti: crypto.randomUUID(),
+    amr,
+    modalities: details.modalities,
+    scores: details.scores,
+    policy: details.policy ? { group: details.policy.group, rule: details.policy.rule } : null,
+  }
+
+  const signingInput = `${encodeSegment(TOKEN_HEADER)}.${encodeSegment(claims)}`
+  const signature = (await sign(signingInput)).toString("base64url")
+
+  return {
+    token: `${signingInput}.${signature}`,
+    expiresAt: new Date(claims.exp * 1000).toISOString(),
+    claims,
+  }
+}
+
+/**
+ * Check a token's signature, expiry and revocation - the claims when it holds, a SessionTokenError otherwise
+ * Pass checkRevocation: false to read a token that only needs to be genuine (logging it out)
+ */
+export async function verifySessionToken(
+  token: string,
+  options: { checkRevocation?: boolean; checkExpiry?: boolean } = {},
+): Promise<SessionClaims> {
+  const { checkRevocation = true, checkExpiry = true } = options
+  const segments = typeof token === "string" ? token.split(".") : []
+  if (segments.length !== 3) {
+    throw new SessionTokenError("TOKEN_MALFORMED", "Not a session token")
+  }
+
+  const [encodedHeader, encodedClaims, encodedSignature] = segments
+  let header: { alg?: string }
+  let claims: SessionClaims
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, "base64url").toString("utf-8"))
+    claims = JSON.parse(Buffer.from(encodedClaims, "base64url").toString("utf-8"))
+  } catch {
+    throw new SessionTokenError("TOKEN_MALFORMED", "Token segments are not valid JSON")
+  }
+
+  // Only ever HS256 - a token can't talk the server into "none" or another algorithm
+  if (header.alg !== TOKEN_HEADER.alg) {
+    throw new SessionTokenError("TOKEN_MALFORMED", `Unsupported token algorithm: ${header.alg}`)
+  }
+
+  const expectedSignature = await sign(`${encodedHeader}.${encodedClaims}`)
+  const signature = Buffer.from(encodedSignature, "base64url")
+  if (signature.length !== expectedSignature.length || !crypto.timingSafeEqual(signature, expectedSignature)) {
+    throw new SessionTokenError("TOKEN_SIGNATURE_INVALID", "Token signature does not match")
+  }
+
+  if (claims.iss !== AUTH_CONFIG.SESSION_TOKEN_ISSUER || typeof claims.exp !== "number" || !claims.sub) {
+    throw new SessionTokenError("TOKEN_MALFORMED", "Token is missing its issuer, subject or expiry")
+  }
+  if (checkExpiry && claims.exp <= Math.floor(Date.now() / 1000)) {
+    throw new SessionTokenError("TOKEN_EXPIRED", "Token has expired")
+  }
+  if (checkRevocation && claims.jti in (await loadRevocations())) {
+    throw new SessionTokenError("TOKEN_REVOKED", "Token was logged out")
+  }
+
+  return claims
+}
+
+/**
+ * Log a token out - it stays on the revocation list until it would have expired anyway
+ * Only genuine tokens are listed, so nobody can fill the list with junk
+ */
+export async function revokeSessionToken(token: string): Promise<SessionClaims> {
+  const claims = await verifySessionToken(token, { checkRevocation: false, checkExpiry: false })
+
+  const update = pendingUpdate.then(async () => {
+    const now = Math.floor(Date.now() / 1000)
+    const revocations = Object.fromEntries(
+      Object.entries(await loadRevocations()).filter(([, expiresAt]) => expiresAt > now),
+    )
+    if (claims.exp > now) {
+      revocations[claims.jti] = claims.exp
+    }
+
+    await fs.mkdir(path.dirname(REVOCATION_FILE), { recursive: true })
+    const temporaryFilePath = `${REVOCATION_FILE}.${process.pid}.tmp`
+    await fs.writeFile(temporaryFilePath, JSON.stringify(revocations, null, 2))
+    await fs.rename(temporaryFilePath, REVOCATION_FILE)
+  })
+  pendingUpdate = update.catch(() => undefined)
+  await update
+
+  console.log(`Session ${claims.jti} for ${claims.sub} logged out`)
+  return claims
+}
+
+/**
+ * The token a request carries - an "Authorization: Bearer" header, or a token field in a JSON body
+ */
+export async function readSessionToken(request: NextRequest): Promise<string | null> {
+  const authorization = request.headers.get("authorization")
+  if (authorization?.toLowerCase().startsWith("bearer ")) {
+    return authorization.slice("bearer ".length).trim()
+  }
+
+  try {
+    const { token } = await request.json()
+    return typeof token === "string" ? token : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * The session behind a request that changes the account's factors - a voice profile, a passkey, recovery
+ * codes. It has to include the passphrase and a second factor, from a login in the last
+ * ACCOUNT_CHANGE_MAX_AUTH_AGE_SECONDS, so a stolen token or a single factor can't add the attacker's own.
+ * A SessionTokenError otherwise - TOKEN_INSUFFICIENT for a genuine token that isn't enough
+ */
+export async function requireAccountSession(request: NextRequest): Promise<SessionClaims> {
+  const token = await readSessionToken(request)
+  if (!token) {
+    throw new SessionTokenError("TOKEN_MISSING", "Log in first - a session token is required")
+  }
+
+  const claims = await verifySessionToken(token)
+  if (!claims.amr?.includes("pwd") || !claims.amr.includes("mfa")) {
+    throw new SessionTokenError("TOKEN_INSUFFICIENT", "Log in with your passphrase and a second factor first")
+  }
+  if (Math.floor(Date.now() / 1000) - claims.iat > AUTH_CONFIG.ACCOUNT_CHANGE_MAX_AUTH_AGE_SECONDS) {
+    throw new SessionTokenError("TOKEN_INSUFFICIENT", "Log in again - changing your account needs a recent login")
+  }
+  return claims
+}
@@ -0,0 +1,60 @@
+/**
+ * TensorFlow.js network storage (models/<user>/tfjs/<network id>.json)
+ * A tfjs model file only references its network - the weights are written and read through
+ * a tf.io handler, one immutable file per trained network, so rolling back to an older
+ * model version (lib/model-history.ts) picks its own network back up
+ */
+
+import fs from "fs/promises"
+import path from "path"
+import * as tf from "@tensorflow/tfjs"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { ModelFormatError } from "@/lib/model-store"
+import { createRecordIOHandler, type TfjsNetworkRecord, type TrainedTfjsModel } from "@/libs/tfjs-keystroke-model"
+
+function getNetworkFilePath(username: string, networkId: string): string {
+  return path.join(
+    process.cwd(),
+    AUTH_CONFIG.KEYSTROKE_MODELS_DIRECTORY,
+    username,
+    AUTH_CONFIG.TFJS_NETWORKS_DIRECTORY,
+    `${networkId}.json`,
+  )
+}
+
+// tf.io handler for one user's network - pass to network.save() or tf.loadLayersModel()
+export function createNetworkFileHandler(username: string, networkId: string): tf.io.IOHandler {
+  const networkFilePath = getNetworkFilePath(username, networkId)
+
+  return createRecordIOHandler({
+    readRecord: async () => {
+      try {
+        return JSON.parse(await fs.readFile(networkFilePath, "utf-8")) as TfjsNetworkRecord
+      } catch (error) {
+        if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+          return null
+        }
+        throw error
+      }
+    },
+    writeRecord: (record) => saveTfjsNetworkRecord(username, networkId, record),
+  })
+}
+
+// Networks trained in the training worker (lib/training-jobs.ts) come back already serialized
+export async function saveTfjsNetworkRecord(username: string, networkId: string, record: TfjsNetworkRecord): Promise<void> {
+  const networkFilePath = getNetworkFilePath(username, networkId)
+  await fs.mkdir(path.dirname(networkFilePath), { recursive: true })
+  await fs.writeFile(networkFilePath, JSON.stringify(record))
+}
+
+// Dispose the returned network once scoring is done
+export async function loadTfjsNetwork(username: string, model: TrainedTfjsModel): Promise<tf.LayersModel> {
+  try {
+    return await tf.loadLayersModel(createNetworkFileHandler(username, model.network.id))
+  } catch (error) {
+    // The model file is fine but useless without its weights - same fix as a corrupt model
+    console.error(`TensorFlow.js network ${model.network.id} for ${username} could not be loaded:`, error)
+    throw new ModelFormatError("MODEL_CORRUPT", `TensorFlow.js network ${model.network.id} is missing or unreadable`)
+  }
+}
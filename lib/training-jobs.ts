@@ -0,0 +1,295 @@
+/**
+ * Background keystroke training jobs
+ * /api/train-model queues a job once the last enrollment sample is stored and answers straight away.
+ * Jobs run in a small worker_threads pool (lib/training-worker.js) so training never blocks the server,
+ * and each job's state lives in models/<user>/training_job.json - GET /api/train-model/status reads it
+ * back, so progress survives hot reloads and is the same whichever route module asks.
+ * A completed job issues the user's new recovery codes for the enrolling client to collect
+ */
+
+import fs from "fs/promises"
+import path from "path"
+import { Worker } from "worker_threads"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { calibrateKeystrokeModel, type KeystrokeCalibration } from "@/lib/keystroke-calibration"
+import type { DetectorSelection } from "@/lib/keystroke-detectors"
+import { attachKeystrokeDetectors, getTrainingSettings, type KeystrokeBackend } from "@/lib/keystroke-training"
+import { recordModelVersion } from "@/lib/model-history"
+import { issueRecoveryCodesForPickup } from "@/lib/recovery-codes"
+import { saveTfjsNetworkRecord } from "@/lib/tfjs-model-store"
+import type { EpochProgress, TrainedAutoencoderModel } from "@/libs/autoencoder"
+import type { FeatureLayout } from "@/libs/keystroke-features"
+import type { TfjsNetworkRecord, TrainedTfjsModel } from "@/libs/tfjs-keystroke-model"
+
+export type TrainingJobStatus = "queued" | "running" | "completed" | "failed"
+
+export interface TrainingJob {
+  id: string
+  username: string
+  backend: KeystrokeBackend
+  status: TrainingJobStatus
+  samples: number
+  queuedAt: string
+  startedAt: string | null
+  finishedAt: string | null
+  updatedAt: string
+  progress: EpochProgress | null
+  etaSeconds: number | null // Upper bound - early stopping usually finishes sooner
+  result: { version: number; threshold: number; bestEpoch: number | null; epochsRun: number | null } | null
+  error: string | null
+}
+
+interface TrainingJobRequest {
+  backend: KeystrokeBackend
+  samples: number[][]
+  featureLayout: FeatureLayout
+  detection?: DetectorSelection
+  recoveryCodePickup: string // createRecoveryCodePickup - the enrolling client has it
+}
+
+type WorkerOutcome =
+  | { model: TrainedAutoencoderModel; networkRecord: null }
+  | { model: TrainedTfjsModel; networkRecord: TfjsNetworkRecord }
+
+// Resolved at runtime rather than imported, so the bundler leaves the worker file alone
+const TRAINING_WORKER_PATH = path.join(process.cwd(), "lib", "training-worker.js")
+
+const queuedJobs: { job: TrainingJob; request: TrainingJobRequest }[] = []
+const runningWorkers = new Map<string, { jobId: string; worker: Worker }>() // keyed by username
+let activeJobCount = 0
+
+// A cancelled job stops quietly - its job file is gone and a newer job may already own the user
+class TrainingCancelledError extends Error {
+  constructor() {
+    super("Training cancelled")
+    this.name = "TrainingCancelledError"
+  }
+}
+
+function getTrainingJobPath(username: string): string {
+  return path.join(process.cwd(), AUTH_CONFIG.KEYSTROKE_MODELS_DIRECTORY, username, AUTH_CONFIG.TRAINING_JOB_FILE)
+}
+
+// Written through a temp file - the status endpoint polls this while the job is still writing it
+async function saveTrainingJob(job: TrainingJob): Promise<void> {
+  const jobFilePath = getTrainingJobPath(job.username)
+  const temporaryFilePath = `${jobFilePath}.${job.id}.tmp`
+  await fs.writeFile(temporaryFilePath, JSON.stringify({ ...job, updatedAt: new Date().toISOString() }, null, 2))
+  await fs.rename(temporaryFilePath, jobFilePath)
+}
+
+// A running job that stopped reporting went down with an earlier server process
+export async function loadTrainingJob(username: string): Promise<TrainingJob | null> {
+  let job: TrainingJob
+  try {
+    job = JSON.parse(await fs.readFile(getTrainingJobPath(username), "utf-8"))
+  } catch {
+    return null
+  }
+
+  if (job.status === "running" && Date.now() - Date.parse(job.updatedAt) > AUTH_CONFIG.TRAINING_JOB_STALE_MS) {
+    return { ...job, status: "failed", etaSeconds: null, error: "Training was interrupted - please enroll again" }
+  }
+  return job
+}
+
+export async function enqueueTrainingJob(username: string, request: TrainingJobRequest): Promise<TrainingJob> {
+  // Only the latest enrollment matters - a job still waiting for the same user is replaced
+  await cancelTrainingJob(username)
+
+  const queuedAt = new Date().toISOString()
+  const job: TrainingJob = {
+    id: `${Date.now().toString(36)}-${Math.floor(Math.random() * 2176782336).toString(36)}`,
+    username,
+    backend: request.backend,
+    status: "queued",
+    samples: request.samples.length,
+    queuedAt,
+    startedAt: null,
+    finishedAt: null,
+    updatedAt: queuedAt,
+    progress: null,
+    etaSeconds: null,
+    result: null,
+    error: null,
+  }
+
+  await saveTrainingJob(job)
+  queuedJobs.push({ job, request })
+  startQueuedJobs()
+  return job
+}
+
+// Drop a user's queued or running job - a new enrollment makes it pointless
+export async function cancelTrainingJob(username: string): Promise<void> {
+  for (let i = queuedJobs.length - 1; i >= 0; i--) {
+    if (queuedJobs[i].job.username === username) {
+      queuedJobs.splice(i, 1)
+    }
+  }
+
+  const runningJob = runningWorkers.get(username)
+  if (runningJob) {
+    runningWorkers.delete(username)
+    await runningJob.worker.terminate()
+  }
+
+  await fs.rm(getTrainingJobPath(username), { force: true })
+}
+
+function startQueuedJobs() {
+  while (activeJobCount < AUTH_CONFIG.TRAINING_WORKERS && queuedJobs.length > 0) {
+    const { job, request } = queuedJobs.shift()!
+    activeJobCount++
+    runTrainingJob(job, request)
+      .catch((error) => console.error(`Training job ${job.id} for ${job.username} could not be saved:`, error))
+      .finally(() => {
+        activeJobCount--
+        startQueuedJobs()
+      })
+  }
+}
+
+async function runTrainingJob(queuedJob: TrainingJob, request: TrainingJobRequest): Promise<void> {
+  const { username } = queuedJob
+  const startedAt = Date.now()
+  let job: TrainingJob = { ...queuedJob, status: "running", startedAt: new Date(startedAt).toISOString() }
+  await saveTrainingJob(job)
+
+  // Progress writes are throttled and chained, so the final write always lands last -
+  // and skipped once the job is cancelled, so they can't bring its file back
+  let lastProgressWrite = 0
+  let pendingWrite = Promise.resolve()
+  const reportProgress = (progress: EpochProgress) => {
+    const secondsPerEpoch = (Date.now() - startedAt) / 1000 / progress.epoch
+    job = { ...job, progress, etaSeconds: Math.round(secondsPerEpoch * (progress.epochs - progress.epoch)) }
+
+    if (Date.now() - lastProgressWrite >= AUTH_CONFIG.TRAINING_PROGRESS_INTERVAL_MS) {
+      lastProgressWrite = Date.now()
+      const progressSnapshot = job
+      pendingWrite = pendingWrite
+        .then(() => (runningWorkers.get(username)?.jobId === job.id ? saveTrainingJob(progressSnapshot) : undefined))
+        .catch(() => {})
+    }
+  }
+
+  try {
+    console.log(`Training ${request.backend} keystroke model for ${username} with ${request.samples.length} samples (job ${job.id})...`)
+
+    // cancelTrainingJob drops the worker from runningWorkers - a job that was cancelled after its worker
+    // finished must not persist anything, or it would replace the newer enrollment's model
+    const throwIfCancelled = () => {
+      if (runningWorkers.get(username)?.jobId !== job.id) {
+        throw new TrainingCancelledError()
+      }
+    }
+
+    const outcome = await runTrainingWorker(job, request, reportProgress)
+    throwIfCancelled()
+    const uncalibratedModelData =
+      outcome.networkRecord === null
+        ? attachKeystrokeDetectors(username, request.samples, outcome.model, { detection: request.detection })
+        : { username, ...outcome.model }
+
+    // A tfjs network is written to disk before its model file references it (and before calibration loads it)
+    if (outcome.networkRecord !== null) {
+      await saveTfjsNetworkRecord(username, outcome.model.network.id, outcome.networkRecord)
+    }
+
+    // A model that can't be calibrated still authenticates - it just reports no matchProbability
+    let trainedModelData: typeof uncalibratedModelData & { calibration?: KeystrokeCalibration } = uncalibratedModelData
+    try {
+      trainedModelData = { ...uncalibratedModelData, calibration: await calibrateKeystrokeModel(username, uncalibratedModelData) }
+    } catch (error) {
+      console.error(`Score calibration failed for ${username} (job ${job.id}):`, error)
+    }
+
+    // Store as a new immutable version - earlier models stay available for rollback
+    throwIfCancelled()
+    const { version } = await recordModelVersion(username, trainedModelData, "enrollment")
+    const { trainingStats } = trainedModelData
+
+    // A new model means a new set of codes - only now, so a job that fails or is cancelled leaves the old ones.
+    // If issuing fails the model still stands, and the user can ask for codes from a session later
+    try {
+      await issueRecoveryCodesForPickup(username, request.recoveryCodePickup)
+    } catch (error) {
+      console.error(`Recovery codes for ${username} could not be issued (job ${job.id}):`, error)
+    }
+
+    console.log(`Keystroke model trained successfully for ${username} (v${version}):`, {
+      backend: request.backend,
+      samples: request.samples.length,
+      augmented: trainingStats.augmentedSamples,
+      threshold: trainedModelData.threshold,
+      keystrokes: request.featureLayout.keyCount,
+      detectors:
+        request.backend === "tfjs" ? "tfjs network" : request.detection ? request.detection.detectors : "global selection",
+      meanReconstructionError: trainingStats.meanError,
+      finalLoss: trainingStats.finalLoss,
+      calibrationImpostors: trainedModelData.calibration?.impostors ?? null,
+      seconds: ((Date.now() - startedAt) / 1000).toFixed(1),
+    })
+
+    job = {
+      ...job,
+      status: "completed",
+      etaSeconds: 0,
+      result: {
+        version,
+        threshold: trainedModelData.threshold,
+        bestEpoch: trainingStats.bestEpoch ?? null,
+        epochsRun: trainingStats.epochsRun ?? null,
+      },
+    }
+  } catch (error) {
+    if (error instanceof TrainingCancelledError) {
+      return
+    }
+    console.error(`Keystroke model training failed for ${username} (job ${job.id}):`, error)
+    job = { ...job, status: "failed", etaSeconds: null, error: (error as Error).message }
+  } finally {
+    if (runningWorkers.get(username)?.jobId === job.id) {
+      runningWorkers.delete(username)
+    }
+  }
+
+  await pendingWrite
+  await saveTrainingJob({ ...job, finishedAt: new Date().toISOString() })
+}
+
+function runTrainingWorker(
+  job: TrainingJob,
+  request: TrainingJobRequest,
+  onProgress: (progress: EpochProgress) => void,
+): Promise<WorkerOutcome> {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(TRAINING_WORKER_PATH, {
+      workerData: {
+        backend: request.backend,
+        samples: request.samples,
+        settings: { ...getTrainingSettings(request.backend), featureLayout: request.featureLayout },
+      },
+    })
+    runningWorkers.set(job.username, { jobId: job.id, worker })
+
+    worker.on("message", (message) => {
+      if (message.type === "progress") {
+        onProgress(message.progress)
+      } else if (message.type === "done") {
+        resolve({ model: message.model, networkRecord: message.networkRecord })
+      } else if (message.type === "error") {
+        reject(new Error(message.message))
+      }
+    })
+    worker.on("error", reject)
+    // Settled already when the worker finished normally; otherwise it was terminated or crashed
+    worker.on("exit", (exitCode) => {
+      reject(
+        runningWorkers.get(job.username)?.worker === worker
+          ? new Error(`Training worker exited with code ${exitCode}`)
+          : new TrainingCancelledError(),
+      )
+    })
+  })
+}
@@ -0,0 +1,43 @@
+/**
+ * Worker thread entry for background keystroke training (lib/training-jobs.ts)
+ * Plain CommonJS so Node runs it as-is, outside the Next.js bundle - it only needs the shared libs
+ *
+ * workerData: { backend, samples, settings } - settings come from getTrainingSettings()
+ * Posts { type: 'progress', progress } after every epoch, then { type: 'done', model, networkRecord }
+ * or { type: 'error', message }. networkRecord is the serialized tfjs network, null for the autoencoder.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { trainKeystrokeBiometricModel } = require('../libs/autoencoder.js');
+
+async function trainInWorker({ backend, samples, settings }) {
+  const onEpochEnd = (progress) => parentPort.postMessage({ type: 'progress', progress });
+
+  if (backend === 'autoencoder') {
+    return { model: trainKeystrokeBiometricModel(samples, { ...settings, onEpochEnd }), networkRecord: null };
+  }
+
+  // Only tfjs jobs pay for loading TensorFlow.js
+  const tf = require('@tensorflow/tfjs');
+  const { trainTfjsKeystrokeModel, createRecordIOHandler } = require('../libs/tfjs-keystroke-model.js');
+
+  const { model, network } = await trainTfjsKeystrokeModel(tf, samples, { ...settings, onEpochEnd });
+  let networkRecord = null;
+  try {
+    // Capture the record instead of writing it - the main thread stores it next to the model
+    await network.save(createRecordIOHandler({
+      readRecord: async () => networkRecord,
+      writeRecord: async (record) => {
+        networkRecord = record;
+      }
+    }));
+  } finally {
+    network.dispose();
+  }
+
+  return { model, networkRecord };
+}
+
+trainInWorker(workerData)
+  .then((result) => parentPort.postMessage({ type: 'done', ...result }))
+  .catch((error) => parentPort.postMessage({ type: 'error', message: error.message }));
@@ -0,0 +1,179 @@
+/**
+ * Voice score calibration (see lib/score-calibration.ts)
+ * Runs at voice registration, over the overallSimilarity /api/voice/verify decides on:
+ *   - genuine attempts: each registration recording against the average of the others (leave-one-out)
+ *   - impostor attempts: other users' registration recordings against this user's reference, topped up
+ *     to CALIBRATION_IMPOSTOR_SAMPLES with synthetic impostors - the reference with every feature scaled
+ *     by a random log-normal factor and the MFCCs shifted in proportion to their own size
+ */
+
+import fs from "fs/promises"
+import path from "path"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import {
+  applyScoreCalibration,
+  fitScoreCalibration,
+  sampleGaussian,
+  type CalibrationMap,
+  type CalibrationMethod,
+} from "@/lib/score-calibration"
+import { calculateComprehensiveVoiceMatch, type SessionVoiceProfile } from "@/utils/voice-feature-extractor"
+
+export interface VoiceCalibration {
+  method: CalibrationMethod
+  impostors: { users: number; samples: number; synthetic: number }
+  genuineScores: number[]
+  impostorScores: number[]
+  map: CalibrationMap
+}
+
+// Average features across recordings - the reference model every verification is compared with
+export function calculateAverageFeatures(features: SessionVoiceProfile[]): SessionVoiceProfile {
+  if (features.length === 0) {
+    throw new Error("No features to average")
+  }
+
+  // Initialize with the structure of the first feature
+  const result: any = {}
+  const firstFeature = features[0] as any
+
+  // For each property in the first feature
+  for (const key in firstFeature) {
+    if (Array.isArray(firstFeature[key])) {
+      // Handle arrays (like MFCC)
+      const arrayLength = firstFeature[key].length
+      result[key] = new Array(arrayLength).fill(0)
+
+      // Sum all values
+      for (const feature of features) {
+        const featureAny = feature as any
+        for (let i = 0; i < arrayLength; i++) {
+          result[key][i] += featureAny[key][i]
+        }
+      }
+
+      // Calculate average
+      for (let i = 0; i < arrayLength; i++) {
+        result[key][i] /= features.length
+      }
+    } else if (typeof firstFeature[key] === "number") {
+      // Handle numeric values
+      result[key] = 0
+
+      // Sum all values
+      for (const feature of features) {
+        const featureAny = feature as any
+        result[key] += featureAny[key]
+      }
+
+      // Calculate average
+      result[key] /= features.length
+    } else {
+      // Copy other values as is
+      result[key] = firstFeature[key]
+    }
+  }
+
+  return result as SessionVoiceProfile
+}
+
+async function loadImpostorRecordings(username: string, random: () => number) {
+  const voiceModelsDirectory = path.join(process.cwd(), AUTH_CONFIG.VOICE_MODELS_DIRECTORY)
+  let otherUsers: string[]
+  try {
+    otherUsers = (await fs.readdir(voiceModelsDirectory)).filter((otherUser) => otherUser !== username)
+  } catch {
+    otherUsers = []
+  }
+
+  const impostorRecordings: { username: string; features: SessionVoiceProfile }[] = []
+  for (const otherUser of otherUsers) {
+    try {
+      const profile = JSON.parse(await fs.readFile(path.join(voiceModelsDirectory, otherUser, "voice_profile.json"), "utf-8"))
+      for (const features of profile.features ?? []) {
+        if (Array.isArray(features.mfccMean) && features.mfccMean.length > 0) {
+          impostorRecordings.push({ username: otherUser, features })
+        }
+      }
+    } catch {
+      // Registration still in progress, or not a voice profile at all
+    }
+  }
+
+  // Shuffled before the cap, so one user can't fill it alone
+  for (let i = impostorRecordings.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    ;[impostorRecordings[i], impostorRecordings[j]] = [impostorRecordings[j], impostorRecordings[i]]
+  }
+  return impostorRecordings.slice(0, AUTH_CONFIG.CALIBRATION_IMPOSTOR_SAMPLES)
+}
+
+function synthesizeImpostorProfile(reference: SessionVoiceProfile, random: () => number): SessionVoiceProfile {
+  const spread = AUTH_CONFIG.CALIBRATION_SYNTHETIC_SPREAD
+  const mfccSize = Math.sqrt(
+    reference.mfccMean.reduce((total, coefficient) => total + coefficient * coefficient, 0) / reference.mfccMean.length,
+  )
+
+  const synthetic: Record<string, unknown> = {}
+  for (const [key, value] of Object.entries(reference)) {
+    if (key === "mfccMean") {
+      // Coefficients near zero would barely move when scaled - shift them instead
+      synthetic[key] = reference.mfccMean.map((coefficient) => coefficient + sampleGaussian(random) * spread * mfccSize)
+    } else if (Array.isArray(value)) {
+      synthetic[key] = value.map((element: number) => element * Math.exp(sampleGaussian(random) * spread))
+    } else if (typeof value === "number") {
+      synthetic[key] = value * Math.exp(sampleGaussian(random) * spread)
+    } else {
+      synthetic[key] = value
+    }
+  }
+  return synthetic as unknown as SessionVoiceProfile
+}
+
+/**
+ * Calibrate a new voice profile - needs at least two recordings for a leave-one-out genuine score
+ */
+export async function calibrateVoiceProfile(
+  username: string,
+  features: SessionVoiceProfile[],
+  referenceModel: SessionVoiceProfile,
+  random: () => number = Math.random,
+): Promise<VoiceCalibration> {
+  if (features.length < 2) {
+    throw new Error("Voice calibration needs at least two recordings")
+  }
+
+  const genuineScores = features.map(
+    (recording, index) =>
+      calculateComprehensiveVoiceMatch(
+        recording,
+        calculateAverageFeatures(features.filter((_, otherIndex) => otherIndex !== index)),
+      ).overallSimilarity,
+  )
+
+  const realImpostors = await loadImpostorRecordings(username, random)
+  const syntheticImpostors = Array.from({ length: AUTH_CONFIG.CALIBRATION_IMPOSTOR_SAMPLES - realImpostors.length }, () =>
+    synthesizeImpostorProfile(referenceModel, random),
+  )
+  const impostorScores = [...realImpostors.map((impostor) => impostor.features), ...syntheticImpostors].map(
+    (impostorFeatures) => calculateComprehensiveVoiceMatch(impostorFeatures, referenceModel).overallSimilarity,
+  )
+
+  const method = AUTH_CONFIG.SCORE_CALIBRATION_METHOD as CalibrationMethod
+  return {
+    method,
+    impostors: {
+      users: new Set(realImpostors.map((impostor) => impostor.username)).size,
+      samples: realImpostors.length,
+      synthetic: syntheticImpostors.length,
+    },
+    genuineScores,
+    impostorScores,
+    map: fitScoreCalibration(genuineScores, impostorScores, method),
+  }
+}
+
+// Null for voice profiles registered before calibration
+export function estimateVoiceMatchProbability(calibration: VoiceCalibration | undefined, similarity: number): number | null {
+  return calibration ? applyScoreCalibration(calibration.map, similarity) : null
+}
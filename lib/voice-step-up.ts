@@ -0,0 +1,99 @@
+/**
+ * Voice step-ups waiting for their voice sample
+ * When the policy answers a keystroke attempt with a voice step-up, /api/authenticate opens one here:
+ * a short-lived, single-use token that remembers what that attempt already proved (the passphrase, and
+ * the typing rhythm if it matched). /api/voice/verify only takes a voice sample with that token, so voice
+ * completes a login that started with the passphrase - it never logs anyone in on its own.
+ *
+ * One step-up per user, in models/<user>/voice_step_up.json. Only the token's hash is stored.
+ */
+
+import crypto from "crypto"
+import fs from "fs/promises"
+import path from "path"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import type { AuthModality, SessionScores } from "@/lib/session-tokens"
+
+export interface VoiceStepUp {
+  token: string
+  expiresAt: string
+}
+
+// What the keystroke attempt proved - the session after the voice sample carries it along
+export interface VoiceStepUpGrant {
+  modalities: AuthModality[]
+  scores: SessionScores
+}
+
+interface VoiceStepUpFile extends VoiceStepUpGrant {
+  tokenHash: string
+  expiresAt: string
+}
+
+// Opening and spending are a read-modify-write of one file - run them one at a time so a token works once
+let pendingUpdate: Promise<unknown> = Promise.resolve()
+
+function getStepUpPath(username: string): string {
+  return path.join(process.cwd(), AUTH_CONFIG.KEYSTROKE_MODELS_DIRECTORY, username, AUTH_CONFIG.VOICE_STEP_UP_FILE)
+}
+
+function hashToken(token: string): string {
+  return crypto.createHash("sha256").update(token).digest("base64url")
+}
+
+function serialize<T>(update: () => Promise<T>): Promise<T> {
+  const result = pendingUpdate.then(update)
+  pendingUpdate = result.catch(() => undefined)
+  return result
+}
+
+/**
+ * Remember a keystroke attempt the policy wants confirmed by voice - a newer one replaces it
+ */
+export function openVoiceStepUp(username: string, grant: VoiceStepUpGrant): Promise<VoiceStepUp> {
+  return serialize(async () => {
+    const token = crypto.randomBytes(32).toString("base64url")
+    const expiresAt = new Date(Date.now() + AUTH_CONFIG.VOICE_STEP_UP_TTL_MS).toISOString()
+    const stepUpFile: VoiceStepUpFile = { ...grant, tokenHash: hashToken(token), expiresAt }
+
+    const stepUpPath = getStepUpPath(username)
+    await fs.mkdir(path.dirname(stepUpPath), { recursive: true })
+    const temporaryFilePath = `${stepUpPath}.${process.pid}.tmp`
+    await fs.writeFile(temporaryFilePath, JSON.stringify(stepUpFile, null, 2), { mode: 0o600 })
+    await fs.rename(temporaryFilePath, stepUpPath)
+    return { token, expiresAt }
+  })
+}
+
+/**
+ * Spend the user's pending step-up - what the keystroke attempt proved, or null for a missing, expired or
+ * wrong token. A token is spent by the first voice sample sent with it, whether the voice matches or not
+ */
+export function consumeVoiceStepUp(username: string, token: unknown): Promise<VoiceStepUpGrant | null> {
+  return serialize(async () => {
+    if (typeof token !== "string" || !token) {
+      return null
+    }
+
+    let stepUpFile: VoiceStepUpFile
+    try {
+      stepUpFile = JSON.parse(await fs.readFile(getStepUpPath(username), "utf-8"))
+    } catch {
+      return null
+    }
+
+    const tokenHash = hashToken(token)
+    const matches =
+      tokenHash.length === stepUpFile.tokenHash.length &&
+      crypto.timingSafeEqual(Buffer.from(tokenHash), Buffer.from(stepUpFile.tokenHash))
+    if (!matches) {
+      return null
+    }
+
+    await fs.rm(getStepUpPath(username), { force: true })
+    if (Date.parse(stepUpFile.expiresAt) <= Date.now()) {
+      return null
+    }
+    return { modalities: stepUpFile.modalities, scores: stepUpFile.scores }
+  })
+}
@@ -0,0 +1,459 @@
+/**
+ * WebAuthn passkeys - a step-up and recovery factor next to voice
+ * A user who is logged in can register a passkey (POST /api/webauthn/register). After that the policy
+ * (libs/auth-policy.js) can ask for it as a step-up, and offers it when keystroke and voice both
+ * failed. /api/webauthn/verify checks the assertion and returns a session like the other factors.
+ *
+ * Registration and assertion are verified here with Node's crypto module - no dependencies. Only
+ * what a relying party needs is checked: the challenge, origin, RP ID hash, user presence and
+ * verification flags, the signature and the signature counter. Attestation is not requested
+ * ("none"), so any authenticator is accepted - including the software one in
+ * scripts/webauthn-soft-authenticator.js that tests use.
+ *
+ * Credentials live in models/<user>/passkeys.json, and the one ceremony in progress per user in
+ * models/<user>/passkey_challenge.json, so any route can pick it up.
+ */
+
+import crypto from "crypto"
+import fs from "fs/promises"
+import path from "path"
+import { AUTH_CONFIG } from "@/config/auth-config"
+
+export interface StoredPasskey {
+  credentialId: string // base64url, as the browser reports it
+  publicKeyJwk: crypto.JsonWebKey
+  algorithm: number // COSE algorithm: -7 ES256, -8 EdDSA, -257 RS256
+  signCount: number
+  transports: string[]
+  name: string
+  createdAt: string
+  lastUsedAt: string | null
+}
+
+// PublicKeyCredential as JSON - every binary field base64url-encoded (RuntimeAPI does this in the browser)
+export interface RegistrationCredentialJSON {
+  id: string
+  type: string
+  response: { clientDataJSON: string; attestationObject: string; transports?: string[] }
+}
+
+export interface AuthenticationCredentialJSON {
+  id: string
+  type: string
+  response: { clientDataJSON: string; authenticatorData: string; signature: string; userHandle?: string | null }
+}
+
+export type PasskeyErrorCode =
+  | "NOT_CONFIGURED"
+  | "NO_PASSKEYS"
+  | "CHALLENGE_MISSING"
+  | "CREDENTIAL_MALFORMED"
+  | "REGISTRATION_REJECTED"
+
+export class PasskeyError extends Error {
+  code: PasskeyErrorCode
+
+  constructor(code: PasskeyErrorCode, message: string) {
+    super(message)
+    this.name = "PasskeyError"
+    this.code = code
+  }
+}
+
+type Ceremony = "webauthn.create" | "webauthn.get"
+
+const SUPPORTED_ALGORITHMS = [-7, -8, -257] // Preference order, as offered to the authenticator
+const FLAG_USER_PRESENT = 0x01
+const FLAG_USER_VERIFIED = 0x04
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40
+
+function getUserDirectory(username: string): string {
+  return path.join(process.cwd(), AUTH_CONFIG.KEYSTROKE_MODELS_DIRECTORY, username)
+}
+
+/**
+ * Who the passkeys are for - GHOST_KEY_WEBAUTHN_ORIGIN and GHOST_KEY_WEBAUTHN_RP_ID. Both have to be set:
+ * the request's own origin and Host header are whatever the client sent, so there is no fallback to them
+ */
+export function getRelyingParty(): { id: string; name: string; origin: string } {
+  const configuredOrigin = process.env.GHOST_KEY_WEBAUTHN_ORIGIN
+  const id = process.env.GHOST_KEY_WEBAUTHN_RP_ID
+  if (!configuredOrigin || !id) {
+    throw new PasskeyError("NOT_CONFIGURED", "Passkeys need GHOST_KEY_WEBAUTHN_ORIGIN and GHOST_KEY_WEBAUTHN_RP_ID")
+  }
+
+  let url: URL
+  try {
+    url = new URL(configuredOrigin)
+  } catch {
+    throw new PasskeyError("NOT_CONFIGURED", "GHOST_KEY_WEBAUTHN_ORIGIN is not a valid origin")
+  }
+  // The RP ID has to be the origin's host or a parent domain of it, or no browser will use it
+  if (url.hostname !== id && !url.hostname.endsWith(`.${id}`)) {
+    throw new PasskeyError("NOT_CONFIGURED", `GHOST_KEY_WEBAUTHN_RP_ID ${id} doesn't cover ${url.origin}`)
+  }
+  return { id, name: AUTH_CONFIG.WEBAUTHN_RP_NAME, origin: url.origin }
+}
+
+// The subset of CBOR (RFC 8949) attestation objects and COSE keys use - definite lengths only
+function decodeCbor(buffer: Buffer, offset = 0): { value: unknown; offset: number } {
+  const initialByte = buffer[offset++]
+  if (initialByte === undefined) {
+    throw new PasskeyError("CREDENTIAL_MALFORMED", "CBOR data ends early")
+  }
+  const majorType = initialByte >> 5
+  const additionalInfo = initialByte & 0x1f
+
+  let argument: number
+  if (additionalInfo < 24) {
+    argument = additionalInfo
+  } else if (additionalInfo === 24) {
+    argument = buffer.readUInt8(offset)
+    offset += 1
+  } else if (additionalInfo === 25) {
+    argument = buffer.readUInt16BE(offset)
+    offset += 2
+  } else if (additionalInfo === 26) {
+    argument = buffer.readUInt32BE(offset)
+    offset += 4
+  } else if (additionalInfo === 27) {
+    argument = Number(buffer.readBigUInt64BE(offset))
+    offset += 8
+  } else {
+    throw new PasskeyError("CREDENTIAL_MALFORMED", "Indefinite-length CBOR is not supported")
+  }
+
+  switch (majorType) {
+    case 0:
+      return { value: argument, offset }
+    case 1:
+      return { value: -1 - argument, offset }
+    case 2:
+      return { value: buffer.subarray(offset, offset + argument), offset: offset + argument }
+    case 3:
+      return { value: buffer.toString("utf-8", offset, offset + argument), offset: offset + argument }
+    case 4: {
+      const items: unknown[] = []
+      for (let i = 0; i < argument; i++) {
+        const item = decodeCbor(buffer, offset)
+        items.push(item.value)
+        offset = item.offset
+      }
+      return { value: items, offset }
+    }
+    case 5: {
+      const entries = new Map<unknown, unknown>()
+      for (let i = 0; i < argument; i++) {
+        const key = decodeCbor(buffer, offset)
+        const value = decodeCbor(buffer, key.offset)
+        entries.set(key.value, value.value)
+        offset = value.offset
+      }
+      return { value: entries, offset }
+    }
+    case 6:
+      return decodeCbor(buffer, offset) // Tags only annotate - the tagged value is what counts
+    default:
+      // Simple values - false, true, null, undefined
+      return { value: ({ 20: false, 21: true, 22: null } as Record<number, unknown>)[argument], offset }
+  }
+}
+
+function parseAuthenticatorData(authenticatorData: Buffer) {
+  if (authenticatorData.length < 37) {
+    throw new PasskeyError("CREDENTIAL_MALFORMED", "Authenticator data is too short")
+  }
+  const flags = authenticatorData[32]
+  const parsed = {
+    rpIdHash: authenticatorData.subarray(0, 32),
+    userPresent: (flags & FLAG_USER_PRESENT) !== 0,
+    userVerified: (flags & FLAG_USER_VERIFIED) !== 0,
+    signCount: authenticatorData.readUInt32BE(33),
+    credentialId: null as Buffer | null,
+    credentialPublicKey: null as Map<unknown, unknown> | null,
+  }
+
+  if (flags & FLAG_ATTESTED_CREDENTIAL_DATA) {
+    // 16-byte AAGUID, 2-byte length, the credential id, then the COSE public key
+    const credentialIdLength = authenticatorData.readUInt16BE(53)
+    parsed.credentialId = authenticatorData.subarray(55, 55 + credentialIdLength)
+    parsed.credentialPublicKey = decodeCbor(authenticatorData, 55 + credentialIdLength).value as Map<unknown, unknown>
+  }
+  return parsed
+}
+
+// COSE_Key (RFC 9053) to a JWK Node can import
+function coseKeyToJwk(coseKey: Map<unknown, unknown>): { jwk: crypto.JsonWebKey; algorithm: number } {
+  const keyType = coseKey.get(1)
+  const algorithm = coseKey.get(3) as number
+  const encode = (label: number) => (coseKey.get(label) as Buffer).toString("base64url")
+
+  if (keyType === 2 && algorithm === -7 && coseKey.get(-1) === 1) {
+    return { jwk: { kty: "EC", crv: "P-256", x: encode(-2), y: encode(-3) }, algorithm }
+  }
+  if (keyType === 1 && algorithm === -8 && coseKey.get(-1) === 6) {
+    return { jwk: { kty: "OKP", crv: "Ed25519", x: encode(-2) }, algorithm }
+  }
+  if (keyType === 3 && algorithm === -257) {
+    return { jwk: { kty: "RSA", n: encode(-1), e: encode(-2) }, algorithm }
+  }
+  throw new PasskeyError("REGISTRATION_REJECTED", `Unsupported public key (kty ${keyType}, alg ${algorithm})`)
+}
+
+function verifySignature(passkey: StoredPasskey, data: Buffer, signature: Buffer): boolean {
+  const publicKey = crypto.createPublicKey({ key: passkey.publicKeyJwk, format: "jwk" })
+  // ES256 signatures arrive DER-encoded, which is what Node expects by default
+  return crypto.verify(passkey.algorithm === -8 ? null : "sha256", data, publicKey, signature)
+}
+
+function sha256(data: string | Buffer): Buffer {
+  return crypto.createHash("sha256").update(data).digest()
+}
+
+/**
+ * What the browser signed over - the ceremony type, the challenge and the page's origin have to match
+ * Returns why not, or null when they do
+ */
+function checkClientData(
+  clientData: { type?: string; challenge?: string; origin?: string; crossOrigin?: boolean },
+  ceremony: Ceremony,
+  expectedChallenge: string,
+  expectedOrigin: string,
+): string | null {
+  if (clientData.type !== ceremony) {
+    return `Expected a ${ceremony} response, got ${clientData.type}`
+  }
+  if (clientData.challenge !== expectedChallenge) {
+    return "Challenge does not match - the response is stale or replayed"
+  }
+  if (clientData.origin !== expectedOrigin || clientData.crossOrigin) {
+    return `Signed for ${clientData.origin} instead of ${expectedOrigin}`
+  }
+  return null
+}
+
+function parseClientData(encodedClientData: string) {
+  try {
+    return JSON.parse(Buffer.from(encodedClientData, "base64url").toString("utf-8"))
+  } catch {
+    throw new PasskeyError("CREDENTIAL_MALFORMED", "clientDataJSON is not valid JSON")
+  }
+}
+
+export async function loadPasskeys(username: string): Promise<StoredPasskey[]> {
+  try {
+    return JSON.parse(
+      await fs.readFile(path.join(getUserDirectory(username), AUTH_CONFIG.WEBAUTHN_CREDENTIALS_FILE), "utf-8"),
+    )
+  } catch {
+    return []
+  }
+}
+
+export async function hasPasskeys(username: string): Promise<boolean> {
+  return (await loadPasskeys(username)).length > 0
+}
+
+async function savePasskeys(username: string, passkeys: StoredPasskey[]): Promise<void> {
+  const filePath = path.join(getUserDirectory(username), AUTH_CONFIG.WEBAUTHN_CREDENTIALS_FILE)
+  const temporaryFilePath = `${filePath}.${process.pid}.tmp`
+  await fs.mkdir(path.dirname(filePath), { recursive: true })
+  await fs.writeFile(temporaryFilePath, JSON.stringify(passkeys, null, 2))
+  await fs.rename(temporaryFilePath, filePath)
+}
+
+// A new challenge replaces the user's previous one - only the latest prompt can be answered
+async function issueChallenge(username: string, ceremony: Ceremony): Promise<string> {
+  const challenge = crypto.randomBytes(32).toString("base64url")
+  await fs.mkdir(getUserDirectory(username), { recursive: true })
+  await fs.writeFile(
+    path.join(getUserDirectory(username), AUTH_CONFIG.WEBAUTHN_CHALLENGE_FILE),
+    JSON.stringify({ challenge, ceremony, expiresAt: Date.now() + AUTH_CONFIG.WEBAUTHN_TIMEOUT_MS }),
+  )
+  return challenge
+}
+
+// Each challenge is answered once - it is deleted whether or not the response checks out
+async function consumeChallenge(username: string, ceremony: Ceremony): Promise<string> {
+  const challengePath = path.join(getUserDirectory(username), AUTH_CONFIG.WEBAUTHN_CHALLENGE_FILE)
+  let stored: { challenge: string; ceremony: Ceremony; expiresAt: number }
+  try {
+    stored = JSON.parse(await fs.readFile(challengePath, "utf-8"))
+    await fs.unlink(challengePath)
+  } catch {
+    throw new PasskeyError("CHALLENGE_MISSING", "No passkey prompt in progress - request the options first")
+  }
+
+  if (stored.ceremony !== ceremony || stored.expiresAt <= Date.now()) {
+    throw new PasskeyError("CHALLENGE_MISSING", "The passkey prompt expired - request the options again")
+  }
+  return stored.challenge
+}
+
+/**
+ * PublicKeyCredentialCreationOptions for navigator.credentials.create, binary fields base64url-encoded
+ */
+export async function createRegistrationOptions(username: string) {
+  const relyingParty = getRelyingParty()
+  const passkeys = await loadPasskeys(username)
+
+  return {
+    challenge: await issueChallenge(username, "webauthn.create"),
+    rp: { id: relyingParty.id, name: relyingParty.name },
+    // An opaque, stable handle - the username itself doesn't need to sit on the authenticator's user id
+    user: { id: sha256(`ghost-key:${username}`).toString("base64url"), name: username, displayName: username },
+    pubKeyCredParams: SUPPORTED_ALGORITHMS.map((alg) => ({ type: "public-key", alg })),
+    timeout: AUTH_CONFIG.WEBAUTHN_TIMEOUT_MS,
+    attestation: "none",
+    authenticatorSelection: { residentKey: "preferred", userVerification: "required" },
+    // Don't register the same authenticator twice
+    excludeCredentials: passkeys.map((passkey) => ({
+      type: "public-key",
+      id: passkey.credentialId,
+      transports: passkey.transports,
+    })),
+  }
+}
+
+/**
+ * Check navigator.credentials.create's response and store the new passkey
+ */
+export async function verifyRegistration(
+  username: string,
+  credential: RegistrationCredentialJSON,
+  name?: string,
+): Promise<StoredPasskey> {
+  const relyingParty = getRelyingParty()
+  const expectedChallenge = await consumeChallenge(username, "webauthn.create")
+  if (!credential?.response?.clientDataJSON || !credential.response.attestationObject) {
+    throw new PasskeyError("CREDENTIAL_MALFORMED", "clientDataJSON and attestationObject are required")
+  }
+
+  const clientDataProblem = checkClientData(
+    parseClientData(credential.response.clientDataJSON),
+    "webauthn.create",
+    expectedChallenge,
+    relyingParty.origin,
+  )
+  if (clientDataProblem) {
+    throw new PasskeyError("REGISTRATION_REJECTED", clientDataProblem)
+  }
+
+  // Attestation isn't requested, so only the authenticator data in it matters
+  const attestationObject = decodeCbor(Buffer.from(credential.response.attestationObject, "base64url")).value
+  const authenticatorData = attestationObject instanceof Map ? attestationObject.get("authData") : null
+  if (!Buffer.isBuffer(authenticatorData)) {
+    throw new PasskeyError("CREDENTIAL_MALFORMED", "attestationObject has no authenticator data")
+  }
+  const parsed = parseAuthenticatorData(authenticatorData)
+
+  if (!parsed.rpIdHash.equals(sha256(relyingParty.id))) {
+    throw new PasskeyError("REGISTRATION_REJECTED", `Passkey was created for another site than ${relyingParty.id}`)
+  }
+  if (!parsed.userPresent || !parsed.userVerified) {
+    throw new PasskeyError("REGISTRATION_REJECTED", "The authenticator did not verify the user (PIN or biometric)")
+  }
+  if (!parsed.credentialId || !parsed.credentialPublicKey) {
+    throw new PasskeyError("CREDENTIAL_MALFORMED", "Authenticator data carries no credential")
+  }
+
+  const credentialId = parsed.credentialId.toString("base64url")
+  const passkeys = await loadPasskeys(username)
+  if (passkeys.some((passkey) => passkey.credentialId === credentialId)) {
+    throw new PasskeyError("REGISTRATION_REJECTED", "This passkey is already registered")
+  }
+
+  const { jwk, algorithm } = coseKeyToJwk(parsed.credentialPublicKey)
+  const passkey: StoredPasskey = {
+    credentialId,
+    publicKeyJwk: jwk,
+    algorithm,
+    signCount: parsed.signCount,
+    transports: credential.response.transports ?? [],
+    name: name?.trim() || `Passkey ${passkeys.length + 1}`,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+  }
+  await savePasskeys(username, [...passkeys, passkey])
+  console.log(`Registered passkey ${passkey.name} for ${username}`)
+  return passkey
+}
+
+/**
+ * PublicKeyCredentialRequestOptions for navigator.credentials.get
+ */
+export async function createAuthenticationOptions(username: string) {
+  const relyingParty = getRelyingParty()
+  const passkeys = await loadPasskeys(username)
+  if (passkeys.length === 0) {
+    throw new PasskeyError("NO_PASSKEYS", "No passkey registered for this user")
+  }
+
+  return {
+    challenge: await issueChallenge(username, "webauthn.get"),
+    rpId: relyingParty.id,
+    timeout: AUTH_CONFIG.WEBAUTHN_TIMEOUT_MS,
+    userVerification: "required",
+    allowCredentials: passkeys.map((passkey) => ({
+      type: "public-key",
+      id: passkey.credentialId,
+      transports: passkey.transports,
+    })),
+  }
+}
+
+/**
+ * Check navigator.credentials.get's response against the user's passkeys
+ * A response that parses but doesn't check out is a failed attempt ({ verified: false }) - the caller
+ * counts it like a voice mismatch. Only requests that never got that far throw
+ */
+export async function verifyAuthentication(
+  username: string,
+  credential: AuthenticationCredentialJSON,
+): Promise<{ verified: boolean; reason: string; passkey: StoredPasskey | null }> {
+  const relyingParty = getRelyingParty()
+  const expectedChallenge = await consumeChallenge(username, "webauthn.get")
+  if (!credential?.response?.clientDataJSON || !credential.response.authenticatorData || !credential.response.signature) {
+    throw new PasskeyError("CREDENTIAL_MALFORMED", "clientDataJSON, authenticatorData and signature are required")
+  }
+
+  const passkeys = await loadPasskeys(username)
+  const passkey = passkeys.find((candidate) => candidate.credentialId === credential.id)
+  if (!passkey) {
+    return { verified: false, reason: "Unknown passkey for this user", passkey: null }
+  }
+
+  const clientDataProblem = checkClientData(
+    parseClientData(credential.response.clientDataJSON),
+    "webauthn.get",
+    expectedChallenge,
+    relyingParty.origin,
+  )
+  if (clientDataProblem) {
+    return { verified: false, reason: clientDataProblem, passkey }
+  }
+
+  const authenticatorData = Buffer.from(credential.response.authenticatorData, "base64url")
+  const parsed = parseAuthenticatorData(authenticatorData)
+  if (!parsed.rpIdHash.equals(sha256(relyingParty.id))) {
+    return { verified: false, reason: `Signed for another site than ${relyingParty.id}`, passkey }
+  }
+  if (!parsed.userPresent || !parsed.userVerified) {
+    return { verified: false, reason: "The authenticator did not verify the user (PIN or biometric)", passkey }
+  }
+
+  const signedData = Buffer.concat([authenticatorData, sha256(Buffer.from(credential.response.clientDataJSON, "base64url"))])
+  if (!verifySignature(passkey, signedData, Buffer.from(credential.response.signature, "base64url"))) {
+    return { verified: false, reason: "Passkey signature does not verify", passkey }
+  }
+
+  // Authenticators that count must count up - a repeat means the key was cloned. Synced passkeys report 0
+  if ((parsed.signCount !== 0 || passkey.signCount !== 0) && parsed.signCount <= passkey.signCount) {
+    return { verified: false, reason: "Signature counter went backwards - possible cloned authenticator", passkey }
+  }
+
+  passkey.signCount = parsed.signCount
+  passkey.lastUsedAt = new Date().toISOString()
+  await savePasskeys(username, passkeys)
+  return { verified: true, reason: `Passkey ${passkey.name} verified`, passkey }
+}
@@ -0,0 +1,98 @@
+// Type declarations for the shared risk-based authentication policy (libs/auth-policy.js)
+
+export type PolicyAction = "allow" | "step-up" | "deny" | "lock"
+export type StepUpMethod = "voice" | "fusion" | "passkey"
+export type RecoveryFactor = "passkey"
+
+export interface PolicyConditions {
+  knowledge?: boolean
+  authenticated?: boolean
+  matchProbabilityAtLeast?: number
+  matchProbabilityBelow?: number
+  recentFailuresAtLeast?: number
+  newIp?: boolean
+  newUserAgent?: boolean
+  outsideUsualHours?: boolean
+  hasPasskey?: boolean
+}
+
+export interface PolicyRule {
+  name: string
+  when: PolicyConditions
+  action: PolicyAction
+  stepUp?: StepUpMethod // Required for step-up rules
+  reason: string
+}
+
+export interface AuthPolicy {
+  failureWindowMinutes: number
+  usualHours?: { start: number; end: number }
+  recoveryFactor?: RecoveryFactor // Offered after a failed step-up
+  rules: PolicyRule[]
+  defaultAction: PolicyAction
+  defaultReason: string
+}
+
+export interface PolicyHistoryEvent {
+  timestamp: string
+  result: "Pass" | "Fail" | "Unlock" // Unlock - an admin ended the failure streak
+  ip?: string | null
+  userAgent?: string | null
+}
+
+export interface PolicyAttempt {
+  knowledge?: boolean | null
+  authenticated: boolean
+  matchProbability?: number | null
+  ip?: string | null
+  userAgent?: string | null
+  hasPasskey?: boolean
+}
+
+export interface PolicySignals {
+  knowledge: boolean | null
+  authenticated: boolean
+  matchProbability: number | null
+  recentFailures: number
+  newIp: boolean
+  newUserAgent: boolean
+  hour: number
+  outsideUsualHours: boolean
+  hasPasskey: boolean
+}
+
+export interface PolicyDecision {
+  action: PolicyAction
+  group: string | null
+  rule: string | null // null when the default action decided
+  reason: string
+  stepUp: StepUpMethod | null
+  recovery: RecoveryFactor | null // Set when a step-up failed and the user can still try this
+  signals: PolicySignals
+}
+
+export declare const POLICY_ACTIONS: PolicyAction[]
+export declare const POLICY_CONDITIONS: (keyof PolicyConditions)[]
+export declare const STEP_UP_METHODS: StepUpMethod[]
+export declare const RECOVERY_FACTORS: RecoveryFactor[]
+export declare const POLICY_HISTORY_LIMIT: number
+export declare const DEFAULT_POLICY_GROUP: string
+export declare const POLICY_GROUPS: Record<string, AuthPolicy>
+
+export declare function validatePolicy(policy: AuthPolicy): AuthPolicy
+export declare function resolvePolicy(
+  group: string | null | undefined,
+  groups?: Record<string, AuthPolicy>,
+): { group: string; policy: AuthPolicy }
+export declare function summarizeSignals(
+  policy: AuthPolicy,
+  attempt: PolicyAttempt,
+  history: PolicyHistoryEvent[],
+  now?: Date,
+): PolicySignals
+export declare function evaluatePolicy(
+  policy: AuthPolicy,
+  attempt: PolicyAttempt,
+  history?: PolicyHistoryEvent[],
+  options?: { now?: Date; group?: string | null; stepUpCompleted?: boolean },
+): PolicyDecision
@@ -0,0 +1,207 @@
+// Type declarations for the shared keystroke autoencoder (libs/autoencoder.js)
+
+import type { FeatureLayout } from "./keystroke-features"
+
+export interface NormalizationParams {
+  min: number[]
+  max: number[]
+}
+
+export interface SerializedAutoencoder {
+  inputSize: number
+  hiddenSize: number
+  bottleneckSize: number
+  weights1: number[][]
+  weights2: number[][]
+  weights3: number[][]
+  biases1: number[]
+  biases2: number[]
+  biases3: number[]
+}
+
+export interface AutoencoderTrainingStats {
+  samples: number
+  augmentedSamples: number
+  reconstructionErrors: number[]
+  meanError: number
+  maxError: number
+  minError: number
+  calculatedThreshold: number
+  finalThreshold: number
+  finalLoss: number // Training loss at the epoch whose weights were kept
+  finalLosses: number[]
+  // Models trained before early stopping don't carry these
+  validationSamples?: number
+  validationErrors?: number[]
+  thresholdSource?: "validation" | "training"
+  trainingLosses?: number[] // One per epoch
+  validationLosses?: number[] // One per epoch, empty when nothing was held out
+  bestEpoch?: number
+  epochsRun?: number
+  stoppedEarly?: boolean
+  featureDistribution?: FeatureDistribution // Missing on models trained before per-feature breakdowns
+}
+
+export interface FeatureDistribution {
+  mean: number[]
+  std: number[]
+}
+
+export interface TrainedAutoencoderModel {
+  formatVersion: number
+  modelType: "autoencoder"
+  inputDim: number
+  featureLayout: FeatureLayout
+  normalizationParams: NormalizationParams
+  threshold: number
+  autoencoder: SerializedAutoencoder
+  trainingStats: AutoencoderTrainingStats
+  createdAt: string
+}
+
+export interface TrainingOptions {
+  epochs?: number
+  learningRate?: number
+  batchSize?: number
+  validationSplit?: number // Share of original samples held out - 0 trains on everything
+  patience?: number
+  hiddenSize?: number
+  bottleneckSize?: number
+  noiseLevel?: number
+  augmentationMultiplier?: number
+  minimumThreshold?: number
+  minimumSamples?: number
+  random?: () => number
+  featureLayout?: FeatureLayout // Inferred from the sample length when left out
+  onEpochEnd?: (progress: EpochProgress) => void
+}
+
+export interface EpochProgress {
+  epoch: number // 1-based
+  epochs: number // Upper bound - early stopping can end the run sooner
+  trainingLoss: number
+  validationLoss: number | null
+}
+
+export interface KeystrokeAuthenticationResult {
+  success: boolean
+  authenticated: boolean
+  reconstructionError: number
+  threshold: number
+  confidence: number
+  deviations: number[] // Squared reconstruction error of each feature - their mean is reconstructionError
+  modelType: "autoencoder"
+}
+
+export interface NetworkTrainingOptions {
+  epochs?: number // Upper bound when validation data is given
+  learningRate?: number
+  batchSize?: number
+  validationData?: number[][]
+  patience?: number
+  minDelta?: number
+  onEpochEnd?: (progress: EpochProgress) => void
+}
+
+export interface NetworkTrainingRun {
+  trainingLosses: number[]
+  validationLosses: number[]
+  bestEpoch: number
+  epochsRun: number
+  stoppedEarly: boolean
+}
+
+export declare class SimpleAutoencoder {
+  constructor(inputFeatureCount: number, hiddenLayerSize?: number, compressionSize?: number, random?: () => number)
+  predict(inputFeatures: number[]): number[]
+  trainNetwork(trainingData: number[][], options?: NetworkTrainingOptions): NetworkTrainingRun
+  serialize(): SerializedAutoencoder
+  static deserialize(serializedData: SerializedAutoencoder): SimpleAutoencoder
+}
+
+export declare const BIOMETRIC_AUTH_CONFIG: {
+  REQUIRED_PASSWORD_LENGTH: number
+  MINIMUM_TRAINING_SAMPLES: number
+  DATA_AUGMENTATION_NOISE: number
+  SAMPLE_AUGMENTATION_MULTIPLIER: number
+  DEFAULT_AUTH_THRESHOLD: number
+  HIDDEN_LAYER_SIZE: number
+  BOTTLENECK_SIZE: number
+  TRAINING_EPOCHS: number
+  LEARNING_RATE: number
+  BATCH_SIZE: number
+  ADAM_BETA1: number
+  ADAM_BETA2: number
+  ADAM_EPSILON: number
+  VALIDATION_SPLIT: number
+  EARLY_STOPPING_PATIENCE: number
+  EARLY_STOPPING_MIN_DELTA: number
+  MODEL_FORMAT_VERSION: number
+}
+
+export declare function createSeededRandom(seed: number): () => number
+export declare function normalizeKeystrokeFeatures(
+  featureArrays: number[][],
+): { normalized: number[][]; min: number[]; max: number[] }
+export declare function applyNormalization(featureSample: number[], normalizationParams: NormalizationParams): number[]
+export declare function computeReconstructionError(originalSample: number[], reconstructedSample: number[]): number
+export declare function computeFeatureErrors(originalSample: number[], reconstructedSample: number[]): number[]
+export declare function computeFeatureDistribution(samples: number[][]): FeatureDistribution
+export declare function addRealisticNoise(
+  originalSample: number[],
+  noiseIntensity?: number,
+  random?: () => number,
+): number[]
+export interface PreparedTrainingData {
+  trainingSet: number[][]
+  validationSet: number[][]
+  augmentedDataset: number[][]
+  normalized: number[][]
+  normalizedValidationSet: number[][]
+  normalizationParams: NormalizationParams
+}
+
+export interface ErrorThreshold {
+  thresholdSource: "validation" | "training"
+  calculatedThreshold: number
+  finalThreshold: number
+}
+
+export declare function splitValidationSamples(
+  samples: number[][],
+  validationSplit: number,
+  random?: () => number,
+): { trainingSet: number[][]; validationSet: number[][] }
+export declare function resolveTrainingLayout(
+  trainingSamples: number[][],
+  featureLayout?: FeatureLayout | null,
+  minimumSamples?: number,
+): FeatureLayout
+export declare function prepareTrainingData(
+  trainingSamples: number[][],
+  options?: Pick<TrainingOptions, "noiseLevel" | "augmentationMultiplier" | "validationSplit" | "random">,
+): PreparedTrainingData
+export declare function selectErrorThreshold(
+  validationErrors: number[],
+  trainingErrors: number[],
+  minimumThreshold?: number,
+): ErrorThreshold
+export declare function buildTrainingStats(
+  preparedData: PreparedTrainingData,
+  errors: { reconstructionErrors: number[]; validationErrors: number[] },
+  threshold: ErrorThreshold,
+  trainingRun: NetworkTrainingRun,
+): AutoencoderTrainingStats
+export declare function scoreReconstruction(
+  normalizedInputFeatures: number[],
+  reconstructedFeatures: number[],
+  trainedModelData: { threshold: number; trainingStats?: Partial<AutoencoderTrainingStats> },
+): Omit<KeystrokeAuthenticationResult, "modelType">
+export declare function trainKeystrokeBiometricModel(
+  trainingSamples: number[][],
+  options?: TrainingOptions,
+): TrainedAutoencoderModel
+export declare function authenticateKeystrokePattern(
+  inputFeatures: number[],
+  trainedModelData: any,
+): KeystrokeAuthenticationResult
@@ -1,33 +1,79 @@
 /**
- * SimpleAutoencoder for Ghost Key Universal Extension
- * Ported from the main Ghost Key project's API routes for compatibility
- * Implements neural network autoencoder for keystroke biometric authentication
- * 
- * This is essentially the same autoencoder we use on the server-side, but adapted
- * for client-side execution in browser extensions or standalone applications
+ * SimpleAutoencoder - the single keystroke autoencoder shared by every Ghost Key runtime
+ * Used by the Next.js API routes (server), the browser extension popup and its background worker
+ *
+ * This file is the source of truth. EXTENSIONN/libs/autoencoder.js is a byte-for-byte copy
+ * because the extension is loaded unpacked from its own folder - run `npm run sync:extension-libs`
+ * after editing this file.
+ *
+ * Written as a plain script so it works as a CommonJS module (Next.js / Node),
+ * a classic <script> tag (popup) and a side-effect import (module service worker)
  */
 
-// Authentication configuration constants - mirrors server-side settings
+// Feature layouts live in their own file - load libs/keystroke-features.js first in the extension
+const AutoencoderFeatures = typeof module !== 'undefined' && module.exports
+  ? require('./keystroke-features.js')
+  : globalThis.GhostKeyFeatures;
+
+// Authentication configuration constants - mirrors config/auth-config.ts
 const BIOMETRIC_AUTH_CONFIG = {
   REQUIRED_PASSWORD_LENGTH: 8,        // Minimum password length for good biometric signal
   MINIMUM_TRAINING_SAMPLES: 5,        // Need at least 5 samples for reliable training
   DATA_AUGMENTATION_NOISE: 0.1,       // 10% noise level for synthetic sample generation
   SAMPLE_AUGMENTATION_MULTIPLIER: 3,  // Create 3x more samples through augmentation
-  DEFAULT_AUTH_THRESHOLD: 0.03        // Base threshold for authentication decisions
+  DEFAULT_AUTH_THRESHOLD: 0.03,       // Base threshold for authentication decisions
+  HIDDEN_LAYER_SIZE: 16,
+  BOTTLENECK_SIZE: 8,
+  TRAINING_EPOCHS: 300,               // Upper bound - early stopping usually ends training well before this
+  LEARNING_RATE: 0.005,               // Adam step size
+  BATCH_SIZE: 8,
+  ADAM_BETA1: 0.9,
+  ADAM_BETA2: 0.999,
+  ADAM_EPSILON: 1e-8,
+  VALIDATION_SPLIT: 0.2,              // Share of original samples held out for early stopping and the threshold
+  EARLY_STOPPING_PATIENCE: 25,        // Epochs without validation improvement before training stops
+  EARLY_STOPPING_MIN_DELTA: 1e-6,     // Smaller validation improvements don't count
+  MODEL_FORMAT_VERSION: 4             // Bump together with a migration in libs/model-format.js
 };
 
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * Passing one of these as `random` makes training reproducible across runtimes,
+ * so a model trained in the extension scores identically on the server
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function seededRandom() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Trainable weight matrices and bias vectors, in the order the optimizer walks them
+const AUTOENCODER_PARAMETERS = [
+  'encoderWeights',
+  'encoderBiases',
+  'bottleneckWeights',
+  'bottleneckBiases',
+  'decoderWeights',
+  'decoderBiases'
+];
+
 /**
  * Simple autoencoder neural network implementation
- * Ported directly from the main Ghost Key project for consistency
- * 
- * Architecture: Input -> Hidden Layer (ReLU) -> Bottleneck (ReLU) -> Output (Linear)
- * This creates a compressed representation that can detect typing pattern anomalies
+ *
+ * Architecture: Input -> Hidden Layer (ReLU) -> Bottleneck (ReLU) -> Output (Sigmoid)
+ * Inputs are min/max normalized to [0, 1], so the sigmoid output matches the input range
  */
 class SimpleAutoencoder {
-  constructor(inputFeatureCount, hiddenLayerSize = 16, compressionSize = 8) {
+  constructor(inputFeatureCount, hiddenLayerSize = 16, compressionSize = 8, random = Math.random) {
     this.inputFeatureCount = inputFeatureCount;
     this.hiddenLayerSize = hiddenLayerSize;
     this.compressionSize = compressionSize;
+    this.random = random;
 
     // Initialize neural network weights using Xavier initialization for better training
     this.encoderWeights = this.initializeWeightMatrix(inputFeatureCount, hiddenLayerSize);
@@ -35,9 +81,9 @@ class SimpleAutoencoder {
     this.decoderWeights = this.initializeWeightMatrix(compressionSize, inputFeatureCount);
 
     // Initialize biases with small random values
-    this.encoderBiases = new Array(hiddenLayerSize).fill(0).map(() => Math.random() * 0.1 - 0.05);
-    this.bottleneckBiases = new Array(compressionSize).fill(0).map(() => Math.random() * 0.1 - 0.05);
-    this.decoderBiases = new Array(inputFeatureCount).fill(0).map(() => Math.random() * 0.1 - 0.05);
+    this.encoderBiases = new Array(hiddenLayerSize).fill(0).map(() => this.random() * 0.1 - 0.05);
+    this.bottleneckBiases = new Array(compressionSize).fill(0).map(() => this.random() * 0.1 - 0.05);
+    this.decoderBiases = new Array(inputFeatureCount).fill(0).map(() => this.random() * 0.1 - 0.05);
   }
 
   // Xavier/Glorot weight initialization - helps with gradient flow during training
@@ -47,7 +93,7 @@ class SimpleAutoencoder {
     for (let i = 0; i < inputSize; i++) {
       weightMatrix[i] = [];
       for (let j = 0; j < outputSize; j++) {
-        weightMatrix[i][j] = Math.random() * 2 * initializationScale - initializationScale;
+        weightMatrix[i][j] = (this.random() * 2 - 1) * initializationScale;
       }
     }
     return weightMatrix;
@@ -58,7 +104,12 @@ class SimpleAutoencoder {
     return Math.max(0, x);
   }
 
-  // Forward pass through the autoencoder network
+  // Sigmoid activation for the output layer - clamped to prevent numerical overflow
+  sigmoidActivation(x) {
+    return 1 / (1 + Math.exp(-Math.max(-500, Math.min(500, x))));
+  }
+
+  // Forward pass through the autoencoder network, keeping intermediate activations for backprop
   forwardPass(inputFeatures) {
     // Layer 1: Input to hidden layer (encoding)
     const hiddenLayerOutput = new Array(this.hiddenLayerSize);
@@ -87,95 +138,245 @@ class SimpleAutoencoder {
       for (let i = 0; i < this.compressionSize; i++) {
         weightedSum += bottleneckOutput[i] * this.decoderWeights[i][j];
       }
-      reconstructedOutput[j] = weightedSum; // Linear activation for output layer
+      reconstructedOutput[j] = this.sigmoidActivation(weightedSum);
     }
 
-    return reconstructedOutput;
+    return { hiddenOutput: hiddenLayerOutput, bottleneckOutput, finalOutput: reconstructedOutput };
   }
 
-  // Prediction method for inference - just calls forward pass
+  // Prediction method for inference
   predict(inputFeatures) {
-    return this.forwardPass(inputFeatures);
+    return this.forwardPass(inputFeatures).finalOutput;
   }
 
-  // Main training loop - implements gradient descent with data shuffling
-  trainNetwork(trainingData, epochs = 200, learningRate = 0.01) {
+  /**
+   * Main training loop - mini-batch Adam with early stopping on a held-out validation set
+   *
+   * Options (all optional): epochs (upper bound), learningRate, batchSize, validationData,
+   * patience (epochs without validation improvement before stopping), minDelta,
+   * onEpochEnd({ epoch, epochs, trainingLoss, validationLoss }) for progress reporting
+   *
+   * Without validation data every epoch runs and the final weights are kept; with it the
+   * weights from the best validation epoch are restored before returning
+   */
+  trainNetwork(trainingData, options = {}) {
+    const {
+      epochs = BIOMETRIC_AUTH_CONFIG.TRAINING_EPOCHS,
+      learningRate = BIOMETRIC_AUTH_CONFIG.LEARNING_RATE,
+      batchSize = BIOMETRIC_AUTH_CONFIG.BATCH_SIZE,
+      validationData = [],
+      patience = BIOMETRIC_AUTH_CONFIG.EARLY_STOPPING_PATIENCE,
+      minDelta = BIOMETRIC_AUTH_CONFIG.EARLY_STOPPING_MIN_DELTA,
+      onEpochEnd = null
+    } = options;
+
     const trainingLosses = [];
-    console.log(`Training autoencoder with ${trainingData.length} samples for ${epochs} epochs...`);
+    const validationLosses = [];
+    const optimizerState = this.createOptimizerState();
+    let bestValidationLoss = Infinity;
+    let bestEpoch = epochs;
+    let bestParameters = null;
+    let epochsWithoutImprovement = 0;
+    let stoppedEarly = false;
 
     for (let currentEpoch = 0; currentEpoch < epochs; currentEpoch++) {
       let epochTotalLoss = 0;
 
-      // Shuffle data each epoch for better training
-      const shuffledData = [...trainingData].sort(() => Math.random() - 0.5);
+      // Fisher-Yates shuffle driven by our random source so seeded runs stay reproducible
+      const shuffledData = [...trainingData];
+      for (let i = shuffledData.length - 1; i > 0; i--) {
+        const j = Math.floor(this.random() * (i + 1));
+        const swappedSample = shuffledData[i];
+        shuffledData[i] = shuffledData[j];
+        shuffledData[j] = swappedSample;
+      }
 
-      for (const trainingSample of shuffledData) {
-        // Forward pass to get reconstruction
-        const reconstructedSample = this.forwardPass(trainingSample);
+      for (let batchStart = 0; batchStart < shuffledData.length; batchStart += batchSize) {
+        const batch = shuffledData.slice(batchStart, batchStart + batchSize);
+        const batchGradients = this.createZeroParameters();
 
-        // Calculate reconstruction error (mean squared error)
-        let sampleLoss = 0;
-        for (let i = 0; i < trainingSample.length; i++) {
-          const reconstructionError = trainingSample[i] - reconstructedSample[i];
-          sampleLoss += reconstructionError * reconstructionError;
+        for (const trainingSample of batch) {
+          const activations = this.forwardPass(trainingSample);
+          epochTotalLoss += computeReconstructionError(trainingSample, activations.finalOutput);
+          this.accumulateGradients(batchGradients, trainingSample, activations);
         }
-        sampleLoss /= trainingSample.length;
-        epochTotalLoss += sampleLoss;
 
-        // Backward pass - update weights based on reconstruction error
-        this.performBackpropagation(trainingSample, reconstructedSample, learningRate);
+        this.applyAdamUpdate(batchGradients, batch.length, optimizerState, learningRate);
       }
 
       const averageEpochLoss = epochTotalLoss / shuffledData.length;
       trainingLosses.push(averageEpochLoss);
 
+      if (validationData.length > 0) {
+        const validationLoss = validationData.reduce(
+          (total, sample) => total + computeReconstructionError(sample, this.predict(sample)),
+          0
+        ) / validationData.length;
+        validationLosses.push(validationLoss);
+
+        if (validationLoss < bestValidationLoss - minDelta) {
+          bestValidationLoss = validationLoss;
+          bestEpoch = currentEpoch + 1;
+          bestParameters = this.copyParameters();
+          epochsWithoutImprovement = 0;
+        } else if (++epochsWithoutImprovement >= patience) {
+          stoppedEarly = true;
+        }
+      }
+
+      if (onEpochEnd) {
+        onEpochEnd({
+          epoch: currentEpoch + 1,
+          epochs,
+          trainingLoss: averageEpochLoss,
+          validationLoss: validationLosses.length > 0 ? validationLosses[validationLosses.length - 1] : null
+        });
+      }
+
       // Log training progress periodically
-      if (currentEpoch % 50 === 0 || currentEpoch === epochs - 1) {
-        console.log(`Epoch ${currentEpoch + 1}/${epochs}, Loss: ${averageEpochLoss.toFixed(6)}`);
+      if (currentEpoch % 50 === 0 || currentEpoch === epochs - 1 || stoppedEarly) {
+        const validationNote = validationLosses.length > 0
+          ? `, Validation Loss: ${validationLosses[validationLosses.length - 1].toFixed(6)}`
+          : '';
+        console.log(`Epoch ${currentEpoch + 1}/${epochs}, Loss: ${averageEpochLoss.toFixed(6)}${validationNote}`);
       }
+
+      if (stoppedEarly) {
+        console.log(`Early stopping - no validation improvement for ${patience} epochs, keeping epoch ${bestEpoch}`);
+        break;
+      }
+    }
+
+    if (bestParameters) {
+      this.restoreParameters(bestParameters);
+    }
+
+    return {
+      trainingLosses,
+      validationLosses,
+      bestEpoch,
+      epochsRun: trainingLosses.length,
+      stoppedEarly
+    };
+  }
+
+  // Zero-filled arrays shaped like every weight matrix and bias vector
+  createZeroParameters() {
+    const zeroParameters = {};
+    for (const name of AUTOENCODER_PARAMETERS) {
+      zeroParameters[name] = Array.isArray(this[name][0])
+        ? this[name].map((row) => new Array(row.length).fill(0))
+        : new Array(this[name].length).fill(0);
     }
+    return zeroParameters;
+  }
 
-    return trainingLosses;
+  copyParameters() {
+    const parameters = {};
+    for (const name of AUTOENCODER_PARAMETERS) {
+      parameters[name] = Array.isArray(this[name][0]) ? this[name].map((row) => [...row]) : [...this[name]];
+    }
+    return parameters;
   }
 
-  // Simplified backpropagation for weight updates
-  // Note: This is a basic implementation - production systems would use more sophisticated methods
-  performBackpropagation(targetOutput, actualOutput, learningRate) {
-    // Calculate output layer gradients (error derivatives)
-    const outputGradients = [];
-    for (let i = 0; i < targetOutput.length; i++) {
-      outputGradients[i] = 2 * (actualOutput[i] - targetOutput[i]) / targetOutput.length;
+  restoreParameters(parameters) {
+    for (const name of AUTOENCODER_PARAMETERS) {
+      this[name] = parameters[name];
     }
+  }
+
+  // Adam keeps a running mean and uncentered variance of every parameter's gradient
+  createOptimizerState() {
+    return { step: 0, firstMoments: this.createZeroParameters(), secondMoments: this.createZeroParameters() };
+  }
+
+  // Backpropagation through all three layers - adds this sample's loss gradient to `gradients`
+  accumulateGradients(gradients, originalInput, activations) {
+    const { hiddenOutput: hiddenActivations, bottleneckOutput: bottleneckActivations, finalOutput: networkOutput } = activations;
 
-    // Update decoder weights and biases (output layer)
+    // Output layer gradients (sigmoid derivative)
+    const outputGradients = new Array(this.inputFeatureCount);
+    for (let i = 0; i < this.inputFeatureCount; i++) {
+      outputGradients[i] = (networkOutput[i] - originalInput[i]) * networkOutput[i] * (1 - networkOutput[i]);
+    }
+
+    // Decoder weights and biases
     for (let i = 0; i < this.compressionSize; i++) {
       for (let j = 0; j < this.inputFeatureCount; j++) {
-        // Note: In a full implementation, we'd need the bottleneck activations here
-        // This is simplified for demonstration purposes
-        this.decoderWeights[i][j] -= learningRate * outputGradients[j] * 0.1;
+        gradients.decoderWeights[i][j] += outputGradients[j] * bottleneckActivations[i];
       }
     }
+    for (let i = 0; i < this.inputFeatureCount; i++) {
+      gradients.decoderBiases[i] += outputGradients[i];
+    }
 
-    for (let j = 0; j < this.inputFeatureCount; j++) {
-      this.decoderBiases[j] -= learningRate * outputGradients[j];
+    // Bottleneck layer gradients (ReLU derivative)
+    const bottleneckGradients = new Array(this.compressionSize);
+    for (let i = 0; i < this.compressionSize; i++) {
+      let gradient = 0;
+      for (let j = 0; j < this.inputFeatureCount; j++) {
+        gradient += outputGradients[j] * this.decoderWeights[i][j];
+      }
+      bottleneckGradients[i] = gradient * (bottleneckActivations[i] > 0 ? 1 : 0);
     }
 
-    // Apply weight decay to prevent overfitting
-    const weightDecay = 0.0001;
-    
-    // Update encoder weights with small random adjustments
-    for (let i = 0; i < this.inputFeatureCount; i++) {
-      for (let j = 0; j < this.hiddenLayerSize; j++) {
-        this.encoderWeights[i][j] *= (1 - weightDecay);
-        this.encoderWeights[i][j] += (Math.random() - 0.5) * learningRate * 0.01;
+    // Bottleneck weights and biases
+    for (let i = 0; i < this.hiddenLayerSize; i++) {
+      for (let j = 0; j < this.compressionSize; j++) {
+        gradients.bottleneckWeights[i][j] += bottleneckGradients[j] * hiddenActivations[i];
       }
     }
+    for (let i = 0; i < this.compressionSize; i++) {
+      gradients.bottleneckBiases[i] += bottleneckGradients[i];
+    }
 
-    // Update bottleneck weights with small random adjustments
+    // Hidden layer gradients (ReLU derivative)
+    const hiddenGradients = new Array(this.hiddenLayerSize);
     for (let i = 0; i < this.hiddenLayerSize; i++) {
+      let gradient = 0;
       for (let j = 0; j < this.compressionSize; j++) {
-        this.bottleneckWeights[i][j] *= (1 - weightDecay);
-        this.bottleneckWeights[i][j] += (Math.random() - 0.5) * learningRate * 0.01;
+        gradient += bottleneckGradients[j] * this.bottleneckWeights[i][j];
+      }
+      hiddenGradients[i] = gradient * (hiddenActivations[i] > 0 ? 1 : 0);
+    }
+
+    // Encoder weights and biases
+    for (let i = 0; i < this.inputFeatureCount; i++) {
+      for (let j = 0; j < this.hiddenLayerSize; j++) {
+        gradients.encoderWeights[i][j] += hiddenGradients[j] * originalInput[i];
+      }
+    }
+    for (let i = 0; i < this.hiddenLayerSize; i++) {
+      gradients.encoderBiases[i] += hiddenGradients[i];
+    }
+  }
+
+  // One Adam step with the batch-averaged gradients and bias-corrected moments
+  applyAdamUpdate(gradients, batchLength, optimizerState, learningRate) {
+    const { ADAM_BETA1: beta1, ADAM_BETA2: beta2, ADAM_EPSILON: epsilon } = BIOMETRIC_AUTH_CONFIG;
+    optimizerState.step++;
+    const firstCorrection = 1 - Math.pow(beta1, optimizerState.step);
+    const secondCorrection = 1 - Math.pow(beta2, optimizerState.step);
+
+    const updateVector = (values, vectorGradients, firstMoments, secondMoments) => {
+      for (let i = 0; i < values.length; i++) {
+        const gradient = vectorGradients[i] / batchLength;
+        firstMoments[i] = beta1 * firstMoments[i] + (1 - beta1) * gradient;
+        secondMoments[i] = beta2 * secondMoments[i] + (1 - beta2) * gradient * gradient;
+        values[i] -= learningRate * (firstMoments[i] / firstCorrection) / (Math.sqrt(secondMoments[i] / secondCorrection) + epsilon);
+      }
+    };
+
+    for (const name of AUTOENCODER_PARAMETERS) {
+      if (Array.isArray(this[name][0])) {
+        this[name].forEach((row, i) => updateVector(
+          row,
+          gradients[name][i],
+          optimizerState.firstMoments[name][i],
+          optimizerState.secondMoments[name][i]
+        ));
+      } else {
+        updateVector(this[name], gradients[name], optimizerState.firstMoments[name], optimizerState.secondMoments[name]);
       }
     }
   }
@@ -198,7 +399,7 @@ class SimpleAutoencoder {
   // Restore a trained model from serialized data
   static deserialize(serializedData) {
     const autoencoder = new SimpleAutoencoder(serializedData.inputSize, serializedData.hiddenSize, serializedData.bottleneckSize);
-    
+
     autoencoder.encoderWeights = serializedData.weights1;
     autoencoder.bottleneckWeights = serializedData.weights2;
     autoencoder.decoderWeights = serializedData.weights3;
@@ -212,7 +413,6 @@ class SimpleAutoencoder {
 
 /**
  * Feature normalization utilities
- * Ported from the main Ghost Key project for consistency
  * Essential for neural network training - features must be in [0,1] range
  */
 function normalizeKeystrokeFeatures(featureArrays) {
@@ -232,166 +432,282 @@ function normalizeKeystrokeFeatures(featureArrays) {
     }
   }
 
-  // Normalize all features to [0, 1] range
-  const normalizedFeatures = featureArrays.map(featureSample =>
-    featureSample.map((value, i) => {
-      const featureRange = maxValues[i] - minValues[i];
-      return featureRange === 0 ? 0 : (value - minValues[i]) / featureRange;
-    })
-  );
+  const normalizationParams = { min: minValues, max: maxValues };
+  const normalizedFeatures = featureArrays.map(featureSample => applyNormalization(featureSample, normalizationParams));
 
   return { normalized: normalizedFeatures, min: minValues, max: maxValues };
 }
 
+/**
+ * Normalize a single feature vector with stored training parameters
+ * Features beyond the trained dimensionality are zeroed rather than dropped
+ */
+function applyNormalization(featureSample, normalizationParams) {
+  const { min, max } = normalizationParams;
+  return featureSample.map((value, i) => {
+    if (i >= min.length || i >= max.length) {
+      return 0;
+    }
+    const featureRange = max[i] - min[i];
+    return featureRange === 0 ? 0 : (value - min[i]) / featureRange;
+  });
+}
+
+// Mean squared error between an input and its reconstruction
+function computeReconstructionError(originalSample, reconstructedSample) {
+  let meanSquaredError = 0;
+  for (let i = 0; i < originalSample.length; i++) {
+    const difference = originalSample[i] - reconstructedSample[i];
+    meanSquaredError += difference * difference;
+  }
+  return meanSquaredError / originalSample.length;
+}
+
+// Squared error of every feature - their mean is the reconstruction error
+function computeFeatureErrors(originalSample, reconstructedSample) {
+  return originalSample.map((value, i) => Math.pow(value - reconstructedSample[i], 2));
+}
+
+// Per-feature mean and sample standard deviation in raw units (milliseconds for the timings)
+function computeFeatureDistribution(samples) {
+  const mean = samples[0].map((_, i) => samples.reduce((total, sample) => total + sample[i], 0) / samples.length);
+  const std = mean.map((featureMean, i) => Math.sqrt(
+    samples.reduce((total, sample) => total + Math.pow(sample[i] - featureMean, 2), 0) / Math.max(samples.length - 1, 1)
+  ));
+  return { mean, std };
+}
+
 /**
  * Add realistic noise to samples for data augmentation
  * Helps create more training data and improves model robustness
- * Ported from the main Ghost Key project
  */
-function addRealisticNoise(originalSample, noiseIntensity = BIOMETRIC_AUTH_CONFIG.DATA_AUGMENTATION_NOISE) {
+function addRealisticNoise(originalSample, noiseIntensity = BIOMETRIC_AUTH_CONFIG.DATA_AUGMENTATION_NOISE, random = Math.random) {
   return originalSample.map(featureValue => {
     // Add proportional noise to simulate natural typing variations
-    const randomNoise = (Math.random() - 0.5) * 2 * noiseIntensity * featureValue;
+    const randomNoise = (random() - 0.5) * 2 * noiseIntensity * featureValue;
     return Math.max(0, featureValue + randomNoise); // Ensure non-negative values
   });
 }
 
 /**
- * Complete training pipeline for keystroke biometric models
- * Handles data augmentation, normalization, training, and threshold calculation
- * Ported from the main Ghost Key project's train-model route
+ * Hold out a random share of the original samples for validation
+ * At least two samples always stay on the training side, so tiny enrollments train on everything
  */
-async function trainKeystrokeBiometricModel(trainingSamples) {
-  if (trainingSamples.length < BIOMETRIC_AUTH_CONFIG.MINIMUM_TRAINING_SAMPLES) {
-    throw new Error(`Need at least ${BIOMETRIC_AUTH_CONFIG.MINIMUM_TRAINING_SAMPLES} samples for reliable training`);
+function splitValidationSamples(samples, validationSplit, random = Math.random) {
+  const validationCount = Math.max(0, Math.min(samples.length - 2, Math.round(samples.length * validationSplit)));
+  const shuffledIndices = samples.map((_, index) => index);
+  for (let i = shuffledIndices.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    const swappedIndex = shuffledIndices[i];
+    shuffledIndices[i] = shuffledIndices[j];
+    shuffledIndices[j] = swappedIndex;
   }
 
-  console.log(`Training keystroke biometric model with ${trainingSamples.length} original samples...`);
+  // Keep enrollment order on both sides
+  const validationIndices = new Set(shuffledIndices.slice(0, validationCount));
+  return {
+    trainingSet: samples.filter((_, index) => !validationIndices.has(index)),
+    validationSet: samples.filter((_, index) => validationIndices.has(index))
+  };
+}
+
+/**
+ * Check the enrollment samples and resolve the layout they were typed with
+ * Every sample must share one layout - a sample typed with a different key count would be misaligned
+ */
+function resolveTrainingLayout(trainingSamples, featureLayout = null, minimumSamples = BIOMETRIC_AUTH_CONFIG.MINIMUM_TRAINING_SAMPLES) {
+  if (trainingSamples.length < minimumSamples) {
+    throw new Error(`Need at least ${minimumSamples} samples for reliable training`);
+  }
+
+  const sampleLength = trainingSamples[0].length;
+  if (trainingSamples.some((sample) => sample.length !== sampleLength)) {
+    throw new Error('Training samples have different feature counts - the passphrase was typed with different keystrokes');
+  }
+
+  const trainedFeatureLayout = featureLayout || AutoencoderFeatures.inferFeatureLayout(sampleLength);
+  if (trainedFeatureLayout.length !== sampleLength) {
+    throw new Error(`Feature layout expects ${trainedFeatureLayout.length} values but samples have ${sampleLength}`);
+  }
+  return trainedFeatureLayout;
+}
+
+/**
+ * Validation split, augmentation and normalization - shared by every keystroke backend,
+ * so the TensorFlow.js network (libs/tfjs-keystroke-model.js) trains on exactly the same data
+ */
+function prepareTrainingData(trainingSamples, options = {}) {
+  const {
+    noiseLevel = BIOMETRIC_AUTH_CONFIG.DATA_AUGMENTATION_NOISE,
+    augmentationMultiplier = BIOMETRIC_AUTH_CONFIG.SAMPLE_AUGMENTATION_MULTIPLIER,
+    validationSplit = BIOMETRIC_AUTH_CONFIG.VALIDATION_SPLIT,
+    random = Math.random
+  } = options;
+
+  // Hold out original samples before augmentation - noisy copies of a validation sample would leak into training
+  const { trainingSet, validationSet } = splitValidationSamples(trainingSamples, validationSplit, random);
 
   // Data augmentation phase - create synthetic samples by adding realistic noise
   const augmentedDataset = [];
-  trainingSamples.forEach((originalSample) => {
+  trainingSet.forEach((originalSample) => {
     augmentedDataset.push(originalSample); // Include the original sample
 
-    // Generate augmented samples with realistic noise variations
-    for (let i = 0; i < BIOMETRIC_AUTH_CONFIG.SAMPLE_AUGMENTATION_MULTIPLIER; i++) {
-      augmentedDataset.push(addRealisticNoise(originalSample));
+    for (let i = 0; i < augmentationMultiplier; i++) {
+      augmentedDataset.push(addRealisticNoise(originalSample, noiseLevel, random));
     }
   });
 
-  // Feature normalization - essential for neural network training
+  // Feature normalization - fitted on the training side only, like any unseen login attempt
   const { normalized, min, max } = normalizeKeystrokeFeatures(augmentedDataset);
 
-  // Create and configure the autoencoder neural network
-  const inputDimensionality = normalized[0].length;
-  const autoencoderModel = new SimpleAutoencoder(inputDimensionality, 16, 8);
-
-  console.log("Training autoencoder neural network...");
-  const trainingLossHistory = autoencoderModel.trainNetwork(normalized, 200, 0.01);
-
-  // Evaluate model performance on original (non-augmented) samples
-  const originalNormalizedSamples = trainingSamples.map((sample) =>
-    sample.map((value, i) => {
-      const featureRange = max[i] - min[i];
-      return featureRange === 0 ? 0 : (value - min[i]) / featureRange;
-    })
-  );
-
-  const reconstructionErrors = [];
-  for (const normalizedSample of originalNormalizedSamples) {
-    const reconstructedSample = autoencoderModel.predict(normalizedSample);
-    let meanSquaredError = 0;
-    for (let i = 0; i < normalizedSample.length; i++) {
-      const difference = normalizedSample[i] - reconstructedSample[i];
-      meanSquaredError += difference * difference;
-    }
-    meanSquaredError /= normalizedSample.length;
-    reconstructionErrors.push(meanSquaredError);
-  }
-
-  // Calculate authentication threshold using 95th percentile of training errors
-  const sortedErrors = [...reconstructionErrors].sort((a, b) => a - b);
-  const percentile95Index = Math.floor(sortedErrors.length * 0.95);
-  const calculatedThreshold = Math.max(
-    sortedErrors[percentile95Index] || BIOMETRIC_AUTH_CONFIG.DEFAULT_AUTH_THRESHOLD,
-    BIOMETRIC_AUTH_CONFIG.DEFAULT_AUTH_THRESHOLD
-  );
+  return {
+    trainingSet,
+    validationSet,
+    augmentedDataset,
+    normalized,
+    normalizedValidationSet: validationSet.map((sample) => applyNormalization(sample, { min, max })),
+    normalizationParams: { min, max }
+  };
+}
 
-  const averageError = reconstructionErrors.reduce((a, b) => a + b, 0) / reconstructionErrors.length;
-  const maximumError = Math.max(...reconstructionErrors);
+/**
+ * Threshold = 95th percentile of the held-out errors, never below the configured floor
+ * Errors on samples the network trained on are optimistic, so they're only the fallback when nothing was held out
+ */
+function selectErrorThreshold(validationErrors, trainingErrors, minimumThreshold = BIOMETRIC_AUTH_CONFIG.DEFAULT_AUTH_THRESHOLD) {
+  const thresholdSource = validationErrors.length > 0 ? "validation" : "training";
+  const sortedErrors = [...(validationErrors.length > 0 ? validationErrors : trainingErrors)].sort((a, b) => a - b);
+  const percentile95Index = Math.min(sortedErrors.length - 1, Math.floor(sortedErrors.length * 0.95));
+  const percentileError = sortedErrors[percentile95Index];
+  const calculatedThreshold = isNaN(percentileError) || percentileError <= 0 ? minimumThreshold : percentileError;
+  const finalThreshold = Math.max(minimumThreshold, calculatedThreshold);
+
+  return { thresholdSource, calculatedThreshold, finalThreshold };
+}
 
-  console.log(`Training complete. Threshold: ${calculatedThreshold.toFixed(6)}, Average Error: ${averageError.toFixed(6)}`);
+// Stats stored with every trained model - the admin panel plots the loss curves
+function buildTrainingStats(preparedData, errors, threshold, trainingRun) {
+  const { reconstructionErrors, validationErrors } = errors;
+  const { trainingLosses, validationLosses, bestEpoch, epochsRun, stoppedEarly } = trainingRun;
 
   return {
-    modelType: "autoencoder",
-    autoencoder: autoencoderModel.serialize(),
-    normalizationParams: { min, max },
-    threshold: calculatedThreshold,
-    trainingStats: {
-      originalSampleCount: trainingSamples.length,
-      augmentedSampleCount: augmentedDataset.length,
-      averageError,
-      maximumError,
-      finalLosses: trainingLossHistory.slice(-10), // Keep last 10 loss values for analysis
-    },
-    createdAt: new Date().toISOString(),
-    version: "1.0"
+    samples: preparedData.trainingSet.length + preparedData.validationSet.length,
+    // The original samples, before augmentation - what an attempt's features are explained against
+    featureDistribution: computeFeatureDistribution([...preparedData.trainingSet, ...preparedData.validationSet]),
+    augmentedSamples: preparedData.augmentedDataset.length,
+    validationSamples: preparedData.validationSet.length,
+    reconstructionErrors,
+    validationErrors,
+    meanError: reconstructionErrors.reduce((a, b) => a + b, 0) / reconstructionErrors.length,
+    maxError: Math.max(...reconstructionErrors),
+    minError: Math.min(...reconstructionErrors),
+    calculatedThreshold: threshold.calculatedThreshold,
+    finalThreshold: threshold.finalThreshold,
+    thresholdSource: threshold.thresholdSource,
+    finalLoss: trainingLosses[bestEpoch - 1],
+    finalLosses: trainingLosses.slice(-10), // Keep last 10 loss values for analysis
+    trainingLosses,
+    validationLosses,
+    bestEpoch,
+    epochsRun,
+    stoppedEarly
   };
 }
 
 /**
- * Authentication function that validates new features against a trained model
- * Compares reconstruction error against the learned threshold
- * Ported from the main Ghost Key project's authenticate route
+ * Complete training pipeline for keystroke biometric models
+ * Handles data augmentation, normalization, training, and threshold calculation
+ *
+ * Options (all optional): epochs, learningRate, batchSize, validationSplit, patience, hiddenSize,
+ * bottleneckSize, noiseLevel, augmentationMultiplier, minimumThreshold, minimumSamples, random,
+ * onEpochEnd (see SimpleAutoencoder.trainNetwork)
  */
-function authenticateKeystrokePattern(inputFeatures, trainedModelData) {
-  if (trainedModelData.modelType !== "autoencoder" || !trainedModelData.autoencoder) {
-    throw new Error("Invalid model data - expected autoencoder model for authentication");
-  }
+function trainKeystrokeBiometricModel(trainingSamples, options = {}) {
+  const {
+    epochs = BIOMETRIC_AUTH_CONFIG.TRAINING_EPOCHS,
+    learningRate = BIOMETRIC_AUTH_CONFIG.LEARNING_RATE,
+    hiddenSize = BIOMETRIC_AUTH_CONFIG.HIDDEN_LAYER_SIZE,
+    bottleneckSize = BIOMETRIC_AUTH_CONFIG.BOTTLENECK_SIZE,
+    noiseLevel = BIOMETRIC_AUTH_CONFIG.DATA_AUGMENTATION_NOISE,
+    augmentationMultiplier = BIOMETRIC_AUTH_CONFIG.SAMPLE_AUGMENTATION_MULTIPLIER,
+    minimumThreshold = BIOMETRIC_AUTH_CONFIG.DEFAULT_AUTH_THRESHOLD,
+    minimumSamples = BIOMETRIC_AUTH_CONFIG.MINIMUM_TRAINING_SAMPLES,
+    batchSize = BIOMETRIC_AUTH_CONFIG.BATCH_SIZE,
+    validationSplit = BIOMETRIC_AUTH_CONFIG.VALIDATION_SPLIT,
+    patience = BIOMETRIC_AUTH_CONFIG.EARLY_STOPPING_PATIENCE,
+    random = Math.random,
+    featureLayout = null,
+    onEpochEnd = null
+  } = options;
+
+  const trainedFeatureLayout = resolveTrainingLayout(trainingSamples, featureLayout, minimumSamples);
 
-  console.log("Performing autoencoder-based keystroke authentication");
+  console.log(`Training keystroke biometric model with ${trainingSamples.length} original samples...`);
 
-  // Normalize the input features using the same parameters from training
-  const { min, max } = trainedModelData.normalizationParams;
-  const normalizedInputFeatures = inputFeatures.map((value, i) => {
-    if (i >= min.length || i >= max.length) {
-      return 0; // Pad with zeros if feature array is longer than training data
-    }
-    const featureRange = max[i] - min[i];
-    return featureRange === 0 ? 0 : (value - min[i]) / featureRange;
+  const preparedData = prepareTrainingData(trainingSamples, { noiseLevel, augmentationMultiplier, validationSplit, random });
+  const { trainingSet, validationSet, normalized, normalizedValidationSet, normalizationParams } = preparedData;
+
+  // Create and configure the autoencoder neural network
+  const inputDimensionality = normalized[0].length;
+  const autoencoderModel = new SimpleAutoencoder(inputDimensionality, hiddenSize, bottleneckSize, random);
+
+  console.log(`Training autoencoder neural network (${trainingSet.length} training, ${validationSet.length} validation samples)...`);
+  const trainingRun = autoencoderModel.trainNetwork(normalized, {
+    epochs,
+    learningRate,
+    batchSize,
+    validationData: normalizedValidationSet,
+    patience,
+    onEpochEnd
   });
 
-  // Load and use the trained autoencoder
-  const trainedAutoencoder = SimpleAutoencoder.deserialize(trainedModelData.autoencoder);
+  const scoreSample = (sample) => {
+    const normalizedSample = applyNormalization(sample, normalizationParams);
+    return computeReconstructionError(normalizedSample, autoencoderModel.predict(normalizedSample));
+  };
 
-  // Get the autoencoder's reconstruction of the input
-  const reconstructedFeatures = trainedAutoencoder.predict(normalizedInputFeatures);
+  // Evaluate model performance on every original (non-augmented) sample
+  const reconstructionErrors = trainingSamples.map(scoreSample);
+  const validationErrors = validationSet.map(scoreSample);
 
-  // Calculate reconstruction error (mean squared error)
-  let reconstructionError = 0;
-  for (let i = 0; i < normalizedInputFeatures.length; i++) {
-    const featureDifference = normalizedInputFeatures[i] - reconstructedFeatures[i];
-    reconstructionError += featureDifference * featureDifference;
-  }
-  reconstructionError /= normalizedInputFeatures.length;
+  const threshold = selectErrorThreshold(validationErrors, trainingSet.map(scoreSample), minimumThreshold);
+
+  const meanError = reconstructionErrors.reduce((a, b) => a + b, 0) / reconstructionErrors.length;
+
+  console.log(`Training complete. Threshold: ${threshold.finalThreshold.toFixed(6)} (${threshold.thresholdSource}), Mean Error: ${meanError.toFixed(6)}`);
+
+  return {
+    formatVersion: BIOMETRIC_AUTH_CONFIG.MODEL_FORMAT_VERSION,
+    modelType: "autoencoder",
+    inputDim: inputDimensionality,
+    featureLayout: trainedFeatureLayout,
+    normalizationParams,
+    threshold: threshold.finalThreshold,
+    autoencoder: autoencoderModel.serialize(),
+    trainingStats: buildTrainingStats(preparedData, { reconstructionErrors, validationErrors }, threshold, trainingRun),
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Turn a reconstruction into an authentication decision - shared by every keystroke backend
+ * Both inputs are in normalized feature space
+ */
+function scoreReconstruction(normalizedInputFeatures, reconstructedFeatures, trainedModelData) {
+  const reconstructionError = computeReconstructionError(normalizedInputFeatures, reconstructedFeatures);
 
   // Check against the learned authentication threshold
   const authenticationThreshold = trainedModelData.threshold;
   const authenticationSuccessful = reconstructionError <= authenticationThreshold;
 
-  // Calculate confidence score based on how close we are to the threshold
-  const maxExpectedError = trainedModelData.trainingStats?.maximumError || authenticationThreshold * 2;
+  // Confidence based on how close we are to the worst training error
+  // (older extension profiles stored it as maximumError)
+  const trainingStats = trainedModelData.trainingStats || {};
+  const maxExpectedError = trainingStats.maxError || trainingStats.maximumError || authenticationThreshold * 2;
   const confidenceLevel = Math.max(0, Math.min(1, 1 - reconstructionError / (maxExpectedError * 2)));
 
-  // Create feature deviation visualization data (use first 10 features for heatmap)
-  const featureDeviations = normalizedInputFeatures.slice(0, 10).map((val) => Math.min(Math.abs(val), 1));
-
-  console.log(`Keystroke authentication result:`, {
-    reconstructionError: reconstructionError.toFixed(6),
-    threshold: authenticationThreshold.toFixed(6),
-    authenticated: authenticationSuccessful,
-    confidence: confidenceLevel.toFixed(3),
-  });
+  // How much each feature added to the error - the same order as the feature vector, see describeFeature()
+  const featureDeviations = computeFeatureErrors(normalizedInputFeatures, reconstructedFeatures);
 
   return {
     success: authenticationSuccessful,
@@ -399,17 +715,63 @@ function authenticateKeystrokePattern(inputFeatures, trainedModelData) {
     reconstructionError,
     threshold: authenticationThreshold,
     confidence: confidenceLevel,
-    deviations: featureDeviations,
-    modelType: "autoencoder"
+    deviations: featureDeviations
   };
 }
 
-// Export all classes and functions for use in other modules
-export {
+/**
+ * Authentication function that validates new features against a trained model
+ * Compares reconstruction error against the learned threshold
+ */
+function authenticateKeystrokePattern(inputFeatures, trainedModelData) {
+  if (trainedModelData.modelType !== "autoencoder" || !trainedModelData.autoencoder) {
+    throw new Error("Invalid model data - expected autoencoder model for authentication");
+  }
+
+  // Padding or truncating would score a different passphrase - callers check the layout first
+  const expectedLength = trainedModelData.inputDim || trainedModelData.autoencoder.inputSize;
+  if (inputFeatures.length !== expectedLength) {
+    throw new Error(`Feature vector has ${inputFeatures.length} values but the model expects ${expectedLength}`);
+  }
+
+  // Normalize the input features using the same parameters from training
+  const normalizedInputFeatures = applyNormalization(inputFeatures, trainedModelData.normalizationParams);
+
+  // Load the trained autoencoder and measure how well it reconstructs this attempt
+  const trainedAutoencoder = SimpleAutoencoder.deserialize(trainedModelData.autoencoder);
+  const reconstructedFeatures = trainedAutoencoder.predict(normalizedInputFeatures);
+
+  return { ...scoreReconstruction(normalizedInputFeatures, reconstructedFeatures, trainedModelData), modelType: "autoencoder" };
+}
+
+const GhostKeyML = {
   SimpleAutoencoder,
+  createSeededRandom,
   normalizeKeystrokeFeatures,
+  applyNormalization,
+  computeReconstructionError,
+  computeFeatureErrors,
+  computeFeatureDistribution,
   addRealisticNoise,
+  splitValidationSamples,
+  resolveTrainingLayout,
+  prepareTrainingData,
+  selectErrorThreshold,
+  buildTrainingStats,
+  scoreReconstruction,
   trainKeystrokeBiometricModel,
   authenticateKeystrokePattern,
   BIOMETRIC_AUTH_CONFIG
-}; 
\ No newline at end of file
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  // CommonJS - Next.js routes and Node scripts
+  module.exports = GhostKeyML;
+} else {
+  // Extension popup (window) and background service worker (self) share globalThis
+  globalThis.GhostKeyML = GhostKeyML;
+
+  if (typeof document !== 'undefined') {
+    document.dispatchEvent(new CustomEvent('GhostKeyMLReady'));
+  }
+}
@@ -0,0 +1,88 @@
+// Type declarations for the shared keystroke feature layout helpers (libs/keystroke-features.js)
+
+export interface FeatureLayout {
+  keyCount: number | null // null for legacy layouts - the key count was never recorded
+  passphraseLength: number | null
+  length: number
+  summaryFeatures: string[]
+  legacy: boolean
+}
+
+export interface KeystrokeTimings {
+  holdTimes?: number[]
+  ddTimes?: number[]
+  udTimes?: number[]
+  typingSpeed?: number
+  flightTime?: number
+  errorRate?: number
+  pressPressure?: number
+  correctionCount?: number
+  correctionLatency?: number
+  errorPosition?: number
+}
+
+export interface RawKeyEvent {
+  key: string
+  code?: string
+  type: "keydown" | "keyup"
+  timestamp: number
+  repeat?: boolean
+}
+
+export interface KeyPress {
+  key: string
+  code: string
+  down: number
+  up: number | null
+}
+
+export interface ModifierTiming {
+  code: string
+  holdTime: number
+  modifiedKeys: number
+  leadTime: number | null
+  releaseLag: number | null
+}
+
+export interface Correction {
+  position: number // Index of the first erased character in the final passphrase
+  erased: number
+  latency: number
+}
+
+export interface ExtractedKeystrokeTimings {
+  keyCount: number
+  holdTimes: number[]
+  ddTimes: number[]
+  udTimes: number[]
+  duTimes: number[]
+  uuTimes: number[]
+  overlapCount: number
+  modifierTimings: ModifierTiming[]
+  corrections: Correction[]
+  typingSpeed: number
+  flightTime: number
+  errorRate: number
+  pressPressure: number
+  correctionCount: number
+  correctionLatency: number
+  errorPosition: number
+}
+
+export declare const SUMMARY_FEATURES: string[]
+export declare const CORRECTION_FEATURES: string[]
+export declare const LEGACY_KEY_COUNT: number
+export declare const MODIFIER_CODES: string[]
+
+export declare function pairKeyPresses(events: RawKeyEvent[]): KeyPress[]
+export declare function extractKeystrokeTimings(events: RawKeyEvent[]): ExtractedKeystrokeTimings
+
+export declare function createFeatureLayout(keyCount: number, passphraseLength?: number | null): FeatureLayout
+export declare function createLegacyFeatureLayout(length: number): FeatureLayout
+export declare function inferFeatureLayout(vectorLength: number, passphraseLength?: number | null): FeatureLayout
+export declare function countKeystrokes(timings: KeystrokeTimings): number
+export declare function describeLayoutMismatch(timings: KeystrokeTimings, layout: FeatureLayout): string | null
+export declare function describeVectorMismatch(features: number[], layout: FeatureLayout): string | null
+export declare function buildFeatureVector(timings: KeystrokeTimings, layout?: FeatureLayout): number[]
+export declare function describeFeature(index: number, layout: FeatureLayout): string
+export declare function abbreviateFeature(index: number, layout: FeatureLayout): string
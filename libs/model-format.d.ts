@@ -0,0 +1,42 @@
+// Type declarations for the shared model file format helpers (libs/model-format.js)
+
+import type { z as Zod } from "zod"
+import type { TrainedAutoencoderModel } from "./autoencoder"
+import type { TrainedTfjsModel } from "./tfjs-keystroke-model"
+
+export type ModelFormatErrorCode = "MODEL_CORRUPT" | "MODEL_VERSION_UNSUPPORTED"
+
+export interface StatisticalModel {
+  formatVersion: number
+  modelType: "statistical"
+  username?: string
+  means: number[]
+  stds: number[]
+  mseStats?: { percentileThreshold?: number; percentileUsed?: number; [key: string]: unknown }
+  createdAt?: string
+}
+
+export type KeystrokeModelFile =
+  | (TrainedAutoencoderModel & { username?: string })
+  | (TrainedTfjsModel & { username?: string })
+  | StatisticalModel
+
+export interface ParsedModelFile {
+  model: KeystrokeModelFile
+  migrated: boolean
+  fromVersion: number
+}
+
+export declare class ModelFormatError extends Error {
+  constructor(code: ModelFormatErrorCode, message: string, issues?: string[])
+  code: ModelFormatErrorCode
+  issues: string[]
+  needsRetraining: true
+}
+
+export declare const MODEL_FORMAT_VERSION: number
+export declare const MODEL_MIGRATIONS: Record<number, (model: Record<string, any>) => Record<string, any>>
+
+export declare function createModelFileSchema(z: typeof Zod): Zod.ZodTypeAny
+export declare function migrateModelFile(rawModel: unknown): { model: Record<string, any>; migrated: boolean; fromVersion: number }
+export declare function parseModelFile(rawModel: unknown, z: typeof Zod): ParsedModelFile
@@ -0,0 +1,84 @@
+// Type declarations for the TensorFlow.js keystroke backend (libs/tfjs-keystroke-model.js)
+
+import type * as TensorFlow from "@tensorflow/tfjs"
+import type { FeatureLayout } from "./keystroke-features"
+import type {
+  AutoencoderTrainingStats,
+  KeystrokeAuthenticationResult,
+  NormalizationParams,
+  TrainingOptions,
+} from "./autoencoder"
+
+export type TfjsOptimizer = "adam" | "sgd" | "rmsprop" | "adagrad"
+export type TfjsActivation = "relu" | "elu" | "selu" | "tanh" | "sigmoid"
+
+export interface TfjsNetworkArchitecture {
+  layers: number[]
+  activation: TfjsActivation
+  dropout: number
+  optimizer: TfjsOptimizer
+  learningRate: number
+}
+
+// The weights live outside the model file, under `id` - see createRecordIOHandler
+export interface TfjsNetworkReference extends TfjsNetworkArchitecture {
+  id: string
+}
+
+export interface TrainedTfjsModel {
+  formatVersion: number
+  modelType: "tfjs"
+  inputDim: number
+  featureLayout: FeatureLayout
+  normalizationParams: NormalizationParams
+  threshold: number
+  network: TfjsNetworkReference
+  trainingStats: AutoencoderTrainingStats
+  createdAt: string
+}
+
+export type TfjsTrainingOptions = Omit<TrainingOptions, "hiddenSize" | "bottleneckSize"> &
+  Partial<TfjsNetworkArchitecture>
+
+// What a network is stored as - weightData is base64
+export interface TfjsNetworkRecord {
+  modelTopology: object
+  weightSpecs: object[]
+  weightData: string
+  savedAt: string
+}
+
+export declare const TFJS_MODEL_DEFAULTS: TfjsNetworkArchitecture
+export declare const TFJS_OPTIMIZERS: TfjsOptimizer[]
+export declare const TFJS_ACTIVATIONS: TfjsActivation[]
+
+export declare function describeArchitectureProblem(architecture: Partial<Record<keyof TfjsNetworkArchitecture, unknown>>): string | null
+export declare function buildKeystrokeNetwork(
+  tf: typeof TensorFlow,
+  inputDim: number,
+  architecture: TfjsNetworkArchitecture,
+  random?: () => number,
+): TensorFlow.Sequential
+export declare function trainTfjsKeystrokeModel(
+  tf: typeof TensorFlow,
+  trainingSamples: number[][],
+  options?: TfjsTrainingOptions,
+): Promise<{ model: TrainedTfjsModel; network: TensorFlow.LayersModel }>
+export declare function scoreTfjsKeystrokePattern(
+  tf: typeof TensorFlow,
+  network: TensorFlow.LayersModel,
+  inputFeatures: number[],
+  trainedModelData: TrainedTfjsModel,
+): Omit<KeystrokeAuthenticationResult, "modelType"> & { modelType: "tfjs" }
+export declare function createRecordIOHandler(store: {
+  readRecord: () => Promise<TfjsNetworkRecord | null>
+  writeRecord: (record: TfjsNetworkRecord) => Promise<void>
+}): TensorFlow.io.IOHandler
+export declare function getNetworkStorageKey(networkId: string): string
+export declare function createStorageIOHandler(
+  storageArea: {
+    get: (keys: string[]) => Promise<Record<string, unknown>>
+    set: (items: Record<string, unknown>) => Promise<void>
+  },
+  networkId: string,
+): TensorFlow.io.IOHandler
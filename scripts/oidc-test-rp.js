@@ -0,0 +1,205 @@
+/**
+ * A stand-in relying party for trying "Sign in with Ghost Key" locally
+ * Register it first as an owner admin (the redirect URI must match exactly):
+ *   curl -c admin.jar -X POST http://localhost:3000/api/admin/session -H 'Content-Type: application/json' \
+ *     -d '{"username":"admin","password":"..."}'
+ *   curl -b admin.jar -X POST http://localhost:3000/api/oidc/clients -H 'Content-Type: application/json' \
+ *     -d '{"name":"Test RP","redirectUris":["http://localhost:4000/callback"]}'
+ * then run it with the client id and secret from the response:
+ *   OIDC_CLIENT_ID=gk_... OIDC_CLIENT_SECRET=... npm run oidc:test-rp
+ * and open http://localhost:4000. It runs the authorization-code flow with PKCE, checks the ID token
+ * against the JWKS the way a real app would, and shows the claims and the userinfo response.
+ *
+ * OIDC_ISSUER (default http://localhost:3000) and OIDC_RP_PORT (default 4000) change where things run.
+ *
+ * The tests drive the same flow without a browser or a server:
+ *   const { createRelyingParty } = require('./scripts/oidc-test-rp');
+ *   const relyingParty = createRelyingParty({ issuer, clientId, clientSecret, redirectUri, fetch });
+ * `fetch` defaults to the global one - pass your own to answer requests some other way.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"]/g, (character) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[character]);
+}
+
+function sendPage(response, status, title, body) {
+  response.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  response.end(`<!doctype html><title>${escapeHtml(title)}</title><body style="font-family:sans-serif;max-width:50rem;margin:2rem auto">
+<h1>${escapeHtml(title)}</h1>${body}<p><a href="/">Sign in again</a></p></body>`);
+}
+
+function createRelyingParty({ issuer, clientId, clientSecret, redirectUri, fetch = globalThis.fetch }) {
+  const issuerUrl = issuer.replace(/\/$/, '');
+
+  // state -> { nonce, codeVerifier } for sign-ins that haven't come back yet
+  const pendingSignIns = new Map();
+
+  async function fetchJson(url, options) {
+    const response = await fetch(url, options);
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(`${url} answered ${response.status}: ${JSON.stringify(body)}`);
+    }
+    return body;
+  }
+
+  function discover() {
+    return fetchJson(`${issuerUrl}/.well-known/openid-configuration`);
+  }
+
+  // What any relying party has to check before trusting an ID token (OpenID Connect Core 3.1.3.7)
+  async function verifyIdToken(idToken, expectedNonce) {
+    const discovery = await discover();
+    const [encodedHeader, encodedClaims, encodedSignature] = idToken.split('.');
+    const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf-8'));
+    const claims = JSON.parse(Buffer.from(encodedClaims, 'base64url').toString('utf-8'));
+
+    const { keys } = await fetchJson(discovery.jwks_uri);
+    const jwk = keys.find((key) => key.kid === header.kid);
+    if (header.alg !== 'RS256' || !jwk) {
+      throw new Error(`No RS256 key ${header.kid} in the JWKS`);
+    }
+    const signatureValid = crypto.verify(
+      'sha256',
+      Buffer.from(`${encodedHeader}.${encodedClaims}`),
+      crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+      Buffer.from(encodedSignature, 'base64url')
+    );
+
+    const problems = [
+      !signatureValid && 'signature does not verify',
+      claims.iss !== discovery.issuer && `iss is ${claims.iss}, expected ${discovery.issuer}`,
+      claims.aud !== clientId && `aud is ${claims.aud}, expected ${clientId}`,
+      claims.nonce !== expectedNonce && 'nonce does not match',
+      claims.exp <= Date.now() / 1000 && 'token has expired'
+    ].filter(Boolean);
+    if (problems.length > 0) {
+      throw new Error(`ID token rejected: ${problems.join(', ')}`);
+    }
+    return claims;
+  }
+
+  // Where to send the user, with a fresh state, nonce and PKCE verifier remembered for the callback.
+  // Tests get the verifier and nonce back too, to replay or tamper with them
+  async function startSignIn() {
+    const discovery = await discover();
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+    pendingSignIns.set(state, { nonce, codeVerifier });
+
+    const authorizationUrl = new URL(discovery.authorization_endpoint);
+    authorizationUrl.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: 'openid profile',
+      state,
+      nonce,
+      code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+      code_challenge_method: 'S256'
+    }).toString();
+
+    return { authorizationUrl, state, nonce, codeVerifier };
+  }
+
+  // The back-channel half - swap a code for tokens, authenticating as the client
+  async function redeemCode(code, codeVerifier) {
+    const discovery = await discover();
+    return fetchJson(discovery.token_endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Authorization: `Basic ${Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`).toString('base64')}`
+      },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier
+      })
+    });
+  }
+
+  async function fetchUserInfo(accessToken) {
+    const discovery = await discover();
+    return fetchJson(discovery.userinfo_endpoint, { headers: { Authorization: `Bearer ${accessToken}` } });
+  }
+
+  // The callback's query string in, the checked ID token claims and the userinfo response out
+  async function finishSignIn(parameters) {
+    const pendingSignIn = pendingSignIns.get(parameters.get('state'));
+    pendingSignIns.delete(parameters.get('state'));
+    if (!pendingSignIn) {
+      throw new Error('This callback does not belong to a sign-in started here');
+    }
+    if (parameters.get('error')) {
+      throw new Error(`Sign-in failed - ${parameters.get('error')}: ${parameters.get('error_description') || ''}`);
+    }
+
+    const tokens = await redeemCode(parameters.get('code'), pendingSignIn.codeVerifier);
+    const idTokenClaims = await verifyIdToken(tokens.id_token, pendingSignIn.nonce);
+    const userInfo = await fetchUserInfo(tokens.access_token);
+    return { tokens, idTokenClaims, userInfo };
+  }
+
+  return { startSignIn, redeemCode, verifyIdToken, fetchUserInfo, finishSignIn };
+}
+
+function startServer() {
+  const issuer = (process.env.OIDC_ISSUER || 'http://localhost:3000').replace(/\/$/, '');
+  const port = Number(process.env.OIDC_RP_PORT || 4000);
+  const clientId = process.env.OIDC_CLIENT_ID;
+  const clientSecret = process.env.OIDC_CLIENT_SECRET;
+
+  if (!clientId || !clientSecret) {
+    console.error('Set OIDC_CLIENT_ID and OIDC_CLIENT_SECRET - see the comment at the top of this file');
+    process.exit(1);
+  }
+
+  const relyingParty = createRelyingParty({ issuer, clientId, clientSecret, redirectUri: `http://localhost:${port}/callback` });
+
+  http
+    .createServer(async (request, response) => {
+      const url = new URL(request.url, `http://localhost:${port}`);
+      try {
+        if (url.pathname === '/') {
+          const { authorizationUrl } = await relyingParty.startSignIn();
+          response.writeHead(302, { Location: authorizationUrl.toString() });
+          response.end();
+        } else if (url.pathname === '/callback') {
+          const { idTokenClaims, userInfo } = await relyingParty.finishSignIn(url.searchParams);
+          console.log(`Signed in ${idTokenClaims.sub} with ${idTokenClaims.amr.join(', ')}`);
+          sendPage(
+            response,
+            200,
+            `Signed in as ${idTokenClaims.sub}`,
+            `<p>Methods (amr): <b>${escapeHtml(idTokenClaims.amr.join(', '))}</b></p>
+<h2>ID token claims (signature, iss, aud, nonce and exp checked)</h2><pre>${escapeHtml(JSON.stringify(idTokenClaims, null, 2))}</pre>
+<h2>Userinfo</h2><pre>${escapeHtml(JSON.stringify(userInfo, null, 2))}</pre>`
+          );
+        } else {
+          sendPage(response, 404, 'Not found', '');
+        }
+      } catch (error) {
+        console.error(error);
+        sendPage(response, 500, 'Relying party error', `<pre>${escapeHtml(error.message)}</pre>`);
+      }
+    })
+    .listen(port, () => {
+      console.log(`Test relying party for ${issuer} at http://localhost:${port}`);
+    });
+}
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { createRelyingParty };
@@ -0,0 +1,98 @@
+/**
+ * Copy the shared ML libraries into the unpacked browser extension
+ * The extension can't reach node_modules or ../libs, so it keeps its own copies:
+ *   libs/*.js          -> EXTENSIONN/libs/
+ *   zod (v3 ESM build) -> EXTENSIONN/libs/vendor/zod/
+ *   tfjs (UMD bundle)  -> EXTENSIONN/libs/vendor/tfjs/
+ *
+ * libs/vendor/ isn't committed - run this after npm install and before loading or packing the extension.
+ * The vendored builds are pinned: the installed package has to be the listed version, and what lands in
+ * the extension has to hash to the listed digest, or nothing is vendored. To upgrade, bump the version in
+ * package.json and here, run this once to get the new digest, review the new build and update the digest.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIRECTORY = path.join(__dirname, '..');
+const EXTENSION_LIBS_DIRECTORY = path.join(ROOT_DIRECTORY, 'EXTENSIONN', 'libs');
+const SHARED_LIBS = ['keystroke-features.js', 'autoencoder.js', 'model-format.js', 'tfjs-keystroke-model.js', 'auth-policy.js'];
+
+const VENDORED_PACKAGES = [
+  {
+    name: 'zod',
+    version: '3.25.76',
+    sha256: 'e9cad26e2177fe22c57d5870de32f8309c55a536798485ebdc5676bd2ed96b65',
+    // Only the browser-loadable ES modules - skip CommonJS builds and type declarations
+    copy(packageDirectory, vendorDirectory) {
+      fs.cpSync(path.join(packageDirectory, 'v3'), vendorDirectory, {
+        recursive: true,
+        filter: (source) => fs.statSync(source).isDirectory() || source.endsWith('.js')
+      });
+      fs.copyFileSync(path.join(packageDirectory, 'LICENSE'), path.join(vendorDirectory, 'LICENSE'));
+    }
+  },
+  {
+    name: '@tensorflow/tfjs',
+    version: '4.22.0',
+    sha256: '118238e9bebdf29de8db63b4cb04781c4c0a644b475b42549cc34a55032863aa',
+    // The minified UMD bundle works both as a classic <script> and as a side-effect module import,
+    // and registers globalThis.tf either way. It carries its Apache-2.0 header inline.
+    copy(packageDirectory, vendorDirectory) {
+      fs.mkdirSync(vendorDirectory, { recursive: true });
+      fs.copyFileSync(path.join(packageDirectory, 'dist', 'tf.min.js'), path.join(vendorDirectory, 'tf.min.js'));
+    }
+  }
+];
+
+// One digest over every file's path and contents, in a fixed order - like sha256sum over the tree
+function hashDirectory(directory) {
+  const listFiles = (relativeDirectory) =>
+    fs.readdirSync(path.join(directory, relativeDirectory), { withFileTypes: true }).flatMap((entry) => {
+      const relativePath = path.posix.join(relativeDirectory, entry.name);
+      return entry.isDirectory() ? listFiles(relativePath) : [relativePath];
+    });
+
+  const listing = listFiles('')
+    .sort()
+    .map((relativePath) => {
+      const fileHash = crypto.createHash('sha256').update(fs.readFileSync(path.join(directory, relativePath))).digest('hex');
+      return `${fileHash}  ${relativePath}\n`;
+    })
+    .join('');
+  return crypto.createHash('sha256').update(listing).digest('hex');
+}
+
+function vendorPackage({ name, version, sha256, copy }) {
+  const packageDirectory = path.join(ROOT_DIRECTORY, 'node_modules', ...name.split('/'));
+  const vendorDirectory = path.join(EXTENSION_LIBS_DIRECTORY, 'vendor', path.basename(name));
+  fs.rmSync(vendorDirectory, { recursive: true, force: true });
+
+  const { version: installedVersion } = require(path.join(packageDirectory, 'package.json'));
+  if (installedVersion !== version) {
+    throw new Error(`${name} ${installedVersion} is installed, but the extension is pinned to ${version} - run npm install`);
+  }
+
+  copy(packageDirectory, vendorDirectory);
+  const digest = hashDirectory(vendorDirectory);
+  if (digest !== sha256) {
+    fs.rmSync(vendorDirectory, { recursive: true, force: true });
+    throw new Error(`${name} ${version} hashes to ${digest}, not the pinned ${sha256} - the installed build differs`);
+  }
+  console.log(`Vendored ${name} ${version} (sha256 ${digest})`);
+}
+
+SHARED_LIBS.forEach((libraryFile) => {
+  fs.copyFileSync(path.join(ROOT_DIRECTORY, 'libs', libraryFile), path.join(EXTENSION_LIBS_DIRECTORY, libraryFile));
+  console.log(`Synced libs/${libraryFile}`);
+});
+
+try {
+  VENDORED_PACKAGES.forEach(vendorPackage);
+} catch (error) {
+  // Half a vendor directory would load in the extension just as well - leave none at all
+  fs.rmSync(path.join(EXTENSION_LIBS_DIRECTORY, 'vendor'), { recursive: true, force: true });
+  console.error(error.message);
+  process.exitCode = 1;
+}
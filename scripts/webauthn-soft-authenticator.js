@@ -0,0 +1,162 @@
+/**
+ * A software WebAuthn authenticator - passkeys without a browser or a security key, for tests
+ * It answers the options the /api/webauthn routes hand out the way navigator.credentials would, and
+ * returns the JSON RuntimeAPI would post back (binary fields base64url-encoded):
+ *
+ *   const { SoftAuthenticator } = require('./scripts/webauthn-soft-authenticator');
+ *   const authenticator = new SoftAuthenticator({ origin: 'http://localhost:3000' });
+ *
+ *   // Logged in - the session token from /api/authenticate
+ *   const { options } = await post('/api/webauthn/register/options', {}, sessionToken);
+ *   await post('/api/webauthn/register', { credential: authenticator.createCredential(options) }, sessionToken);
+ *
+ *   const { options: requestOptions } = await post('/api/webauthn/verify/options', { username });
+ *   await post('/api/webauthn/verify', { username, credential: authenticator.getAssertion(requestOptions) });
+ *
+ * Keys are ES256 (P-256) and live in memory only. userVerified: false makes it answer without user
+ * verification, which the server refuses - handy for testing that path.
+ */
+
+const crypto = require('crypto');
+
+// Just the CBOR (RFC 8949) an attestation object needs - byte strings, text, integers and maps
+function encodeCbor(value) {
+  const head = (majorType, argument) => {
+    if (argument < 24) {
+      return Buffer.from([(majorType << 5) | argument]);
+    }
+    if (argument < 0x100) {
+      return Buffer.from([(majorType << 5) | 24, argument]);
+    }
+    const header = Buffer.alloc(argument < 0x10000 ? 3 : 5);
+    header[0] = (majorType << 5) | (argument < 0x10000 ? 25 : 26);
+    if (argument < 0x10000) {
+      header.writeUInt16BE(argument, 1);
+    } else {
+      header.writeUInt32BE(argument, 1);
+    }
+    return header;
+  };
+
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([head(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf-8');
+    return Buffer.concat([head(3, bytes.length), bytes]);
+  }
+  if (Number.isInteger(value)) {
+    return value >= 0 ? head(0, value) : head(1, -1 - value);
+  }
+  const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+  return Buffer.concat([head(5, entries.length), ...entries.flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)])]);
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest();
+}
+
+class SoftAuthenticator {
+  constructor({ origin, userVerified = true }) {
+    this.origin = origin.replace(/\/$/, '');
+    this.userVerified = userVerified;
+    this.credentials = new Map(); // credential id (base64url) -> { privateKey, rpId, userHandle, signCount }
+  }
+
+  // Like a browser: the RP ID has to be the page's host or a parent domain of it
+  resolveRpId(rpId) {
+    const hostname = new URL(this.origin).hostname;
+    const resolved = rpId || hostname;
+    if (hostname !== resolved && !hostname.endsWith(`.${resolved}`)) {
+      throw new Error(`SecurityError: RP ID ${resolved} is not valid for ${this.origin}`);
+    }
+    return resolved;
+  }
+
+  clientData(type, challenge) {
+    return Buffer.from(JSON.stringify({ type, challenge, origin: this.origin, crossOrigin: false }));
+  }
+
+  authenticatorData(rpId, signCount, attestedCredentialData) {
+    // UP always, UV unless switched off, AT when a credential is attached
+    const flags = 0x01 | (this.userVerified ? 0x04 : 0) | (attestedCredentialData ? 0x40 : 0);
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(signCount);
+    return Buffer.concat([sha256(rpId), Buffer.from([flags]), counter, ...(attestedCredentialData ? [attestedCredentialData] : [])]);
+  }
+
+  /**
+   * navigator.credentials.create({ publicKey: options })
+   */
+  createCredential(options) {
+    const rpId = this.resolveRpId(options.rp && options.rp.id);
+    if (!options.pubKeyCredParams.some((parameter) => parameter.alg === -7)) {
+      throw new Error('NotSupportedError: only ES256 is implemented');
+    }
+    if ((options.excludeCredentials || []).some((excluded) => this.credentials.has(excluded.id))) {
+      throw new Error('InvalidStateError: this authenticator is already registered');
+    }
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const { x, y } = publicKey.export({ format: 'jwk' });
+    const credentialId = crypto.randomBytes(32);
+    const coseKey = encodeCbor(
+      new Map([
+        [1, 2], // kty: EC2
+        [3, -7], // alg: ES256
+        [-1, 1], // crv: P-256
+        [-2, Buffer.from(x, 'base64url')],
+        [-3, Buffer.from(y, 'base64url')]
+      ])
+    );
+    const credentialIdLength = Buffer.alloc(2);
+    credentialIdLength.writeUInt16BE(credentialId.length);
+    const attestedCredentialData = Buffer.concat([Buffer.alloc(16), credentialIdLength, credentialId, coseKey]);
+
+    const id = credentialId.toString('base64url');
+    this.credentials.set(id, { privateKey, rpId, userHandle: options.user.id, signCount: 0 });
+
+    return {
+      id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: this.clientData('webauthn.create', options.challenge).toString('base64url'),
+        attestationObject: encodeCbor({ fmt: 'none', attStmt: {}, authData: this.authenticatorData(rpId, 0, attestedCredentialData) }).toString('base64url'),
+        transports: ['internal']
+      }
+    };
+  }
+
+  /**
+   * navigator.credentials.get({ publicKey: options })
+   */
+  getAssertion(options) {
+    const rpId = this.resolveRpId(options.rpId);
+    const allowed = (options.allowCredentials || []).map((credential) => credential.id);
+    const id = [...this.credentials.keys()].find(
+      (candidate) => this.credentials.get(candidate).rpId === rpId && (allowed.length === 0 || allowed.includes(candidate))
+    );
+    if (!id) {
+      throw new Error('NotAllowedError: no matching credential on this authenticator');
+    }
+
+    const credential = this.credentials.get(id);
+    credential.signCount += 1;
+    const authenticatorData = this.authenticatorData(rpId, credential.signCount, null);
+    const clientDataJSON = this.clientData('webauthn.get', options.challenge);
+    const signature = crypto.sign('sha256', Buffer.concat([authenticatorData, sha256(clientDataJSON)]), credential.privateKey);
+
+    return {
+      id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientDataJSON.toString('base64url'),
+        authenticatorData: authenticatorData.toString('base64url'),
+        signature: signature.toString('base64url'),
+        userHandle: credential.userHandle
+      }
+    };
+  }
+}
+
+module.exports = { SoftAuthenticator, encodeCbor };
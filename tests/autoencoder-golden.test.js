@@ -0,0 +1,142 @@
+/**
+ * Golden vectors for the keystroke autoencoder in libs/autoencoder.js
+ * The server loads libs/ and the extension its synced copy in EXTENSIONN/libs/. Both have to train the
+ * same network from the same samples and seed, and give an attempt the same score - a changed weight
+ * initialization or threshold rule fails here instead of silently moving every user's acceptance rate.
+ *
+ * After a deliberate change to training or scoring, regenerate the fixture and review its diff:
+ *   UPDATE_GOLDEN=1 npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const GhostKeyFeatures = require('../libs/keystroke-features.js');
+
+const FIXTURE_FILE = path.join(__dirname, 'fixtures', 'autoencoder-golden.json');
+const IMPLEMENTATIONS = {
+  server: require('../libs/autoencoder.js'),
+  extension: require('../EXTENSIONN/libs/autoencoder.js')
+};
+const TRAINING_SEED = 20240517;
+const KEY_COUNT = 10;
+const TOLERANCE = 1e-12;
+// Well below any held-out error, so the threshold comes from the percentile rule and not the configured floor
+const MINIMUM_THRESHOLD = 0.001;
+
+// One typist's passphrase rhythm - per-key hold and flight times, plus jitter from the seeded generator
+function typeSample(random, { holdBase, flightBase, pauseAfterKey = null, pause = 0 }) {
+  const holdTimes = [...Array(KEY_COUNT)].map((_, key) => holdBase + (key % 3) * 12 + random() * 8);
+  const udTimes = [...Array(KEY_COUNT - 1)].map((_, key) =>
+    flightBase + (key % 4) * 15 + random() * 10 + (key === pauseAfterKey ? pause : 0));
+  const ddTimes = udTimes.map((flight, key) => flight + holdTimes[key]);
+  return GhostKeyFeatures.buildFeatureVector({
+    holdTimes,
+    ddTimes,
+    udTimes,
+    typingSpeed: 5 + random(),
+    flightTime: flightBase,
+    errorRate: 0,
+    pressPressure: 3
+  });
+}
+
+function buildGoldenInputs() {
+  const random = IMPLEMENTATIONS.server.createSeededRandom(7);
+  const typist = { holdBase: 90, flightBase: 60 };
+  return {
+    samples: [...Array(8)].map(() => typeSample(random, typist)),
+    attempts: [
+      { label: 'genuine', features: typeSample(random, typist) },
+      { label: 'genuine with a pause', features: typeSample(random, { ...typist, pauseAfterKey: 4, pause: 20 }) },
+      { label: 'impostor', features: typeSample(random, { holdBase: 140, flightBase: 25 }) }
+    ]
+  };
+}
+
+// Console output from training would bury the test report
+function trainQuietly(implementation, samples) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return implementation.trainKeystrokeBiometricModel(samples, {
+      random: implementation.createSeededRandom(TRAINING_SEED),
+      minimumThreshold: MINIMUM_THRESHOLD
+    });
+  } finally {
+    console.log = log;
+  }
+}
+
+// What scoring reads, and what a drifted initialization or threshold rule would change
+function goldenModelFields(model) {
+  return {
+    modelType: model.modelType,
+    inputDim: model.inputDim,
+    normalizationParams: model.normalizationParams,
+    threshold: model.threshold,
+    autoencoder: model.autoencoder,
+    trainingStats: {
+      maxError: model.trainingStats.maxError,
+      calculatedThreshold: model.trainingStats.calculatedThreshold,
+      finalThreshold: model.trainingStats.finalThreshold,
+      thresholdSource: model.trainingStats.thresholdSource
+    }
+  };
+}
+
+function scoreAttempts(implementation, model, attempts) {
+  return attempts.map(({ label, features }) => {
+    const { reconstructionError, authenticated, confidence } = implementation.authenticateKeystrokePattern(features, model);
+    return { label, reconstructionError, authenticated, confidence };
+  });
+}
+
+function assertClose(actual, expected, where) {
+  if (typeof expected === 'number') {
+    assert.equal(typeof actual, 'number', `${where} should be a number`);
+    assert.ok(Math.abs(actual - expected) <= TOLERANCE, `${where}: expected ${expected}, got ${actual}`);
+  } else if (Array.isArray(expected)) {
+    assert.ok(Array.isArray(actual), `${where} should be an array`);
+    assert.equal(actual.length, expected.length, `${where} length`);
+    expected.forEach((value, index) => assertClose(actual[index], value, `${where}[${index}]`));
+  } else if (expected && typeof expected === 'object') {
+    assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort(), `${where} keys`);
+    Object.keys(expected).forEach((key) => assertClose(actual[key], expected[key], `${where}.${key}`));
+  } else {
+    assert.equal(actual, expected, where);
+  }
+}
+
+if (process.env.UPDATE_GOLDEN) {
+  const { samples, attempts } = buildGoldenInputs();
+  const model = goldenModelFields(trainQuietly(IMPLEMENTATIONS.server, samples));
+  const scores = scoreAttempts(IMPLEMENTATIONS.server, model, attempts);
+  fs.mkdirSync(path.dirname(FIXTURE_FILE), { recursive: true });
+  fs.writeFileSync(FIXTURE_FILE, JSON.stringify({ trainingSeed: TRAINING_SEED, samples, attempts, model, scores }, null, 2) + '\n');
+}
+
+const golden = JSON.parse(fs.readFileSync(FIXTURE_FILE, 'utf-8'));
+
+test('the golden inputs are still the ones the fixture was generated from', () => {
+  const { samples, attempts } = buildGoldenInputs();
+  assert.equal(golden.trainingSeed, TRAINING_SEED);
+  assertClose(samples, golden.samples, 'samples');
+  assertClose(attempts, golden.attempts, 'attempts');
+});
+
+test('the golden attempts span both decisions', () => {
+  const decisions = new Set(golden.scores.map((score) => score.authenticated));
+  assert.deepEqual([...decisions].sort(), [false, true]);
+});
+
+for (const [name, implementation] of Object.entries(IMPLEMENTATIONS)) {
+  test(`${name} copy trains the golden model from the golden samples`, () => {
+    assertClose(goldenModelFields(trainQuietly(implementation, golden.samples)), golden.model, 'model');
+  });
+
+  test(`${name} copy gives the golden attempts their golden scores`, () => {
+    assertClose(scoreAttempts(implementation, golden.model, golden.attempts), golden.scores, 'scores');
+  });
+}
@@ -0,0 +1,111 @@
+/**
+ * Keystroke enrollment end to end - the samples go to /api/train-model the way components/keystroke-capture.tsx
+ * sends them, training runs in the real worker, and the enrolling client collects its recovery codes from
+ * /api/train-model/status
+ */
+
+import "./helpers/workspace"
+import test from "node:test"
+import assert from "node:assert/strict"
+import fs from "fs"
+import path from "path"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { POST as postRedeem } from "@/app/api/recovery-codes/redeem/route"
+import { POST as postTrainModel } from "@/app/api/train-model/route"
+import { GET as getTrainingStatus } from "@/app/api/train-model/status/route"
+import { createRouteFetch, postJson } from "./helpers/route-fetch"
+
+// lib/training-jobs.ts starts its worker from <cwd>/lib - the throwaway workspace needs to find it
+fs.symlinkSync(path.join(__dirname, "..", "lib"), "lib", "dir")
+
+const PASSPHRASE = "tr0ub4dor!"
+const KEY_COUNT = PASSPHRASE.length
+
+const api = createRouteFetch({
+  "/api/recovery-codes/redeem": { POST: postRedeem },
+  "/api/train-model": { POST: postTrainModel },
+  "/api/train-model/status": { GET: getTrainingStatus },
+})
+
+// One steady typist - the same rhythm every time, give or take a few milliseconds
+function typeSample(sampleIndex: number) {
+  const jitter = (key: number) => ((sampleIndex * 7 + key * 3) % 5) - 2
+  const holdTimes = [...Array(KEY_COUNT)].map((_, key) => 90 + (key % 3) * 12 + jitter(key))
+  const udTimes = [...Array(KEY_COUNT - 1)].map((_, key) => 60 + (key % 4) * 15 + jitter(key + 1))
+  const ddTimes = udTimes.map((flight, key) => flight + holdTimes[key])
+  return {
+    holdTimes,
+    ddTimes,
+    udTimes,
+    additionalFeatures: { typingSpeed: 5, flightTime: 60, errorRate: 0, pressPressure: 3 },
+  }
+}
+
+// Every sample the enrollment form asks for - it counts to AUTH_CONFIG.SAMPLES_REQUIRED too
+async function enroll(username: string, reenrollmentToken?: string) {
+  const responses = []
+  for (let sampleCount = 0; sampleCount < AUTH_CONFIG.SAMPLES_REQUIRED; sampleCount++) {
+    const response = await postJson(api, "/api/train-model", {
+      username,
+      password: PASSPHRASE,
+      ...typeSample(sampleCount),
+      sampleCount,
+      privacyMode: true,
+      reenrollmentToken,
+    })
+    assert.equal(response.status, 200, `sample ${sampleCount}: ${JSON.stringify(response.body)}`)
+    responses.push(response.body)
+  }
+  return responses
+}
+
+// Poll the way the form does until the job finishes - the pickup token comes along
+async function waitForTraining(username: string, recoveryCodePickup: string) {
+  for (;;) {
+    const response = await api(`/api/train-model/status?username=${username}`, {
+      headers: { "X-Recovery-Code-Pickup": recoveryCodePickup },
+    })
+    const job = await response.json()
+    if (job.status === "completed" || job.status === "failed") {
+      return job
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100))
+  }
+}
+
+test("a new user's full enrollment trains a model and hands over the recovery codes", async () => {
+  const responses = await enroll("bob")
+  const lastResponse = responses.at(-1)
+
+  assert.ok(responses.slice(0, -1).every((body) => !body.trainingJob), "training queued before the last sample")
+  assert.ok(lastResponse.trainingJob, JSON.stringify(lastResponse))
+  assert.ok(lastResponse.recoveryCodePickup)
+
+  const job = await waitForTraining("bob", lastResponse.recoveryCodePickup)
+  assert.equal(job.status, "completed", job.error)
+  assert.ok(job.recoveryCodes.length > 0)
+
+  // Claimed once - a second poll with the same token gets none
+  const again = await waitForTraining("bob", lastResponse.recoveryCodePickup)
+  assert.equal(again.recoveryCodes, undefined)
+})
+
+test("an enrolled user re-enrolls only with a recovery code", async () => {
+  const { recoveryCodePickup } = (await enroll("carol")).at(-1)
+  const { recoveryCodes } = await waitForTraining("carol", recoveryCodePickup)
+
+  const takeover = await postJson(api, "/api/train-model", {
+    username: "carol",
+    password: PASSPHRASE,
+    ...typeSample(0),
+    sampleCount: 0,
+    privacyMode: true,
+  })
+  assert.equal(takeover.status, 403)
+  assert.equal(takeover.body.errorCode, "REENROLLMENT_REQUIRED")
+
+  const redemption = await postJson(api, "/api/recovery-codes/redeem", { username: "carol", code: recoveryCodes[0] })
+  assert.equal(redemption.body.success, true, redemption.body.message)
+  const responses = await enroll("carol", redemption.body.reenrollment.token)
+  assert.equal((await waitForTraining("carol", responses.at(-1).recoveryCodePickup)).status, "completed")
+})
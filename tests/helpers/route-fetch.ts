@@ -0,0 +1,41 @@
+/**
+ * A fetch that answers from the app's route handlers instead of the network, so the clients in
+ * scripts/ (the OIDC test relying party) can be driven against the real API in-process
+ */
+
+import { NextRequest } from "next/server"
+
+type RouteHandler = (request: NextRequest) => Promise<Response>
+export type RouteTable = Record<string, Partial<Record<"GET" | "POST", RouteHandler>>>
+
+export const TEST_ORIGIN = "http://localhost:3999"
+
+export function createRouteFetch(routes: RouteTable) {
+  return async (input: RequestInfo | URL, init: RequestInit = {}): Promise<Response> => {
+    const request = new NextRequest(input instanceof Request ? input : new URL(input, TEST_ORIGIN), {
+      method: init.method,
+      headers: init.headers,
+      body: init.body ?? undefined,
+    })
+    const handler = routes[request.nextUrl.pathname]?.[request.method as "GET" | "POST"]
+    if (!handler) {
+      return Response.json({ error: `No route for ${request.method} ${request.nextUrl.pathname}` }, { status: 404 })
+    }
+    return handler(request)
+  }
+}
+
+// POST a JSON body - the status and the parsed answer
+export async function postJson(
+  routeFetch: ReturnType<typeof createRouteFetch>,
+  pathname: string,
+  body: unknown,
+  headers: Record<string, string> = {},
+): Promise<{ status: number; body: any }> {
+  const response = await routeFetch(pathname, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  })
+  return { status: response.status, body: await response.json() }
+}
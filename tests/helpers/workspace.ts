@@ -0,0 +1,13 @@
+/**
+ * Import this before anything from lib/ - the stores resolve their files against the working directory
+ * when they load, so each route test file gets a throwaway one (node --test runs every file in its own
+ * process) and never touches models/ or logs/ in the checkout
+ */
+
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+const workspace = fs.mkdtempSync(path.join(os.tmpdir(), "ghost-key-test-"))
+process.chdir(workspace)
+process.on("exit", () => fs.rmSync(workspace, { recursive: true, force: true }))
@@ -0,0 +1,111 @@
+/**
+ * "Sign in with Ghost Key" end to end - scripts/oidc-test-rp.js signs in against the route handlers,
+ * the way a real app would, and the tests tamper with the steps a stolen or replayed code would take
+ */
+
+import "./helpers/workspace"
+import test from "node:test"
+import assert from "node:assert/strict"
+import { GET as getDiscovery } from "@/app/.well-known/openid-configuration/route"
+import { POST as postAuthorize } from "@/app/api/oidc/authorize/route"
+import { GET as getJwks } from "@/app/api/oidc/jwks/route"
+import { POST as postToken } from "@/app/api/oidc/token/route"
+import { GET as getUserInfo } from "@/app/api/oidc/userinfo/route"
+import { registerOidcClient } from "@/lib/oidc-provider"
+import { type AuthModality, issueSessionToken } from "@/lib/session-tokens"
+import { createRouteFetch, postJson, TEST_ORIGIN } from "./helpers/route-fetch"
+import { createRelyingParty } from "../scripts/oidc-test-rp"
+
+const REDIRECT_URI = "http://localhost:4000/callback"
+
+const api = createRouteFetch({
+  "/.well-known/openid-configuration": { GET: getDiscovery },
+  "/api/oidc/authorize": { POST: postAuthorize },
+  "/api/oidc/jwks": { GET: getJwks },
+  "/api/oidc/token": { POST: postToken },
+  "/api/oidc/userinfo": { GET: getUserInfo },
+})
+
+async function createTestRelyingParty() {
+  const { client, clientSecret } = await registerOidcClient("Test RP", [REDIRECT_URI])
+  return createRelyingParty({ issuer: TEST_ORIGIN, clientId: client.clientId, clientSecret, redirectUri: REDIRECT_URI, fetch: api })
+}
+
+function logIn(modalities: AuthModality[] = ["passphrase", "keystroke"]) {
+  return issueSessionToken("alice", { modalities, scores: {} })
+}
+
+// What the /authorize page does once the user has logged in - the callback's query string comes back
+async function authorize(authorizationUrl: URL, sessionToken: string) {
+  const { status, body } = await postJson(api, "/api/oidc/authorize", {
+    ...Object.fromEntries(authorizationUrl.searchParams),
+    sessionToken,
+  })
+  return { status, body, callback: body.redirectTo ? new URL(body.redirectTo).searchParams : null }
+}
+
+test("a passphrase + keystroke login signs in to the relying party", async () => {
+  const relyingParty = await createTestRelyingParty()
+  const { authorizationUrl } = await relyingParty.startSignIn()
+  const { callback } = await authorize(authorizationUrl, (await logIn()).token)
+
+  const { idTokenClaims, userInfo } = await relyingParty.finishSignIn(callback!)
+  assert.equal(idTokenClaims.sub, "alice")
+  assert.deepEqual(idTokenClaims.amr, ["pwd", "kbd", "mfa"])
+  assert.deepEqual(userInfo, { sub: "alice", preferred_username: "alice", amr: ["pwd", "kbd", "mfa"] })
+})
+
+test("a single-factor login can't authorize a relying party", async () => {
+  const relyingParty = await createTestRelyingParty()
+  const { authorizationUrl } = await relyingParty.startSignIn()
+  const { status, body } = await authorize(authorizationUrl, (await logIn(["passkey"])).token)
+
+  assert.equal(status, 401)
+  assert.equal(body.error, "login_required")
+})
+
+test("a code is single-use", async () => {
+  const relyingParty = await createTestRelyingParty()
+  const { authorizationUrl, codeVerifier } = await relyingParty.startSignIn()
+  const { callback } = await authorize(authorizationUrl, (await logIn()).token)
+  const code = callback!.get("code")
+
+  await relyingParty.redeemCode(code, codeVerifier)
+  await assert.rejects(relyingParty.redeemCode(code, codeVerifier), /answered 400: .*invalid_grant.*already used/)
+})
+
+test("a code is only redeemed with the PKCE verifier it was issued for", async () => {
+  const relyingParty = await createTestRelyingParty()
+  const { authorizationUrl, codeVerifier } = await relyingParty.startSignIn()
+  const { callback } = await authorize(authorizationUrl, (await logIn()).token)
+  const code = callback!.get("code")
+
+  await assert.rejects(
+    relyingParty.redeemCode(code, "not-the-verifier-this-code-was-issued-for"),
+    /answered 400: .*invalid_grant.*code_verifier does not match/,
+  )
+  // The failed try used the code up - the right verifier is too late now
+  await assert.rejects(relyingParty.redeemCode(code, codeVerifier), /invalid_grant/)
+})
+
+test("userinfo takes the access token, not the ID token", async () => {
+  const relyingParty = await createTestRelyingParty()
+  const { authorizationUrl, codeVerifier } = await relyingParty.startSignIn()
+  const { callback } = await authorize(authorizationUrl, (await logIn()).token)
+  const tokens = await relyingParty.redeemCode(callback!.get("code"), codeVerifier)
+
+  await assert.rejects(relyingParty.fetchUserInfo(tokens.id_token), /answered 401: .*invalid_token/)
+  assert.equal((await relyingParty.fetchUserInfo(tokens.access_token)).sub, "alice")
+})
+
+test("a Basic header that doesn't decode is refused as invalid_client", async () => {
+  const credentials = Buffer.from("%E0%A4%A:x").toString("base64")
+  const response = await api("/api/oidc/token", {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded", Authorization: `Basic ${credentials}` },
+    body: new URLSearchParams({ grant_type: "authorization_code", code: "unused", redirect_uri: REDIRECT_URI }),
+  })
+  assert.equal(response.status, 401)
+  assert.equal((await response.json()).error, "invalid_client")
+  assert.equal(response.headers.get("WWW-Authenticate"), "Basic")
+})
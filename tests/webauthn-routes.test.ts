@@ -0,0 +1,155 @@
+/**
+ * Passkeys end to end - scripts/webauthn-soft-authenticator.js registers and signs in against the route
+ * handlers the way a browser would, and the tests bend its answers the way a phishing page, a replayed
+ * response or a cloned key would
+ */
+
+import "./helpers/workspace"
+import test from "node:test"
+import assert from "node:assert/strict"
+import { POST as postRegister } from "@/app/api/webauthn/register/route"
+import { POST as postRegisterOptions } from "@/app/api/webauthn/register/options/route"
+import { POST as postVerify } from "@/app/api/webauthn/verify/route"
+import { POST as postVerifyOptions } from "@/app/api/webauthn/verify/options/route"
+import { type AuthModality, issueSessionToken } from "@/lib/session-tokens"
+import { createRouteFetch, postJson, TEST_ORIGIN } from "./helpers/route-fetch"
+import { SoftAuthenticator } from "../scripts/webauthn-soft-authenticator"
+
+process.env.GHOST_KEY_WEBAUTHN_ORIGIN = TEST_ORIGIN
+process.env.GHOST_KEY_WEBAUTHN_RP_ID = "localhost"
+
+// Another origin under the same RP ID - a browser would sign for it, the server mustn't accept it
+const SIBLING_ORIGIN = "http://login.localhost:3999"
+
+const api = createRouteFetch({
+  "/api/webauthn/register": { POST: postRegister },
+  "/api/webauthn/register/options": { POST: postRegisterOptions },
+  "/api/webauthn/verify": { POST: postVerify },
+  "/api/webauthn/verify/options": { POST: postVerifyOptions },
+})
+
+// Every test is its own user on its own address, so one test's failures don't throttle the next
+let userCount = 0
+function newUser() {
+  userCount += 1
+  return { username: `passkey-user-${userCount}`, headers: { "x-forwarded-for": `198.51.100.${userCount}` } }
+}
+
+async function logIn(username: string, modalities: AuthModality[] = ["passphrase", "keystroke"]) {
+  return (await issueSessionToken(username, { modalities, scores: {} })).token
+}
+
+async function registerPasskey(username: string, headers: Record<string, string>) {
+  const authenticator = new SoftAuthenticator({ origin: TEST_ORIGIN })
+  const session = { ...headers, Authorization: `Bearer ${await logIn(username)}` }
+  const { body } = await postJson(api, "/api/webauthn/register/options", {}, session)
+  const registration = await postJson(api, "/api/webauthn/register", { credential: authenticator.createCredential(body.options) }, session)
+  assert.equal(registration.status, 200, JSON.stringify(registration.body))
+  return authenticator
+}
+
+async function requestAssertionOptions(username: string, headers: Record<string, string>) {
+  const { status, body } = await postJson(api, "/api/webauthn/verify/options", { username }, headers)
+  assert.equal(status, 200, JSON.stringify(body))
+  return body.options
+}
+
+test("a registered passkey signs in and gets a session", async () => {
+  const { username, headers } = newUser()
+  const authenticator = await registerPasskey(username, headers)
+
+  const options = await requestAssertionOptions(username, headers)
+  const { status, body } = await postJson(api, "/api/webauthn/verify", { username, credential: authenticator.getAssertion(options) }, headers)
+  assert.equal(status, 200)
+  assert.equal(body.success, true, body.message)
+  assert.ok(body.session.token)
+})
+
+test("registering a passkey needs a passphrase + second factor login", async () => {
+  const { username, headers } = newUser()
+  const session = { ...headers, Authorization: `Bearer ${await logIn(username, ["passkey"])}` }
+  const { status, body } = await postJson(api, "/api/webauthn/register/options", {}, session)
+  assert.equal(status, 403)
+  assert.equal(body.errorCode, "TOKEN_INSUFFICIENT")
+})
+
+test("registration refuses a credential created on another origin", async () => {
+  const { username, headers } = newUser()
+  const session = { ...headers, Authorization: `Bearer ${await logIn(username)}` }
+  const { body } = await postJson(api, "/api/webauthn/register/options", {}, session)
+
+  const credential = new SoftAuthenticator({ origin: SIBLING_ORIGIN }).createCredential(body.options)
+  const registration = await postJson(api, "/api/webauthn/register", { credential }, session)
+  assert.equal(registration.status, 400)
+  assert.equal(registration.body.errorCode, "REGISTRATION_REJECTED")
+  assert.match(registration.body.error, /instead of http:\/\/localhost:3999/)
+})
+
+test("an assertion signed over another challenge is refused", async () => {
+  const { username, headers } = newUser()
+  const authenticator = await registerPasskey(username, headers)
+
+  const options = await requestAssertionOptions(username, headers)
+  const credential = authenticator.getAssertion({ ...options, challenge: Buffer.from("not the server's challenge").toString("base64url") })
+  const { body } = await postJson(api, "/api/webauthn/verify", { username, credential }, headers)
+  assert.equal(body.success, false)
+  assert.match(body.message, /Challenge does not match/)
+})
+
+test("a replayed assertion is refused", async () => {
+  const { username, headers } = newUser()
+  const authenticator = await registerPasskey(username, headers)
+
+  const credential = authenticator.getAssertion(await requestAssertionOptions(username, headers))
+  assert.equal((await postJson(api, "/api/webauthn/verify", { username, credential }, headers)).body.success, true)
+
+  // Its challenge was used up - not even a fresh prompt makes the old answer fit
+  await requestAssertionOptions(username, headers)
+  const { body } = await postJson(api, "/api/webauthn/verify", { username, credential }, headers)
+  assert.equal(body.success, false)
+  assert.match(body.message, /Challenge does not match/)
+})
+
+test("an assertion signed for another origin is refused", async () => {
+  const { username, headers } = newUser()
+  const authenticator = await registerPasskey(username, headers)
+
+  // The same key, answering for a page on another origin
+  const sibling = new SoftAuthenticator({ origin: SIBLING_ORIGIN })
+  sibling.credentials = authenticator.credentials
+  const credential = sibling.getAssertion(await requestAssertionOptions(username, headers))
+  const { body } = await postJson(api, "/api/webauthn/verify", { username, credential }, headers)
+  assert.equal(body.success, false)
+  assert.match(body.message, /Signed for http:\/\/login\.localhost:3999 instead of http:\/\/localhost:3999/)
+})
+
+test("a signature counter that doesn't go up is refused as a cloned key", async () => {
+  const { username, headers } = newUser()
+  const authenticator = await registerPasskey(username, headers)
+  const firstAssertion = authenticator.getAssertion(await requestAssertionOptions(username, headers))
+  assert.equal((await postJson(api, "/api/webauthn/verify", { username, credential: firstAssertion }, headers)).body.success, true)
+
+  // A copy of the key still at the counter the original just used
+  const [storedCredential] = authenticator.credentials.values()
+  storedCredential.signCount -= 1
+  const credential = authenticator.getAssertion(await requestAssertionOptions(username, headers))
+  const { body } = await postJson(api, "/api/webauthn/verify", { username, credential }, headers)
+  assert.equal(body.success, false)
+  assert.match(body.message, /counter went backwards/)
+})
+
+test("passkeys fail closed without a configured origin", async () => {
+  const { username, headers } = newUser()
+  const authenticator = await registerPasskey(username, headers)
+  const credential = authenticator.getAssertion(await requestAssertionOptions(username, headers))
+
+  const configuredOrigin = process.env.GHOST_KEY_WEBAUTHN_ORIGIN
+  delete process.env.GHOST_KEY_WEBAUTHN_ORIGIN
+  try {
+    const { status, body } = await postJson(api, "/api/webauthn/verify", { username, credential }, headers)
+    assert.equal(status, 503)
+    assert.equal(body.errorCode, "NOT_CONFIGURED")
+  } finally {
+    process.env.GHOST_KEY_WEBAUTHN_ORIGIN = configuredOrigin
+  }
+})